@@ -29,9 +29,39 @@
     DARKEN: 'DARKEN',
     LIGHTEN: 'LIGHTEN',
     DIFFERENCE: 'DIFFERENCE',
-    EXCLUSION: 'EXCLUSION'
+    EXCLUSION: 'EXCLUSION',
+    HUE: 'HUE',
+    SATURATION: 'SATURATION',
+    COLOR: 'COLOR',
+    LUMINOSITY: 'LUMINOSITY',
+    LINEAR_BURN: 'LINEAR_BURN',
+    LINEAR_DODGE: 'LINEAR_DODGE',
+    LINEAR_LIGHT: 'LINEAR_LIGHT',
+    VIVID_LIGHT: 'VIVID_LIGHT',
+    PIN_LIGHT: 'PIN_LIGHT',
+    HARD_MIX: 'HARD_MIX',
+    DIVIDE: 'DIVIDE',
+    DARKER_COLOR: 'DARKER_COLOR',
+    LIGHTER_COLOR: 'LIGHTER_COLOR'
   };
 
+  /**
+   * Blend modes added at runtime with registerBlendMode()
+   * name -> { index, functionName, glsl, letter }
+   */
+  const customBlendModes = new Map();
+
+  /**
+   * Shader indices for custom blend modes start here, leaving room for built-in modes
+   */
+  const CUSTOM_BLEND_MODE_START_INDEX = 100;
+
+  /**
+   * Incremented whenever a custom blend mode is registered, so compositors
+   * know to rebuild their shader
+   */
+  let customBlendModesVersion = 0;
+
   /**
    * Maps our blend modes to shader uniform integers
    * These correspond to the blend mode indices in compositor.frag
@@ -66,12 +96,260 @@
         return 12;
       case BlendModes.EXCLUSION:
         return 13;
+      case BlendModes.HUE:
+        return 14;
+      case BlendModes.SATURATION:
+        return 15;
+      case BlendModes.COLOR:
+        return 16;
+      case BlendModes.LUMINOSITY:
+        return 17;
+      case BlendModes.LINEAR_BURN:
+        return 18;
+      case BlendModes.LINEAR_DODGE:
+        return 19;
+      case BlendModes.LINEAR_LIGHT:
+        return 20;
+      case BlendModes.VIVID_LIGHT:
+        return 21;
+      case BlendModes.PIN_LIGHT:
+        return 22;
+      case BlendModes.HARD_MIX:
+        return 23;
+      case BlendModes.DIVIDE:
+        return 24;
+      case BlendModes.DARKER_COLOR:
+        return 25;
+      case BlendModes.LIGHTER_COLOR:
+        return 26;
       default:
+        if (customBlendModes.has(mode)) {
+          return customBlendModes.get(mode).index;
+        }
         console.warn(`Unknown blend mode: ${mode}, falling back to NORMAL`);
         return 0;
     }
   }
 
+  /**
+   * Adjustment layer types
+   * These map to the adjustment functions in the adjustment shader
+   */
+  const AdjustmentTypes = {
+    HUE_SATURATION: 'HUE_SATURATION',
+    BRIGHTNESS_CONTRAST: 'BRIGHTNESS_CONTRAST',
+    LEVELS: 'LEVELS',
+    CURVES: 'CURVES',
+    INVERT: 'INVERT',
+    GRADIENT_MAP: 'GRADIENT_MAP',
+    THRESHOLD: 'THRESHOLD'
+  };
+
+  /**
+   * Maps adjustment types to shader uniform integers
+   * These correspond to the adjustment indices in adjustment.frag
+   */
+  function getAdjustmentTypeIndex(type) {
+    switch (type) {
+      case AdjustmentTypes.HUE_SATURATION:
+        return 0;
+      case AdjustmentTypes.BRIGHTNESS_CONTRAST:
+        return 1;
+      case AdjustmentTypes.LEVELS:
+        return 2;
+      case AdjustmentTypes.CURVES:
+        return 3;
+      case AdjustmentTypes.INVERT:
+        return 4;
+      case AdjustmentTypes.GRADIENT_MAP:
+        return 5;
+      case AdjustmentTypes.THRESHOLD:
+        return 6;
+      default:
+        console.warn(`Unknown adjustment type: ${type}, falling back to INVERT`);
+        return 4;
+    }
+  }
+
+  /**
+   * Default parameters for each adjustment type
+   */
+  const DEFAULT_ADJUSTMENT_PARAMS = {
+    [AdjustmentTypes.HUE_SATURATION]: {
+      hue: 0,        // degrees, -180 to 180
+      saturation: 0, // -1 to 1
+      lightness: 0   // -1 to 1
+    },
+    [AdjustmentTypes.BRIGHTNESS_CONTRAST]: {
+      brightness: 0, // -1 to 1
+      contrast: 0    // -1 to 1
+    },
+    [AdjustmentTypes.LEVELS]: {
+      inputBlack: 0,
+      inputWhite: 1,
+      gamma: 1,
+      outputBlack: 0,
+      outputWhite: 1
+    },
+    [AdjustmentTypes.CURVES]: {
+      // Each curve is a list of [input, output] points in 0-1
+      rgb: [[0, 0], [1, 1]],
+      red: [[0, 0], [1, 1]],
+      green: [[0, 0], [1, 1]],
+      blue: [[0, 0], [1, 1]]
+    },
+    [AdjustmentTypes.INVERT]: {},
+    [AdjustmentTypes.GRADIENT_MAP]: {
+      // Colors are [r, g, b] arrays (0-255) or hex strings
+      stops: [
+        { position: 0, color: [0, 0, 0] },
+        { position: 1, color: [255, 255, 255] }
+      ]
+    },
+    [AdjustmentTypes.THRESHOLD]: {
+      level: 0.5 // 0 to 1
+    }
+  };
+
+  /**
+   * Effect types that can be stacked on a layer
+   * These are applied to the layer's pixels at composite time by the effect shader
+   */
+  const EffectTypes = {
+    BLUR: 'BLUR',
+    GLOW: 'GLOW',
+    SHARPEN: 'SHARPEN',
+    POSTERIZE: 'POSTERIZE',
+    PIXELATE: 'PIXELATE',
+    CHROMATIC_OFFSET: 'CHROMATIC_OFFSET',
+    NOISE: 'NOISE'
+  };
+
+  /**
+   * Default parameters for each effect type
+   */
+  const DEFAULT_EFFECT_PARAMS = {
+    [EffectTypes.BLUR]: {
+      radius: 4 // pixels
+    },
+    [EffectTypes.GLOW]: {
+      radius: 8,     // pixels
+      intensity: 1,  // glow strength multiplier
+      threshold: 0   // only pixels brighter than this (0-1) glow
+    },
+    [EffectTypes.SHARPEN]: {
+      radius: 1, // pixels
+      amount: 1  // strength of the unsharp mask
+    },
+    [EffectTypes.POSTERIZE]: {
+      levels: 4 // levels per channel
+    },
+    [EffectTypes.PIXELATE]: {
+      size: 8 // block size in pixels
+    },
+    [EffectTypes.CHROMATIC_OFFSET]: {
+      offsetX: 2, // red offset in pixels (blue moves the opposite way)
+      offsetY: 0
+    },
+    [EffectTypes.NOISE]: {
+      amount: 0.1,     // 0 to 1
+      seed: 0,         // change per frame for animated grain
+      monochrome: true
+    }
+  };
+
+  /**
+   * Which channel of a mask texture controls visibility
+   */
+  const MaskChannels = {
+    ALPHA: 'ALPHA',
+    LUMINANCE: 'LUMINANCE',
+    RED: 'RED',
+    GREEN: 'GREEN',
+    BLUE: 'BLUE'
+  };
+
+  /**
+   * How a mask is mapped onto a layer whose size or aspect ratio differs
+   */
+  const MaskFit = {
+    STRETCH: 'STRETCH', // Fill the layer, ignoring aspect ratio
+    CONTAIN: 'CONTAIN', // Fit inside the layer, hiding the uncovered area
+    COVER: 'COVER',     // Fill the layer, cropping the mask
+    NONE: 'NONE'        // Keep the mask's pixel size, anchored top-left
+  };
+
+  /**
+   * What a LayerSystem does when a layer is given a name another layer already has
+   */
+  const NamePolicies = {
+    SUFFIX: 'SUFFIX', // Append the first free number: "Sky", "Sky 2", "Sky 3"
+    ERROR: 'ERROR',   // Throw, leaving the existing layer untouched
+    ALLOW: 'ALLOW'    // Keep the duplicate; the name still finds the first layer, the rest by ID only
+  };
+
+  /**
+   * What happens to a layer's pixels when it is resized, e.g. by auto-resize
+   * after resizeCanvas()
+   */
+  const ResizePolicies = {
+    CLEAR: 'CLEAR',   // Start empty
+    KEEP: 'KEEP',     // Keep the pixels at their size, placed by the resize anchor
+    FIT: 'FIT',       // Scale the pixels to fit inside the new size, placed by the resize anchor
+    FILL: 'FILL',     // Scale the pixels to cover the new size, cropping the overflow
+    REDRAW: 'REDRAW'  // Start empty and call the layer's resize callback to draw it again
+  };
+
+  /**
+   * Maps mask channels to shader uniform integers
+   */
+  function getMaskChannelIndex(channel) {
+    switch (channel) {
+      case MaskChannels.ALPHA:
+        return 0;
+      case MaskChannels.LUMINANCE:
+        return 1;
+      case MaskChannels.RED:
+        return 2;
+      case MaskChannels.GREEN:
+        return 3;
+      case MaskChannels.BLUE:
+        return 4;
+      default:
+        console.warn(`Unknown mask channel: ${channel}, falling back to LUMINANCE`);
+        return 1;
+    }
+  }
+
+  /**
+   * Default mask options
+   */
+  const DEFAULT_MASK_OPTIONS = {
+    channel: MaskChannels.LUMINANCE,
+    invert: false,
+    density: 1,  // 0 (mask has no effect) to 1
+    feather: 0,  // blur radius in layer pixels
+    fit: MaskFit.STRETCH
+  };
+
+  /**
+   * Stable IDs for mask images and framebuffers, used in composite cache keys
+   */
+  const objectTokens = new WeakMap();
+  let nextObjectToken = 1;
+
+  /**
+   * Gets a number that identifies an object for as long as it lives
+   * @param {Object} object
+   * @returns {number}
+   */
+  function getObjectToken(object) {
+    if (!objectTokens.has(object)) {
+      objectTokens.set(object, nextObjectToken++);
+    }
+    return objectTokens.get(object);
+  }
+
   /**
    * Default layer options
    */
@@ -82,86 +360,164 @@
     width: null,  // null means use canvas width
     height: null, // null means use canvas height
     density: null, // null means use canvas density
+    clipped: false,
     depth: false,
-    antialias: false
+    antialias: false,
+    resizePolicy: ResizePolicies.CLEAR,
+    resizeAnchor: 'top-left',
+    resizeCallback: null // (layer, previous, previousMask) => void, see ResizePolicies.REDRAW
   };
 
   /**
-   * Represents a single layer backed by a p5.Framebuffer
+   * Resize anchors as fractions of the free space on each axis
+   */
+  const RESIZE_ANCHORS = {
+    'top-left': [0, 0],
+    'top': [0.5, 0],
+    'top-right': [1, 0],
+    'left': [0, 0.5],
+    'center': [0.5, 0.5],
+    'right': [1, 0.5],
+    'bottom-left': [0, 1],
+    'bottom': [0.5, 1],
+    'bottom-right': [1, 1]
+  };
+
+  /**
+   * Works out where a layer's old pixels go after a resize
+   * @param {string} policy - One of the ResizePolicies constants
+   * @param {string} anchor - One of the RESIZE_ANCHORS names
+   * @param {number} oldWidth
+   * @param {number} oldHeight
+   * @param {number} newWidth
+   * @param {number} newHeight
+   * @returns {{x: number, y: number, width: number, height: number}|null}
+   *   The area in the new size, or null when the policy doesn't keep the pixels
+   */
+  function getResizePlacement(policy, anchor, oldWidth, oldHeight, newWidth, newHeight) {
+    let width = oldWidth;
+    let height = oldHeight;
+    if (policy === ResizePolicies.FIT || policy === ResizePolicies.FILL) {
+      const scaleX = newWidth / oldWidth;
+      const scaleY = newHeight / oldHeight;
+      const scale = policy === ResizePolicies.FIT ? Math.min(scaleX, scaleY) : Math.max(scaleX, scaleY);
+      width = oldWidth * scale;
+      height = oldHeight * scale;
+    } else if (policy !== ResizePolicies.KEEP) {
+      return null;
+    }
+
+    const [anchorX, anchorY] = RESIZE_ANCHORS[anchor] || RESIZE_ANCHORS['top-left'];
+    return {
+      x: (newWidth - width) * anchorX,
+      y: (newHeight - height) * anchorY,
+      width,
+      height
+    };
+  }
+
+  /**
+   * Draws an image over part of a framebuffer, leaving the rest as it was
+   * @param {p5} p - The p5.js instance
+   * @param {p5.Framebuffer} framebuffer - The framebuffer to draw into
+   * @param {p5.Framebuffer|p5.Image} image - The image to draw
+   * @param {{x: number, y: number, width: number, height: number}} area - Target area in the framebuffer's pixels
    */
-  class Layer {
+  function drawImageArea(p, framebuffer, image, area) {
+    framebuffer.begin();
+    p.push();
+    p.imageMode(p.CENTER);
+    p.image(
+      image,
+      area.x + (area.width - framebuffer.width) / 2,
+      area.y + (area.height - framebuffer.height) / 2,
+      area.width,
+      area.height
+    );
+    p.pop();
+    framebuffer.end();
+  }
+
+  /**
+   * Shared state and behaviour for anything that can sit in the layer stack
+   * (pixel layers and groups)
+   */
+  class LayerNode {
     /**
      * @param {p5} p5Instance - The p5.js instance
-     * @param {string|number} id - Unique identifier for this layer
-     * @param {string} name - Human-readable name for this layer
-     * @param {Object} options - Layer configuration options
+     * @param {string|number} id - Unique identifier for this node
+     * @param {string} name - Human-readable name for this node
+     * @param {Object} options - Node configuration options
      */
     constructor(p5Instance, id, name = '', options = {}) {
       this.p = p5Instance;
       this.id = id;
       this.name = name || `Layer ${id}`;
 
-      // Merge with defaults
-      const opts = { ...DEFAULT_LAYER_OPTIONS, ...options };
-
-      this.visible = opts.visible;
-      this.opacity = this._clampOpacity(opts.opacity);
-      this.blendMode = opts.blendMode;
-      this.zIndex = opts.zIndex !== undefined ? opts.zIndex : id;
-
-      // Framebuffer options
-      this.width = opts.width ?? this.p.width;
-      this.height = opts.height ?? this.p.height;
-      this.density = opts.density ?? this.p.pixelDensity();
-      this.depth = opts.depth;
-      this.antialias = opts.antialias;
+      this.visible = options.visible !== undefined ? options.visible : true;
+      this.opacity = this._clampOpacity(options.opacity !== undefined ? options.opacity : 1.0);
+      this.blendMode = options.blendMode || BlendModes.NORMAL;
+      this.zIndex = options.zIndex !== undefined ? options.zIndex : id;
 
-      // Flag layers that opted into custom sizing to protect them from auto-resize
-      this.customSize = opts.width != null ||
-        opts.height != null ||
-        opts.density != null;
+      // Clipped nodes only show through the alpha of the nearest
+      // non-clipped node below them in the same stack
+      this.clipped = !!options.clipped;
 
       // Mask reference (can be p5.Framebuffer or p5.Image)
       this.mask = null;
+      this.maskOptions = { ...DEFAULT_MASK_OPTIONS };
 
-      // Track if layer has been drawn to at least once
-      this.hasBeenDrawnTo = false;
+      // Containing group, or null when the node sits at the root of the stack
+      this.parent = null;
 
-      // Create the framebuffer
-      this.framebuffer = this._createFramebuffer();
+      // Bumped whenever the node's pixels or properties change, so cached composites can tell
+      this._revision = 0;
 
-      if (!this.framebuffer) {
-        throw new Error(`Failed to create framebuffer for layer ${this.name}`);
-      }
+      // Set by the owning LayerSystem to forward this node's events to its listeners
+      this._eventHandler = null;
+
+      // Set by the owning LayerSystem to apply its duplicate name policy
+      this._nameResolver = null;
     }
 
     /**
-     * Creates the underlying p5.Framebuffer
+     * Reports an event to the owning LayerSystem, if any
      * @private
+     * @param {string} event - Event name (see LayerSystem.on)
+     * @param {Object} [detail] - Event data; the node is added as `layer`
      */
-    _createFramebuffer() {
-      try {
-        const options = {
-          width: this.width,
-          height: this.height,
-          density: this.density
-        };
-
-        // Only add depth and antialias if explicitly set
-        if (this.depth !== undefined) {
-          options.depth = this.depth;
-        }
-        if (this.antialias !== undefined) {
-          options.antialias = this.antialias;
-        }
+    _notify(event, detail = {}) {
+      if (this._eventHandler) {
+        this._eventHandler(event, { layer: this, ...detail });
+      }
+    }
 
-        return this.p.createFramebuffer(options);
-      } catch (e) {
-        console.error(`Error creating framebuffer for layer ${this.name}:`, e);
-        return null;
+    /**
+     * Assigns a property and reports a change event if its value changed
+     * @private
+     * @param {string} property - Property name
+     * @param {*} value - New value
+     */
+    _setProperty(property, value) {
+      const oldValue = this[property];
+      this[property] = value;
+      if (oldValue !== value) {
+        this._revision++;
+        this._notify('change', { property, oldValue, newValue: value });
       }
     }
 
+    /**
+     * Flags this node's pixels as changed. Drawing between begin() and end()
+     * does this for you; call it after drawing into a framebuffer or mask
+     * image directly.
+     * @returns {this} This layer for chaining
+     */
+    markDirty() {
+      this._revision++;
+      return this;
+    }
+
     /**
      * Clamps opacity value to valid range [0, 1]
      * @private
@@ -170,45 +526,62 @@
       return Math.max(0, Math.min(1, value));
     }
 
+    /**
+     * Renames this node. In a LayerSystem the system's name policy applies,
+     * so the name may get a number appended or be refused.
+     * @param {string} name - The new name
+     * @returns {this} This layer for chaining
+     */
+    setName(name) {
+      if (typeof name !== 'string' || name === '') {
+        console.warn('Layer names must be non-empty strings');
+        return this;
+      }
+
+      const resolved = this._nameResolver ? this._nameResolver(name) : name;
+      this._setProperty('name', resolved);
+      return this;
+    }
+
     /**
      * Shows this layer (makes it visible)
-     * @returns {Layer} This layer for chaining
+     * @returns {this} This layer for chaining
      */
     show() {
-      this.visible = true;
+      this._setProperty('visible', true);
       return this;
     }
 
     /**
      * Hides this layer (makes it invisible)
-     * @returns {Layer} This layer for chaining
+     * @returns {this} This layer for chaining
      */
     hide() {
-      this.visible = false;
+      this._setProperty('visible', false);
       return this;
     }
 
     /**
      * Sets the opacity of this layer
      * @param {number} opacity - Opacity value between 0 and 1
-     * @returns {Layer} This layer for chaining
+     * @returns {this} This layer for chaining
      */
     setOpacity(opacity) {
-      this.opacity = this._clampOpacity(opacity);
+      this._setProperty('opacity', this._clampOpacity(opacity));
       return this;
     }
 
     /**
      * Sets the blend mode for this layer
      * @param {string} mode - One of the BlendModes constants
-     * @returns {Layer} This layer for chaining
+     * @returns {this} This layer for chaining
      */
     setBlendMode(mode) {
       if (!Object.values(BlendModes).includes(mode)) {
         console.warn(`Invalid blend mode: ${mode}, using NORMAL`);
-        this.blendMode = BlendModes.NORMAL;
+        this._setProperty('blendMode', BlendModes.NORMAL);
       } else {
-        this.blendMode = mode;
+        this._setProperty('blendMode', mode);
       }
       return this;
     }
@@ -216,2411 +589,8525 @@
     /**
      * Sets the z-index (layer order) for this layer
      * @param {number} zIndex - The z-index value (higher = on top)
-     * @returns {Layer} This layer for chaining
+     * @returns {this} This layer for chaining
      */
     setZIndex(zIndex) {
-      this.zIndex = zIndex;
+      this._setProperty('zIndex', zIndex);
       return this;
     }
 
     /**
-     * Attaches a mask to this layer
-     * @param {p5.Framebuffer|p5.Image} maskSource - The mask to apply
-     * @returns {Layer} This layer for chaining
+     * Attaches a mask to this layer. Passing a Layer uses its pixels as a live
+     * mask, so painting into that layer updates the mask every frame.
+     * @param {p5.Framebuffer|p5.Image|Layer} maskSource - The mask to apply
+     * @param {Object} [options] - Mask options (see DEFAULT_MASK_OPTIONS)
+     * @param {string} [options.channel] - One of the MaskChannels constants
+     * @param {boolean} [options.invert] - Hide where the mask is white instead
+     * @param {number} [options.density] - How strongly the mask applies, 0 to 1
+     * @param {number} [options.feather] - Blur radius in layer pixels
+     * @param {string} [options.fit] - One of the MaskFit constants
+     * @returns {this} This layer for chaining
      */
-    setMask(maskSource) {
+    setMask(maskSource, options = {}) {
       if (!maskSource) {
         console.warn('Invalid mask source provided');
         return this;
       }
-      this.mask = maskSource;
-      return this;
+      this._setProperty('mask', maskSource);
+      return this.setMaskOptions({ ...DEFAULT_MASK_OPTIONS, ...options });
     }
 
     /**
-     * Removes the mask from this layer
-     * @returns {Layer} This layer for chaining
+     * Updates the options of this layer's mask, keeping unspecified ones
+     * @param {Object} options - Mask options (see setMask)
+     * @returns {this} This layer for chaining
      */
-    clearMask() {
-      this.mask = null;
+    setMaskOptions(options) {
+      const next = { ...this.maskOptions, ...options };
+
+      if (!Object.values(MaskChannels).includes(next.channel)) {
+        console.warn(`Invalid mask channel: ${next.channel}`);
+        next.channel = this.maskOptions.channel;
+      }
+      if (!Object.values(MaskFit).includes(next.fit)) {
+        console.warn(`Invalid mask fit: ${next.fit}`);
+        next.fit = this.maskOptions.fit;
+      }
+      next.invert = !!next.invert;
+      next.density = Math.max(0, Math.min(1, Number(next.density) || 0));
+      next.feather = Math.max(0, Number(next.feather) || 0);
+
+      if (Object.keys(next).every(key => next[key] === this.maskOptions[key])) {
+        return this;
+      }
+      this._setProperty('maskOptions', next);
       return this;
     }
 
     /**
-     * Resizes the layer's framebuffer
-     * @param {number} width - New width
-     * @param {number} height - New height
+     * Removes the mask from this layer
+     * @returns {this} This layer for chaining
      */
-    resize(width, height, density = this.density) {
-      this.width = width;
-      this.height = height;
-      this.density = density;
-
-      // Keep track of whether the layer is canvas-synced or intentionally customized
-      const matchesCanvas = width === this.p.width &&
-        height === this.p.height &&
-        density === this.p.pixelDensity();
-      this.customSize = !matchesCanvas;
-
-      // Dispose old framebuffer
-      if (this.framebuffer) {
-        this.framebuffer.remove();
-      }
-
-      // Create new framebuffer with updated size
-      this.framebuffer = this._createFramebuffer();
+    clearMask() {
+      this._setProperty('mask', null);
+      return this;
     }
 
     /**
-     * Begins drawing to this layer's framebuffer
+     * Clips this layer to the nearest non-clipped layer below it
+     * @param {boolean} clipped - Whether to clip
+     * @returns {this} This layer for chaining
      */
-    begin() {
-      if (!this.framebuffer) {
-        console.error(`Cannot begin drawing: framebuffer not initialized for layer ${this.name}`);
-        return;
-      }
-      this.framebuffer.begin();
+    setClipped(clipped) {
+      this._setProperty('clipped', !!clipped);
+      return this;
     }
 
     /**
-     * Ends drawing to this layer's framebuffer
+     * Returns true if this node or any of its ancestors is the given group
+     * @param {LayerGroup} group
+     * @returns {boolean}
      */
-    end() {
-      if (!this.framebuffer) {
-        console.error(`Cannot end drawing: framebuffer not initialized for layer ${this.name}`);
-        return;
+    isDescendantOf(group) {
+      let current = this.parent;
+      while (current) {
+        if (current === group) {
+          return true;
+        }
+        current = current.parent;
       }
-      this.framebuffer.end();
-      
-      // Mark that this layer has been drawn to
-      this.hasBeenDrawnTo = true;
+      return false;
     }
 
     /**
-     * Disposes of this layer's resources
+     * Disposes of this node's resources
      */
     dispose() {
-      if (this.framebuffer) {
-        this.framebuffer.remove();
-        this.framebuffer = null;
-      }
+      this.mask = null;
     }
 
     /**
-     * Returns a plain object representation of this layer's properties
+     * Returns a plain object representation of this node's properties
      */
     toJSON() {
       return {
         id: this.id,
+        type: this.type,
         name: this.name,
+        parentId: this.parent ? this.parent.id : null,
         visible: this.visible,
         opacity: this.opacity,
         blendMode: this.blendMode,
         zIndex: this.zIndex,
+        clipped: this.clipped,
         hasMask: !!this.mask,
-        hasBeenDrawnTo: this.hasBeenDrawnTo,
-        width: this.width,
-        height: this.height,
-        density: this.density,
-        customSize: this.customSize
+        maskLayerId: this.mask && this.mask.type === 'layer' ? this.mask.id : null,
+        maskOptions: { ...this.maskOptions }
       };
     }
   }
 
-  var compositorVertSource = "precision highp float;\n#define GLSLIFY 1\n\nattribute vec3 aPosition;\nattribute vec2 aTexCoord;\n\nvarying vec2 vTexCoord;\n\nvoid main() {\n  // Pass through texture coordinates\n  vTexCoord = aTexCoord;\n\n  // Standard vertex transformation\n  vec4 positionVec4 = vec4(aPosition, 1.0);\n  positionVec4.xy = positionVec4.xy * 2.0 - 1.0;\n  gl_Position = positionVec4;\n}\n"; // eslint-disable-line
-
-  var compositorFragSource = "precision highp float;\n#define GLSLIFY 1\n\nvarying vec2 vTexCoord;\n\nuniform sampler2D layerTexture;\nuniform sampler2D backgroundTexture;\nuniform sampler2D maskTexture;\nuniform bool hasMask;\nuniform float layerOpacity;\nuniform int blendMode;\n\n// Import glsl-blend functions\nvec3 blendNormal(vec3 base, vec3 blend) {\n\treturn blend;\n}\n\nvec3 blendNormal(vec3 base, vec3 blend, float opacity) {\n\treturn (blendNormal(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nvec3 blendMultiply(vec3 base, vec3 blend) {\n\treturn base*blend;\n}\n\nvec3 blendMultiply(vec3 base, vec3 blend, float opacity) {\n\treturn (blendMultiply(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendScreen(float base, float blend) {\n\treturn 1.0-((1.0-base)*(1.0-blend));\n}\n\nvec3 blendScreen(vec3 base, vec3 blend) {\n\treturn vec3(blendScreen(base.r,blend.r),blendScreen(base.g,blend.g),blendScreen(base.b,blend.b));\n}\n\nvec3 blendScreen(vec3 base, vec3 blend, float opacity) {\n\treturn (blendScreen(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendAdd(float base, float blend) {\n\treturn min(base+blend,1.0);\n}\n\nvec3 blendAdd(vec3 base, vec3 blend) {\n\treturn min(base+blend,vec3(1.0));\n}\n\nvec3 blendAdd(vec3 base, vec3 blend, float opacity) {\n\treturn (blendAdd(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendSubtract(float base, float blend) {\n\treturn max(base+blend-1.0,0.0);\n}\n\nvec3 blendSubtract(vec3 base, vec3 blend) {\n\treturn max(base+blend-vec3(1.0),vec3(0.0));\n}\n\nvec3 blendSubtract(vec3 base, vec3 blend, float opacity) {\n\treturn (blendSubtract(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendOverlay_0(float base, float blend) {\n\treturn base<0.5?(2.0*base*blend):(1.0-2.0*(1.0-base)*(1.0-blend));\n}\n\nvec3 blendOverlay_0(vec3 base, vec3 blend) {\n\treturn vec3(blendOverlay_0(base.r,blend.r),blendOverlay_0(base.g,blend.g),blendOverlay_0(base.b,blend.b));\n}\n\nvec3 blendOverlay_0(vec3 base, vec3 blend, float opacity) {\n\treturn (blendOverlay_0(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendSoftLight(float base, float blend) {\n\treturn (blend<0.5)?(2.0*base*blend+base*base*(1.0-2.0*blend)):(sqrt(base)*(2.0*blend-1.0)+2.0*base*(1.0-blend));\n}\n\nvec3 blendSoftLight(vec3 base, vec3 blend) {\n\treturn vec3(blendSoftLight(base.r,blend.r),blendSoftLight(base.g,blend.g),blendSoftLight(base.b,blend.b));\n}\n\nvec3 blendSoftLight(vec3 base, vec3 blend, float opacity) {\n\treturn (blendSoftLight(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendOverlay_1(float base, float blend) {\n\treturn base<0.5?(2.0*base*blend):(1.0-2.0*(1.0-base)*(1.0-blend));\n}\n\nvec3 blendOverlay_1(vec3 base, vec3 blend) {\n\treturn vec3(blendOverlay_1(base.r,blend.r),blendOverlay_1(base.g,blend.g),blendOverlay_1(base.b,blend.b));\n}\n\nvec3 blendOverlay_1(vec3 base, vec3 blend, float opacity) {\n\treturn (blendOverlay_1(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nvec3 blendHardLight(vec3 base, vec3 blend) {\n\treturn blendOverlay_1(blend,base);\n}\n\nvec3 blendHardLight(vec3 base, vec3 blend, float opacity) {\n\treturn (blendHardLight(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendColorDodge(float base, float blend) {\n\treturn (blend==1.0)?blend:min(base/(1.0-blend),1.0);\n}\n\nvec3 blendColorDodge(vec3 base, vec3 blend) {\n\treturn vec3(blendColorDodge(base.r,blend.r),blendColorDodge(base.g,blend.g),blendColorDodge(base.b,blend.b));\n}\n\nvec3 blendColorDodge(vec3 base, vec3 blend, float opacity) {\n\treturn (blendColorDodge(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendColorBurn(float base, float blend) {\n\treturn (blend==0.0)?blend:max((1.0-((1.0-base)/blend)),0.0);\n}\n\nvec3 blendColorBurn(vec3 base, vec3 blend) {\n\treturn vec3(blendColorBurn(base.r,blend.r),blendColorBurn(base.g,blend.g),blendColorBurn(base.b,blend.b));\n}\n\nvec3 blendColorBurn(vec3 base, vec3 blend, float opacity) {\n\treturn (blendColorBurn(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendDarken(float base, float blend) {\n\treturn min(blend,base);\n}\n\nvec3 blendDarken(vec3 base, vec3 blend) {\n\treturn vec3(blendDarken(base.r,blend.r),blendDarken(base.g,blend.g),blendDarken(base.b,blend.b));\n}\n\nvec3 blendDarken(vec3 base, vec3 blend, float opacity) {\n\treturn (blendDarken(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendLighten(float base, float blend) {\n\treturn max(blend,base);\n}\n\nvec3 blendLighten(vec3 base, vec3 blend) {\n\treturn vec3(blendLighten(base.r,blend.r),blendLighten(base.g,blend.g),blendLighten(base.b,blend.b));\n}\n\nvec3 blendLighten(vec3 base, vec3 blend, float opacity) {\n\treturn (blendLighten(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nvec3 blendDifference(vec3 base, vec3 blend) {\n\treturn abs(base-blend);\n}\n\nvec3 blendDifference(vec3 base, vec3 blend, float opacity) {\n\treturn (blendDifference(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nvec3 blendExclusion(vec3 base, vec3 blend) {\n\treturn base+blend-2.0*base*blend;\n}\n\nvec3 blendExclusion(vec3 base, vec3 blend, float opacity) {\n\treturn (blendExclusion(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nvec3 applyBlendMode(int mode, vec3 base, vec3 blend, float opacity) {\n  if (mode == 0) return blendNormal(base, blend, opacity);      // NORMAL\n  if (mode == 1) return blendMultiply(base, blend, opacity);    // MULTIPLY\n  if (mode == 2) return blendScreen(base, blend, opacity);      // SCREEN\n  if (mode == 3) return blendAdd(base, blend, opacity);         // ADD\n  if (mode == 4) return blendSubtract(base, blend, opacity);    // SUBTRACT\n  if (mode == 5) return blendOverlay_0(base, blend, opacity);     // OVERLAY\n  if (mode == 6) return blendSoftLight(base, blend, opacity);   // SOFT_LIGHT\n  if (mode == 7) return blendHardLight(base, blend, opacity);   // HARD_LIGHT\n  if (mode == 8) return blendColorDodge(base, blend, opacity);  // COLOR_DODGE\n  if (mode == 9) return blendColorBurn(base, blend, opacity);   // COLOR_BURN\n  if (mode == 10) return blendDarken(base, blend, opacity);     // DARKEN\n  if (mode == 11) return blendLighten(base, blend, opacity);    // LIGHTEN\n  if (mode == 12) return blendDifference(base, blend, opacity); // DIFFERENCE\n  if (mode == 13) return blendExclusion(base, blend, opacity);  // EXCLUSION\n  return blendNormal(base, blend, opacity); // Fallback\n}\n\nvoid main() {\n  // Use texture coordinates directly\n  vec2 uv = vTexCoord;\n\n  // Sample textures\n  vec4 layerColor = texture2D(layerTexture, uv);\n  vec4 bgColor = texture2D(backgroundTexture, uv);\n\n  // Calculate final opacity from layer alpha and opacity uniform\n  float finalOpacity = layerColor.a * layerOpacity;\n\n  // Apply mask if present\n  if (hasMask) {\n    vec4 maskColor = texture2D(maskTexture, uv);\n    float maskValue = maskColor.r;\n    finalOpacity *= maskValue;\n  }\n\n  // If layer is completely transparent, just output background\n  if (finalOpacity <= 0.0) {\n    gl_FragColor = bgColor;\n    return;\n  }\n\n  // Apply blend mode only where layer has content\n  vec3 blendedColor = applyBlendMode(blendMode, bgColor.rgb, layerColor.rgb, finalOpacity);\n\n  // Output with proper alpha compositing\n  gl_FragColor = vec4(blendedColor, 1.0);\n}\n"; // eslint-disable-line
-
   /**
-   * Handles the compositing of layers to the main canvas
+   * A single effect in a layer's effect stack
    */
-  class Compositor {
+  class LayerEffect {
     /**
-     * @param {p5} p5Instance - The p5.js instance
+     * @param {number} id - Identifier, unique within the owning layer
+     * @param {string} type - One of the EffectTypes constants
+     * @param {Object} params - Effect parameters (see DEFAULT_EFFECT_PARAMS)
+     * @param {boolean} enabled - Whether the effect is applied
      */
-    constructor(p5Instance) {
-      this.p = p5Instance;
-      this.shader = null;
-      this.shaderLoaded = false;
-      this.bufferA = null;
-      this.bufferB = null;
-      this._bufferDensity = null;
+    constructor(id, type, params = {}, enabled = true) {
+      this.id = id;
+      this.type = type;
+      this.params = { ...DEFAULT_EFFECT_PARAMS[type], ...params };
+      this.enabled = enabled;
+
+      // Owning layer, set by Layer.addEffect so changes reach its caches
+      this._layer = null;
     }
 
     /**
-     * Lazily creates the compositor shader
-     * @private
+     * Updates some or all of the effect parameters. Safe to call every frame.
+     * @param {Object} params - Parameters to merge into the current ones
+     * @returns {LayerEffect} This effect for chaining
      */
-    _ensureShader() {
-      if (!this.shaderLoaded) {
-        try {
-          this.shader = this.p.createShader(compositorVertSource, compositorFragSource);
-          this.shaderLoaded = true;
-        } catch (e) {
-          console.error('Failed to create compositor shader:', e);
-          this.shaderLoaded = false;
-        }
-      }
-      return this.shader;
+    setParams(params = {}) {
+      const oldValue = this.params;
+      this.params = { ...this.params, ...params };
+      this._changed('effectParams', oldValue, this.params);
+      return this;
     }
 
     /**
-     * Ensures the ping-pong buffers exist and match canvas size
-     * @private
+     * Turns the effect on or off without removing it from the stack
+     * @param {boolean} enabled
+     * @returns {LayerEffect} This effect for chaining
      */
-    _ensureBuffers() {
-      const p = this.p;
-      
-      const currentDensity = p.pixelDensity();
-      const needsResize = !this.bufferA || 
-                this.bufferA.width !== p.width || 
-                this.bufferA.height !== p.height ||
-                this._bufferDensity !== currentDensity;
-      
-      if (needsResize) {
-        if (this.bufferA) {
-          this.bufferA.remove();
-          this.bufferB.remove();
-        }
-        
-        const bufferOptions = {
-          width: p.width,
-          height: p.height,
-          density: currentDensity,
-          antialias: false,
-          depth: false
-        };
-        
-        this.bufferA = p.createFramebuffer(bufferOptions);
-        this.bufferB = p.createFramebuffer(bufferOptions);
-        this._bufferDensity = currentDensity;
+    setEnabled(enabled) {
+      const oldValue = this.enabled;
+      this.enabled = !!enabled;
+      if (oldValue !== this.enabled) {
+        this._changed('effectEnabled', oldValue, this.enabled);
       }
-      
-      return { a: this.bufferA, b: this.bufferB };
+      return this;
     }
 
     /**
-     * Renders a single layer to the current framebuffer
-     * @param {Layer} layer - The layer to render
-     * @param {p5.Framebuffer} backgroundBuffer - The background to composite onto
+     * Reports a change through the owning layer, so caches, the UI and
+     * history see it like any other layer property
      * @private
+     * @param {string} property - 'effectParams' or 'effectEnabled'
+     * @param {*} oldValue
+     * @param {*} newValue
      */
-    _renderLayer(layer, backgroundBuffer) {
-      if (!layer.visible || layer.opacity <= 0) {
-        return;
+    _changed(property, oldValue, newValue) {
+      if (this._layer) {
+        this._layer._revision++;
+        this._layer._notify('change', { property, effect: this, oldValue, newValue });
       }
+    }
 
-      if (!layer.framebuffer) {
-        console.warn(`Layer ${layer.name} has no framebuffer, skipping`);
-        return;
-      }
+    /**
+     * Turns the effect on
+     * @returns {LayerEffect} This effect for chaining
+     */
+    enable() {
+      return this.setEnabled(true);
+    }
 
-      const shader = this._ensureShader();
-      if (!shader) {
-        console.warn('Compositor shader not available, skipping layer');
-        return;
-      }
+    /**
+     * Turns the effect off
+     * @returns {LayerEffect} This effect for chaining
+     */
+    disable() {
+      return this.setEnabled(false);
+    }
 
-      const p = this.p;
+    /**
+     * Returns a plain object representation of this effect
+     */
+    toJSON() {
+      return {
+        id: this.id,
+        type: this.type,
+        enabled: this.enabled,
+        params: { ...this.params }
+      };
+    }
+  }
 
-      // Save current state
-      p.push();
+  /**
+   * Represents a single layer backed by a p5.Framebuffer
+   */
+  class Layer extends LayerNode {
+    /**
+     * @param {p5} p5Instance - The p5.js instance
+     * @param {string|number} id - Unique identifier for this layer
+     * @param {string} name - Human-readable name for this layer
+     * @param {Object} options - Layer configuration options
+     */
+    constructor(p5Instance, id, name = '', options = {}) {
+      // Merge with defaults
+      const opts = { ...DEFAULT_LAYER_OPTIONS, ...options };
 
-      // Use normal blending since we're doing the blend in the shader
-      p.blendMode(p.BLEND);
+      super(p5Instance, id, name, opts);
+      this.type = 'layer';
 
-      // Use the compositor shader
-      p.shader(shader);
+      // Framebuffer options
+      this.width = opts.width ?? this.p.width;
+      this.height = opts.height ?? this.p.height;
+      this.density = opts.density ?? this.p.pixelDensity();
+      this.depth = opts.depth;
+      this.antialias = opts.antialias;
 
-      // Set uniforms
-      shader.setUniform('layerTexture', layer.framebuffer);
-      shader.setUniform('backgroundTexture', backgroundBuffer);
-      shader.setUniform('maskTexture', layer.mask || layer.framebuffer);
-      shader.setUniform('hasMask', layer.mask ? true : false);
-      shader.setUniform('layerOpacity', layer.opacity);
-      shader.setUniform('blendMode', getBlendModeIndex(layer.blendMode));
+      // Flag layers that opted into custom sizing to protect them from auto-resize
+      this.customSize = opts.width != null ||
+        opts.height != null ||
+        opts.density != null;
 
-      // Draw a full-screen quad
-      p.imageMode(p.CENTER);
-      p.rectMode(p.CENTER);
-      p.noStroke();
-      p.fill(255);
-      p.rect(0, 0, p.width, p.height);
+      // Track if layer has been drawn to at least once
+      this.hasBeenDrawnTo = false;
 
-      // Reset shader
-      p.resetShader();
+      // Effects applied at composite time, bottom of the array runs first
+      this.effects = [];
+      this._effectIdCounter = 0;
+
+      // Mask framebuffer owned by this layer (see createMask)
+      this.maskFramebuffer = null;
+      this._maskHideAll = false; // the owned mask started black, so resizing fills margins black
+
+      // Composite-time transform: the layer's top-left sits at (x, y) on the canvas,
+      // and scale and rotation pivot around the anchor (a fraction of the layer size)
+      this.x = 0;
+      this.y = 0;
+      this.scaleX = 1;
+      this.scaleY = 1;
+      this.rotation = 0;
+      this.anchorX = 0.5;
+      this.anchorY = 0.5;
+
+      // What resize() does with the pixels, see ResizePolicies
+      this.resizePolicy = opts.resizePolicy;
+      this.resizeAnchor = opts.resizeAnchor;
+      this.resizeCallback = opts.resizeCallback;
 
-      // Restore state
-      p.pop();
+      // Create the framebuffer
+      this.framebuffer = this._createFramebuffer();
+
+      if (!this.framebuffer) {
+        throw new Error(`Failed to create framebuffer for layer ${this.name}`);
+      }
     }
 
     /**
-     * Composites all layers to the main canvas using ping-pong buffering
-     * @param {Layer[]} layers - Array of layers to composite (should be pre-sorted by zIndex)
-     * @param {Function} clearCallback - Optional callback to clear the canvas before compositing
+     * Creates the underlying p5.Framebuffer
+     * @private
      */
-    render(layers, clearCallback = null) {
-      const p = this.p;
-
-      // Ensure we have ping-pong buffers
-      const buffers = this._ensureBuffers();
-      let currentBuffer = buffers.a;
-      let nextBuffer = buffers.b;
-
-      // Sort layers by zIndex (ascending)
-      const sortedLayers = [...layers].sort((a, b) => a.zIndex - b.zIndex);
-
-      // Clear the first buffer
-      currentBuffer.begin();
-      p.clear();
-      currentBuffer.end();
+    _createFramebuffer() {
+      try {
+        const options = {
+          width: this.width,
+          height: this.height,
+          density: this.density
+        };
 
-      // Render each layer progressively, ping-ponging between buffers
-      for (let i = 0; i < sortedLayers.length; i++) {
-        const layer = sortedLayers[i];
-        
-        if (!layer.visible || layer.opacity <= 0) {
-          continue;
+        // Only add depth and antialias if explicitly set
+        if (this.depth !== undefined) {
+          options.depth = this.depth;
+        }
+        if (this.antialias !== undefined) {
+          options.antialias = this.antialias;
         }
 
-        // Render this layer on top of currentBuffer into nextBuffer
-        nextBuffer.begin();
-        p.clear();
-        this._renderLayer(layer, currentBuffer);
-        nextBuffer.end();
-
-        // Swap buffers
-        const temp = currentBuffer;
-        currentBuffer = nextBuffer;
-        nextBuffer = temp;
+        return this.p.createFramebuffer(options);
+      } catch (e) {
+        console.error(`Error creating framebuffer for layer ${this.name}:`, e);
+        return null;
       }
+    }
 
-      // Now render the final result to the main canvas
-      p.push();
-
-      // Clear the canvas if callback provided
-      if (clearCallback) {
-        clearCallback();
-      } else {
-        p.clear();
+    /**
+     * Creates a mask framebuffer matching the layer's size, optionally filled
+     * white (reveal all) or black (hide all)
+     * @param {boolean} hideAll - Start with everything hidden
+     * @private
+     */
+    _createMaskFramebuffer(hideAll = false) {
+      try {
+        const mask = this.p.createFramebuffer({
+          width: this.width,
+          height: this.height,
+          density: this.density,
+          depth: false
+        });
+        mask.begin();
+        this.p.push();
+        this.p.background(hideAll ? 0 : 255);
+        this.p.pop();
+        mask.end();
+        return mask;
+      } catch (e) {
+        console.error(`Error creating mask framebuffer for layer ${this.name}:`, e);
+        return null;
       }
+    }
 
-      // Reset to default state
-      p.resetShader();
-      p.blendMode(p.BLEND);
+    /**
+     * Gives this layer a mask of its own that can be painted with normal p5
+     * drawing calls between beginMask() and endMask(). White reveals, black hides.
+     * The mask resizes with the layer and is disposed with it.
+     * @param {Object} [options] - Mask options (see LayerNode.setMask)
+     * @param {boolean} [options.hideAll=false] - Start with everything hidden
+     * @returns {p5.Framebuffer|null} The mask framebuffer
+     */
+    createMask(options = {}) {
+      const { hideAll = false, ...maskOptions } = options;
 
-      // Draw the accumulated result to the main canvas
-      p.imageMode(p.CENTER);
-      p.image(currentBuffer, 0, 0);
+      if (!this.maskFramebuffer) {
+        this.maskFramebuffer = this._createMaskFramebuffer(hideAll);
+        if (!this.maskFramebuffer) {
+          return null;
+        }
+        this._maskHideAll = hideAll;
+      }
 
-      p.pop();
+      super.setMask(this.maskFramebuffer, maskOptions);
+      this.markDirty();
+      return this.maskFramebuffer;
     }
 
     /**
-     * Disposes of compositor resources
+     * Begins drawing to this layer's own mask, creating it if needed
      */
-    dispose() {
-      // Clean up ping-pong buffers
-      if (this.bufferA) {
-        this.bufferA.remove();
-        this.bufferA = null;
-      }
-      if (this.bufferB) {
-        this.bufferB.remove();
-        this.bufferB = null;
+    beginMask() {
+      if (!this.maskFramebuffer && !this.createMask()) {
+        console.error(`Cannot begin drawing: mask could not be created for layer ${this.name}`);
+        return;
       }
-      this._bufferDensity = null;
-      
-      // p5.js doesn't have explicit shader disposal, but we can clear the reference
-      this.shader = null;
-      this.shaderLoaded = false;
+      this._notify('begin', { mask: true });
+      this.maskFramebuffer.begin();
     }
-  }
-
-  /**
-   * Computes the tightest bounds that contain all pixels whose alpha exceeds the given threshold.
-   * @param {Uint8ClampedArray} pixels - RGBA pixel data.
-   * @param {number} width - Image width in pixels.
-   * @param {number} height - Image height in pixels.
-   * @param {Object} [options]
-   * @param {number} [options.alphaThreshold=8] - Minimum alpha required to treat a pixel as visible.
-   * @param {number} [options.stride=1] - Number of pixels to skip per step when scanning.
-   * @returns {{x:number,y:number,width:number,height:number}|null}
-   */
-  function computeAlphaBounds(pixels, width, height, options = {}) {
-    const threshold = Number.isFinite(options.alphaThreshold) ? options.alphaThreshold : 8;
-    const stride = Number.isFinite(options.stride) && options.stride > 0 ? Math.floor(options.stride) : 1;
-
-    let minX = width;
-    let minY = height;
-    let maxX = -1;
-    let maxY = -1;
 
-    for (let y = 0; y < height; y += stride) {
-      const rowOffset = y * width * 4;
-      for (let x = 0; x < width; x += stride) {
-        const idx = rowOffset + x * 4;
-        if (pixels[idx + 3] > threshold) {
-          if (x < minX) minX = x;
-          if (y < minY) minY = y;
-          if (x > maxX) maxX = x;
-          if (y > maxY) maxY = y;
-        }
+    /**
+     * Ends drawing to this layer's own mask
+     */
+    endMask() {
+      if (!this.maskFramebuffer) {
+        console.error(`Cannot end drawing: layer ${this.name} has no mask of its own`);
+        return;
       }
+      this.maskFramebuffer.end();
+      this.markDirty();
+      this._notify('end', { mask: true });
     }
 
-    if (maxX === -1 || maxY === -1) {
-      return null;
+    /**
+     * Removes the mask framebuffer owned by this layer
+     * @private
+     */
+    _disposeMaskFramebuffer() {
+      if (this.maskFramebuffer) {
+        this.maskFramebuffer.remove();
+        this.maskFramebuffer = null;
+      }
     }
 
-    return {
-      x: minX,
-      y: minY,
-      width: maxX - minX + 1,
-      height: maxY - minY + 1
-    };
-  }
-
-  /**
-   * Merges multiple bounds objects into their combined extents.
-   * @param {Array<{x:number,y:number,width:number,height:number}|null>} boundsList
-   * @returns {{x:number,y:number,width:number,height:number}|null}
-   */
-  function mergeBounds(boundsList) {
-    if (!Array.isArray(boundsList) || boundsList.length === 0) {
-      return null;
+    /**
+     * Attaches a mask to this layer. Replacing an owned mask disposes it.
+     * @param {p5.Framebuffer|p5.Image|Layer} maskSource - The mask to apply
+     * @param {Object} [options] - Mask options (see LayerNode.setMask)
+     * @returns {this} This layer for chaining
+     */
+    setMask(maskSource, options = {}) {
+      if (maskSource === this) {
+        console.warn(`Layer ${this.name} cannot mask itself`);
+        return this;
+      }
+      // Dispose a replaced owned mask after the change is reported, so
+      // listeners can still read it
+      const ownedMask = this.maskFramebuffer;
+      super.setMask(maskSource, options);
+      if (ownedMask && this.mask !== ownedMask) {
+        this._disposeMaskFramebuffer();
+      }
+      return this;
     }
 
-    let minX = Number.POSITIVE_INFINITY;
-    let minY = Number.POSITIVE_INFINITY;
-    let maxX = Number.NEGATIVE_INFINITY;
-    let maxY = Number.NEGATIVE_INFINITY;
-    let found = false;
+    /**
+     * Removes the mask from this layer, disposing it if the layer owns it
+     * @returns {this} This layer for chaining
+     */
+    clearMask() {
+      super.clearMask();
+      this._disposeMaskFramebuffer();
+      return this;
+    }
 
-    for (const bounds of boundsList) {
-      if (!bounds) {
-        continue;
+    /**
+     * Appends an effect to this layer's effect stack. Effects run on a copy of
+     * the layer's pixels when compositing, so the stored pixels are untouched.
+     * @param {string} type - One of the EffectTypes constants
+     * @param {Object} params - Effect parameters (see DEFAULT_EFFECT_PARAMS)
+     * @returns {LayerEffect|null} The created effect, or null if the type is unknown
+     */
+    addEffect(type, params = {}) {
+      if (!Object.values(EffectTypes).includes(type)) {
+        console.warn(`Invalid effect type: ${type}`);
+        return null;
       }
-      found = true;
-      if (bounds.x < minX) minX = bounds.x;
-      if (bounds.y < minY) minY = bounds.y;
-      if (bounds.x + bounds.width > maxX) maxX = bounds.x + bounds.width;
-      if (bounds.y + bounds.height > maxY) maxY = bounds.y + bounds.height;
+      const effect = new LayerEffect(this._effectIdCounter++, type, params);
+      effect._layer = this;
+      this._setProperty('effects', [...this.effects, effect]);
+      return effect;
     }
 
-    if (!found) {
-      return null;
+    /**
+     * Gets an effect from this layer's stack
+     * @param {number} effectId - The effect ID
+     * @returns {LayerEffect|null} The effect, or null if not found
+     */
+    getEffect(effectId) {
+      return this.effects.find(effect => effect.id === effectId) || null;
     }
 
-    return {
-      x: minX,
-      y: minY,
-      width: Math.max(0, maxX - minX),
-      height: Math.max(0, maxY - minY)
-    };
-  }
-
-  /**
-   * Ensures bounds stay inside the provided limits.
-   * @param {{x:number,y:number,width:number,height:number}|null} bounds
-   * @param {number} maxWidth
-   * @param {number} maxHeight
-   * @returns {{x:number,y:number,width:number,height:number}|null}
-   */
-  function clampBounds(bounds, maxWidth, maxHeight) {
-    if (!bounds) {
-      return null;
+    /**
+     * Removes an effect from this layer's stack
+     * @param {number|LayerEffect} effectOrId - The effect or its ID
+     * @returns {Layer} This layer for chaining
+     */
+    removeEffect(effectOrId) {
+      const id = effectOrId instanceof LayerEffect ? effectOrId.id : effectOrId;
+      this._setProperty('effects', this.effects.filter(effect => effect.id !== id));
+      return this;
     }
 
-    const x = Math.max(0, Math.min(bounds.x, maxWidth));
-    const y = Math.max(0, Math.min(bounds.y, maxHeight));
-    const width = Math.max(0, Math.min(bounds.width, maxWidth - x));
-    const height = Math.max(0, Math.min(bounds.height, maxHeight - y));
-
-    return { x, y, width, height };
-  }
-
-  /**
-   * Expands bounds by padding while clamping to limits.
-   * @param {{x:number,y:number,width:number,height:number}|null} bounds
-   * @param {number} padding
-   * @param {number} maxWidth
-   * @param {number} maxHeight
-   * @returns {{x:number,y:number,width:number,height:number}|null}
-   */
-  function padBounds(bounds, padding, maxWidth, maxHeight) {
-    if (!bounds) {
-      return null;
+    /**
+     * Removes every effect from this layer
+     * @returns {Layer} This layer for chaining
+     */
+    clearEffects() {
+      this._setProperty('effects', []);
+      return this;
     }
-    const padded = {
-      x: bounds.x - padding,
-      y: bounds.y - padding,
-      width: bounds.width + padding * 2,
-      height: bounds.height + padding * 2
-    };
-    return clampBounds(padded, maxWidth, maxHeight);
-  }
 
-  /**
-   * LayerUI - A visual panel for displaying and controlling layers
-   */
-  class LayerUI {
     /**
-     * @param {LayerSystem} layerSystem - The layer system to display
-     * @param {Object} options - UI configuration options
+     * Gets the effects that will run at composite time, in order
+     * @returns {LayerEffect[]}
      */
-    constructor(layerSystem, options = {}) {
-      this.layerSystem = layerSystem;
-      this.options = {
-        ...options,
-        position: options.position || 'top-right',
-        width: options.width || 280,
-        collapsible: options.collapsible !== false,
-        draggable: options.draggable !== false,
-        thumbnailPadding: options.thumbnailPadding ?? 4,
-        thumbnailSampleMaxSize: options.thumbnailSampleMaxSize ?? 196,
-        thumbnailAlphaThreshold: options.thumbnailAlphaThreshold ?? 12,
-        thumbnailAnimationWindow: options.thumbnailAnimationWindow ?? 6,
-        thumbnailEmptyFrameReset: options.thumbnailEmptyFrameReset ?? 6,
-        thumbnailSampleStride: options.thumbnailSampleStride ?? 1,
-        thumbnailAutoUpdate: options.thumbnailAutoUpdate === true,
-        thumbnailUpdateEvery: options.thumbnailUpdateEvery ?? 0
-      };
-
-      // Warn if thumbnailUpdateEvery is set but thumbnailAutoUpdate is false
-      if (options.thumbnailUpdateEvery !== undefined && options.thumbnailUpdateEvery > 0 && !this.options.thumbnailAutoUpdate) {
-        console.warn('p5.millefeuille: thumbnailUpdateEvery is set but thumbnailAutoUpdate is false. thumbnailUpdateEvery will be ignored. Set thumbnailAutoUpdate: true to enable automatic thumbnail updates.');
-      }
-
-      this.isCollapsed = false;
-      this.container = null;
-      this.layerElements = new Map(); // layerId -> DOM element
-      this.selectedLayerId = null; // Currently selected layer
-      this._dirtyThumbnailLayerIds = new Set();
-      this._captureNeeded = new Set();
-      this._thumbnailCache = new Map(); // layerId -> { image }
-      this._thumbnailFlushHandle = null;
-      this._cancelThumbnailFlush = null;
-      this._thumbnailBatchSize = 1;
-      this._thumbnailIdleBudgetMs = 8;
-      this._thumbnailScratchCanvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
-      this._thumbnailScratchCtx = this._thumbnailScratchCanvas ? this._thumbnailScratchCanvas.getContext('2d') : null;
-      if (this._thumbnailScratchCtx) {
-        this._thumbnailScratchCtx.imageSmoothingEnabled = false;
-      }
-      // Lazy-initialized WEBGL buffer for GPU-to-GPU downsampling
-      this._downsampleBuffer = null;
-
-      this._checkerPatternCanvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
-      this._checkerPatternCache = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
-      if (this._checkerPatternCanvas) {
-        const size = 8;
-        this._checkerPatternCanvas.width = size;
-        this._checkerPatternCanvas.height = size;
-        const checkerCtx = this._checkerPatternCanvas.getContext('2d');
-        if (checkerCtx) {
-          checkerCtx.fillStyle = '#333';
-          checkerCtx.fillRect(0, 0, size, size);
-          checkerCtx.fillStyle = '#444';
-          checkerCtx.fillRect(0, 0, size / 2, size / 2);
-          checkerCtx.fillRect(size / 2, size / 2, size / 2, size / 2);
-        }
-      }
-
-      this._createUI();
-      this._attachStyles();
+    getActiveEffects() {
+      return this.effects.filter(effect => effect.enabled);
     }
 
     /**
-     * Creates the DOM structure for the UI panel
-     * @private
+     * Moves the layer on the canvas when compositing
+     * @param {number} x - Canvas x of the layer's top-left corner
+     * @param {number} y - Canvas y of the layer's top-left corner
+     * @returns {Layer} This layer for chaining
      */
-    _createUI() {
-      // Create main container
-      this.container = document.createElement('div');
-      this.container.className = 'p5ml-layer-panel';
-      this.container.style.width = `${this.options.width}px`;
+    setOffset(x, y) {
+      this._setProperty('x', x);
+      this._setProperty('y', y);
+      return this;
+    }
 
-      // Create header
-      const header = document.createElement('div');
-      header.className = 'p5ml-panel-header';
-      header.innerHTML = `
-      <span class="p5ml-panel-title">Layers</span>
-      <div class="p5ml-header-controls">
-        <button class="p5ml-arrow-btn p5ml-arrow-up" title="Move layer up">↑</button>
-        <button class="p5ml-arrow-btn p5ml-arrow-down" title="Move layer down">↓</button>
-        ${this.options.collapsible ? '<button class="p5ml-collapse-btn">−</button>' : ''}
-      </div>
-    `;
-      this.container.appendChild(header);
+    /**
+     * Scales the layer around its anchor when compositing
+     * @param {number} scaleX - Horizontal scale factor
+     * @param {number} [scaleY=scaleX] - Vertical scale factor
+     * @returns {Layer} This layer for chaining
+     */
+    setScale(scaleX, scaleY = scaleX) {
+      this._setProperty('scaleX', scaleX);
+      this._setProperty('scaleY', scaleY);
+      return this;
+    }
 
-      // Create layers container
-      this.layersContainer = document.createElement('div');
-      this.layersContainer.className = 'p5ml-layers-container';
-      this.container.appendChild(this.layersContainer);
+    /**
+     * Rotates the layer around its anchor when compositing
+     * @param {number} angle - Clockwise rotation in radians
+     * @returns {Layer} This layer for chaining
+     */
+    setRotation(angle) {
+      this._setProperty('rotation', angle);
+      return this;
+    }
 
-      // Add to document
-      document.body.appendChild(this.container);
+    /**
+     * Sets the pivot used for scale and rotation
+     * @param {number} anchorX - Fraction of the layer width (0 = left, 1 = right)
+     * @param {number} anchorY - Fraction of the layer height (0 = top, 1 = bottom)
+     * @returns {Layer} This layer for chaining
+     */
+    setAnchor(anchorX, anchorY) {
+      this._setProperty('anchorX', anchorX);
+      this._setProperty('anchorY', anchorY);
+      return this;
+    }
 
-      // Position the panel
-      this._positionPanel();
+    /**
+     * Clears the offset, scale and rotation (the anchor is kept)
+     * @returns {Layer} This layer for chaining
+     */
+    resetTransform() {
+      this.setOffset(0, 0);
+      this.setScale(1, 1);
+      this.setRotation(0);
+      return this;
+    }
 
-      // Get cleanup signal for event listeners
-      const signal = this.layerSystem.p._removeSignal;
+    /**
+     * Whether the layer is moved, scaled or rotated
+     * @returns {boolean}
+     */
+    hasTransform() {
+      return this.x !== 0 || this.y !== 0 ||
+        this.scaleX !== 1 || this.scaleY !== 1 ||
+        this.rotation !== 0;
+    }
 
-      // Add event listeners
-      if (this.options.collapsible) {
-        const collapseBtn = header.querySelector('.p5ml-collapse-btn');
-        collapseBtn.addEventListener('click', () => this.toggle(), { signal });
-        // Prevent collapse button from triggering drag
-        collapseBtn.addEventListener('mousedown', (e) => e.stopPropagation(), { signal });
+    /**
+     * Sets what happens to this layer's pixels when it is resized
+     * @param {string} policy - One of the ResizePolicies constants
+     * @param {Object} [options]
+     * @param {string} [options.anchor] - Where KEEP, FIT and FILL place the pixels: 'top-left', 'top',
+     *   'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom' or 'bottom-right'
+     * @param {Function|null} [options.callback] - Called by REDRAW with the layer, its previous
+     *   framebuffer and its previous owned mask (or null) while the new framebuffer is bound.
+     *   The new mask starts with its original fill and can be redrawn through layer.maskFramebuffer.
+     *   The previous framebuffers are removed afterwards.
+     * @returns {Layer} This layer for chaining
+     */
+    setResizePolicy(policy, options = {}) {
+      if (!Object.values(ResizePolicies).includes(policy)) {
+        console.warn(`Unknown resize policy: ${policy}`);
+        return this;
+      }
+      if (options.anchor !== undefined && !RESIZE_ANCHORS[options.anchor]) {
+        console.warn(`Unknown resize anchor: ${options.anchor}`);
+        return this;
       }
 
-      // Arrow button handlers
-      const upBtn = header.querySelector('.p5ml-arrow-up');
-      const downBtn = header.querySelector('.p5ml-arrow-down');
-      upBtn.addEventListener('click', () => this._moveSelectedLayer(-1), { signal });
-      downBtn.addEventListener('click', () => this._moveSelectedLayer(1), { signal });
-      // Prevent arrow buttons from triggering drag
-      upBtn.addEventListener('mousedown', (e) => e.stopPropagation(), { signal });
-      downBtn.addEventListener('mousedown', (e) => e.stopPropagation(), { signal });
+      const callback = options.callback !== undefined ? options.callback : this.resizeCallback;
+      if (policy === ResizePolicies.REDRAW && typeof callback !== 'function') {
+        console.warn(`Resize policy REDRAW needs a callback for layer ${this.name}`);
+        return this;
+      }
 
-      // Make draggable if enabled
-      if (this.options.draggable) {
-        this._makeDraggable(header);
+      this.resizeCallback = callback;
+      this._setProperty('resizePolicy', policy);
+      if (options.anchor !== undefined) {
+        this._setProperty('resizeAnchor', options.anchor);
       }
+      return this;
+    }
 
-      // Close dropdowns and deselect when clicking outside
-      document.addEventListener('click', (e) => {
-        // Check if click is outside the layer panel
-        if (!this.container.contains(e.target)) {
-          this._closeAllDropdowns();
-          this._deselectLayer();
-        }
-      }, { signal });
+    /**
+     * Resizes the layer's framebuffer. The pixels and an owned mask are carried
+     * over according to the resize policy; uncovered or cleared mask areas get
+     * the fill the mask was created with.
+     * @param {number} width - New width
+     * @param {number} height - New height
+     */
+    resize(width, height, density = this.density) {
+      const oldWidth = this.width;
+      const oldHeight = this.height;
+      this.width = width;
+      this.height = height;
+      this.density = density;
 
-      // Keyboard navigation for arrow keys
-      document.addEventListener('keydown', (e) => {
-        if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') {
-          return;
-        }
+      // Keep track of whether the layer is canvas-synced or intentionally customized
+      const matchesCanvas = width === this.p.width &&
+        height === this.p.height &&
+        density === this.p.pixelDensity();
+      this.customSize = !matchesCanvas;
 
-        if (e.repeat || this.selectedLayerId === null) {
-          return;
-        }
+      // Create new framebuffers with updated size, keeping the old ones until their pixels are carried over
+      const previous = this.framebuffer;
+      const previousMask = this.maskFramebuffer;
+      this.framebuffer = this._createFramebuffer();
+      const placement = getResizePlacement(this.resizePolicy, this.resizeAnchor, oldWidth, oldHeight, width, height);
 
-        if (!this._isPanelVisible()) {
-          return;
+      if (previousMask) {
+        const newMask = this._createMaskFramebuffer(this._maskHideAll);
+        if (newMask && placement) {
+          drawImageArea(this.p, newMask, previousMask, placement);
         }
-
-        // Don't interfere if user is typing in an input field
-        if (e.target.matches('input, select, textarea')) {
-          return;
+        this.mask = newMask;
+        this.maskFramebuffer = newMask;
+      }
+
+      if (previous && this.framebuffer) {
+        if (placement) {
+          drawImageArea(this.p, this.framebuffer, previous, placement);
+        } else if (this.resizePolicy === ResizePolicies.REDRAW && this.resizeCallback) {
+          this.framebuffer.begin();
+          try {
+            this.resizeCallback(this, previous, previousMask);
+          } catch (error) {
+            console.error(`Error in resize callback for layer ${this.name}:`, error);
+          } finally {
+            this.framebuffer.end();
+          }
         }
+      }
+      if (previous) {
+        previous.remove();
+      }
+      if (previousMask) {
+        previousMask.remove();
+      }
 
-        e.preventDefault();
-
-        this._moveSelectedLayer(e.key === 'ArrowUp' ? -1 : 1);
-      }, { signal });
+      this.markDirty();
+      this._notify('resize', { width, height, density });
     }
 
     /**
-     * Closes all open layer dropdowns
-     * @private
+     * Begins drawing to this layer's framebuffer
      */
-    _closeAllDropdowns() {
-      document.querySelectorAll('.p5ml-layer-dropdown').forEach(d => {
-        d.style.display = 'none';
-      });
+    begin() {
+      if (!this.framebuffer) {
+        console.error(`Cannot begin drawing: framebuffer not initialized for layer ${this.name}`);
+        return;
+      }
+      this._notify('begin', { mask: false });
+      this.framebuffer.begin();
     }
 
     /**
-     * Positions the panel based on options
-     * @private
+     * Ends drawing to this layer's framebuffer
      */
-    _positionPanel() {
-      const positions = {
-        'top-right': { top: '20px', right: '20px' },
-        'top-left': { top: '20px', left: '20px' },
-        'bottom-right': { bottom: '20px', right: '20px' },
-        'bottom-left': { bottom: '20px', left: '20px' }
+    end() {
+      if (!this.framebuffer) {
+        console.error(`Cannot end drawing: framebuffer not initialized for layer ${this.name}`);
+        return;
+      }
+      this.framebuffer.end();
+      
+      // Mark that this layer has been drawn to
+      this.hasBeenDrawnTo = true;
+      this.markDirty();
+      this._notify('end', { mask: false });
+    }
+
+    /**
+     * Disposes of this layer's resources
+     */
+    dispose() {
+      super.dispose();
+      this._disposeMaskFramebuffer();
+      if (this.framebuffer) {
+        this.framebuffer.remove();
+        this.framebuffer = null;
+      }
+    }
+
+    /**
+     * Returns a plain object representation of this layer's properties
+     */
+    toJSON() {
+      return {
+        ...super.toJSON(),
+        hasBeenDrawnTo: this.hasBeenDrawnTo,
+        width: this.width,
+        height: this.height,
+        density: this.density,
+        customSize: this.customSize,
+        hasOwnMask: !!this.maskFramebuffer,
+        maskHideAll: this._maskHideAll,
+        x: this.x,
+        y: this.y,
+        scaleX: this.scaleX,
+        scaleY: this.scaleY,
+        rotation: this.rotation,
+        anchorX: this.anchorX,
+        anchorY: this.anchorY,
+        resizePolicy: this.resizePolicy,
+        resizeAnchor: this.resizeAnchor,
+        effects: this.effects.map(effect => effect.toJSON())
       };
+    }
+  }
 
-      const pos = positions[this.options.position] || positions['top-right'];
-      Object.assign(this.container.style, pos);
+  /**
+   * A folder of layers that is composited on its own and then blended into
+   * the parent stack as a single unit
+   */
+  class LayerGroup extends LayerNode {
+    /**
+     * @param {p5} p5Instance - The p5.js instance
+     * @param {string|number} id - Unique identifier for this group
+     * @param {string} name - Human-readable name for this group
+     * @param {Object} options - Group configuration options
+     * @param {boolean} [options.passThrough=false] - Blend children directly into the parent stack
+     */
+    constructor(p5Instance, id, name = '', options = {}) {
+      super(p5Instance, id, name || `Group ${id}`, options);
+      this.type = 'group';
+
+      // Pass-through groups don't isolate their children: each child blends
+      // with everything below the group, and the group's own blend mode is ignored
+      this.passThrough = !!options.passThrough;
+
+      // Direct children (unsorted, use getChildren() for stack order)
+      this.children = [];
     }
 
     /**
-     * Determines if the panel is currently visible on screen
+     * Enables or disables pass-through compositing for this group
+     * @param {boolean} enabled - Whether children blend straight into the parent stack
+     * @returns {LayerGroup} This group for chaining
+     */
+    setPassThrough(enabled) {
+      this._setProperty('passThrough', !!enabled);
+      return this;
+    }
+
+    /**
+     * Gets the direct children of this group, sorted by zIndex
+     * @returns {LayerNode[]} Array of child layers and groups
+     */
+    getChildren() {
+      return [...this.children].sort((a, b) => a.zIndex - b.zIndex);
+    }
+
+    /**
+     * Adds a child node to this group
      * @private
      */
-    _isPanelVisible() {
-      if (!this.container || this.container.style.display === 'none') {
-        return false;
+    _addChild(node) {
+      if (!this.children.includes(node)) {
+        this.children.push(node);
       }
-      return this.container.getClientRects().length > 0;
+      node.parent = this;
     }
 
     /**
-     * Makes the panel draggable
+     * Removes a child node from this group
      * @private
      */
-    _makeDraggable(header) {
-      let isDragging = false;
-      let offsetX;
-      let offsetY;
+    _removeChild(node) {
+      const index = this.children.indexOf(node);
+      if (index !== -1) {
+        this.children.splice(index, 1);
+      }
+      if (node.parent === this) {
+        node.parent = null;
+      }
+    }
 
-      header.style.cursor = 'move';
+    /**
+     * Disposes of this group. Children are owned (and disposed) by the LayerSystem.
+     */
+    dispose() {
+      super.dispose();
+      this.children = [];
+    }
 
-      const signal = this.layerSystem.p._removeSignal;
+    /**
+     * Returns a plain object representation of this group and its children
+     */
+    toJSON() {
+      return {
+        ...super.toJSON(),
+        passThrough: this.passThrough,
+        children: this.getChildren().map(child => child.toJSON())
+      };
+    }
+  }
 
-      header.addEventListener('mousedown', (e) => {
-        // Get current position using getBoundingClientRect for accuracy
-        const rect = this.container.getBoundingClientRect();
-        
-        // Calculate offset from mouse to panel's top-left corner
-        offsetX = e.clientX - rect.left;
-        offsetY = e.clientY - rect.top;
-        
-        isDragging = true;
+  /**
+   * Builds a lookup table from curve control points using monotone cubic interpolation,
+   * so the curve never overshoots between points.
+   * @param {Array<number[]>} points - [input, output] pairs in 0-1
+   * @param {number} [size=256] - Number of table entries
+   * @returns {Float32Array} Output values in 0-1
+   */
+  function buildCurveTable(points, size = 256) {
+    const table = new Float32Array(size);
+    const sorted = (Array.isArray(points) ? points : [])
+      .filter(point => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]))
+      .map(([x, y]) => [Math.max(0, Math.min(1, x)), Math.max(0, Math.min(1, y))])
+      .sort((a, b) => a[0] - b[0]);
+
+    if (sorted.length === 0) {
+      for (let i = 0; i < size; i++) {
+        table[i] = i / (size - 1);
+      }
+      return table;
+    }
 
-        // Clear all positioning properties and switch to left/top only
-        this.container.style.right = '';
-        this.container.style.bottom = '';
-        this.container.style.left = rect.left + 'px';
-        this.container.style.top = rect.top + 'px';
-      });
+    if (sorted.length === 1) {
+      table.fill(sorted[0][1]);
+      return table;
+    }
 
-      document.addEventListener('mousemove', (e) => {
-        if (isDragging) {
-          e.preventDefault();
-          
-          // Calculate new position
-          let newX = e.clientX - offsetX;
-          let newY = e.clientY - offsetY;
+    // Fritsch-Carlson tangents
+    const n = sorted.length;
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) {
+      const dx = sorted[i + 1][0] - sorted[i][0];
+      slopes.push(dx > 0 ? (sorted[i + 1][1] - sorted[i][1]) / dx : 0);
+    }
+    const tangents = [slopes[0]];
+    for (let i = 1; i < n - 1; i++) {
+      tangents.push(slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2);
+    }
+    tangents.push(slopes[n - 2]);
+    for (let i = 0; i < n - 1; i++) {
+      if (slopes[i] === 0) {
+        tangents[i] = 0;
+        tangents[i + 1] = 0;
+        continue;
+      }
+      const a = tangents[i] / slopes[i];
+      const b = tangents[i + 1] / slopes[i];
+      const h = a * a + b * b;
+      if (h > 9) {
+        const t = 3 / Math.sqrt(h);
+        tangents[i] = t * a * slopes[i];
+        tangents[i + 1] = t * b * slopes[i];
+      }
+    }
 
-          // Get panel dimensions
-          const panelWidth = this.container.offsetWidth;
-          
-          // Get viewport dimensions
-          const viewportWidth = window.innerWidth;
-          const viewportHeight = window.innerHeight;
-          
-          // Constrain position to keep panel visible (with minimum 50px visible)
-          const minVisible = 50;
-          newX = Math.max(-panelWidth + minVisible, Math.min(newX, viewportWidth - minVisible));
-          newY = Math.max(0, Math.min(newY, viewportHeight - minVisible));
+    let segment = 0;
+    for (let i = 0; i < size; i++) {
+      const x = i / (size - 1);
+      if (x <= sorted[0][0]) {
+        table[i] = sorted[0][1];
+        continue;
+      }
+      if (x >= sorted[n - 1][0]) {
+        table[i] = sorted[n - 1][1];
+        continue;
+      }
+      while (segment < n - 2 && x > sorted[segment + 1][0]) {
+        segment++;
+      }
+      const [x0, y0] = sorted[segment];
+      const [x1, y1] = sorted[segment + 1];
+      const dx = x1 - x0;
+      const t = dx > 0 ? (x - x0) / dx : 0;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      const value = (2 * t3 - 3 * t2 + 1) * y0 +
+        (t3 - 2 * t2 + t) * dx * tangents[segment] +
+        (-2 * t3 + 3 * t2) * y1 +
+        (t3 - t2) * dx * tangents[segment + 1];
+      table[i] = Math.max(0, Math.min(1, value));
+    }
 
-          this.container.style.left = newX + 'px';
-          this.container.style.top = newY + 'px';
-        }
-      }, { signal });
+    return table;
+  }
 
-      document.addEventListener('mouseup', () => {
-        isDragging = false;
-      }, { signal });
+  /**
+   * Parses an [r, g, b] array (0-255) or a #rgb / #rrggbb hex string
+   * @param {number[]|string} value
+   * @returns {number[]} [r, g, b] in 0-255
+   */
+  function parseColorValue(value) {
+    if (Array.isArray(value)) {
+      return [value[0] || 0, value[1] || 0, value[2] || 0];
     }
+    if (typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+      let hex = value.slice(1);
+      if (hex.length === 3) {
+        hex = hex.split('').map(c => c + c).join('');
+      }
+      return [
+        parseInt(hex.slice(0, 2), 16),
+        parseInt(hex.slice(2, 4), 16),
+        parseInt(hex.slice(4, 6), 16)
+      ];
+    }
+    console.warn(`Invalid color value: ${value}, using black`);
+    return [0, 0, 0];
+  }
 
-    /**
-     * Updates the UI to reflect current layer state
-     */
-    update() {
-      const layers = this.layerSystem.getLayers();
+  /**
+   * Builds a lookup table of colors from gradient stops
+   * @param {Array<{position: number, color: (number[]|string)}>} stops
+   * @param {number} [size=256] - Number of table entries
+   * @returns {Array<number[]>} [r, g, b] entries in 0-255
+   */
+  function buildGradientTable(stops, size = 256) {
+    const sorted = (Array.isArray(stops) ? stops : [])
+      .map(stop => ({
+        position: Math.max(0, Math.min(1, stop.position ?? 0)),
+        color: parseColorValue(stop.color)
+      }))
+      .sort((a, b) => a.position - b.position);
+
+    const table = [];
+    for (let i = 0; i < size; i++) {
+      const x = i / (size - 1);
+      if (sorted.length === 0) {
+        table.push([x * 255, x * 255, x * 255]);
+        continue;
+      }
 
-      this._pruneThumbnailState(layers);
+      let upper = sorted.findIndex(stop => stop.position >= x);
+      if (upper === -1) {
+        table.push(sorted[sorted.length - 1].color);
+        continue;
+      }
+      if (upper === 0) {
+        table.push(sorted[0].color);
+        continue;
+      }
 
-      // Clear existing layer elements
-      this.layersContainer.innerHTML = '';
-      this.layerElements.clear();
+      const a = sorted[upper - 1];
+      const b = sorted[upper];
+      const span = b.position - a.position;
+      const t = span > 0 ? (x - a.position) / span : 1;
+      table.push([0, 1, 2].map(c => a.color[c] + (b.color[c] - a.color[c]) * t));
+    }
+    return table;
+  }
 
-      // Create elements for each layer (reverse order so top layers appear first)
-      const reversedLayers = [...layers].reverse();
+  /**
+   * A layer without pixels that transforms the composite of everything below it
+   */
+  class AdjustmentLayer extends LayerNode {
+    /**
+     * @param {p5} p5Instance - The p5.js instance
+     * @param {string|number} id - Unique identifier for this layer
+     * @param {string} name - Human-readable name for this layer
+     * @param {string} adjustment - One of the AdjustmentTypes constants
+     * @param {Object} params - Adjustment parameters (see DEFAULT_ADJUSTMENT_PARAMS)
+     * @param {Object} options - Layer configuration options
+     */
+    constructor(p5Instance, id, name = '', adjustment = AdjustmentTypes.INVERT, params = {}, options = {}) {
+      super(p5Instance, id, name || `Adjustment ${id}`, options);
+      this.type = 'adjustment';
 
-      reversedLayers.forEach(layer => {
-        const layerEl = this._createLayerElement(layer);
-        this.layersContainer.appendChild(layerEl);
-        this.layerElements.set(layer.id, layerEl);
-      });
+      if (!Object.values(AdjustmentTypes).includes(adjustment)) {
+        console.warn(`Invalid adjustment type: ${adjustment}, using INVERT`);
+        adjustment = AdjustmentTypes.INVERT;
+      }
+      this.adjustment = adjustment;
+      this.params = { ...DEFAULT_ADJUSTMENT_PARAMS[adjustment], ...params };
 
-      // Initial thumbnail render is scheduled lazily to avoid blocking
-      this._markThumbnailsDirty(reversedLayers.map(layer => layer.id), { needsCapture: true });
+      // Curves and gradient maps are sampled from a 256x1 lookup image
+      this._lookupImage = null;
+      this._lookupDirty = true;
     }
 
     /**
-     * Public helper so the LayerSystem can schedule updates when layer content changes
-     * @param {number|string} layerId
-     * @param {{needsCapture?: boolean}} options
+     * Updates some or all of the adjustment parameters
+     * @param {Object} params - Parameters to merge into the current ones
+     * @returns {AdjustmentLayer} This layer for chaining
      */
-    scheduleThumbnailUpdate(layerId, options = {}) {
-      this._markThumbnailsDirty([layerId], options);
+    setParams(params = {}) {
+      this._lookupDirty = true;
+      this._setProperty('params', { ...this.params, ...params });
+      return this;
     }
 
     /**
-     * Synchronizes UI controls with current layer state without recreating elements
+     * Whether this adjustment samples a lookup image
+     * @returns {boolean}
      */
-    syncState() {
-      const layers = this.layerSystem.getLayers();
-
-      layers.forEach(layer => {
-        const layerEl = this.layerElements.get(layer.id);
-        if (!layerEl) return;
+    usesLookupTable() {
+      return this.adjustment === AdjustmentTypes.CURVES ||
+        this.adjustment === AdjustmentTypes.GRADIENT_MAP;
+    }
 
-        // Update checkbox
-        const checkbox = layerEl.querySelector('.p5ml-visibility-checkbox');
-        if (checkbox) {
-          checkbox.checked = layer.visible;
-        }
+    /**
+     * Gets the lookup image for curves and gradient maps, rebuilding it if params changed
+     * @returns {p5.Image|null} The lookup image, or null for adjustments that don't use one
+     */
+    getLookupImage() {
+      if (!this.usesLookupTable()) {
+        return null;
+      }
 
-        // Update opacity slider and value
-        const opacitySlider = layerEl.querySelector('.p5ml-opacity-slider');
-        const opacityValue = layerEl.querySelector('.p5ml-opacity-value');
-        if (opacitySlider && opacityValue) {
-          const opacityPercent = Math.round(layer.opacity * 100);
-          opacitySlider.value = opacityPercent;
-          opacityValue.textContent = opacityPercent + '%';
-        }
+      if (!this._lookupImage) {
+        this._lookupImage = this.p.createImage(256, 1);
+        this._lookupDirty = true;
+      }
 
-        // Update blend mode select and indicator
-        const blendSelect = layerEl.querySelector('.p5ml-blend-select');
-        const blendIndicator = layerEl.querySelector('.p5ml-blend-indicator');
-        if (blendSelect) {
-          blendSelect.value = layer.blendMode;
-        }
-        if (blendIndicator) {
-          blendIndicator.textContent = this._getBlendModeLetter(layer.blendMode);
-          blendIndicator.title = `Blend Mode: ${layer.blendMode}`;
-        }
-      });
+      if (this._lookupDirty) {
+        this._fillLookupImage(this._lookupImage);
+        this._lookupDirty = false;
+      }
 
-      // Thumbnails are only updated when clicked (not automatically)
+      return this._lookupImage;
     }
 
     /**
-     * Updates all thumbnails
+     * Writes the current curve or gradient into the lookup image
      * @private
      */
-    _markThumbnailsDirty(layerIds = [], options = {}) {
-      const ids = Array.isArray(layerIds) ? layerIds : [layerIds];
-      const needsCapture = !!options.needsCapture;
-      let shouldSchedule = false;
-
-      // Determine if this frame should trigger an update based on settings
-      // If thumbnailAutoUpdate is false, no automatic updates (thumbnailUpdateEvery is ignored)
-      // If thumbnailAutoUpdate is true and thumbnailUpdateEvery is not set (0), update every frame
-      // If thumbnailAutoUpdate is true and thumbnailUpdateEvery > 0, update every N frames
-      let isUpdateFrame = false;
-      if (this.options.thumbnailAutoUpdate && needsCapture) {
-        const updateEvery = this.options.thumbnailUpdateEvery;
-        if (updateEvery <= 0) {
-          // Default to every frame when thumbnailAutoUpdate is true but thumbnailUpdateEvery not set
-          isUpdateFrame = true;
-        } else {
-          // Use p5's frameCount to determine update frames consistently across all layers
-          const frameCount = this.layerSystem.p.frameCount || 0;
-          isUpdateFrame = frameCount % updateEvery === 0;
+    _fillLookupImage(image) {
+      image.loadPixels();
+      const pixels = image.pixels;
+
+      if (this.adjustment === AdjustmentTypes.CURVES) {
+        // Per-channel curves are applied after the master RGB curve,
+        // so the two are folded into one table per channel
+        const master = buildCurveTable(this.params.rgb);
+        const channels = [
+          buildCurveTable(this.params.red),
+          buildCurveTable(this.params.green),
+          buildCurveTable(this.params.blue)
+        ];
+        for (let i = 0; i < 256; i++) {
+          const masterIndex = Math.round(master[i] * 255);
+          for (let c = 0; c < 3; c++) {
+            pixels[i * 4 + c] = Math.round(channels[c][masterIndex] * 255);
+          }
+          pixels[i * 4 + 3] = 255;
         }
-      }
-
-      ids.forEach(id => {
-        if (id === null || id === undefined) {
-          return;
+      } else {
+        const gradient = buildGradientTable(this.params.stops);
+        for (let i = 0; i < 256; i++) {
+          for (let c = 0; c < 3; c++) {
+            pixels[i * 4 + c] = Math.round(gradient[i][c]);
+          }
+          pixels[i * 4 + 3] = 255;
         }
+      }
 
-        const cacheEntry = this._thumbnailCache.get(id);
-        const hasThumbnail = !!(cacheEntry && cacheEntry.image);
+      image.updatePixels();
+    }
 
-        // Without auto updates, skip automatic updates for existing thumbnails.
-        // Thumbnails will only update when user clicks the layer row.
-        if (!isUpdateFrame && hasThumbnail && needsCapture) {
-          return;
-        }
+    /**
+     * Packs the parameters into the two vec4 uniforms read by the adjustment shader
+     * @returns {{params0: number[], params1: number[]}}
+     */
+    getShaderParams() {
+      const p = this.params;
+      switch (this.adjustment) {
+        case AdjustmentTypes.HUE_SATURATION:
+          return {
+            params0: [(p.hue || 0) / 360, p.saturation || 0, p.lightness || 0, 0],
+            params1: [0, 0, 0, 0]
+          };
+        case AdjustmentTypes.BRIGHTNESS_CONTRAST:
+          return {
+            params0: [p.brightness || 0, p.contrast || 0, 0, 0],
+            params1: [0, 0, 0, 0]
+          };
+        case AdjustmentTypes.LEVELS:
+          return {
+            params0: [p.inputBlack ?? 0, p.inputWhite ?? 1, Math.max(0.01, p.gamma ?? 1), 0],
+            params1: [p.outputBlack ?? 0, p.outputWhite ?? 1, 0, 0]
+          };
+        case AdjustmentTypes.THRESHOLD:
+          return {
+            params0: [p.level ?? 0.5, 0, 0, 0],
+            params1: [0, 0, 0, 0]
+          };
+        default:
+          return { params0: [0, 0, 0, 0], params1: [0, 0, 0, 0] };
+      }
+    }
 
-        this._dirtyThumbnailLayerIds.add(id);
-        if (needsCapture) {
-          this._captureNeeded.add(id);
-        }
+    /**
+     * Disposes of this layer's resources
+     */
+    dispose() {
+      super.dispose();
+      this._lookupImage = null;
+    }
 
-        // Schedule flush if auto updates enabled, or if first capture needed
-        if (isUpdateFrame || (!hasThumbnail && needsCapture)) {
-          shouldSchedule = true;
-        }
-      });
+    /**
+     * Returns a plain object representation of this layer's properties
+     */
+    toJSON() {
+      return {
+        ...super.toJSON(),
+        adjustment: this.adjustment,
+        params: JSON.parse(JSON.stringify(this.params))
+      };
+    }
+  }
 
-      if (!shouldSchedule) {
-        return;
-      }
-      this._scheduleThumbnailFlush();
+  var compositorVertSource = "precision highp float;\n#define GLSLIFY 1\n\nattribute vec3 aPosition;\nattribute vec2 aTexCoord;\n\nvarying vec2 vTexCoord;\n\nvoid main() {\n  // Pass through texture coordinates\n  vTexCoord = aTexCoord;\n\n  // Standard vertex transformation\n  vec4 positionVec4 = vec4(aPosition, 1.0);\n  positionVec4.xy = positionVec4.xy * 2.0 - 1.0;\n  gl_Position = positionVec4;\n}\n"; // eslint-disable-line
+
+  var compositorFragSource = "precision highp float;\n#define GLSLIFY 1\n\nvarying vec2 vTexCoord;\n\nuniform sampler2D backgroundTexture;\nuniform vec2 canvasSize; // in pixels, for layer transforms\n\n// Canvas area the target covers (x, y, width, height in canvas texture coordinates)\nuniform vec4 viewRect;\n\n// Import glsl-blend functions\nvec3 blendNormal(vec3 base, vec3 blend) {\n\treturn blend;\n}\n\nvec3 blendNormal(vec3 base, vec3 blend, float opacity) {\n\treturn (blendNormal(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nvec3 blendMultiply(vec3 base, vec3 blend) {\n\treturn base*blend;\n}\n\nvec3 blendMultiply(vec3 base, vec3 blend, float opacity) {\n\treturn (blendMultiply(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendScreen(float base, float blend) {\n\treturn 1.0-((1.0-base)*(1.0-blend));\n}\n\nvec3 blendScreen(vec3 base, vec3 blend) {\n\treturn vec3(blendScreen(base.r,blend.r),blendScreen(base.g,blend.g),blendScreen(base.b,blend.b));\n}\n\nvec3 blendScreen(vec3 base, vec3 blend, float opacity) {\n\treturn (blendScreen(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendAdd(float base, float blend) {\n\treturn min(base+blend,1.0);\n}\n\nvec3 blendAdd(vec3 base, vec3 blend) {\n\treturn min(base+blend,vec3(1.0));\n}\n\nvec3 blendAdd(vec3 base, vec3 blend, float opacity) {\n\treturn (blendAdd(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendSubtract(float base, float blend) {\n\treturn max(base+blend-1.0,0.0);\n}\n\nvec3 blendSubtract(vec3 base, vec3 blend) {\n\treturn max(base+blend-vec3(1.0),vec3(0.0));\n}\n\nvec3 blendSubtract(vec3 base, vec3 blend, float opacity) {\n\treturn (blendSubtract(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendOverlay_0(float base, float blend) {\n\treturn base<0.5?(2.0*base*blend):(1.0-2.0*(1.0-base)*(1.0-blend));\n}\n\nvec3 blendOverlay_0(vec3 base, vec3 blend) {\n\treturn vec3(blendOverlay_0(base.r,blend.r),blendOverlay_0(base.g,blend.g),blendOverlay_0(base.b,blend.b));\n}\n\nvec3 blendOverlay_0(vec3 base, vec3 blend, float opacity) {\n\treturn (blendOverlay_0(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendSoftLight(float base, float blend) {\n\treturn (blend<0.5)?(2.0*base*blend+base*base*(1.0-2.0*blend)):(sqrt(base)*(2.0*blend-1.0)+2.0*base*(1.0-blend));\n}\n\nvec3 blendSoftLight(vec3 base, vec3 blend) {\n\treturn vec3(blendSoftLight(base.r,blend.r),blendSoftLight(base.g,blend.g),blendSoftLight(base.b,blend.b));\n}\n\nvec3 blendSoftLight(vec3 base, vec3 blend, float opacity) {\n\treturn (blendSoftLight(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendOverlay_1(float base, float blend) {\n\treturn base<0.5?(2.0*base*blend):(1.0-2.0*(1.0-base)*(1.0-blend));\n}\n\nvec3 blendOverlay_1(vec3 base, vec3 blend) {\n\treturn vec3(blendOverlay_1(base.r,blend.r),blendOverlay_1(base.g,blend.g),blendOverlay_1(base.b,blend.b));\n}\n\nvec3 blendOverlay_1(vec3 base, vec3 blend, float opacity) {\n\treturn (blendOverlay_1(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nvec3 blendHardLight(vec3 base, vec3 blend) {\n\treturn blendOverlay_1(blend,base);\n}\n\nvec3 blendHardLight(vec3 base, vec3 blend, float opacity) {\n\treturn (blendHardLight(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendColorDodge(float base, float blend) {\n\treturn (blend==1.0)?blend:min(base/(1.0-blend),1.0);\n}\n\nvec3 blendColorDodge(vec3 base, vec3 blend) {\n\treturn vec3(blendColorDodge(base.r,blend.r),blendColorDodge(base.g,blend.g),blendColorDodge(base.b,blend.b));\n}\n\nvec3 blendColorDodge(vec3 base, vec3 blend, float opacity) {\n\treturn (blendColorDodge(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendColorBurn(float base, float blend) {\n\treturn (blend==0.0)?blend:max((1.0-((1.0-base)/blend)),0.0);\n}\n\nvec3 blendColorBurn(vec3 base, vec3 blend) {\n\treturn vec3(blendColorBurn(base.r,blend.r),blendColorBurn(base.g,blend.g),blendColorBurn(base.b,blend.b));\n}\n\nvec3 blendColorBurn(vec3 base, vec3 blend, float opacity) {\n\treturn (blendColorBurn(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendDarken(float base, float blend) {\n\treturn min(blend,base);\n}\n\nvec3 blendDarken(vec3 base, vec3 blend) {\n\treturn vec3(blendDarken(base.r,blend.r),blendDarken(base.g,blend.g),blendDarken(base.b,blend.b));\n}\n\nvec3 blendDarken(vec3 base, vec3 blend, float opacity) {\n\treturn (blendDarken(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendLighten(float base, float blend) {\n\treturn max(blend,base);\n}\n\nvec3 blendLighten(vec3 base, vec3 blend) {\n\treturn vec3(blendLighten(base.r,blend.r),blendLighten(base.g,blend.g),blendLighten(base.b,blend.b));\n}\n\nvec3 blendLighten(vec3 base, vec3 blend, float opacity) {\n\treturn (blendLighten(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nvec3 blendDifference(vec3 base, vec3 blend) {\n\treturn abs(base-blend);\n}\n\nvec3 blendDifference(vec3 base, vec3 blend, float opacity) {\n\treturn (blendDifference(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nvec3 blendExclusion(vec3 base, vec3 blend) {\n\treturn base+blend-2.0*base*blend;\n}\n\nvec3 blendExclusion(vec3 base, vec3 blend, float opacity) {\n\treturn (blendExclusion(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendLinearBurn(float base, float blend) {\n\treturn max(base+blend-1.0,0.0);\n}\n\nvec3 blendLinearBurn(vec3 base, vec3 blend) {\n\treturn max(base+blend-vec3(1.0),vec3(0.0));\n}\n\nvec3 blendLinearBurn(vec3 base, vec3 blend, float opacity) {\n\treturn (blendLinearBurn(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendLinearDodge(float base, float blend) {\n\treturn min(base+blend,1.0);\n}\n\nvec3 blendLinearDodge(vec3 base, vec3 blend) {\n\treturn min(base+blend,vec3(1.0));\n}\n\nvec3 blendLinearDodge(vec3 base, vec3 blend, float opacity) {\n\treturn (blendLinearDodge(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendLinearLight(float base, float blend) {\n\treturn blend<0.5?blendLinearBurn(base,(2.0*blend)):blendLinearDodge(base,(2.0*(blend-0.5)));\n}\n\nvec3 blendLinearLight(vec3 base, vec3 blend) {\n\treturn vec3(blendLinearLight(base.r,blend.r),blendLinearLight(base.g,blend.g),blendLinearLight(base.b,blend.b));\n}\n\nvec3 blendLinearLight(vec3 base, vec3 blend, float opacity) {\n\treturn (blendLinearLight(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendVividLight(float base, float blend) {\n\treturn (blend<0.5)?blendColorBurn(base,(2.0*blend)):blendColorDodge(base,(2.0*(blend-0.5)));\n}\n\nvec3 blendVividLight(vec3 base, vec3 blend) {\n\treturn vec3(blendVividLight(base.r,blend.r),blendVividLight(base.g,blend.g),blendVividLight(base.b,blend.b));\n}\n\nvec3 blendVividLight(vec3 base, vec3 blend, float opacity) {\n\treturn (blendVividLight(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendPinLight(float base, float blend) {\n\treturn (blend<0.5)?blendDarken(base,(2.0*blend)):blendLighten(base,(2.0*(blend-0.5)));\n}\n\nvec3 blendPinLight(vec3 base, vec3 blend) {\n\treturn vec3(blendPinLight(base.r,blend.r),blendPinLight(base.g,blend.g),blendPinLight(base.b,blend.b));\n}\n\nvec3 blendPinLight(vec3 base, vec3 blend, float opacity) {\n\treturn (blendPinLight(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendHardMix(float base, float blend) {\n\treturn (blendVividLight(base,blend)<0.5)?0.0:1.0;\n}\n\nvec3 blendHardMix(vec3 base, vec3 blend) {\n\treturn vec3(blendHardMix(base.r,blend.r),blendHardMix(base.g,blend.g),blendHardMix(base.b,blend.b));\n}\n\nvec3 blendHardMix(vec3 base, vec3 blend, float opacity) {\n\treturn (blendHardMix(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nfloat blendDivide(float base, float blend) {\n\treturn (blend<=0.0)?((base>0.0)?1.0:0.0):min(base/blend,1.0);\n}\n\nvec3 blendDivide(vec3 base, vec3 blend) {\n\treturn vec3(blendDivide(base.r,blend.r),blendDivide(base.g,blend.g),blendDivide(base.b,blend.b));\n}\n\nvec3 blendDivide(vec3 base, vec3 blend, float opacity) {\n\treturn (blendDivide(base, blend) * opacity + base * (1.0 - opacity));\n}\n\n// Non-separable helpers (W3C Compositing and Blending Level 1)\nfloat blendLum(vec3 color) {\n\treturn dot(color, vec3(0.3, 0.59, 0.11));\n}\n\nvec3 blendClipColor(vec3 color) {\n\tfloat l = blendLum(color);\n\tfloat n = min(min(color.r, color.g), color.b);\n\tfloat x = max(max(color.r, color.g), color.b);\n\tif (n < 0.0) color = l + (color - l) * l / max(l - n, 0.00001);\n\tif (x > 1.0) color = l + (color - l) * (1.0 - l) / max(x - l, 0.00001);\n\treturn color;\n}\n\nvec3 blendSetLum(vec3 color, float l) {\n\treturn blendClipColor(color + (l - blendLum(color)));\n}\n\nfloat blendSat(vec3 color) {\n\treturn max(max(color.r, color.g), color.b) - min(min(color.r, color.g), color.b);\n}\n\nvec3 blendSetSat(vec3 color, float s) {\n\tfloat x = max(max(color.r, color.g), color.b);\n\tfloat n = min(min(color.r, color.g), color.b);\n\treturn (x > n) ? (color - n) * s / (x - n) : vec3(0.0);\n}\n\nvec3 blendHue(vec3 base, vec3 blend) {\n\treturn blendSetLum(blendSetSat(blend, blendSat(base)), blendLum(base));\n}\n\nvec3 blendHue(vec3 base, vec3 blend, float opacity) {\n\treturn (blendHue(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nvec3 blendSaturation(vec3 base, vec3 blend) {\n\treturn blendSetLum(blendSetSat(base, blendSat(blend)), blendLum(base));\n}\n\nvec3 blendSaturation(vec3 base, vec3 blend, float opacity) {\n\treturn (blendSaturation(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nvec3 blendColor(vec3 base, vec3 blend) {\n\treturn blendSetLum(blend, blendLum(base));\n}\n\nvec3 blendColor(vec3 base, vec3 blend, float opacity) {\n\treturn (blendColor(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nvec3 blendLuminosity(vec3 base, vec3 blend) {\n\treturn blendSetLum(base, blendLum(blend));\n}\n\nvec3 blendLuminosity(vec3 base, vec3 blend, float opacity) {\n\treturn (blendLuminosity(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nvec3 blendDarkerColor(vec3 base, vec3 blend) {\n\treturn (blendLum(blend) < blendLum(base)) ? blend : base;\n}\n\nvec3 blendDarkerColor(vec3 base, vec3 blend, float opacity) {\n\treturn (blendDarkerColor(base, blend) * opacity + base * (1.0 - opacity));\n}\n\nvec3 blendLighterColor(vec3 base, vec3 blend) {\n\treturn (blendLum(blend) > blendLum(base)) ? blend : base;\n}\n\nvec3 blendLighterColor(vec3 base, vec3 blend, float opacity) {\n\treturn (blendLighterColor(base, blend) * opacity + base * (1.0 - opacity));\n}\n\n// Blend functions added with registerBlendMode() are inserted here\n// CUSTOM_BLEND_FUNCTIONS\n\nvec3 applyBlendMode(int mode, vec3 base, vec3 blend, float opacity) {\n  if (mode == 0) return blendNormal(base, blend, opacity);      // NORMAL\n  if (mode == 1) return blendMultiply(base, blend, opacity);    // MULTIPLY\n  if (mode == 2) return blendScreen(base, blend, opacity);      // SCREEN\n  if (mode == 3) return blendAdd(base, blend, opacity);         // ADD\n  if (mode == 4) return blendSubtract(base, blend, opacity);    // SUBTRACT\n  if (mode == 5) return blendOverlay_0(base, blend, opacity);     // OVERLAY\n  if (mode == 6) return blendSoftLight(base, blend, opacity);   // SOFT_LIGHT\n  if (mode == 7) return blendHardLight(base, blend, opacity);   // HARD_LIGHT\n  if (mode == 8) return blendColorDodge(base, blend, opacity);  // COLOR_DODGE\n  if (mode == 9) return blendColorBurn(base, blend, opacity);   // COLOR_BURN\n  if (mode == 10) return blendDarken(base, blend, opacity);     // DARKEN\n  if (mode == 11) return blendLighten(base, blend, opacity);    // LIGHTEN\n  if (mode == 12) return blendDifference(base, blend, opacity); // DIFFERENCE\n  if (mode == 13) return blendExclusion(base, blend, opacity);  // EXCLUSION\n  if (mode == 14) return blendHue(base, blend, opacity);          // HUE\n  if (mode == 15) return blendSaturation(base, blend, opacity);   // SATURATION\n  if (mode == 16) return blendColor(base, blend, opacity);        // COLOR\n  if (mode == 17) return blendLuminosity(base, blend, opacity);   // LUMINOSITY\n  if (mode == 18) return blendLinearBurn(base, blend, opacity);   // LINEAR_BURN\n  if (mode == 19) return blendLinearDodge(base, blend, opacity);  // LINEAR_DODGE\n  if (mode == 20) return blendLinearLight(base, blend, opacity);  // LINEAR_LIGHT\n  if (mode == 21) return blendVividLight(base, blend, opacity);   // VIVID_LIGHT\n  if (mode == 22) return blendPinLight(base, blend, opacity);     // PIN_LIGHT\n  if (mode == 23) return blendHardMix(base, blend, opacity);      // HARD_MIX\n  if (mode == 24) return blendDivide(base, blend, opacity);       // DIVIDE\n  if (mode == 25) return blendDarkerColor(base, blend, opacity);  // DARKER_COLOR\n  if (mode == 26) return blendLighterColor(base, blend, opacity); // LIGHTER_COLOR\n  // CUSTOM_BLEND_CASES\n  return blendNormal(base, blend, opacity); // Fallback\n}\n\n// Unpremultiplies a color read from a framebuffer\nvec3 unpremultiply(vec4 color) {\n  return color.a > 0.0 ? clamp(color.rgb / color.a, 0.0, 1.0) : vec3(0.0);\n}\n\n// Porter-Duff source-over with a separable or non-separable blend mode\n// (W3C Compositing and Blending Level 1). Inputs and output are premultiplied.\n// With preserveAlpha the source is composited source-atop instead, so the\n// backdrop's coverage is kept.\nvec4 compositeLayer(int mode, vec4 backdrop, vec4 source, float sourceAlpha, bool preserveAlpha) {\n  vec3 cb = unpremultiply(backdrop);\n  vec3 cs = unpremultiply(source);\n  float ab = backdrop.a;\n  float as = sourceAlpha;\n\n  vec3 mixed = applyBlendMode(mode, cb, cs, 1.0);\n\n  if (preserveAlpha) {\n    return vec4(as * ab * mixed + (1.0 - as) * backdrop.rgb, ab);\n  }\n\n  vec3 color = as * (1.0 - ab) * cs + as * ab * mixed + (1.0 - as) * backdrop.rgb;\n  return vec4(color, as + ab * (1.0 - as));\n}\n\n// Rounds a color the way an 8-bit framebuffer stores it, so blending several\n// layers in one pass gives the same result as one pass per layer\nvec4 storeColor(vec4 color) {\n  return floor(clamp(color, 0.0, 1.0) * 255.0 + 0.5) / 255.0;\n}\n\n// LAYER_SLOT_BEGIN\n// Everything up to LAYER_SLOT_END is repeated for each layer when several\n// layers are blended in one pass, with the slot number appended to its names\nuniform sampler2D layerTexture;\nuniform sampler2D maskTexture;\nuniform bool hasMask;\nuniform int maskChannel;\nuniform bool maskInvert;\nuniform float maskDensity;\nuniform vec2 maskFeather;   // feather radius in layer texture coordinates\nuniform vec2 maskScale;     // layer texture coordinate -> mask texture coordinate\nuniform vec2 maskOffset;\nuniform bool maskClampEdges;\nuniform float layerOpacity;\nuniform int blendMode;\nuniform bool preserveAlpha;\n\n// Layer transform (layer size in pixels)\nuniform bool hasTransform;\nuniform vec2 layerSize;\nuniform vec2 layerPivot;\nuniform vec2 layerAnchor;\nuniform vec2 layerScale;\nuniform float layerRotation;\n\n// Scratch buffers passed in as layerTexture cover the same area as the target\nuniform bool textureInView;\n\n// Maps a canvas texture coordinate to the layer's texture coordinate\nvec2 getLayerCoord(vec2 uv) {\n  if (!hasTransform) {\n    return uv;\n  }\n  if (layerScale.x == 0.0 || layerScale.y == 0.0) {\n    return vec2(-1.0);\n  }\n\n  // Undo the translation, rotation and scale around the pivot\n  vec2 d = uv * canvasSize - layerPivot;\n  float c = cos(layerRotation);\n  float s = sin(layerRotation);\n  vec2 local = vec2(c * d.x + s * d.y, -s * d.x + c * d.y) / layerScale;\n  return (local + layerAnchor) / layerSize;\n}\n\n// Reads the mask value at a layer texture coordinate\nfloat sampleMask(vec2 layerUv) {\n  vec2 maskUv = layerUv * maskScale + maskOffset;\n  if (maskClampEdges) {\n    maskUv = clamp(maskUv, 0.0, 1.0);\n  } else if (any(lessThan(maskUv, vec2(0.0))) || any(greaterThan(maskUv, vec2(1.0)))) {\n    return 0.0;\n  }\n\n  vec4 maskColor = texture2D(maskTexture, maskUv);\n  if (maskChannel == 0) return maskColor.a;\n  if (maskChannel == 2) return maskColor.r;\n  if (maskChannel == 3) return maskColor.g;\n  if (maskChannel == 4) return maskColor.b;\n  return dot(maskColor.rgb, vec3(0.299, 0.587, 0.114));\n}\n\n// Mask value with feathering, inversion and density applied\nfloat getMaskValue(vec2 layerUv) {\n  float value = sampleMask(layerUv);\n\n  // Feather with two rings of 8 taps around the center, weighted by distance\n  if (maskFeather.x > 0.0 || maskFeather.y > 0.0) {\n    float total = 1.0;\n    for (int i = 0; i < 8; i++) {\n      float angle = float(i) * 0.785398;\n      vec2 dir = vec2(cos(angle), sin(angle)) * maskFeather;\n      value += sampleMask(layerUv + dir * 0.5) * 0.6;\n      value += sampleMask(layerUv + dir) * 0.2;\n      total += 0.8;\n    }\n    value /= total;\n  }\n\n  if (maskInvert) {\n    value = 1.0 - value;\n  }\n  return mix(1.0, value, maskDensity);\n}\n\n// Composites the layer over a premultiplied background color\nvec4 compositeSlot(vec4 bgColor, vec2 uv, vec2 canvasUv) {\n  // Sample textures (framebuffers hold premultiplied alpha)\n  vec2 layerUv = getLayerCoord(canvasUv);\n  bool insideLayer = all(greaterThanEqual(layerUv, vec2(0.0))) && all(lessThanEqual(layerUv, vec2(1.0)));\n  vec4 layerColor = insideLayer ? texture2D(layerTexture, textureInView ? uv : layerUv) : vec4(0.0);\n\n  // Calculate final opacity from layer alpha and opacity uniform\n  float finalOpacity = layerColor.a * layerOpacity;\n\n  // Apply mask if present\n  if (hasMask) {\n    finalOpacity *= getMaskValue(layerUv);\n  }\n\n  // If layer is completely transparent, just output background\n  if (finalOpacity <= 0.0) {\n    return bgColor;\n  }\n\n  return compositeLayer(blendMode, bgColor, layerColor, finalOpacity, preserveAlpha);\n}\n// LAYER_SLOT_END\n\nvoid main() {\n  // Use texture coordinates directly\n  vec2 uv = vTexCoord;\n  vec2 canvasUv = viewRect.xy + uv * viewRect.zw;\n  vec4 color = texture2D(backgroundTexture, uv);\n\n  // LAYER_SLOT_CALLS\n  gl_FragColor = compositeSlot(color, uv, canvasUv);\n}\n"; // eslint-disable-line
+
+  var adjustmentFragSource = "precision highp float;\n#define GLSLIFY 1\n\nvarying vec2 vTexCoord;\n\nuniform sampler2D backgroundTexture;\nuniform sampler2D lookupTexture;\nuniform int adjustmentType;\nuniform vec4 adjustmentParams0;\nuniform vec4 adjustmentParams1;\n\nfloat luminance(vec3 color) {\n  return dot(color, vec3(0.2126, 0.7152, 0.0722));\n}\n\nvec3 rgb2hsl(vec3 color) {\n  float maxC = max(max(color.r, color.g), color.b);\n  float minC = min(min(color.r, color.g), color.b);\n  float l = (maxC + minC) * 0.5;\n  float d = maxC - minC;\n\n  if (d <= 0.0) {\n    return vec3(0.0, 0.0, l);\n  }\n\n  float s = l > 0.5 ? d / (2.0 - maxC - minC) : d / (maxC + minC);\n  float h;\n  if (maxC == color.r) {\n    h = (color.g - color.b) / d + (color.g < color.b ? 6.0 : 0.0);\n  } else if (maxC == color.g) {\n    h = (color.b - color.r) / d + 2.0;\n  } else {\n    h = (color.r - color.g) / d + 4.0;\n  }\n  return vec3(h / 6.0, s, l);\n}\n\nfloat hue2rgb(float p, float q, float t) {\n  t = fract(t);\n  if (t < 1.0 / 6.0) return p + (q - p) * 6.0 * t;\n  if (t < 0.5) return q;\n  if (t < 2.0 / 3.0) return p + (q - p) * (2.0 / 3.0 - t) * 6.0;\n  return p;\n}\n\nvec3 hsl2rgb(vec3 hsl) {\n  if (hsl.y <= 0.0) {\n    return vec3(hsl.z);\n  }\n  float q = hsl.z < 0.5 ? hsl.z * (1.0 + hsl.y) : hsl.z + hsl.y - hsl.z * hsl.y;\n  float p = 2.0 * hsl.z - q;\n  return vec3(\n    hue2rgb(p, q, hsl.x + 1.0 / 3.0),\n    hue2rgb(p, q, hsl.x),\n    hue2rgb(p, q, hsl.x - 1.0 / 3.0)\n  );\n}\n\n// Samples the 256x1 lookup texture at the center of the matching texel\nvec3 lookup(vec3 color) {\n  vec3 coord = clamp(color, 0.0, 1.0) * (255.0 / 256.0) + 0.5 / 256.0;\n  return vec3(\n    texture2D(lookupTexture, vec2(coord.r, 0.5)).r,\n    texture2D(lookupTexture, vec2(coord.g, 0.5)).g,\n    texture2D(lookupTexture, vec2(coord.b, 0.5)).b\n  );\n}\n\nvec3 adjustHueSaturation(vec3 color, vec3 params) {\n  vec3 hsl = rgb2hsl(color);\n  hsl.x = fract(hsl.x + params.x);\n  hsl.y = clamp(hsl.y * (1.0 + params.y), 0.0, 1.0);\n  vec3 result = hsl2rgb(hsl);\n\n  // Lightness pushes towards white or black\n  if (params.z > 0.0) {\n    result = mix(result, vec3(1.0), params.z);\n  } else {\n    result = mix(result, vec3(0.0), -params.z);\n  }\n  return result;\n}\n\nvec3 adjustBrightnessContrast(vec3 color, vec2 params) {\n  vec3 result = color + params.x;\n  float contrast = params.y >= 0.0 ? 1.0 / (1.0 - min(params.y, 0.999)) : 1.0 + params.y;\n  result = (result - 0.5) * contrast + 0.5;\n  return clamp(result, 0.0, 1.0);\n}\n\nvec3 adjustLevels(vec3 color, vec4 inputRange, vec4 outputRange) {\n  vec3 result = clamp((color - inputRange.x) / max(inputRange.y - inputRange.x, 0.00001), 0.0, 1.0);\n  result = pow(result, vec3(1.0 / inputRange.z));\n  return mix(vec3(outputRange.x), vec3(outputRange.y), result);\n}\n\nvec3 adjustGradientMap(vec3 color) {\n  float coord = clamp(luminance(color), 0.0, 1.0) * (255.0 / 256.0) + 0.5 / 256.0;\n  return texture2D(lookupTexture, vec2(coord, 0.5)).rgb;\n}\n\nvec3 applyAdjustment(int type, vec3 color) {\n  if (type == 0) return adjustHueSaturation(color, adjustmentParams0.xyz);       // HUE_SATURATION\n  if (type == 1) return adjustBrightnessContrast(color, adjustmentParams0.xy);   // BRIGHTNESS_CONTRAST\n  if (type == 2) return adjustLevels(color, adjustmentParams0, adjustmentParams1); // LEVELS\n  if (type == 3) return lookup(color);                                            // CURVES\n  if (type == 4) return 1.0 - color;                                              // INVERT\n  if (type == 5) return adjustGradientMap(color);                                 // GRADIENT_MAP\n  if (type == 6) return vec3(step(adjustmentParams0.x, luminance(color)));        // THRESHOLD\n  return color; // Fallback\n}\n\nvoid main() {\n  vec4 bgColor = texture2D(backgroundTexture, vTexCoord);\n\n  vec3 color = bgColor.a > 0.0 ? clamp(bgColor.rgb / bgColor.a, 0.0, 1.0) : vec3(0.0);\n\n  // Output opaque; the compositor blends this back source-atop so the\n  // coverage of the content below is kept\n  gl_FragColor = vec4(applyAdjustment(adjustmentType, color), 1.0);\n}\n"; // eslint-disable-line
+
+  var effectFragSource = "precision highp float;\n#define GLSLIFY 1\n\nvarying vec2 vTexCoord;\n\nuniform sampler2D sourceTexture;\nuniform sampler2D originalTexture;\nuniform int effectPass;\nuniform vec2 texelSize;\nuniform vec2 direction;\nuniform vec4 effectParams;\n\nconst int MAX_BLUR_TAPS = 24;\n\nfloat luminance(vec3 color) {\n  return dot(color, vec3(0.2126, 0.7152, 0.0722));\n}\n\n// Layer pixels are stored with premultiplied alpha\nvec3 unpremultiply(vec4 color) {\n  return color.a > 0.0 ? color.rgb / color.a : vec3(0.0);\n}\n\nfloat random(vec2 co) {\n  return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);\n}\n\n// One direction of a separable Gaussian blur.\n// params.x = radius in pixels, params.y = luminance threshold (bright pass for glow)\nvec4 gaussianBlur(vec2 uv, vec4 params) {\n  float radius = params.x;\n  if (radius < 0.5) {\n    vec4 color = texture2D(sourceTexture, uv);\n    return color * step(params.y, luminance(unpremultiply(color)));\n  }\n\n  float sigma = max(radius / 2.0, 0.5);\n  float spacing = max(1.0, radius / float(MAX_BLUR_TAPS));\n  vec4 sum = vec4(0.0);\n  float weightSum = 0.0;\n\n  for (int i = -MAX_BLUR_TAPS; i <= MAX_BLUR_TAPS; i++) {\n    float offset = float(i) * spacing;\n    if (abs(offset) > radius) {\n      continue;\n    }\n    float weight = exp(-(offset * offset) / (2.0 * sigma * sigma));\n    vec4 color = texture2D(sourceTexture, uv + direction * texelSize * offset);\n    sum += color * step(params.y, luminance(unpremultiply(color))) * weight;\n    weightSum += weight;\n  }\n\n  return sum / weightSum;\n}\n\n// params.x = intensity. The blurred glow sits behind the original pixels.\nvec4 glowCombine(vec2 uv, vec4 params) {\n  vec4 original = texture2D(originalTexture, uv);\n  vec4 glow = clamp(texture2D(sourceTexture, uv) * params.x, 0.0, 1.0);\n  return original + glow * (1.0 - original.a);\n}\n\n// params.x = amount. Unsharp mask: push the original away from its blurred copy.\nvec4 sharpenCombine(vec2 uv, vec4 params) {\n  vec4 original = texture2D(originalTexture, uv);\n  vec4 blurred = texture2D(sourceTexture, uv);\n  vec3 color = unpremultiply(original) + (unpremultiply(original) - unpremultiply(blurred)) * params.x;\n  return vec4(clamp(color, 0.0, 1.0) * original.a, original.a);\n}\n\n// params.x = number of levels per channel\nvec4 posterize(vec2 uv, vec4 params) {\n  vec4 color = texture2D(sourceTexture, uv);\n  float levels = max(params.x, 2.0) - 1.0;\n  vec3 straight = floor(unpremultiply(color) * levels + 0.5) / levels;\n  return vec4(straight * color.a, color.a);\n}\n\n// params.x = block size in pixels\nvec4 pixelate(vec2 uv, vec4 params) {\n  vec2 block = texelSize * max(params.x, 1.0);\n  return texture2D(sourceTexture, (floor(uv / block) + 0.5) * block);\n}\n\n// params.xy = red channel offset in pixels (blue is offset the opposite way)\nvec4 chromaticOffset(vec2 uv, vec4 params) {\n  vec2 offset = params.xy * texelSize;\n  vec4 red = texture2D(sourceTexture, uv + offset);\n  vec4 center = texture2D(sourceTexture, uv);\n  vec4 blue = texture2D(sourceTexture, uv - offset);\n  return vec4(red.r, center.g, blue.b, max(max(red.a, center.a), blue.a));\n}\n\n// params.x = amount, params.y = seed, params.z = 1.0 for monochrome noise\nvec4 noise(vec2 uv, vec4 params) {\n  vec4 color = texture2D(sourceTexture, uv);\n  vec2 pixel = floor(uv / texelSize);\n  vec3 grain = vec3(random(pixel + params.y));\n  if (params.z < 0.5) {\n    grain = vec3(grain.r, random(pixel + params.y + 17.0), random(pixel + params.y + 31.0));\n  }\n  vec3 straight = clamp(unpremultiply(color) + (grain - 0.5) * params.x, 0.0, 1.0);\n  return vec4(straight * color.a, color.a);\n}\n\nvec4 applyEffectPass(int pass, vec2 uv) {\n  if (pass == 0) return gaussianBlur(uv, effectParams);     // GAUSSIAN (one direction)\n  if (pass == 1) return glowCombine(uv, effectParams);      // GLOW combine\n  if (pass == 2) return sharpenCombine(uv, effectParams);   // SHARPEN combine\n  if (pass == 3) return posterize(uv, effectParams);        // POSTERIZE\n  if (pass == 4) return pixelate(uv, effectParams);         // PIXELATE\n  if (pass == 5) return chromaticOffset(uv, effectParams);  // CHROMATIC_OFFSET\n  if (pass == 6) return noise(uv, effectParams);            // NOISE\n  return texture2D(sourceTexture, uv); // Fallback\n}\n\nvoid main() {\n  gl_FragColor = applyEffectPass(effectPass, vTexCoord);\n}\n"; // eslint-disable-line
+
+  /**
+   * Builds the compositor fragment shader, including any custom blend modes
+   * @param {Array<{index: number, functionName: string, glsl: string}>} [modes] - Custom modes to include
+   * @param {number} [slots=1] - Number of layers blended per pass (see expandLayerSlots)
+   * @returns {string} GLSL source
+   */
+  function buildCompositorFragSource(modes = Array.from(customBlendModes.values()), slots = 1) {
+    let source = compositorFragSource;
+
+    if (modes.length > 0) {
+      const functions = modes.map(mode => mode.glsl).join('\n\n');
+      const cases = modes.map(mode =>
+        `  if (mode == ${mode.index}) return (${mode.functionName}(base, blend) * opacity + base * (1.0 - opacity));`
+      ).join('\n');
+
+      source = source
+        .replace('// CUSTOM_BLEND_FUNCTIONS', `// CUSTOM_BLEND_FUNCTIONS\n${functions}`)
+        .replace('  // CUSTOM_BLEND_CASES', `  // CUSTOM_BLEND_CASES\n${cases}`);
     }
 
-    /**
-     * Removes cached thumbnail data for layers that no longer exist
-     * @private
-     */
-    _pruneThumbnailState(activeLayers) {
-      const liveIds = new Set(activeLayers.map(layer => layer.id));
+    return slots > 1 ? expandLayerSlots(source, slots) : source;
+  }
 
-      for (const id of Array.from(this._thumbnailCache.keys())) {
-        if (!liveIds.has(id)) {
-          this._thumbnailCache.delete(id);
-        }
-      }
+  /**
+   * Repeats the per-layer section of the compositor shader so one pass blends
+   * several layers. Uniforms and functions declared in the section get the
+   * slot number appended (layerTexture0, layerTexture1, ...), and main() runs
+   * the slots bottom to top. Colors are rounded to 8 bits between slots, like
+   * storing them in a framebuffer would, so the result matches drawing the
+   * layers one pass at a time.
+   * @private
+   * @param {string} source - Single-layer compositor source
+   * @param {number} slots - Number of layers
+   * @returns {string} GLSL source
+   */
+  function expandLayerSlots(source, slots) {
+    const begin = source.indexOf('// LAYER_SLOT_BEGIN');
+    const end = source.indexOf('// LAYER_SLOT_END');
+    const section = source.slice(begin, end);
+
+    const names = Array.from(
+      section.matchAll(/^(?:uniform\s+\w+|vec2|vec4|float)\s+(\w+)\s*[;(]/gm),
+      match => match[1]
+    );
+    const pattern = new RegExp(`\\b(${names.join('|')})\\b`, 'g');
+
+    const copies = [];
+    const calls = [];
+    for (let slot = 0; slot < slots; slot++) {
+      copies.push(section.replace(pattern, `$1${slot}`));
+      calls.push(slot < slots - 1
+        ? `  color = storeColor(compositeSlot${slot}(color, uv, canvasUv));`
+        : `  gl_FragColor = compositeSlot${slot}(color, uv, canvasUv);`);
+    }
 
-      for (const id of Array.from(this._captureNeeded)) {
-        if (!liveIds.has(id)) {
-          this._captureNeeded.delete(id);
-        }
-      }
+    return source.slice(0, begin) + copies.join('') + source.slice(end)
+      .replace('  gl_FragColor = compositeSlot(color, uv, canvasUv);', calls.join('\n'));
+  }
 
-      for (const id of Array.from(this._dirtyThumbnailLayerIds)) {
-        if (!liveIds.has(id)) {
-          this._dirtyThumbnailLayerIds.delete(id);
-        }
+  let blendValidationContext = null;
+
+  /**
+   * Returns a sketch's WebGL context, or null if it isn't drawing with WebGL
+   * @private
+   * @param {p5} p - The p5.js instance
+   * @returns {WebGLRenderingContext|null}
+   */
+  function getSketchGL(p) {
+    const renderer = p && p._renderer;
+    const gl = renderer && (renderer.GL || renderer.drawingContext);
+    return gl && typeof gl.compileShader === 'function' ? gl : null;
+  }
+
+  /**
+   * Compiles a fragment shader and returns the compiler log if it fails
+   * @private
+   * @param {string} source - GLSL fragment shader source
+   * @param {WebGLRenderingContext} [context] - Context to compile with; a private one is used when omitted
+   * @returns {string|null|undefined} The error log, null if it compiled, or
+   *   undefined if there's no WebGL context to check it with
+   */
+  function getFragmentShaderError(source, context = null) {
+    if (!context && !blendValidationContext) {
+      if (typeof document === 'undefined') {
+        return undefined;
+      }
+      const canvas = document.createElement('canvas');
+      blendValidationContext = canvas.getContext('webgl');
+      if (!blendValidationContext) {
+        return undefined;
       }
     }
 
-    /**
-     * Processes a small batch of dirty thumbnails on each animation frame
-     * @private
-     */
-    _flushDirtyThumbnails(deadline) {
-      if (this._dirtyThumbnailLayerIds.size === 0) {
-        return;
-      }
+    const gl = context || blendValidationContext;
+    const shader = gl.createShader(gl.FRAGMENT_SHADER);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    const compiled = gl.getShaderParameter(shader, gl.COMPILE_STATUS);
+    const log = compiled ? null : (gl.getShaderInfoLog(shader) || 'unknown compile error');
+    gl.deleteShader(shader);
+    return log;
+  }
 
-      const hasPerformanceNow = typeof performance !== 'undefined' && typeof performance.now === 'function';
-      const start = hasPerformanceNow ? performance.now() : null;
+  /**
+   * Registers a custom blend mode backed by a GLSL function.
+   * The function must have the signature `vec3 name(vec3 base, vec3 blend)`,
+   * taking the colors below and of the layer and returning the blended color.
+   * Opacity and masks are applied by the compositor afterwards. Blend modes are
+   * shared by every sketch on the page; registering the same name with the same
+   * GLSL again, e.g. from another sketch, returns the existing mode.
+   *
+   * @example
+   * registerBlendMode('ADD_CLAMPED', `
+   *   vec3 addClamped(vec3 base, vec3 blend) {
+   *     return clamp(base + blend, 0.0, 0.8);
+   *   }
+   * `);
+   * layer.setBlendMode('ADD_CLAMPED');
+   *
+   * @param {string} name - Name of the new mode, added to BlendModes
+   * @param {string} glslFunction - GLSL source defining the blend function
+   * @param {Object} [options]
+   * @param {string} [options.letter] - Short badge shown in the LayerUI
+   * @param {WebGLRenderingContext} [options.gl] - Context to check the GLSL with; the sketch's when called as a p5 method
+   * @returns {string} The registered blend mode name
+   * @throws {Error} If the name is taken by a built-in or different GLSL, or the GLSL is invalid
+   */
+  function registerBlendMode(name, glslFunction, options = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error('registerBlendMode: name must be a non-empty string');
+    }
+    const existing = customBlendModes.get(name);
+    if (existing && existing.source === glslFunction) {
+      return name;
+    }
+    if (Object.prototype.hasOwnProperty.call(BlendModes, name)) {
+      throw new Error(`registerBlendMode: blend mode "${name}" already exists`);
+    }
 
-      const timeRemaining = (deadline && typeof deadline.timeRemaining === 'function')
-        ? () => deadline.timeRemaining()
-        : () => {
-          if (!hasPerformanceNow || start === null) {
-            return Number.POSITIVE_INFINITY;
-          }
-          const elapsed = performance.now() - start;
-          return Math.max(0, this._thumbnailIdleBudgetMs - elapsed);
-        };
+    const signature = /vec3\s+([A-Za-z_]\w*)\s*\(\s*vec3\s+\w+\s*,\s*vec3\s+\w+\s*\)/;
+    const match = typeof glslFunction === 'string' ? glslFunction.match(signature) : null;
+    if (!match) {
+      throw new Error(`registerBlendMode: "${name}" must define a GLSL function "vec3 fn(vec3 base, vec3 blend)"`);
+    }
 
-      const shouldYield = () => timeRemaining() <= 1;
+    // Rename the function so custom modes can't collide with each other or built-ins
+    const index = CUSTOM_BLEND_MODE_START_INDEX + customBlendModes.size;
+    const functionName = `customBlend${index}`;
+    const glsl = glslFunction.replace(new RegExp(`\\b${match[1]}\\b`, 'g'), functionName).trim();
+
+    const mode = {
+      index,
+      functionName,
+      glsl,
+      source: glslFunction,
+      letter: options.letter || name.charAt(0) + name.charAt(1).toLowerCase()
+    };
 
-      let processed = 0;
-      while (this._dirtyThumbnailLayerIds.size > 0) {
-        if (processed >= this._thumbnailBatchSize) {
-          break;
-        }
+    const error = getFragmentShaderError(
+      buildCompositorFragSource([...customBlendModes.values(), mode]),
+      options.gl
+    );
+    if (error) {
+      throw new Error(`registerBlendMode: GLSL for "${name}" failed to compile:\n${error}`);
+    }
+    if (error === undefined) {
+      console.warn(`registerBlendMode: no WebGL context to check the GLSL for "${name}", compile errors will show up when compositing`);
+    }
 
-        const iterator = this._dirtyThumbnailLayerIds.values().next();
-        if (iterator.done) {
-          break;
-        }
-        const layerId = iterator.value;
-        this._dirtyThumbnailLayerIds.delete(layerId);
-        this._updateLayerThumbnail(layerId);
-        processed++;
+    customBlendModes.set(name, mode);
+    BlendModes[name] = name;
+    customBlendModesVersion++;
 
-        if (shouldYield()) {
-          break;
-        }
-      }
+    return name;
+  }
+
+  // Most layers the compositor blends in one pass
+  const MAX_BATCH_LAYERS = 8;
+
+  /**
+   * Handles the compositing of layers to the main canvas
+   */
+  class Compositor {
+    /**
+     * @param {p5} p5Instance - The p5.js instance
+     */
+    constructor(p5Instance) {
+      this.p = p5Instance;
+      this.shader = null;
+      this.shaderLoaded = false;
+      this._shaderBlendModesVersion = customBlendModesVersion;
+      this.adjustmentShader = null;
+      this.effectShader = null;
+      this._batchShaders = new Map(); // compositor shaders blending several layers, by layer count
+      this._batchShadersVersion = customBlendModesVersion;
+      this._maxBatchSize = null;
+      this._buffers = []; // every canvas-sized scratch buffer we own
+      this._freeBuffers = []; // scratch buffers not currently in use
+      this._bufferWidth = null;
+      this._bufferHeight = null;
+      this._bufferDensity = null;
+      this._view = [0, 0, 1, 1]; // canvas area the scratch buffers cover, see compositeRegion
+      this._filter = null; // limits which nodes are composited, see renderTo
+      this._cache = null; // last render() result and the composite below its lowest change
+      this._renderCount = 0; // keys nodes that must composite on every cached render
+      this.cacheEnabled = true; // see LayerSystem.setCaching
     }
 
     /**
-     * Schedules a flush using requestIdleCallback/requestAnimationFrame fallback
+     * Lazily creates the compositor shader
      * @private
      */
-    _scheduleThumbnailFlush() {
-      if (this._thumbnailFlushHandle !== null || this._dirtyThumbnailLayerIds.size === 0) {
-        return;
+    _ensureShader() {
+      // Rebuild when custom blend modes were registered since the last build
+      if (this._shaderBlendModesVersion !== customBlendModesVersion) {
+        this.shaderLoaded = false;
       }
 
-      const flushCallback = (deadline) => {
-        this._thumbnailFlushHandle = null;
-        this._cancelThumbnailFlush = null;
-        this._flushDirtyThumbnails(deadline);
-        if (this._dirtyThumbnailLayerIds.size > 0) {
-          this._scheduleThumbnailFlush();
+      if (!this.shaderLoaded) {
+        try {
+          this.shader = this.p.createShader(compositorVertSource, buildCompositorFragSource());
+          this._shaderBlendModesVersion = customBlendModesVersion;
+          this.shaderLoaded = true;
+        } catch (e) {
+          console.error('Failed to create compositor shader:', e);
+          this.shaderLoaded = false;
         }
-      };
-
-      if (typeof window !== 'undefined' && typeof window.requestIdleCallback === 'function') {
-        this._thumbnailFlushHandle = window.requestIdleCallback(flushCallback);
-        this._cancelThumbnailFlush = (handle) => window.cancelIdleCallback(handle);
-      } else if (typeof window !== 'undefined' && typeof window.requestAnimationFrame === 'function') {
-        this._thumbnailFlushHandle = window.requestAnimationFrame(() => flushCallback());
-        this._cancelThumbnailFlush = (handle) => window.cancelAnimationFrame(handle);
-      } else {
-        this._thumbnailFlushHandle = setTimeout(() => flushCallback(), 16);
-        this._cancelThumbnailFlush = (handle) => clearTimeout(handle);
       }
+      return this.shader;
     }
 
     /**
-     * Updates thumbnails for a specific layer
+     * Lazily creates a compositor shader that blends several layers per pass
+     * @param {number} slots - Number of layers
+     * @returns {p5.Shader|null}
      * @private
      */
-    _updateLayerThumbnail(layerId) {
-      this._dirtyThumbnailLayerIds.delete(layerId);
-      const layer = this.layerSystem.getLayers().find(l => l.id === layerId);
-      if (!layer) return;
-
-      const layerEl = this.layerElements.get(layerId);
-      if (!layerEl) return;
-
-      const canvas = layerEl.querySelector('.p5ml-thumbnail-canvas');
-      if (!canvas) return;
-
-      const ctx = canvas.getContext('2d');
-      if (!ctx) {
-        return;
-      }
-
-      const cacheEntry = this._getOrCreateThumbnailCacheEntry(layerId);
-      let sourceCanvas = cacheEntry.image && cacheEntry.image.canvas ? cacheEntry.image.canvas : null;
-      const needsCapture = this._captureNeeded.has(layerId) || !sourceCanvas;
-
-      if (needsCapture) {
-        const captured = this._captureLayerImage(layer);
-        if (captured && captured.canvas) {
-          cacheEntry.image = captured;
-          sourceCanvas = captured.canvas;
-          cacheEntry.boundsDirty = true;
-          this._captureNeeded.delete(layerId);
+    _ensureBatchShader(slots) {
+      if (this._batchShadersVersion !== customBlendModesVersion) {
+        this._batchShaders.clear();
+        this._batchShadersVersion = customBlendModesVersion;
+      }
+
+      if (!this._batchShaders.has(slots)) {
+        // p5 compiles shaders lazily on first use, so check the source up front;
+        // a null entry makes callers fall back to one layer per pass
+        let shader = null;
+        const source = buildCompositorFragSource(undefined, slots);
+        const error = getFragmentShaderError(source, getSketchGL(this.p));
+        if (error) {
+          console.error('Failed to compile batched compositor shader:', error);
+        } else {
+          try {
+            shader = this.p.createShader(compositorVertSource, source);
+          } catch (e) {
+            console.error('Failed to create batched compositor shader:', e);
+          }
         }
+        this._batchShaders.set(slots, shader);
       }
+      return this._batchShaders.get(slots);
+    }
 
-      if (!sourceCanvas) {
-        return;
-      }
-
-      const previousSize = cacheEntry.lastSourceSize;
-      if (!previousSize || previousSize.width !== sourceCanvas.width || previousSize.height !== sourceCanvas.height) {
-        cacheEntry.window = [];
-      }
-      cacheEntry.lastSourceSize = { width: sourceCanvas.width, height: sourceCanvas.height };
-
-      if (this._thumbnailScratchCtx && (cacheEntry.boundsDirty || !cacheEntry.drawBounds)) {
-        const rawBounds = this._calculateBoundsFromCanvas(sourceCanvas);
-        // If first capture is empty, don't cache it - allow future updates
-        if (!rawBounds && !cacheEntry.drawBounds) {
-          cacheEntry.image = null;
-          return;
+    /**
+     * How many layers one compositor pass can blend. Each layer needs two
+     * texture units (its pixels and its mask) and about 20 uniform vectors.
+     * @returns {number}
+     * @private
+     */
+    _getMaxBatchSize() {
+      if (this._maxBatchSize === null) {
+        const gl = this.p._renderer && this.p._renderer.drawingContext;
+        if (gl && typeof gl.getParameter === 'function') {
+          const units = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS);
+          const vectors = gl.getParameter(gl.MAX_FRAGMENT_UNIFORM_VECTORS);
+          this._maxBatchSize = Math.max(1, Math.min(
+            MAX_BATCH_LAYERS,
+            Math.floor((units - 1) / 2),
+            Math.floor((vectors - 8) / 20)
+          ));
+        } else {
+          this._maxBatchSize = MAX_BATCH_LAYERS;
         }
-        this._applyBoundsToCache(cacheEntry, rawBounds, sourceCanvas);
-        cacheEntry.boundsDirty = false;
-      } else if (!cacheEntry.drawBounds) {
-        cacheEntry.drawBounds = this._createFullBounds(sourceCanvas);
-        cacheEntry.boundsDirty = false;
       }
-
-      const drawBounds = cacheEntry.drawBounds || this._createFullBounds(sourceCanvas);
-
-      const cropAmount = this._getCropAmount(sourceCanvas, drawBounds);
-      this._drawCheckerboard(ctx, canvas.width, canvas.height, cropAmount);
-      this._drawThumbnailImage(ctx, canvas, sourceCanvas, drawBounds);
+      return this._maxBatchSize;
     }
 
-    _getOrCreateThumbnailCacheEntry(layerId) {
-      if (!this._thumbnailCache.has(layerId)) {
-        this._thumbnailCache.set(layerId, {
-          image: null,
-          boundsDirty: false,
-          window: [],
-          emptyFrames: 0,
-          drawBounds: null,
-          lastSourceSize: null
-        });
+    /**
+     * Lazily creates the adjustment layer shader
+     * @private
+     */
+    _ensureAdjustmentShader() {
+      if (!this.adjustmentShader) {
+        try {
+          this.adjustmentShader = this.p.createShader(compositorVertSource, adjustmentFragSource);
+        } catch (e) {
+          console.error('Failed to create adjustment shader:', e);
+          this.adjustmentShader = null;
+        }
       }
-      return this._thumbnailCache.get(layerId);
+      return this.adjustmentShader;
     }
 
     /**
-     * Lazily initializes a framebuffer for GPU-to-GPU downsampling.
-     * Uses p5.Framebuffer to stay in the same WebGL context as source framebuffers.
+     * Lazily creates the layer effect shader
      * @private
      */
-    _getDownsampleBuffer(width, height) {
-      const p = this.layerSystem.p;
-      if (!p || typeof p.createFramebuffer !== 'function') {
-        return null;
-      }
-
-      // Create or resize the buffer as needed
-      if (!this._downsampleBuffer) {
+    _ensureEffectShader() {
+      if (!this.effectShader) {
         try {
-          this._downsampleBuffer = p.createFramebuffer({
-            width,
-            height,
-            density: 1,
-            depthFormat: p.UNSIGNED_INT,
-            textureFiltering: p.LINEAR
-          });
+          this.effectShader = this.p.createShader(compositorVertSource, effectFragSource);
         } catch (e) {
-          console.debug('Could not create downsample framebuffer:', e);
-          return null;
+          console.error('Failed to create effect shader:', e);
+          this.effectShader = null;
         }
-      } else if (this._downsampleBuffer.width !== width || this._downsampleBuffer.height !== height) {
-        this._downsampleBuffer.resize(width, height);
       }
-
-      return this._downsampleBuffer;
+      return this.effectShader;
     }
 
     /**
-     * Captures a downsampled image from a framebuffer using GPU-to-GPU copy.
-     * This avoids reading the full framebuffer, reducing readback from ~8MB to ~150KB.
+     * Drops pooled scratch buffers if the canvas size or density changed
      * @private
      */
-    _captureLayerImage(layer) {
-      const source = layer.framebuffer;
-      if (!source) {
-        return null;
+    _ensureBuffers() {
+      const p = this.p;
+      
+      const currentDensity = p.pixelDensity();
+      const needsResize = this._bufferWidth !== p.width ||
+                this._bufferHeight !== p.height ||
+                this._bufferDensity !== currentDensity;
+      
+      if (needsResize) {
+        this._disposeBuffers();
+        this._bufferWidth = p.width;
+        this._bufferHeight = p.height;
+        this._bufferDensity = currentDensity;
       }
+    }
 
-      const p = this.layerSystem.p;
-      if (!p) {
-        return null;
+    /**
+     * Takes a scratch buffer from the pool, creating one if needed. Buffers are
+     * canvas-sized unless a size is given (effects run at the layer's own size).
+     * Nested groups need more than the usual ping-pong pair, so buffers are pooled.
+     * @private
+     * @param {number} [width] - Buffer width, defaults to the canvas width
+     * @param {number} [height] - Buffer height, defaults to the canvas height
+     * @param {number} [density] - Buffer pixel density, defaults to the canvas density
+     * @returns {p5.Framebuffer}
+     */
+    _acquireBuffer(width = this._bufferWidth, height = this._bufferHeight, density = this._bufferDensity) {
+      const index = this._freeBuffers.findIndex(buffer =>
+        buffer.width === width && buffer.height === height && buffer.density === density
+      );
+      if (index !== -1) {
+        return this._freeBuffers.splice(index, 1)[0];
       }
 
-      // Calculate downsampled dimensions
-      const maxSize = Math.max(1, this.options.thumbnailSampleMaxSize);
-      const sourceWidth = source.width || p.width;
-      const sourceHeight = source.height || p.height;
-      const largestSide = Math.max(sourceWidth, sourceHeight);
-      const scale = largestSide > maxSize ? maxSize / largestSide : 1;
-      const sampleWidth = Math.max(1, Math.round(sourceWidth * scale));
-      const sampleHeight = Math.max(1, Math.round(sourceHeight * scale));
-
-      try {
-        const buffer = this._getDownsampleBuffer(sampleWidth, sampleHeight);
-        if (!buffer) {
-          // Fallback to direct get() if buffer creation failed
-          if (typeof source.get === 'function') {
-            return source.get();
-          }
-          return null;
-        }
+      const buffer = this.p.createFramebuffer({
+        width,
+        height,
+        density,
+        antialias: false,
+        depth: false
+      });
+      this._buffers.push(buffer);
+      return buffer;
+    }
 
-        // GPU-to-GPU copy: render source framebuffer to small buffer
-        buffer.begin();
-        p.clear();
-        p.push();
-        p.imageMode(p.CORNER);
-        // Translate to top-left corner (WEBGL origin is center)
-        p.translate(-sampleWidth / 2, -sampleHeight / 2);
-        p.image(source, 0, 0, sampleWidth, sampleHeight);
-        p.pop();
-        buffer.end();
+    /**
+     * Returns a scratch buffer to the pool
+     * @private
+     * @param {p5.Framebuffer} buffer
+     */
+    _releaseBuffer(buffer) {
+      if (buffer && this._buffers.includes(buffer) && !this._freeBuffers.includes(buffer)) {
+        this._freeBuffers.push(buffer);
+      }
+    }
 
-        // Small readback: only ~150KB instead of ~8MB
-        const result = buffer.get();
+    /**
+     * Removes every pooled scratch buffer
+     * @private
+     */
+    _disposeBuffers() {
+      for (const buffer of this._buffers) {
+        buffer.remove();
+      }
+      this._buffers = [];
+      this._freeBuffers = [];
+      this._cache = null;
+    }
 
-        // Store original dimensions for bounds scaling
-        result._originalWidth = sourceWidth;
-        result._originalHeight = sourceHeight;
+    /**
+     * Whether a layer or group contributes anything to the composite
+     * @private
+     */
+    _isNodeVisible(node) {
+      return node.visible && node.opacity > 0;
+    }
 
-        return result;
-      } catch (e) {
-        console.debug('Could not capture downsampled thumbnail:', e);
-        // Fallback to direct get()
-        if (typeof source.get === 'function') {
-          return source.get();
-        }
-        return null;
-      }
+    /**
+     * Blends a texture over a background into the current framebuffer
+     * @param {p5.Framebuffer} texture - The source pixels to blend
+     * @param {p5.Framebuffer} backgroundBuffer - The background to composite onto
+     * @param {{opacity: number, blendMode: string, mask: (p5.Framebuffer|p5.Image|Layer|null), maskOptions?: Object, preserveAlpha?: boolean, transform?: (Object|null), inView?: boolean}} settings
+     *   preserveAlpha composites source-atop, keeping the background's coverage;
+     *   transform places the texture on the canvas (see _getLayerTransform);
+     *   inView marks scratch buffers, which cover the same area as the target
+     * @private
+     */
+    _drawComposite(texture, backgroundBuffer, settings) {
+      this._drawBatch([{ texture, settings }], backgroundBuffer);
     }
 
-    _calculateBoundsFromCanvas(sourceCanvas) {
-      if (!this._thumbnailScratchCtx || !sourceCanvas.width || !sourceCanvas.height) {
-        return null;
+    /**
+     * Blends several textures over a background into the current framebuffer
+     * in one pass, bottom to top. A single item uses the plain compositor shader.
+     * @param {Array<{texture: p5.Framebuffer, settings: Object}>} items - Textures and their _drawComposite settings
+     * @param {p5.Framebuffer} backgroundBuffer - The background to composite onto
+     * @private
+     */
+    _drawBatch(items, backgroundBuffer) {
+      const shader = items.length > 1 ? this._ensureBatchShader(items.length) : this._ensureShader();
+      if (!shader) {
+        console.warn('Compositor shader not available, skipping layer');
+        return;
       }
 
-      const maxSize = Math.max(1, this.options.thumbnailSampleMaxSize);
-      const largestSide = Math.max(sourceCanvas.width, sourceCanvas.height);
-      const scale = largestSide > maxSize ? maxSize / largestSide : 1;
-      const sampleWidth = Math.max(1, Math.round(sourceCanvas.width * scale));
-      const sampleHeight = Math.max(1, Math.round(sourceCanvas.height * scale));
+      const p = this.p;
 
-      this._thumbnailScratchCanvas.width = sampleWidth;
-      this._thumbnailScratchCanvas.height = sampleHeight;
+      // Save current state
+      p.push();
 
-      const ctx = this._thumbnailScratchCtx;
-      ctx.clearRect(0, 0, sampleWidth, sampleHeight);
-      ctx.drawImage(sourceCanvas, 0, 0, sampleWidth, sampleHeight);
+      // Use normal blending since we're doing the blend in the shader
+      p.blendMode(p.BLEND);
 
-      let imageData;
-      try {
-        imageData = ctx.getImageData(0, 0, sampleWidth, sampleHeight);
-      } catch (e) {
-        console.debug('Could not read thumbnail buffer:', e);
-        return null;
-      }
+      // Use the compositor shader
+      p.shader(shader);
 
-      const bounds = computeAlphaBounds(imageData.data, sampleWidth, sampleHeight, {
-        alphaThreshold: this.options.thumbnailAlphaThreshold,
-        stride: this.options.thumbnailSampleStride
+      // Set uniforms
+      shader.setUniform('backgroundTexture', backgroundBuffer);
+      shader.setUniform('canvasSize', [p.width, p.height]);
+      shader.setUniform('viewRect', this._view);
+      items.forEach((item, index) => {
+        this._setLayerUniforms(shader, items.length > 1 ? index : '', item.texture, item.settings);
       });
 
-      if (!bounds) {
-        return null;
-      }
+      // Draw a full-screen quad
+      p.imageMode(p.CENTER);
+      p.rectMode(p.CENTER);
+      p.noStroke();
+      p.fill(255);
+      p.rect(0, 0, p.width, p.height);
 
-      const scaleX = sourceCanvas.width / sampleWidth;
-      const scaleY = sourceCanvas.height / sampleHeight;
-      return {
-        x: bounds.x * scaleX,
-        y: bounds.y * scaleY,
-        width: bounds.width * scaleX,
-        height: bounds.height * scaleY
-      };
+      // Reset shader
+      p.resetShader();
+
+      // Restore state
+      p.pop();
     }
 
-    _applyBoundsToCache(cacheEntry, bounds, sourceSize) {
-      if (!cacheEntry) {
-        return;
+    /**
+     * Sets the uniforms of one layer slot of the compositor shader
+     * @param {p5.Shader} shader - The compositor shader
+     * @param {number|string} slot - Slot number, or '' for the single-layer shader
+     * @param {p5.Framebuffer} texture - The source pixels to blend
+     * @param {Object} settings - See _drawComposite
+     * @private
+     */
+    _setLayerUniforms(shader, slot, texture, settings) {
+      const p = this.p;
+      const set = (name, value) => shader.setUniform(`${name}${slot}`, value);
+
+      // Layers used as live masks contribute their current pixels
+      const mask = settings.mask instanceof Layer ? settings.mask.framebuffer : settings.mask;
+
+      set('layerTexture', texture);
+      set('maskTexture', mask || texture);
+      set('hasMask', mask ? true : false);
+      set('layerOpacity', settings.opacity);
+      set('blendMode', getBlendModeIndex(settings.blendMode));
+      set('preserveAlpha', settings.preserveAlpha ? true : false);
+      set('textureInView', settings.inView ? true : false);
+
+      const transform = settings.transform || null;
+      set('hasTransform', transform ? true : false);
+      if (transform) {
+        set('layerSize', transform.size);
+        set('layerPivot', transform.pivot);
+        set('layerAnchor', transform.anchor);
+        set('layerScale', transform.scale);
+        set('layerRotation', transform.rotation);
+      }
+
+      if (mask) {
+        const maskOptions = { ...DEFAULT_MASK_OPTIONS, ...settings.maskOptions };
+        const size = transform ? transform.size : [p.width, p.height];
+        const mapping = this._getMaskMapping(mask, maskOptions.fit, size);
+        set('maskChannel', getMaskChannelIndex(maskOptions.channel));
+        set('maskInvert', maskOptions.invert);
+        set('maskDensity', maskOptions.density);
+        set('maskFeather', [maskOptions.feather / size[0], maskOptions.feather / size[1]]);
+        set('maskScale', mapping.scale);
+        set('maskOffset', mapping.offset);
+        set('maskClampEdges', mapping.clampEdges);
       }
+    }
 
-      // Only use sliding window smoothing when thumbnailAutoUpdate is true (every frame).
-      // With irregular updates (thumbnailUpdateEvery or click-only), use bounds directly.
-      const useSmoothing = this.options.thumbnailAutoUpdate;
-
-      if (!useSmoothing) {
-        // Direct mode: just use the current bounds with padding
-        if (bounds && bounds.width > 0 && bounds.height > 0) {
-          cacheEntry.drawBounds = padBounds(
-            bounds,
-            this.options.thumbnailPadding,
-            sourceSize.width,
-            sourceSize.height
-          );
-        } else if (!cacheEntry.drawBounds) {
-          cacheEntry.drawBounds = this._createFullBounds(sourceSize);
-        }
-        return;
+    /**
+     * Works out how layer texture coordinates map onto a mask's texture
+     * @param {p5.Framebuffer|p5.Image} mask - The mask texture
+     * @param {string} fit - One of the MaskFit constants
+     * @param {number[]} size - Size of the layer the mask is applied to
+     * @returns {{scale: number[], offset: number[], clampEdges: boolean}}
+     * @private
+     */
+    _getMaskMapping(mask, fit, size) {
+      const [width, height] = size;
+      const maskWidth = mask.width || width;
+      const maskHeight = mask.height || height;
+
+      if (fit === MaskFit.NONE) {
+        return {
+          scale: [width / maskWidth, height / maskHeight],
+          offset: [0, 0],
+          clampEdges: false
+        };
       }
 
-      // Smoothing mode: use sliding window for every-frame updates
-      if (!cacheEntry.window) {
-        cacheEntry.window = [];
+      if (fit === MaskFit.CONTAIN || fit === MaskFit.COVER) {
+        // Scale the mask uniformly, then center it on the layer
+        const ratio = fit === MaskFit.CONTAIN
+          ? Math.min(width / maskWidth, height / maskHeight)
+          : Math.max(width / maskWidth, height / maskHeight);
+        const scale = [width / (maskWidth * ratio), height / (maskHeight * ratio)];
+        return {
+          scale,
+          offset: [0.5 - scale[0] * 0.5, 0.5 - scale[1] * 0.5],
+          clampEdges: fit === MaskFit.COVER
+        };
       }
 
-      if (bounds) {
-        cacheEntry.window.push(bounds);
-        const maxWindow = Math.max(1, this.options.thumbnailAnimationWindow || 0);
-        while (cacheEntry.window.length > maxWindow) {
-          cacheEntry.window.shift();
-        }
-        cacheEntry.emptyFrames = 0;
-      } else {
-        const resetLimit = Math.max(1, this.options.thumbnailEmptyFrameReset || 0);
-        cacheEntry.emptyFrames = (cacheEntry.emptyFrames || 0) + 1;
-        if (cacheEntry.emptyFrames >= resetLimit) {
-          cacheEntry.window = [];
-          cacheEntry.emptyFrames = resetLimit;
-        }
-      }
+      return { scale: [1, 1], offset: [0, 0], clampEdges: true };
+    }
 
-      const merged = mergeBounds(cacheEntry.window);
-      const padded = merged
-        ? padBounds(merged, this.options.thumbnailPadding, sourceSize.width, sourceSize.height)
-        : null;
+    /**
+     * Runs one effect shader pass from a source texture into a new scratch buffer
+     * @param {number} pass - Effect pass index in effect.frag
+     * @param {p5.Framebuffer} source - Texture to read from
+     * @param {Object} settings - Pass uniforms
+     * @param {number[]} settings.params - vec4 of pass parameters
+     * @param {number[]} [settings.direction] - Blur direction
+     * @param {p5.Framebuffer} [settings.original] - Unprocessed layer pixels for combine passes
+     * @param {Layer} layer - The layer being processed (sets the buffer size)
+     * @returns {p5.Framebuffer} A pooled buffer holding the result
+     * @private
+     */
+    _runEffectPass(pass, source, settings, layer) {
+      const p = this.p;
+      const shader = this._ensureEffectShader();
+      const target = this._acquireBuffer(layer.width, layer.height, layer.density);
 
-      if (padded && padded.width > 0 && padded.height > 0) {
-        cacheEntry.drawBounds = padded;
-      } else if (!cacheEntry.drawBounds) {
-        cacheEntry.drawBounds = this._createFullBounds(sourceSize);
+      target.begin();
+      p.clear();
+      if (shader) {
+        p.push();
+        p.blendMode(p.BLEND);
+        p.shader(shader);
+
+        shader.setUniform('sourceTexture', source);
+        shader.setUniform('originalTexture', settings.original || source);
+        shader.setUniform('effectPass', pass);
+        shader.setUniform('texelSize', [1 / layer.width, 1 / layer.height]);
+        shader.setUniform('direction', settings.direction || [0, 0]);
+        shader.setUniform('effectParams', settings.params);
+
+        p.rectMode(p.CENTER);
+        p.noStroke();
+        p.fill(255);
+        p.rect(0, 0, p.width, p.height);
+
+        p.resetShader();
+        p.pop();
       }
+      target.end();
 
-      if (!cacheEntry.window.length) {
-        cacheEntry.drawBounds = this._createFullBounds(sourceSize);
-      }
+      return target;
     }
 
-    _createFullBounds(sourceSize) {
-      const width = sourceSize.width || 0;
-      const height = sourceSize.height || 0;
-      return { x: 0, y: 0, width, height };
+    /**
+     * Runs a two-pass separable Gaussian blur
+     * @private
+     * @returns {p5.Framebuffer} A pooled buffer holding the result
+     */
+    _runBlur(source, radius, threshold, layer) {
+      const horizontal = this._runEffectPass(0, source, {
+        params: [radius, threshold, 0, 0],
+        direction: [1, 0]
+      }, layer);
+      // The threshold was already applied by the first pass
+      const vertical = this._runEffectPass(0, horizontal, {
+        params: [radius, 0, 0, 0],
+        direction: [0, 1]
+      }, layer);
+      this._releaseBuffer(horizontal);
+      return vertical;
     }
 
     /**
-     * Returns a scalar in [0, 1] representing how tight the crop is.
-     * 0 = no crop (full layer), 1 = extremely tight crop (tiny region)
+     * Applies a single effect to a source texture
+     * @param {LayerEffect} effect - The effect to apply
+     * @param {p5.Framebuffer} source - Pixels to process
+     * @param {Layer} layer - The layer being processed
+     * @returns {p5.Framebuffer} A pooled buffer holding the result
      * @private
      */
-    _getCropAmount(sourceCanvas, bounds) {
-      if (!sourceCanvas || !bounds || bounds.width <= 0 || bounds.height <= 0) {
-        return 0;
+    _runEffect(effect, source, layer) {
+      const params = effect.params;
+      switch (effect.type) {
+        case EffectTypes.BLUR:
+          return this._runBlur(source, params.radius, 0, layer);
+        case EffectTypes.GLOW: {
+          const blurred = this._runBlur(source, params.radius, params.threshold, layer);
+          const result = this._runEffectPass(1, blurred, {
+            params: [params.intensity, 0, 0, 0],
+            original: source
+          }, layer);
+          this._releaseBuffer(blurred);
+          return result;
+        }
+        case EffectTypes.SHARPEN: {
+          const blurred = this._runBlur(source, params.radius, 0, layer);
+          const result = this._runEffectPass(2, blurred, {
+            params: [params.amount, 0, 0, 0],
+            original: source
+          }, layer);
+          this._releaseBuffer(blurred);
+          return result;
+        }
+        case EffectTypes.POSTERIZE:
+          return this._runEffectPass(3, source, { params: [params.levels, 0, 0, 0] }, layer);
+        case EffectTypes.PIXELATE:
+          return this._runEffectPass(4, source, { params: [params.size, 0, 0, 0] }, layer);
+        case EffectTypes.CHROMATIC_OFFSET:
+          return this._runEffectPass(5, source, { params: [params.offsetX, params.offsetY, 0, 0] }, layer);
+        case EffectTypes.NOISE:
+          return this._runEffectPass(6, source, {
+            params: [params.amount, params.seed, params.monochrome ? 1 : 0, 0]
+          }, layer);
+        default:
+          console.warn(`Unknown effect type: ${effect.type}, skipping`);
+          return null;
       }
+    }
 
-      const layerWidth = sourceCanvas.width || 1;
-      const layerHeight = sourceCanvas.height || 1;
-      const areaLayer = layerWidth * layerHeight;
-      const areaCrop = bounds.width * bounds.height;
+    /**
+     * Runs a layer's enabled effects on a copy of its pixels
+     * @param {Layer} layer - The layer to process
+     * @returns {p5.Framebuffer|null} A pooled buffer with the processed pixels, or null if no effects ran
+     * @private
+     */
+    _applyEffects(layer) {
+      let result = null;
 
-      if (!Number.isFinite(areaLayer) || areaLayer <= 0) {
-        return 0;
+      for (const effect of layer.getActiveEffects()) {
+        const next = this._runEffect(effect, result || layer.framebuffer, layer);
+        if (!next) {
+          continue;
+        }
+        this._releaseBuffer(result);
+        result = next;
       }
 
-      const visibleFraction = Math.max(0, Math.min(1, areaCrop / areaLayer));
-      return 1 - visibleFraction;
+      return result;
     }
 
-    _drawThumbnailImage(ctx, targetCanvas, sourceCanvas, bounds) {
-      if (!bounds || bounds.width <= 0 || bounds.height <= 0) {
-        return;
+    /**
+     * Gets the uniforms that place a layer on the canvas. Canvas-sized layers
+     * without a transform map 1:1 and return null, which skips the math.
+     * @param {Layer} layer
+     * @returns {{size: number[], pivot: number[], anchor: number[], scale: number[], rotation: number}|null}
+     * @private
+     */
+    _getLayerTransform(layer) {
+      const p = this.p;
+      if (!layer.hasTransform() && layer.width === p.width && layer.height === p.height) {
+        return null;
       }
 
-      // Always fit the cropped region into the thumbnail while preserving aspect
-      const scale = Math.min(
-        targetCanvas.width / bounds.width,
-        targetCanvas.height / bounds.height
-      );
+      const anchor = [layer.anchorX * layer.width, layer.anchorY * layer.height];
+      return {
+        size: [layer.width, layer.height],
+        pivot: [layer.x + anchor[0], layer.y + anchor[1]],
+        anchor,
+        scale: [layer.scaleX, layer.scaleY],
+        rotation: layer.rotation
+      };
+    }
 
-      const destWidth = Math.max(1, bounds.width * scale);
-      const destHeight = Math.max(1, bounds.height * scale);
-      const destX = (targetCanvas.width - destWidth) / 2;
-      const destY = (targetCanvas.height - destHeight) / 2;
+    /**
+     * Renders a single layer to the current framebuffer
+     * @param {Layer} layer - The layer to render
+     * @param {p5.Framebuffer} backgroundBuffer - The background to composite onto
+     * @param {p5.Framebuffer|null} [processed] - The layer's pixels after effects, if any
+     * @param {Object} [overrides] - Composite settings that replace the layer's own
+     * @private
+     */
+    _renderLayer(layer, backgroundBuffer, processed = null, overrides = {}) {
+      if (!layer.framebuffer) {
+        console.warn(`Layer ${layer.name} has no framebuffer, skipping`);
+        return;
+      }
 
-      ctx.save();
-      ctx.imageSmoothingEnabled = false;
-      ctx.drawImage(
-        sourceCanvas,
-        bounds.x,
-        bounds.y,
-        bounds.width,
-        bounds.height,
-        destX,
-        destY,
-        destWidth,
-        destHeight
-      );
-      ctx.restore();
+      this._drawComposite(processed || layer.framebuffer, backgroundBuffer, this._getLayerSettings(layer, overrides));
     }
 
     /**
-     * Creates a DOM element for a single layer
+     * Gets the _drawComposite settings for a layer
+     * @param {Layer} layer
+     * @param {Object} [overrides] - Composite settings that replace the layer's own
+     * @returns {Object}
      * @private
      */
-    _createLayerElement(layer) {
-      const layerEl = document.createElement('div');
-      layerEl.className = 'p5ml-layer-item';
-      layerEl.dataset.layerId = layer.id;
-
-      // Add click handler to select layer and update thumbnail
-      const signal = this.layerSystem.p._removeSignal;
-      layerEl.addEventListener('click', (e) => {
-        // Close all dropdowns when clicking on the layer row itself
-        if (e.target.classList.contains('p5ml-layer-row') ||
-            e.target.classList.contains('p5ml-layer-name') ||
-            e.target.classList.contains('p5ml-layer-thumbnail') ||
-            e.target.classList.contains('p5ml-thumbnail-canvas')) {
-          this._closeAllDropdowns();
-          this._selectLayer(layer.id);
-          // Force capture on click so thumbnail updates with current layer content
-          this._captureNeeded.add(layer.id);
-          this._updateLayerThumbnail(layer.id);
-        }
-      }, { signal });
+    _getLayerSettings(layer, overrides = {}) {
+      return {
+        opacity: layer.opacity,
+        blendMode: layer.blendMode,
+        mask: layer.mask,
+        maskOptions: layer.maskOptions,
+        transform: this._getLayerTransform(layer),
+        ...overrides
+      };
+    }
 
-      // Main layer row (Procreate style: thumbnail | name | blend letter | checkbox)
-      const layerRow = document.createElement('div');
-      layerRow.className = 'p5ml-layer-row';
+    /**
+     * Draws an adjusted, opaque copy of the background into the current framebuffer.
+     * The result is then blended source-atop like a pixel layer, so adjustment
+     * layers get opacity, blend modes and masks for free without adding coverage.
+     * @param {AdjustmentLayer} layer - The adjustment to apply
+     * @param {p5.Framebuffer} backgroundBuffer - The composite of everything below
+     * @private
+     */
+    _applyAdjustment(layer, backgroundBuffer) {
+      const shader = this._ensureAdjustmentShader();
+      if (!shader) {
+        console.warn('Adjustment shader not available, skipping layer');
+        return;
+      }
 
-      // Left: Thumbnail
-      const thumbnail = this._createThumbnail();
-      thumbnail.className = 'p5ml-layer-thumbnail';
-      layerRow.appendChild(thumbnail);
+      const p = this.p;
+      const { params0, params1 } = layer.getShaderParams();
 
-      // Center: Layer name
-      const nameSpan = document.createElement('span');
-      nameSpan.className = 'p5ml-layer-name';
-      nameSpan.textContent = layer.name;
-      layerRow.appendChild(nameSpan);
+      p.push();
+      p.blendMode(p.BLEND);
+      p.shader(shader);
 
-      // Right side controls container
-      const rightControls = document.createElement('div');
-      rightControls.className = 'p5ml-right-controls';
+      shader.setUniform('backgroundTexture', backgroundBuffer);
+      shader.setUniform('lookupTexture', layer.getLookupImage() || backgroundBuffer);
+      shader.setUniform('adjustmentType', getAdjustmentTypeIndex(layer.adjustment));
+      shader.setUniform('adjustmentParams0', params0);
+      shader.setUniform('adjustmentParams1', params1);
 
-      // Blend mode letter indicator (clickable)
-      const blendIndicator = document.createElement('button');
-      blendIndicator.className = 'p5ml-blend-indicator';
-      blendIndicator.textContent = this._getBlendModeLetter(layer.blendMode);
-      blendIndicator.title = `Blend Mode: ${layer.blendMode}`;
-      blendIndicator.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const dropdown = layerEl.querySelector('.p5ml-layer-dropdown');
-        const isExpanded = dropdown.style.display === 'block';
+      p.rectMode(p.CENTER);
+      p.noStroke();
+      p.fill(255);
+      p.rect(0, 0, p.width, p.height);
 
-        // Close all other dropdowns first
-        this._closeAllDropdowns();
+      p.resetShader();
+      p.pop();
+    }
 
-        // Toggle this dropdown (if it wasn't already open)
-        dropdown.style.display = isExpanded ? 'none' : 'block';
-      }, { signal });
+    /**
+     * Renders a group to the current framebuffer.
+     * Isolated groups composite their children onto transparency and blend the
+     * result as one unit; pass-through groups composite their children onto the
+     * background and fade the result in with the group's opacity and mask.
+     * @param {LayerGroup} group - The group to render
+     * @param {p5.Framebuffer} backgroundBuffer - The background to composite onto
+     * @param {p5.Framebuffer} groupResult - The already composited children
+     * @param {Object} [overrides] - Composite settings that replace the group's own
+     * @private
+     */
+    _renderGroup(group, backgroundBuffer, groupResult, overrides = {}) {
+      this._drawComposite(groupResult, backgroundBuffer, this._getGroupSettings(group, overrides));
+    }
 
-      // Visibility checkbox
-      const visibilityCheckbox = document.createElement('input');
-      visibilityCheckbox.type = 'checkbox';
-      visibilityCheckbox.className = 'p5ml-visibility-checkbox';
-      visibilityCheckbox.checked = layer.visible;
-      visibilityCheckbox.title = 'Toggle visibility';
-      visibilityCheckbox.addEventListener('change', (e) => {
-        e.stopPropagation();
-        if (e.target.checked) {
-          this.layerSystem.show(layer.id);
-        } else {
-          this.layerSystem.hide(layer.id);
-        }
-      }, { signal });
+    /**
+     * Gets the _drawComposite settings for a group's composited children
+     * @param {LayerGroup} group
+     * @param {Object} [overrides] - Composite settings that replace the group's own
+     * @returns {Object}
+     * @private
+     */
+    _getGroupSettings(group, overrides = {}) {
+      return {
+        opacity: group.opacity,
+        blendMode: group.passThrough ? BlendModes.NORMAL : group.blendMode,
+        mask: group.mask,
+        maskOptions: group.maskOptions,
+        inView: true,
+        ...overrides
+      };
+    }
 
-      rightControls.appendChild(blendIndicator);
-      rightControls.appendChild(visibilityCheckbox);
-      layerRow.appendChild(rightControls);
+    /**
+     * Composites one node over a background into a target buffer
+     * @param {LayerNode} node - The layer, group or adjustment to composite
+     * @param {p5.Framebuffer} backgroundBuffer - The composite of everything below
+     * @param {p5.Framebuffer} target - Buffer that receives the result
+     * @param {Object} [overrides] - Composite settings that replace the node's own
+     * @private
+     */
+    _compositeNode(node, backgroundBuffer, target, overrides = {}) {
+      const p = this.p;
 
-      // Dropdown panel (hidden by default, shown when blend indicator is clicked)
-      const dropdown = document.createElement('div');
-      dropdown.className = 'p5ml-layer-dropdown';
-      dropdown.style.display = 'none';
+      if (node.type === 'group') {
+        // Composite the children first, then blend them in as one unit
+        const groupResult = node.passThrough
+          ? this._compositeStack(node.getChildren(), backgroundBuffer)
+          : this._compositeStack(node.getChildren());
 
-      // Opacity control
-      const opacityGroup = document.createElement('div');
-      opacityGroup.className = 'p5ml-control-group';
+        target.begin();
+        p.clear();
+        this._renderGroup(node, backgroundBuffer, groupResult, overrides);
+        target.end();
+
+        this._releaseBuffer(groupResult);
+      } else if (node.type === 'adjustment') {
+        // Adjust a copy of everything below, then blend it back in
+        const adjusted = this._acquireBuffer();
+        adjusted.begin();
+        p.clear();
+        this._applyAdjustment(node, backgroundBuffer);
+        adjusted.end();
 
-      const opacityLabel = document.createElement('label');
-      opacityLabel.textContent = 'OPACITY';
+        target.begin();
+        p.clear();
+        this._drawComposite(adjusted, backgroundBuffer, {
+          opacity: node.opacity,
+          blendMode: node.blendMode,
+          mask: node.mask,
+          maskOptions: node.maskOptions,
+          preserveAlpha: true,
+          inView: true,
+          ...overrides
+        });
+        target.end();
 
-      const opacityValue = document.createElement('span');
-      opacityValue.className = 'p5ml-opacity-value';
-      opacityValue.textContent = Math.round(layer.opacity * 100) + '%';
+        this._releaseBuffer(adjusted);
+      } else {
+        // Effects render into their own buffers, so run them before binding the target
+        const processed = node.framebuffer ? this._applyEffects(node) : null;
 
-      const opacitySlider = document.createElement('input');
-      opacitySlider.type = 'range';
-      opacitySlider.min = '0';
-      opacitySlider.max = '100';
-      opacitySlider.value = Math.round(layer.opacity * 100);
-      opacitySlider.className = 'p5ml-opacity-slider';
-      opacitySlider.addEventListener('input', (e) => {
-        e.stopPropagation();
-        const value = parseFloat(e.target.value) / 100;
-        this.layerSystem.setOpacity(layer.id, value);
-        opacityValue.textContent = e.target.value + '%';
-      }, { signal });
+        target.begin();
+        p.clear();
+        this._renderLayer(node, backgroundBuffer, processed, overrides);
+        target.end();
 
-      opacityGroup.appendChild(opacityLabel);
-      opacityGroup.appendChild(opacityValue);
-      opacityGroup.appendChild(opacitySlider);
+        this._releaseBuffer(processed);
+      }
+    }
 
-      // Blend mode control
-      const blendGroup = document.createElement('div');
-      blendGroup.className = 'p5ml-control-group';
+    /**
+     * Composites a clipping group: the base is drawn alone onto transparency,
+     * each clipped node is composited source-atop so it only covers the base's
+     * pixels, and the caller blends the result with the base's opacity and mode.
+     * @param {LayerNode} base - The non-clipped node at the bottom of the group
+     * @param {LayerNode[]} clippedNodes - Visible clipped nodes above it, in stack order
+     * @returns {p5.Framebuffer} A pooled buffer holding the result; release it when done
+     * @private
+     */
+    _compositeClippingGroup(base, clippedNodes) {
+      const p = this.p;
 
-      const blendLabel = document.createElement('label');
-      blendLabel.textContent = 'BLEND MODE';
+      let currentBuffer = this._acquireBuffer();
+      let nextBuffer = this._acquireBuffer();
 
-      const blendSelect = document.createElement('select');
-      blendSelect.className = 'p5ml-blend-select';
+      currentBuffer.begin();
+      p.clear();
+      currentBuffer.end();
 
-      Object.values(BlendModes).forEach(mode => {
-        const option = document.createElement('option');
-        option.value = mode;
-        option.textContent = this._formatBlendModeName(mode);
-        option.selected = layer.blendMode === mode;
-        blendSelect.appendChild(option);
+      // The base's mask shapes the clip, its opacity and mode apply to the whole group
+      this._compositeNode(base, currentBuffer, nextBuffer, {
+        opacity: 1,
+        blendMode: BlendModes.NORMAL
       });
+      [currentBuffer, nextBuffer] = [nextBuffer, currentBuffer];
 
-      blendSelect.addEventListener('change', (e) => {
-        e.stopPropagation();
-        this.layerSystem.setBlendMode(layer.id, e.target.value);
-        blendIndicator.textContent = this._getBlendModeLetter(e.target.value);
-        blendIndicator.title = `Blend Mode: ${e.target.value}`;
-      }, { signal });
-
-      blendGroup.appendChild(blendLabel);
-      blendGroup.appendChild(blendSelect);
-
-      dropdown.appendChild(opacityGroup);
-      dropdown.appendChild(blendGroup);
-
-      // Assemble layer element
-      layerEl.appendChild(layerRow);
-      layerEl.appendChild(dropdown);
+      for (const node of clippedNodes) {
+        this._compositeNode(node, currentBuffer, nextBuffer, { preserveAlpha: true });
+        [currentBuffer, nextBuffer] = [nextBuffer, currentBuffer];
+      }
 
-      return layerEl;
+      this._releaseBuffer(nextBuffer);
+      return currentBuffer;
     }
 
     /**
-     * Gets a single letter representing the blend mode
+     * Sorts a stack and splits it into chains: a node followed by the nodes
+     * clipped to it, which are composited together and hidden along with it.
+     * Adjustments have no shape to clip to, so nodes clipped to one start a
+     * chain of their own and are drawn normally.
+     * @param {LayerNode[]} nodes - Layers and groups in one stack
+     * @returns {LayerNode[][]} Chains in stack order
      * @private
      */
-    _getBlendModeLetter(blendMode) {
-      const letters = {
-        [BlendModes.NORMAL]: 'N',
-        [BlendModes.MULTIPLY]: 'M',
-        [BlendModes.SCREEN]: 'S',
-        [BlendModes.OVERLAY]: 'O',
-        [BlendModes.DARKEN]: 'D',
-        [BlendModes.LIGHTEN]: 'Li',
-        [BlendModes.COLOR_DODGE]: 'Cd',
-        [BlendModes.COLOR_BURN]: 'B',
-        [BlendModes.HARD_LIGHT]: 'HL',
-        [BlendModes.SOFT_LIGHT]: 'SL',
-        [BlendModes.DIFFERENCE]: 'Di',
-        [BlendModes.EXCLUSION]: 'E',
-        [BlendModes.ADD]: 'A',
-        [BlendModes.SUBTRACT]: 'Su',
-      };
-      return letters[blendMode] || '-';
+    _splitChains(nodes) {
+      // Sort layers by zIndex (ascending)
+      const sortedNodes = (this._filter ? nodes.filter(this._filter) : [...nodes])
+        .sort((a, b) => a.zIndex - b.zIndex);
+
+      const chains = [];
+      let i = 0;
+      while (i < sortedNodes.length) {
+        let end = i + 1;
+        if (sortedNodes[i].type !== 'adjustment') {
+          while (end < sortedNodes.length && sortedNodes[end].clipped) {
+            end++;
+          }
+        }
+        chains.push(sortedNodes.slice(i, end));
+        i = end;
+      }
+      return chains;
     }
 
     /**
-     * Formats blend mode name for display
+     * Renders what a chain blends onto the composite below it. Adjustments and
+     * pass-through groups read that composite while rendering, so they're
+     * returned as direct and composited on their own by _compositeChains.
+     * @param {LayerNode[]} chain - A node and the nodes clipped to it (see _splitChains)
+     * @returns {{texture: p5.Framebuffer, settings: Object, buffers: p5.Framebuffer[]}|{direct: true, node: LayerNode}|null}
+     *   The texture and its settings, plus the pooled buffers to release once it's drawn;
+     *   null for hidden chains
      * @private
      */
-    _formatBlendModeName(mode) {
-      // Convert BLEND_MODE to "Blend Mode"
-      return mode.split('_')
-        .map(word => word.charAt(0) + word.slice(1).toLowerCase())
-        .join(' ');
-    }
+    _prepareChain(chain) {
+      const [node, ...rest] = chain;
 
-    /**
-     * Creates a thumbnail canvas for a framebuffer or image
-     * @private
-     */
-    _createThumbnail() {
-      const container = document.createElement('div');
-      container.className = 'p5ml-thumbnail';
+      if (!this._isNodeVisible(node)) {
+        return null;
+      }
 
-      const canvas = document.createElement('canvas');
-      canvas.className = 'p5ml-thumbnail-canvas';
-      canvas.width = 60;
-      canvas.height = 60;
+      const clippedNodes = rest.filter(clippedNode => this._isNodeVisible(clippedNode));
+      if (clippedNodes.length > 0) {
+        const clipResult = this._compositeClippingGroup(node, clippedNodes);
+        return {
+          texture: clipResult,
+          settings: {
+            opacity: node.opacity,
+            blendMode: node.type === 'group' && node.passThrough ? BlendModes.NORMAL : node.blendMode,
+            mask: null,
+            inView: true
+          },
+          buffers: [clipResult]
+        };
+      }
 
-      const ctx = canvas.getContext('2d');
+      if (node.type === 'adjustment' || (node.type === 'group' && node.passThrough) ||
+          (node.type !== 'group' && !node.framebuffer)) {
+        return { direct: true, node };
+      }
 
-      // Draw a checkerboard background for transparency
-      this._drawCheckerboard(ctx, canvas.width, canvas.height);
+      if (node.type === 'group') {
+        const groupResult = this._compositeStack(node.getChildren());
+        return { texture: groupResult, settings: this._getGroupSettings(node), buffers: [groupResult] };
+      }
 
-      container.appendChild(canvas);
-      return container;
+      const processed = this._applyEffects(node);
+      return {
+        texture: processed || node.framebuffer,
+        settings: this._getLayerSettings(node),
+        buffers: processed ? [processed] : []
+      };
     }
 
-
     /**
-     * Draws a checkerboard pattern for transparency background
+     * Composites chains over a buffer. Consecutive chains are blended together
+     * in one pass of a batched shader, up to _getMaxBatchSize() at a time.
+     * Each pass draws into a fresh pooled buffer and releases the one it read
+     * from, unless that one is kept.
+     * @param {LayerNode[][]} chains - Chains in stack order (see _splitChains)
+     * @param {p5.Framebuffer} startBuffer - The composite below the first chain
+     * @param {Object} [options]
+     * @param {number} [options.from=0] - Index of the first chain to composite
+     * @param {number} [options.snapshotAt=-1] - Index of a chain whose backdrop should be
+     *   kept in its own buffer, returned as the snapshot
+     * @param {p5.Framebuffer[]} [options.keep] - Buffers that must not be released
+     * @returns {{result: p5.Framebuffer, snapshot: p5.Framebuffer|null}} Pooled buffers; release them when done
      * @private
      */
-    _drawCheckerboard(ctx, width, height, cropAmount = 0) {
-      if (!ctx) {
-        return;
-      }
+    _compositeChains(chains, startBuffer, options = {}) {
+      const p = this.p;
+      const { from = 0, snapshotAt = -1, keep = [] } = options;
+      const maxBatchSize = this._getMaxBatchSize();
 
-      const pattern = this._getCheckerPattern(ctx);
-      const scale = this._getCheckerboardScale(cropAmount);
+      let currentBuffer = startBuffer;
+      let snapshot = null;
+      let pending = [];
 
-      if (pattern && typeof ctx.save === 'function') {
-        ctx.save();
-        ctx.fillStyle = pattern;
-        const cx = width / 2;
-        const cy = height / 2;
-        ctx.translate(cx, cy);
-        ctx.scale(scale, scale);
-        ctx.translate(-cx, -cy);
-        ctx.fillRect(0, 0, width, height);
-        ctx.restore();
-        return;
-      }
+      const advance = target => {
+        if (currentBuffer !== snapshot && !keep.includes(currentBuffer)) {
+          this._releaseBuffer(currentBuffer);
+        }
+        currentBuffer = target;
+      };
 
-      // Fallback: discrete checkerboard (used in tests/mocks without pattern support)
-      const baseSize = 8;
-      const squareSize = Math.max(2, Math.round(baseSize * scale));
-      ctx.fillStyle = '#333';
-      ctx.fillRect(0, 0, width, height);
-      ctx.fillStyle = '#444';
+      const flush = () => {
+        // Fall back to one pass per chain if the batched shader can't be built
+        const size = pending.length > 1 && this._ensureBatchShader(pending.length) ? pending.length : 1;
+        for (let start = 0; start < pending.length; start += size) {
+          const target = this._acquireBuffer();
+          target.begin();
+          p.clear();
+          this._drawBatch(pending.slice(start, start + size), currentBuffer);
+          target.end();
+          advance(target);
+        }
 
-      for (let y = 0; y < height; y += squareSize) {
-        for (let x = 0; x < width; x += squareSize) {
-          if ((x / squareSize + y / squareSize) % 2 === 0) {
-            ctx.fillRect(x, y, squareSize, squareSize);
-          }
+        for (const item of pending) {
+          item.buffers.forEach(buffer => this._releaseBuffer(buffer));
         }
-      }
-    }
+        pending = [];
+      };
 
-    _getCheckerboardScale(cropAmount = 0) {
-      const t = Math.max(0, Math.min(1, Number.isFinite(cropAmount) ? cropAmount : 0));
-      return 1 + t * 1.2; // Scale from 1.0 to 2.2 based on crop
-    }
+      for (let i = from; i < chains.length; i++) {
+        if (i === snapshotAt) {
+          flush();
+          snapshot = currentBuffer;
+        }
 
-    _getCheckerPattern(ctx) {
-      if (!ctx || !this._checkerPatternCanvas || typeof ctx.createPattern !== 'function') {
-        return null;
-      }
+        const item = this._prepareChain(chains[i]);
+        if (!item) {
+          continue;
+        }
 
-      if (this._checkerPatternCache && this._checkerPatternCache.has(ctx)) {
-        return this._checkerPatternCache.get(ctx);
+        if (item.direct) {
+          flush();
+          const target = this._acquireBuffer();
+          this._compositeNode(item.node, currentBuffer, target);
+          advance(target);
+          continue;
+        }
+
+        pending.push(item);
+        if (pending.length === maxBatchSize) {
+          flush();
+        }
       }
+      flush();
 
-      const pattern = ctx.createPattern(this._checkerPatternCanvas, 'repeat');
-      if (pattern && this._checkerPatternCache) {
-        this._checkerPatternCache.set(ctx, pattern);
+      if (snapshotAt >= chains.length && snapshotAt > from) {
+        snapshot = currentBuffer;
       }
-      return pattern;
+      return { result: currentBuffer, snapshot };
     }
 
     /**
-     * Selects a layer
+     * Composites a stack of layers and groups into a scratch buffer
+     * @param {LayerNode[]} nodes - Layers and groups to composite
+     * @param {p5.Framebuffer|null} backdrop - Optional starting content (used by pass-through groups)
+     * @returns {p5.Framebuffer} A pooled buffer holding the result; release it when done
      * @private
      */
-    _selectLayer(layerId) {
-      this.selectedLayerId = layerId;
+    _compositeStack(nodes, backdrop = null) {
+      const p = this.p;
 
-      // Update visual selection state
-      const elements = document.querySelectorAll('.p5ml-layer-item');
+      // Clear the first buffer, seeding it with the backdrop if there is one
+      const startBuffer = this._acquireBuffer();
+      startBuffer.begin();
+      p.clear();
+      if (backdrop) {
+        p.push();
+        p.imageMode(p.CENTER);
+        p.image(backdrop, 0, 0);
+        p.pop();
+      }
+      startBuffer.end();
 
-      elements.forEach(el => {
-        // Convert both to strings for comparison (dataset values are always strings)
-        if (el.dataset.layerId == layerId) {
-          el.classList.add('p5ml-selected');
-          // Force bright blue background with inline style
-          el.style.background = '#3a7bc8';
-          el.style.borderLeft = '3px solid #5dade2';
-        } else {
-          el.classList.remove('p5ml-selected');
-          // Remove inline styles
-          el.style.background = '';
-          el.style.borderLeft = '';
-        }
-      });
+      return this._compositeChains(this._splitChains(nodes), startBuffer).result;
     }
 
     /**
-     * Deselects the currently selected layer
+     * Appends numbers to a key that change whenever a node would composite
+     * differently: its revision (bumped by setters and drawing), its mask and,
+     * for groups, its children
+     * @param {LayerNode} node
+     * @param {number[]} key - The key to extend
      * @private
      */
-    _deselectLayer() {
-      this.selectedLayerId = null;
-
-      // Remove visual selection state from all layers
-      document.querySelectorAll('.p5ml-layer-item').forEach(el => {
-        el.classList.remove('p5ml-selected');
-        // Remove inline styles
-        el.style.background = '';
-        el.style.borderLeft = '';
-      });
+    _appendNodeKey(node, key) {
+      key.push(node.id, node._revision);
+
+      if (node.mask instanceof Layer) {
+        key.push(node.mask.id, node.mask._revision);
+      } else if (node.mask) {
+        // Framebuffer and image masks can be drawn to at any time without
+        // telling us, so nodes using them composite on every render
+        key.push(getObjectToken(node.mask), this._renderCount);
+      }
+
+      if (node.type === 'group') {
+        const children = node.getChildren();
+        key.push(children.length);
+        for (const child of children) {
+          this._appendNodeKey(child, key);
+        }
+      }
     }
 
     /**
-     * Moves the selected layer up or down in the stack
+     * Composites the root stack, reusing the last result when nothing changed
+     * and the cached composite below the lowest changed chain otherwise
+     * @param {LayerNode[]} layers - Root-level layers and groups
+     * @returns {p5.Framebuffer} The result, owned by the cache; don't release it
      * @private
-     * @param {number} direction - -1 for up (higher in stack), 1 for down (lower in stack)
      */
-    _moveSelectedLayer(direction) {
-      if (this.selectedLayerId === null) return;
-
-      const layers = this.layerSystem.getLayers();
-      const currentIndex = layers.findIndex(l => l.id === this.selectedLayerId);
-
-      if (currentIndex === -1) return;
-
-      // Calculate new index (remember layers are in bottom-to-top order)
-      // direction -1 means "up" which is higher index
-      // direction 1 means "down" which is lower index
-      const newIndex = currentIndex - direction;
+    _compositeCached(layers) {
+      const p = this.p;
+      this._ensureBuffers();
+
+      const chains = this._splitChains(layers);
+      this._renderCount++;
+      const keys = chains.map(chain => {
+        const key = [];
+        for (const node of chain) {
+          this._appendNodeKey(node, key);
+        }
+        return key;
+      });
+      const sameKey = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
 
-      // Check bounds
-      if (newIndex < 0 || newIndex >= layers.length) return;
+      let cache = this._cache;
+      if (cache && cache.blendModesVersion !== customBlendModesVersion) {
+        this.invalidate();
+        cache = null;
+      }
 
-      // Swap layers
-      const targetLayer = layers[newIndex];
+      // Index of the lowest chain that changed since the last render
+      let dirty = 0;
+      if (cache) {
+        while (dirty < keys.length && dirty < cache.keys.length && sameKey(keys[dirty], cache.keys[dirty])) {
+          dirty++;
+        }
+        if (dirty === keys.length && dirty === cache.keys.length) {
+          return cache.result;
+        }
+      }
 
-      // Swap entries inside the layer array
-      [layers[currentIndex], layers[newIndex]] = [layers[newIndex], layers[currentIndex]];
+      // Resume from the cached prefix when everything in it is unchanged
+      const oldPrefix = cache ? cache.prefix : null;
+      const resumeFrom = oldPrefix && cache.prefixCount <= dirty ? cache.prefixCount : 0;
+      if (cache && cache.result !== oldPrefix) {
+        this._releaseBuffer(cache.result);
+      }
 
-      // Move only the affected DOM nodes instead of rebuilding the entire list
-      const selectedElement = this.layerElements.get(this.selectedLayerId);
-      const targetElement = this.layerElements.get(targetLayer.id);
-      if (selectedElement && targetElement && this.layersContainer) {
-        if (direction === -1) {
-          this.layersContainer.insertBefore(selectedElement, targetElement);
-        } else {
-          const nextNode = targetElement.nextSibling;
-          this.layersContainer.insertBefore(selectedElement, nextNode);
-        }
+      let startBuffer;
+      if (resumeFrom > 0) {
+        startBuffer = oldPrefix;
+      } else {
+        startBuffer = this._acquireBuffer();
+        startBuffer.begin();
+        p.clear();
+        startBuffer.end();
       }
 
-      // Only the swapped layers need their thumbnails refreshed
-      this._markThumbnailsDirty([this.selectedLayerId, targetLayer.id]);
+      // Everything below the lowest change becomes the prefix for next time.
+      // Never draw over or release the cached prefix while compositing.
+      const { result: currentBuffer, snapshot } = this._compositeChains(chains, startBuffer, {
+        from: resumeFrom,
+        snapshotAt: dirty > resumeFrom ? dirty : -1,
+        keep: oldPrefix ? [oldPrefix] : []
+      });
+      const prefix = snapshot || (resumeFrom > 0 && resumeFrom === dirty ? oldPrefix : null);
 
-      // Update the layer system's internal order
-      if (typeof this.layerSystem.reorderLayers === 'function') {
-        this.layerSystem.reorderLayers(layers);
+      if (oldPrefix && oldPrefix !== prefix && oldPrefix !== currentBuffer) {
+        this._releaseBuffer(oldPrefix);
       }
 
-      // Re-select the layer to keep the highlight consistent
-      this._selectLayer(this.selectedLayerId);
+      this._cache = {
+        keys,
+        blendModesVersion: customBlendModesVersion,
+        prefix,
+        prefixCount: prefix === oldPrefix ? resumeFrom : dirty,
+        result: currentBuffer
+      };
+      return currentBuffer;
     }
 
     /**
-     * Attaches CSS styles to the document
-     * @private
+     * Drops the cached composite so the next render() redraws everything
      */
-    _attachStyles() {
-      // Check if styles already exist
-      if (document.getElementById('p5ml-layer-ui-styles')) {
-        return;
+    invalidate() {
+      if (this._cache) {
+        this._releaseBuffer(this._cache.prefix);
+        this._releaseBuffer(this._cache.result);
+        this._cache = null;
       }
+    }
 
-      const style = document.createElement('style');
-      style.id = 'p5ml-layer-ui-styles';
-      style.textContent = `
-      .p5ml-layer-panel {
-        position: fixed;
-        background: rgba(26, 26, 26, 0.95);
-        border: 1px solid #444;
-        border-radius: 8px;
-        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
-        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-        font-size: 13px;
-        color: #e0e0e0;
-        z-index: 10000;
-        backdrop-filter: blur(10px);
-        overflow: hidden;
-      }
+    /**
+     * Composites a stack of layers into a canvas-sized buffer without drawing it
+     * @param {LayerNode[]} layers - Layers and groups to composite
+     * @returns {p5.Framebuffer} A pooled buffer holding the result; pass it to releaseBuffer() when done
+     */
+    composite(layers) {
+      // Make sure pooled buffers match the canvas
+      this._ensureBuffers();
+      return this._compositeStack(layers);
+    }
 
-      .p5ml-layer-panel.collapsed .p5ml-layers-container {
-        display: none;
-      }
+    /**
+     * Composites a stack of layers for an area of the canvas into a buffer of
+     * any pixel size, independent of the canvas resolution. Canvas-sized layers
+     * are stretched to fit; custom-size layers are sampled at their own resolution.
+     * @param {LayerNode[]} layers - Layers and groups to composite
+     * @param {Object} region
+     * @param {number} region.width - Buffer width in pixels
+     * @param {number} region.height - Buffer height in pixels
+     * @param {number[]} [region.view=[0, 0, 1, 1]] - Canvas area to render as x, y, width, height fractions
+     * @returns {p5.Framebuffer} A pooled buffer holding the result; pass it to releaseBuffer() when done
+     */
+    compositeRegion(layers, region) {
+      this._ensureBuffers();
 
-      .p5ml-panel-header {
-        background: rgba(60, 60, 60, 0.9);
-        padding: 12px 16px;
-        border-bottom: 1px solid #333;
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        user-select: none;
-      }
+      const saved = [this._bufferWidth, this._bufferHeight, this._bufferDensity, this._view];
+      this._bufferWidth = region.width;
+      this._bufferHeight = region.height;
+      this._bufferDensity = 1;
+      this._view = region.view || [0, 0, 1, 1];
 
-      .p5ml-panel-title {
-        font-weight: 600;
-        font-size: 16px;
-        letter-spacing: 0.5px;
-        color: #ccc;
+      try {
+        return this._compositeStack(layers);
+      } finally {
+        [this._bufferWidth, this._bufferHeight, this._bufferDensity, this._view] = saved;
       }
+    }
 
-      .p5ml-header-controls {
-        display: flex;
-        align-items: center;
-        gap: 8px;
-      }
+    /**
+     * Blends a layer into another layer's pixels, the way it would composite
+     * if the target were the only thing below it
+     * @param {Layer} source - The layer to bake in
+     * @param {Layer} target - Layer that receives the result; it must not be scaled or rotated
+     * @param {Object} [overrides] - Composite settings that replace the source's own
+     */
+    mergeLayer(source, target, overrides = {}) {
+      const p = this.p;
+      this._ensureBuffers();
 
-      .p5ml-arrow-btn {
-        background: rgba(255, 255, 255, 0.1);
-        border: 1px solid rgba(255, 255, 255, 0.2);
-        border-radius: 4px;
-        color: #e8e8e8;
-        font-size: 16px;
-        cursor: pointer;
-        padding: 4px 8px;
-        width: 28px;
-        height: 28px;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        transition: all 0.15s;
-      }
+      const saved = [this._bufferWidth, this._bufferHeight, this._bufferDensity, this._view];
+      this._bufferWidth = target.width;
+      this._bufferHeight = target.height;
+      this._bufferDensity = target.density;
+      this._view = [target.x / p.width, target.y / p.height, target.width / p.width, target.height / p.height];
 
-      .p5ml-arrow-btn:hover {
-        background: rgba(255, 255, 255, 0.15);
-        border-color: rgba(255, 255, 255, 0.3);
-      }
+      try {
+        // The target can't be read and written in the same pass
+        const backdrop = this._acquireBuffer();
+        drawImageInto(p, backdrop, target.framebuffer);
+        const processed = this._applyEffects(source);
 
-      .p5ml-arrow-btn:active {
-        background: rgba(255, 255, 255, 0.2);
-      }
+        target.framebuffer.begin();
+        p.clear();
+        this._renderLayer(source, backdrop, processed, overrides);
+        target.framebuffer.end();
 
-      .p5ml-collapse-btn {
-        background: none;
-        border: none;
-        color: #aaa;
-        font-size: 18px;
-        cursor: pointer;
-        padding: 0;
-        width: 20px;
-        height: 20px;
-        display: flex;
-        align-items: center;
-        justify-content: center;
+        this._releaseBuffer(processed);
+        this._releaseBuffer(backdrop);
+      } finally {
+        [this._bufferWidth, this._bufferHeight, this._bufferDensity, this._view] = saved;
       }
+    }
 
-      .p5ml-collapse-btn:hover {
-        color: #fff;
+    /**
+     * Removes idle pooled buffers that aren't canvas-sized, such as the ones
+     * left behind by compositeRegion() or by effects on resized layers
+     */
+    trimBuffers() {
+      const stale = this._freeBuffers.filter(buffer =>
+        buffer.width !== this._bufferWidth ||
+        buffer.height !== this._bufferHeight ||
+        buffer.density !== this._bufferDensity
+      );
+      for (const buffer of stale) {
+        buffer.remove();
       }
+      this._buffers = this._buffers.filter(buffer => !stale.includes(buffer));
+      this._freeBuffers = this._freeBuffers.filter(buffer => !stale.includes(buffer));
+    }
 
-      .p5ml-layers-container {
-        max-height: 500px;
-        overflow-y: auto;
-        padding: 0;
-        background: #2a2a2a;
-      }
+    /**
+     * Renders one layer or group on its own onto transparency (even when it is
+     * hidden), with its transform, effects and mask applied
+     * @param {LayerNode} node - The node to render
+     * @param {Object} [overrides] - Composite settings that replace the node's own
+     * @returns {p5.Framebuffer} A pooled buffer holding the result; pass it to releaseBuffer() when done
+     */
+    renderNode(node, overrides = {}) {
+      const p = this.p;
+      this._ensureBuffers();
 
-      .p5ml-layers-container::-webkit-scrollbar {
-        width: 8px;
-      }
+      const empty = this._acquireBuffer();
+      empty.begin();
+      p.clear();
+      empty.end();
 
-      .p5ml-layers-container::-webkit-scrollbar-track {
-        background: rgba(0, 0, 0, 0.2);
-      }
+      const target = this._acquireBuffer();
+      this._compositeNode(node, empty, target, overrides);
+      this._releaseBuffer(empty);
+      return target;
+    }
 
-      .p5ml-layers-container::-webkit-scrollbar-thumb {
-        background: rgba(255, 255, 255, 0.2);
-        border-radius: 4px;
+    /**
+     * Renders a node's mask as it lands on the canvas (after fit, feather and
+     * the layer transform) into the alpha channel of a canvas-sized buffer
+     * @param {LayerNode} node - A node with a mask
+     * @returns {p5.Framebuffer|null} A pooled buffer, or null if the node has no mask
+     */
+    renderMask(node) {
+      if (!node.mask) {
+        return null;
       }
 
-      .p5ml-layers-container::-webkit-scrollbar-thumb:hover {
-        background: rgba(255, 255, 255, 0.3);
-      }
+      const p = this.p;
+      this._ensureBuffers();
+
+      // Push an opaque stand-in for the node's pixels through the mask
+      const isLayer = node.type === 'layer';
+      const solid = isLayer
+        ? this._acquireBuffer(node.width, node.height, node.density)
+        : this._acquireBuffer();
+      solid.begin();
+      p.push();
+      p.background(255);
+      p.pop();
+      solid.end();
 
-      /* Procreate-style layer item */
-      .p5ml-layer-item {
-        background: transparent;
-        border-bottom: 1px solid #3a3a3a;
-        transition: background 0.15s ease;
-        cursor: pointer;
-      }
+      const empty = this._acquireBuffer();
+      empty.begin();
+      p.clear();
+      empty.end();
 
-      .p5ml-layer-item:hover {
-        background: rgba(100, 150, 255, 0.15);
+      const target = this._acquireBuffer();
+      target.begin();
+      p.clear();
+      this._drawComposite(solid, empty, {
+        opacity: 1,
+        blendMode: BlendModes.NORMAL,
+        mask: node.mask,
+        maskOptions: node.maskOptions,
+        transform: isLayer ? this._getLayerTransform(node) : null,
+        inView: !isLayer
+      });
+      target.end();
+
+      this._releaseBuffer(solid);
+      this._releaseBuffer(empty);
+      return target;
+    }
+
+    /**
+     * Returns a buffer from composite(), renderNode() or renderMask() to the pool
+     * @param {p5.Framebuffer} buffer
+     */
+    releaseBuffer(buffer) {
+      this._releaseBuffer(buffer);
+    }
+
+    /**
+     * Composites all layers to the main canvas. While cacheEnabled is on, layers
+     * that haven't changed since the last call aren't composited again.
+     * @param {LayerNode[]} layers - Root-level layers and groups to composite
+     * @param {Function} clearCallback - Optional callback to clear the canvas before compositing
+     */
+    render(layers, clearCallback = null) {
+      const p = this.p;
+
+      // Cached results stay owned by the cache
+      const currentBuffer = this.cacheEnabled ? this._compositeCached(layers) : this.composite(layers);
+
+      // Now render the final result to the main canvas
+      p.push();
+
+      // Clear the canvas if callback provided
+      if (clearCallback) {
+        clearCallback();
+      } else {
+        p.clear();
+      }
+
+      // Reset to default state
+      p.resetShader();
+      p.blendMode(p.BLEND);
+
+      // Draw the accumulated result to the main canvas
+      p.imageMode(p.CENTER);
+      p.image(currentBuffer, 0, 0);
+
+      p.pop();
+
+      if (!this.cacheEnabled) {
+        this._releaseBuffer(currentBuffer);
+      }
+    }
+
+    /**
+     * Composites layers into a framebuffer instead of the main canvas. Targets
+     * that don't match the canvas are composited at their own resolution.
+     * @param {p5.Framebuffer} target - Framebuffer that receives the composite
+     * @param {LayerNode[]} layers - Root-level layers and groups to composite
+     * @param {Object} [options]
+     * @param {Function} [options.filter] - Called with each node at every level; return false to leave it out
+     * @param {boolean} [options.clear=true] - Clear the target first instead of drawing over it
+     */
+    renderTo(target, layers, options = {}) {
+      const p = this.p;
+      const density = target.density ?? p.pixelDensity();
+      const matchesCanvas = target.width === p.width && target.height === p.height &&
+        density === p.pixelDensity();
+
+      this._filter = options.filter || null;
+      let result;
+      try {
+        result = matchesCanvas
+          ? this.composite(layers)
+          : this.compositeRegion(layers, {
+            width: Math.round(target.width * density),
+            height: Math.round(target.height * density)
+          });
+      } finally {
+        this._filter = null;
+      }
+
+      target.begin();
+      p.push();
+      if (options.clear !== false) {
+        p.clear();
+      }
+      p.resetShader();
+      p.blendMode(p.BLEND);
+      p.imageMode(p.CENTER);
+      p.image(result, 0, 0, target.width, target.height);
+      p.pop();
+      target.end();
+
+      this._releaseBuffer(result);
+    }
+
+    /**
+     * Disposes of compositor resources
+     */
+    dispose() {
+      // Clean up pooled scratch buffers
+      this._disposeBuffers();
+      this._bufferWidth = null;
+      this._bufferHeight = null;
+      this._bufferDensity = null;
+      
+      // p5.js doesn't have explicit shader disposal, but we can clear the reference
+      this.shader = null;
+      this.shaderLoaded = false;
+      this._batchShaders.clear();
+      this.adjustmentShader = null;
+      this.effectShader = null;
+    }
+  }
+
+  /**
+   * Computes the tightest bounds that contain all pixels whose alpha exceeds the given threshold.
+   * @param {Uint8ClampedArray} pixels - RGBA pixel data.
+   * @param {number} width - Image width in pixels.
+   * @param {number} height - Image height in pixels.
+   * @param {Object} [options]
+   * @param {number} [options.alphaThreshold=8] - Minimum alpha required to treat a pixel as visible.
+   * @param {number} [options.stride=1] - Number of pixels to skip per step when scanning.
+   * @returns {{x:number,y:number,width:number,height:number}|null}
+   */
+  function computeAlphaBounds(pixels, width, height, options = {}) {
+    const threshold = Number.isFinite(options.alphaThreshold) ? options.alphaThreshold : 8;
+    const stride = Number.isFinite(options.stride) && options.stride > 0 ? Math.floor(options.stride) : 1;
+
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+
+    for (let y = 0; y < height; y += stride) {
+      const rowOffset = y * width * 4;
+      for (let x = 0; x < width; x += stride) {
+        const idx = rowOffset + x * 4;
+        if (pixels[idx + 3] > threshold) {
+          if (x < minX) minX = x;
+          if (y < minY) minY = y;
+          if (x > maxX) maxX = x;
+          if (y > maxY) maxY = y;
+        }
+      }
+    }
+
+    if (maxX === -1 || maxY === -1) {
+      return null;
+    }
+
+    return {
+      x: minX,
+      y: minY,
+      width: maxX - minX + 1,
+      height: maxY - minY + 1
+    };
+  }
+
+  /**
+   * Merges multiple bounds objects into their combined extents.
+   * @param {Array<{x:number,y:number,width:number,height:number}|null>} boundsList
+   * @returns {{x:number,y:number,width:number,height:number}|null}
+   */
+  function mergeBounds(boundsList) {
+    if (!Array.isArray(boundsList) || boundsList.length === 0) {
+      return null;
+    }
+
+    let minX = Number.POSITIVE_INFINITY;
+    let minY = Number.POSITIVE_INFINITY;
+    let maxX = Number.NEGATIVE_INFINITY;
+    let maxY = Number.NEGATIVE_INFINITY;
+    let found = false;
+
+    for (const bounds of boundsList) {
+      if (!bounds) {
+        continue;
+      }
+      found = true;
+      if (bounds.x < minX) minX = bounds.x;
+      if (bounds.y < minY) minY = bounds.y;
+      if (bounds.x + bounds.width > maxX) maxX = bounds.x + bounds.width;
+      if (bounds.y + bounds.height > maxY) maxY = bounds.y + bounds.height;
+    }
+
+    if (!found) {
+      return null;
+    }
+
+    return {
+      x: minX,
+      y: minY,
+      width: Math.max(0, maxX - minX),
+      height: Math.max(0, maxY - minY)
+    };
+  }
+
+  /**
+   * Ensures bounds stay inside the provided limits.
+   * @param {{x:number,y:number,width:number,height:number}|null} bounds
+   * @param {number} maxWidth
+   * @param {number} maxHeight
+   * @returns {{x:number,y:number,width:number,height:number}|null}
+   */
+  function clampBounds(bounds, maxWidth, maxHeight) {
+    if (!bounds) {
+      return null;
+    }
+
+    const x = Math.max(0, Math.min(bounds.x, maxWidth));
+    const y = Math.max(0, Math.min(bounds.y, maxHeight));
+    const width = Math.max(0, Math.min(bounds.width, maxWidth - x));
+    const height = Math.max(0, Math.min(bounds.height, maxHeight - y));
+
+    return { x, y, width, height };
+  }
+
+  /**
+   * Expands bounds by padding while clamping to limits.
+   * @param {{x:number,y:number,width:number,height:number}|null} bounds
+   * @param {number} padding
+   * @param {number} maxWidth
+   * @param {number} maxHeight
+   * @returns {{x:number,y:number,width:number,height:number}|null}
+   */
+  function padBounds(bounds, padding, maxWidth, maxHeight) {
+    if (!bounds) {
+      return null;
+    }
+    const padded = {
+      x: bounds.x - padding,
+      y: bounds.y - padding,
+      width: bounds.width + padding * 2,
+      height: bounds.height + padding * 2
+    };
+    return clampBounds(padded, maxWidth, maxHeight);
+  }
+
+  /**
+   * Pseudo blend mode shown in the UI for groups that composite in pass-through mode
+   */
+  const PASS_THROUGH = 'PASS_THROUGH';
+
+  /**
+   * The panel that gets keyboard shortcuts when several are on the page: the
+   * newest one until another panel or its sketch's canvas is pressed
+   */
+  let activeLayerUI = null;
+
+  /**
+   * LayerUI - A visual panel for displaying and controlling layers
+   */
+  class LayerUI {
+    /**
+     * @param {LayerSystem} layerSystem - The layer system to display
+     * @param {Object} options - UI configuration options
+     * @param {HTMLElement|string} [options.parent] - Element (or its ID) to put the panel in.
+     *   The panel is positioned inside it instead of floating over the page.
+     */
+    constructor(layerSystem, options = {}) {
+      this.layerSystem = layerSystem;
+      this.options = {
+        ...options,
+        position: options.position || 'top-right',
+        width: options.width || 280,
+        collapsible: options.collapsible !== false,
+        draggable: options.draggable !== false,
+        thumbnailPadding: options.thumbnailPadding ?? 4,
+        thumbnailSampleMaxSize: options.thumbnailSampleMaxSize ?? 196,
+        thumbnailAlphaThreshold: options.thumbnailAlphaThreshold ?? 12,
+        thumbnailAnimationWindow: options.thumbnailAnimationWindow ?? 6,
+        thumbnailEmptyFrameReset: options.thumbnailEmptyFrameReset ?? 6,
+        thumbnailSampleStride: options.thumbnailSampleStride ?? 1,
+        thumbnailAutoUpdate: options.thumbnailAutoUpdate === true,
+        thumbnailUpdateEvery: options.thumbnailUpdateEvery ?? 0
+      };
+
+      // Warn if thumbnailUpdateEvery is set but thumbnailAutoUpdate is false
+      if (options.thumbnailUpdateEvery !== undefined && options.thumbnailUpdateEvery > 0 && !this.options.thumbnailAutoUpdate) {
+        console.warn('p5.millefeuille: thumbnailUpdateEvery is set but thumbnailAutoUpdate is false. thumbnailUpdateEvery will be ignored. Set thumbnailAutoUpdate: true to enable automatic thumbnail updates.');
+      }
+
+      this.isCollapsed = false;
+      this.container = null;
+      this._blendModesVersion = customBlendModesVersion;
+      this.layerElements = new Map(); // layerId -> DOM element
+      this.selectedLayerId = null; // Currently selected layer
+      this._dirtyThumbnailLayerIds = new Set();
+      this._captureNeeded = new Set();
+      this._thumbnailCache = new Map(); // layerId -> { image }
+      this._thumbnailFlushHandle = null;
+      this._cancelThumbnailFlush = null;
+      this._thumbnailBatchSize = 1;
+      this._thumbnailIdleBudgetMs = 8;
+      this._thumbnailScratchCanvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+      this._thumbnailScratchCtx = this._thumbnailScratchCanvas ? this._thumbnailScratchCanvas.getContext('2d') : null;
+      if (this._thumbnailScratchCtx) {
+        this._thumbnailScratchCtx.imageSmoothingEnabled = false;
+      }
+      // Lazy-initialized WEBGL buffer for GPU-to-GPU downsampling
+      this._downsampleBuffer = null;
+
+      // Set by layer system events and applied on the next refresh()
+      this._needsUpdate = false;
+      this._needsSync = false;
+      this._movingLayer = false;
+      this._eventHandlers = null;
+      this._listenToLayerSystem();
+
+      this._checkerPatternCanvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+      this._checkerPatternCache = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
+      if (this._checkerPatternCanvas) {
+        const size = 8;
+        this._checkerPatternCanvas.width = size;
+        this._checkerPatternCanvas.height = size;
+        const checkerCtx = this._checkerPatternCanvas.getContext('2d');
+        if (checkerCtx) {
+          checkerCtx.fillStyle = '#333';
+          checkerCtx.fillRect(0, 0, size, size);
+          checkerCtx.fillStyle = '#444';
+          checkerCtx.fillRect(0, 0, size / 2, size / 2);
+          checkerCtx.fillRect(size / 2, size / 2, size / 2, size / 2);
+        }
+      }
+
+      // Aborted on dispose, removing every listener the panel added
+      this._abortController = new AbortController();
+      activeLayerUI = this;
+
+      this._createUI();
+      this._attachStyles();
+    }
+
+    /**
+     * Subscribes to the layer system's events so the panel only rebuilds or
+     * syncs when something changed
+     * @private
+     */
+    _listenToLayerSystem() {
+      const rebuild = () => {
+        if (!this._movingLayer) {
+          this._needsUpdate = true;
+        }
+      };
+
+      this._eventHandlers = {
+        layercreate: rebuild,
+        layerremove: rebuild,
+        reorder: rebuild,
+        change: () => {
+          this._needsSync = true;
+        },
+        end: ({ layer, mask }) => {
+          if (!mask) {
+            this.scheduleThumbnailUpdate(layer.id, { needsCapture: true });
+          }
+        },
+        resize: ({ layer }) => {
+          this.scheduleThumbnailUpdate(layer.id, { needsCapture: true });
+        }
+      };
+
+      for (const [event, handler] of Object.entries(this._eventHandlers)) {
+        this.layerSystem.on(event, handler);
+      }
+    }
+
+    /**
+     * Applies the changes reported since the last call: rebuilds the rows when
+     * layers were added, removed or moved, and syncs the controls when
+     * properties changed. Called by LayerSystem.render().
+     */
+    refresh() {
+      if (this._needsUpdate) {
+        this.update();
+      } else if (this._needsSync || this._blendModesVersion !== customBlendModesVersion) {
+        this.syncState();
+      }
+    }
+
+    /**
+     * Creates the DOM structure for the UI panel
+     * @private
+     */
+    _createUI() {
+      // Create main container
+      this.container = document.createElement('div');
+      this.container.className = 'p5ml-layer-panel';
+      this.container.style.width = `${this.options.width}px`;
+
+      // Create header
+      const header = document.createElement('div');
+      header.className = 'p5ml-panel-header';
+      header.innerHTML = `
+      <span class="p5ml-panel-title">Layers</span>
+      <div class="p5ml-header-controls">
+        <button class="p5ml-arrow-btn p5ml-arrow-up" title="Move layer up">↑</button>
+        <button class="p5ml-arrow-btn p5ml-arrow-down" title="Move layer down">↓</button>
+        <button class="p5ml-arrow-btn p5ml-duplicate-btn" title="Duplicate layer">⧉</button>
+        <button class="p5ml-arrow-btn p5ml-merge-btn" title="Merge layer down">⤓</button>
+        <button class="p5ml-arrow-btn p5ml-flatten-btn" title="Flatten all layers">≡</button>
+        ${this.options.collapsible ? '<button class="p5ml-collapse-btn">−</button>' : ''}
+      </div>
+    `;
+      this.container.appendChild(header);
+
+      // Create layers container
+      this.layersContainer = document.createElement('div');
+      this.layersContainer.className = 'p5ml-layers-container';
+      this.container.appendChild(this.layersContainer);
+
+      // Add to the page, or to the element the panel belongs in
+      const parent = typeof this.options.parent === 'string'
+        ? document.getElementById(this.options.parent)
+        : this.options.parent;
+      if (this.options.parent && !parent) {
+        console.warn(`Panel parent ${this.options.parent} not found, adding the panel to the page`);
+      }
+      if (parent) {
+        this.container.style.position = 'absolute';
+        parent.appendChild(this.container);
+      } else {
+        document.body.appendChild(this.container);
+      }
+
+      // Position the panel
+      this._positionPanel();
+
+      // Get cleanup signal for event listeners
+      const signal = this._abortController.signal;
+
+      // Add event listeners
+      if (this.options.collapsible) {
+        const collapseBtn = header.querySelector('.p5ml-collapse-btn');
+        collapseBtn.addEventListener('click', () => this.toggle(), { signal });
+        // Prevent collapse button from triggering drag
+        collapseBtn.addEventListener('mousedown', (e) => e.stopPropagation(), { signal });
+      }
+
+      // Arrow button handlers
+      const upBtn = header.querySelector('.p5ml-arrow-up');
+      const downBtn = header.querySelector('.p5ml-arrow-down');
+      upBtn.addEventListener('click', () => this._moveSelectedLayer(-1), { signal });
+      downBtn.addEventListener('click', () => this._moveSelectedLayer(1), { signal });
+      // Prevent arrow buttons from triggering drag
+      upBtn.addEventListener('mousedown', (e) => e.stopPropagation(), { signal });
+      downBtn.addEventListener('mousedown', (e) => e.stopPropagation(), { signal });
+
+      // Layer action handlers
+      const actions = {
+        '.p5ml-duplicate-btn': () => this._duplicateSelectedLayer(),
+        '.p5ml-merge-btn': () => this._mergeSelectedLayerDown(),
+        '.p5ml-flatten-btn': () => this._flattenLayers()
+      };
+      for (const [selector, action] of Object.entries(actions)) {
+        const button = header.querySelector(selector);
+        button.addEventListener('click', action, { signal });
+        button.addEventListener('mousedown', (e) => e.stopPropagation(), { signal });
+      }
+
+      // Make draggable if enabled
+      if (this.options.draggable) {
+        this._makeDraggable(header);
+      }
+
+      // Close dropdowns and deselect when clicking outside
+      document.addEventListener('click', (e) => {
+        // Check if click is outside the layer panel
+        if (!this.container.contains(e.target)) {
+          this._closeAllDropdowns();
+          this._deselectLayer();
+        }
+      }, { signal });
+
+      // Shortcuts go to whichever sketch was used last
+      const claimShortcuts = () => {
+        activeLayerUI = this;
+      };
+      this.container.addEventListener('pointerdown', claimShortcuts, { signal });
+      const canvas = this.layerSystem.p.canvas;
+      if (canvas && typeof canvas.addEventListener === 'function') {
+        canvas.addEventListener('pointerdown', claimShortcuts, { signal });
+      }
+
+      // Ctrl+Z / Cmd+Z undo, with Shift (or Ctrl+Y) to redo
+      document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || !this.layerSystem.history || activeLayerUI !== this) {
+          return;
+        }
+
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') {
+          return;
+        }
+
+        // Leave text fields their own undo
+        if (e.target.matches('input[type="text"], textarea, [contenteditable]')) {
+          return;
+        }
+
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+          this.layerSystem.redo();
+        } else {
+          this.layerSystem.undo();
+        }
+      }, { signal });
+
+      // Keyboard navigation for arrow keys
+      document.addEventListener('keydown', (e) => {
+        if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') {
+          return;
+        }
+
+        if (e.repeat || this.selectedLayerId === null || activeLayerUI !== this) {
+          return;
+        }
+
+        if (!this._isPanelVisible()) {
+          return;
+        }
+
+        // Don't interfere if user is typing in an input field
+        if (e.target.matches('input, select, textarea')) {
+          return;
+        }
+
+        e.preventDefault();
+
+        this._moveSelectedLayer(e.key === 'ArrowUp' ? -1 : 1);
+      }, { signal });
+    }
+
+    /**
+     * Closes all open layer dropdowns
+     * @private
+     */
+    _closeAllDropdowns() {
+      this.container.querySelectorAll('.p5ml-layer-dropdown').forEach(d => {
+        d.style.display = 'none';
+      });
+    }
+
+    /**
+     * Positions the panel based on options
+     * @private
+     */
+    _positionPanel() {
+      const positions = {
+        'top-right': { top: '20px', right: '20px' },
+        'top-left': { top: '20px', left: '20px' },
+        'bottom-right': { bottom: '20px', right: '20px' },
+        'bottom-left': { bottom: '20px', left: '20px' }
+      };
+
+      const pos = positions[this.options.position] || positions['top-right'];
+      Object.assign(this.container.style, pos);
+    }
+
+    /**
+     * Determines if the panel is currently visible on screen
+     * @private
+     */
+    _isPanelVisible() {
+      if (!this.container || this.container.style.display === 'none') {
+        return false;
+      }
+      return this.container.getClientRects().length > 0;
+    }
+
+    /**
+     * Makes the panel draggable
+     * @private
+     */
+    _makeDraggable(header) {
+      let isDragging = false;
+      let offsetX;
+      let offsetY;
+      let originX = 0;
+      let originY = 0;
+
+      header.style.cursor = 'move';
+
+      const signal = this._abortController.signal;
+
+      header.addEventListener('mousedown', (e) => {
+        // Get current position using getBoundingClientRect for accuracy
+        const rect = this.container.getBoundingClientRect();
+        
+        // Calculate offset from mouse to panel's top-left corner
+        offsetX = e.clientX - rect.left;
+        offsetY = e.clientY - rect.top;
+        
+        isDragging = true;
+
+        // A panel placed in an element is positioned relative to that element
+        const offsetParent = this.container.style.position === 'absolute' ? this.container.offsetParent : null;
+        if (offsetParent) {
+          const parentRect = offsetParent.getBoundingClientRect();
+          originX = parentRect.left + offsetParent.clientLeft;
+          originY = parentRect.top + offsetParent.clientTop;
+        }
+
+        // Clear all positioning properties and switch to left/top only
+        this.container.style.right = '';
+        this.container.style.bottom = '';
+        this.container.style.left = (rect.left - originX) + 'px';
+        this.container.style.top = (rect.top - originY) + 'px';
+      });
+
+      document.addEventListener('mousemove', (e) => {
+        if (isDragging) {
+          e.preventDefault();
+          
+          // Calculate new position
+          let newX = e.clientX - offsetX;
+          let newY = e.clientY - offsetY;
+
+          // Get panel dimensions
+          const panelWidth = this.container.offsetWidth;
+          
+          // Get viewport dimensions
+          const viewportWidth = window.innerWidth;
+          const viewportHeight = window.innerHeight;
+          
+          // Constrain position to keep panel visible (with minimum 50px visible)
+          const minVisible = 50;
+          newX = Math.max(-panelWidth + minVisible, Math.min(newX, viewportWidth - minVisible));
+          newY = Math.max(0, Math.min(newY, viewportHeight - minVisible));
+
+          this.container.style.left = (newX - originX) + 'px';
+          this.container.style.top = (newY - originY) + 'px';
+        }
+      }, { signal });
+
+      document.addEventListener('mouseup', () => {
+        isDragging = false;
+      }, { signal });
+    }
+
+    /**
+     * Updates the UI to reflect current layer state
+     */
+    update() {
+      const layers = this.layerSystem.getAllLayers();
+      this._blendModesVersion = customBlendModesVersion;
+      this._needsUpdate = false;
+      this._needsSync = false;
+
+      this._pruneThumbnailState(layers);
+
+      // Clear existing layer elements
+      this.layersContainer.innerHTML = '';
+      this.layerElements.clear();
+
+      // Create elements for the layer tree (groups hold their children's elements)
+      this._appendLayerElements(this.layersContainer, this.layerSystem.getLayers(), 0);
+
+      // Initial thumbnail render is scheduled lazily to avoid blocking
+      const pixelLayerIds = layers.filter(layer => layer.type === 'layer').map(layer => layer.id);
+      this._markThumbnailsDirty(pixelLayerIds.reverse(), { needsCapture: true });
+
+      if (this.selectedLayerId !== null) {
+        this._selectLayer(this.selectedLayerId);
+      }
+    }
+
+    /**
+     * Creates elements for a list of sibling layers (reverse order so top layers appear first)
+     * @private
+     */
+    _appendLayerElements(parentEl, layers, depth) {
+      [...layers].reverse().forEach(layer => {
+        const layerEl = this._createLayerElement(layer, depth);
+        parentEl.appendChild(layerEl);
+        this.layerElements.set(layer.id, layerEl);
+
+        if (layer.type === 'group') {
+          const childrenEl = layerEl.querySelector('.p5ml-group-children');
+          this._appendLayerElements(childrenEl, layer.getChildren(), depth + 1);
+        }
+      });
+    }
+
+    /**
+     * Public helper so the LayerSystem can schedule updates when layer content changes
+     * @param {number|string} layerId
+     * @param {{needsCapture?: boolean}} options
+     */
+    scheduleThumbnailUpdate(layerId, options = {}) {
+      this._markThumbnailsDirty([layerId], options);
+    }
+
+    /**
+     * Synchronizes UI controls with current layer state without recreating elements
+     */
+    syncState() {
+      // Rebuild the rows so new custom blend modes show up in the dropdowns
+      if (this._blendModesVersion !== customBlendModesVersion) {
+        this.update();
+        return;
+      }
+
+      const layers = this.layerSystem.getAllLayers();
+      this._needsSync = false;
+
+      layers.forEach(layer => {
+        const layerEl = this.layerElements.get(layer.id);
+        if (!layerEl) return;
+
+        layerEl.classList.toggle('p5ml-clipped', !!layer.clipped);
+
+        // Update name (a row being renamed shows an input instead)
+        const nameSpan = layerEl.querySelector('.p5ml-layer-name');
+        if (nameSpan) {
+          nameSpan.textContent = layer.name;
+        }
+
+        // Update checkbox
+        const checkbox = layerEl.querySelector('.p5ml-visibility-checkbox');
+        if (checkbox) {
+          checkbox.checked = layer.visible;
+        }
+
+        // Update opacity slider and value
+        const opacitySlider = layerEl.querySelector('.p5ml-opacity-slider');
+        const opacityValue = layerEl.querySelector('.p5ml-opacity-value');
+        if (opacitySlider && opacityValue) {
+          const opacityPercent = Math.round(layer.opacity * 100);
+          opacitySlider.value = opacityPercent;
+          opacityValue.textContent = opacityPercent + '%';
+        }
+
+        // Update blend mode select and indicator
+        const blendSelect = layerEl.querySelector('.p5ml-blend-select');
+        const blendIndicator = layerEl.querySelector('.p5ml-blend-indicator');
+        const blendMode = this._getDisplayedBlendMode(layer);
+        if (blendSelect) {
+          blendSelect.value = blendMode;
+        }
+        if (blendIndicator) {
+          blendIndicator.textContent = this._getBlendModeLetter(blendMode);
+          blendIndicator.title = `Blend Mode: ${blendMode}`;
+        }
+      });
+
+      // Thumbnails are only updated when clicked (not automatically)
+    }
+
+    /**
+     * Updates all thumbnails
+     * @private
+     */
+    _markThumbnailsDirty(layerIds = [], options = {}) {
+      const ids = Array.isArray(layerIds) ? layerIds : [layerIds];
+      const needsCapture = !!options.needsCapture;
+      let shouldSchedule = false;
+
+      // Determine if this frame should trigger an update based on settings
+      // If thumbnailAutoUpdate is false, no automatic updates (thumbnailUpdateEvery is ignored)
+      // If thumbnailAutoUpdate is true and thumbnailUpdateEvery is not set (0), update every frame
+      // If thumbnailAutoUpdate is true and thumbnailUpdateEvery > 0, update every N frames
+      let isUpdateFrame = false;
+      if (this.options.thumbnailAutoUpdate && needsCapture) {
+        const updateEvery = this.options.thumbnailUpdateEvery;
+        if (updateEvery <= 0) {
+          // Default to every frame when thumbnailAutoUpdate is true but thumbnailUpdateEvery not set
+          isUpdateFrame = true;
+        } else {
+          // Use p5's frameCount to determine update frames consistently across all layers
+          const frameCount = this.layerSystem.p.frameCount || 0;
+          isUpdateFrame = frameCount % updateEvery === 0;
+        }
+      }
+
+      ids.forEach(id => {
+        if (id === null || id === undefined) {
+          return;
+        }
+
+        const cacheEntry = this._thumbnailCache.get(id);
+        const hasThumbnail = !!(cacheEntry && cacheEntry.image);
+
+        // Without auto updates, skip automatic updates for existing thumbnails.
+        // Thumbnails will only update when user clicks the layer row.
+        if (!isUpdateFrame && hasThumbnail && needsCapture) {
+          return;
+        }
+
+        this._dirtyThumbnailLayerIds.add(id);
+        if (needsCapture) {
+          this._captureNeeded.add(id);
+        }
+
+        // Schedule flush if auto updates enabled, or if first capture needed
+        if (isUpdateFrame || (!hasThumbnail && needsCapture)) {
+          shouldSchedule = true;
+        }
+      });
+
+      if (!shouldSchedule) {
+        return;
+      }
+      this._scheduleThumbnailFlush();
+    }
+
+    /**
+     * Removes cached thumbnail data for layers that no longer exist
+     * @private
+     */
+    _pruneThumbnailState(activeLayers) {
+      const liveIds = new Set(activeLayers.map(layer => layer.id));
+
+      for (const id of Array.from(this._thumbnailCache.keys())) {
+        if (!liveIds.has(id)) {
+          this._thumbnailCache.delete(id);
+        }
+      }
+
+      for (const id of Array.from(this._captureNeeded)) {
+        if (!liveIds.has(id)) {
+          this._captureNeeded.delete(id);
+        }
+      }
+
+      for (const id of Array.from(this._dirtyThumbnailLayerIds)) {
+        if (!liveIds.has(id)) {
+          this._dirtyThumbnailLayerIds.delete(id);
+        }
+      }
+    }
+
+    /**
+     * Processes a small batch of dirty thumbnails on each animation frame
+     * @private
+     */
+    _flushDirtyThumbnails(deadline) {
+      if (this._dirtyThumbnailLayerIds.size === 0) {
+        return;
+      }
+
+      const hasPerformanceNow = typeof performance !== 'undefined' && typeof performance.now === 'function';
+      const start = hasPerformanceNow ? performance.now() : null;
+
+      const timeRemaining = (deadline && typeof deadline.timeRemaining === 'function')
+        ? () => deadline.timeRemaining()
+        : () => {
+          if (!hasPerformanceNow || start === null) {
+            return Number.POSITIVE_INFINITY;
+          }
+          const elapsed = performance.now() - start;
+          return Math.max(0, this._thumbnailIdleBudgetMs - elapsed);
+        };
+
+      const shouldYield = () => timeRemaining() <= 1;
+
+      let processed = 0;
+      while (this._dirtyThumbnailLayerIds.size > 0) {
+        if (processed >= this._thumbnailBatchSize) {
+          break;
+        }
+
+        const iterator = this._dirtyThumbnailLayerIds.values().next();
+        if (iterator.done) {
+          break;
+        }
+        const layerId = iterator.value;
+        this._dirtyThumbnailLayerIds.delete(layerId);
+        this._updateLayerThumbnail(layerId);
+        processed++;
+
+        if (shouldYield()) {
+          break;
+        }
+      }
+    }
+
+    /**
+     * Schedules a flush using requestIdleCallback/requestAnimationFrame fallback
+     * @private
+     */
+    _scheduleThumbnailFlush() {
+      if (this._thumbnailFlushHandle !== null || this._dirtyThumbnailLayerIds.size === 0) {
+        return;
+      }
+
+      const flushCallback = (deadline) => {
+        this._thumbnailFlushHandle = null;
+        this._cancelThumbnailFlush = null;
+        this._flushDirtyThumbnails(deadline);
+        if (this._dirtyThumbnailLayerIds.size > 0) {
+          this._scheduleThumbnailFlush();
+        }
+      };
+
+      if (typeof window !== 'undefined' && typeof window.requestIdleCallback === 'function') {
+        this._thumbnailFlushHandle = window.requestIdleCallback(flushCallback);
+        this._cancelThumbnailFlush = (handle) => window.cancelIdleCallback(handle);
+      } else if (typeof window !== 'undefined' && typeof window.requestAnimationFrame === 'function') {
+        this._thumbnailFlushHandle = window.requestAnimationFrame(() => flushCallback());
+        this._cancelThumbnailFlush = (handle) => window.cancelAnimationFrame(handle);
+      } else {
+        this._thumbnailFlushHandle = setTimeout(() => flushCallback(), 16);
+        this._cancelThumbnailFlush = (handle) => clearTimeout(handle);
+      }
+    }
+
+    /**
+     * Updates thumbnails for a specific layer
+     * @private
+     */
+    _updateLayerThumbnail(layerId) {
+      this._dirtyThumbnailLayerIds.delete(layerId);
+      const layer = this.layerSystem.getLayer(layerId);
+      if (!layer || layer.type !== 'layer') return;
+
+      const layerEl = this.layerElements.get(layerId);
+      if (!layerEl) return;
+
+      const canvas = layerEl.querySelector('.p5ml-thumbnail-canvas');
+      if (!canvas) return;
+
+      const ctx = canvas.getContext('2d');
+      if (!ctx) {
+        return;
+      }
+
+      const cacheEntry = this._getOrCreateThumbnailCacheEntry(layerId);
+      let sourceCanvas = cacheEntry.image && cacheEntry.image.canvas ? cacheEntry.image.canvas : null;
+      const needsCapture = this._captureNeeded.has(layerId) || !sourceCanvas;
+
+      if (needsCapture) {
+        const captured = this._captureLayerImage(layer);
+        if (captured && captured.canvas) {
+          cacheEntry.image = captured;
+          sourceCanvas = captured.canvas;
+          cacheEntry.boundsDirty = true;
+          this._captureNeeded.delete(layerId);
+        }
+      }
+
+      if (!sourceCanvas) {
+        return;
+      }
+
+      const previousSize = cacheEntry.lastSourceSize;
+      if (!previousSize || previousSize.width !== sourceCanvas.width || previousSize.height !== sourceCanvas.height) {
+        cacheEntry.window = [];
+      }
+      cacheEntry.lastSourceSize = { width: sourceCanvas.width, height: sourceCanvas.height };
+
+      if (this._thumbnailScratchCtx && (cacheEntry.boundsDirty || !cacheEntry.drawBounds)) {
+        const rawBounds = this._calculateBoundsFromCanvas(sourceCanvas);
+        // If first capture is empty, don't cache it - allow future updates
+        if (!rawBounds && !cacheEntry.drawBounds) {
+          cacheEntry.image = null;
+          return;
+        }
+        this._applyBoundsToCache(cacheEntry, rawBounds, sourceCanvas);
+        cacheEntry.boundsDirty = false;
+      } else if (!cacheEntry.drawBounds) {
+        cacheEntry.drawBounds = this._createFullBounds(sourceCanvas);
+        cacheEntry.boundsDirty = false;
+      }
+
+      const drawBounds = cacheEntry.drawBounds || this._createFullBounds(sourceCanvas);
+
+      const cropAmount = this._getCropAmount(sourceCanvas, drawBounds);
+      this._drawCheckerboard(ctx, canvas.width, canvas.height, cropAmount);
+      this._drawThumbnailImage(ctx, canvas, sourceCanvas, drawBounds);
+    }
+
+    _getOrCreateThumbnailCacheEntry(layerId) {
+      if (!this._thumbnailCache.has(layerId)) {
+        this._thumbnailCache.set(layerId, {
+          image: null,
+          boundsDirty: false,
+          window: [],
+          emptyFrames: 0,
+          drawBounds: null,
+          lastSourceSize: null
+        });
+      }
+      return this._thumbnailCache.get(layerId);
+    }
+
+    /**
+     * Lazily initializes a framebuffer for GPU-to-GPU downsampling.
+     * Uses p5.Framebuffer to stay in the same WebGL context as source framebuffers.
+     * @private
+     */
+    _getDownsampleBuffer(width, height) {
+      const p = this.layerSystem.p;
+      if (!p || typeof p.createFramebuffer !== 'function') {
+        return null;
+      }
+
+      // Create or resize the buffer as needed
+      if (!this._downsampleBuffer) {
+        try {
+          this._downsampleBuffer = p.createFramebuffer({
+            width,
+            height,
+            density: 1,
+            depthFormat: p.UNSIGNED_INT,
+            textureFiltering: p.LINEAR
+          });
+        } catch (e) {
+          console.debug('Could not create downsample framebuffer:', e);
+          return null;
+        }
+      } else if (this._downsampleBuffer.width !== width || this._downsampleBuffer.height !== height) {
+        this._downsampleBuffer.resize(width, height);
+      }
+
+      return this._downsampleBuffer;
+    }
+
+    /**
+     * Captures a downsampled image from a framebuffer using GPU-to-GPU copy.
+     * This avoids reading the full framebuffer, reducing readback from ~8MB to ~150KB.
+     * @private
+     */
+    _captureLayerImage(layer) {
+      const source = layer.framebuffer;
+      if (!source) {
+        return null;
+      }
+
+      const p = this.layerSystem.p;
+      if (!p) {
+        return null;
+      }
+
+      // Calculate downsampled dimensions
+      const maxSize = Math.max(1, this.options.thumbnailSampleMaxSize);
+      const sourceWidth = source.width || p.width;
+      const sourceHeight = source.height || p.height;
+      const largestSide = Math.max(sourceWidth, sourceHeight);
+      const scale = largestSide > maxSize ? maxSize / largestSide : 1;
+      const sampleWidth = Math.max(1, Math.round(sourceWidth * scale));
+      const sampleHeight = Math.max(1, Math.round(sourceHeight * scale));
+
+      try {
+        const buffer = this._getDownsampleBuffer(sampleWidth, sampleHeight);
+        if (!buffer) {
+          // Fallback to direct get() if buffer creation failed
+          if (typeof source.get === 'function') {
+            return source.get();
+          }
+          return null;
+        }
+
+        // GPU-to-GPU copy: render source framebuffer to small buffer
+        buffer.begin();
+        p.clear();
+        p.push();
+        p.imageMode(p.CORNER);
+        // Translate to top-left corner (WEBGL origin is center)
+        p.translate(-sampleWidth / 2, -sampleHeight / 2);
+        p.image(source, 0, 0, sampleWidth, sampleHeight);
+        p.pop();
+        buffer.end();
+
+        // Small readback: only ~150KB instead of ~8MB
+        const result = buffer.get();
+
+        // Store original dimensions for bounds scaling
+        result._originalWidth = sourceWidth;
+        result._originalHeight = sourceHeight;
+
+        return result;
+      } catch (e) {
+        console.debug('Could not capture downsampled thumbnail:', e);
+        // Fallback to direct get()
+        if (typeof source.get === 'function') {
+          return source.get();
+        }
+        return null;
+      }
+    }
+
+    _calculateBoundsFromCanvas(sourceCanvas) {
+      if (!this._thumbnailScratchCtx || !sourceCanvas.width || !sourceCanvas.height) {
+        return null;
+      }
+
+      const maxSize = Math.max(1, this.options.thumbnailSampleMaxSize);
+      const largestSide = Math.max(sourceCanvas.width, sourceCanvas.height);
+      const scale = largestSide > maxSize ? maxSize / largestSide : 1;
+      const sampleWidth = Math.max(1, Math.round(sourceCanvas.width * scale));
+      const sampleHeight = Math.max(1, Math.round(sourceCanvas.height * scale));
+
+      this._thumbnailScratchCanvas.width = sampleWidth;
+      this._thumbnailScratchCanvas.height = sampleHeight;
+
+      const ctx = this._thumbnailScratchCtx;
+      ctx.clearRect(0, 0, sampleWidth, sampleHeight);
+      ctx.drawImage(sourceCanvas, 0, 0, sampleWidth, sampleHeight);
+
+      let imageData;
+      try {
+        imageData = ctx.getImageData(0, 0, sampleWidth, sampleHeight);
+      } catch (e) {
+        console.debug('Could not read thumbnail buffer:', e);
+        return null;
+      }
+
+      const bounds = computeAlphaBounds(imageData.data, sampleWidth, sampleHeight, {
+        alphaThreshold: this.options.thumbnailAlphaThreshold,
+        stride: this.options.thumbnailSampleStride
+      });
+
+      if (!bounds) {
+        return null;
+      }
+
+      const scaleX = sourceCanvas.width / sampleWidth;
+      const scaleY = sourceCanvas.height / sampleHeight;
+      return {
+        x: bounds.x * scaleX,
+        y: bounds.y * scaleY,
+        width: bounds.width * scaleX,
+        height: bounds.height * scaleY
+      };
+    }
+
+    _applyBoundsToCache(cacheEntry, bounds, sourceSize) {
+      if (!cacheEntry) {
+        return;
+      }
+
+      // Only use sliding window smoothing when thumbnailAutoUpdate is true (every frame).
+      // With irregular updates (thumbnailUpdateEvery or click-only), use bounds directly.
+      const useSmoothing = this.options.thumbnailAutoUpdate;
+
+      if (!useSmoothing) {
+        // Direct mode: just use the current bounds with padding
+        if (bounds && bounds.width > 0 && bounds.height > 0) {
+          cacheEntry.drawBounds = padBounds(
+            bounds,
+            this.options.thumbnailPadding,
+            sourceSize.width,
+            sourceSize.height
+          );
+        } else if (!cacheEntry.drawBounds) {
+          cacheEntry.drawBounds = this._createFullBounds(sourceSize);
+        }
+        return;
+      }
+
+      // Smoothing mode: use sliding window for every-frame updates
+      if (!cacheEntry.window) {
+        cacheEntry.window = [];
+      }
+
+      if (bounds) {
+        cacheEntry.window.push(bounds);
+        const maxWindow = Math.max(1, this.options.thumbnailAnimationWindow || 0);
+        while (cacheEntry.window.length > maxWindow) {
+          cacheEntry.window.shift();
+        }
+        cacheEntry.emptyFrames = 0;
+      } else {
+        const resetLimit = Math.max(1, this.options.thumbnailEmptyFrameReset || 0);
+        cacheEntry.emptyFrames = (cacheEntry.emptyFrames || 0) + 1;
+        if (cacheEntry.emptyFrames >= resetLimit) {
+          cacheEntry.window = [];
+          cacheEntry.emptyFrames = resetLimit;
+        }
+      }
+
+      const merged = mergeBounds(cacheEntry.window);
+      const padded = merged
+        ? padBounds(merged, this.options.thumbnailPadding, sourceSize.width, sourceSize.height)
+        : null;
+
+      if (padded && padded.width > 0 && padded.height > 0) {
+        cacheEntry.drawBounds = padded;
+      } else if (!cacheEntry.drawBounds) {
+        cacheEntry.drawBounds = this._createFullBounds(sourceSize);
+      }
+
+      if (!cacheEntry.window.length) {
+        cacheEntry.drawBounds = this._createFullBounds(sourceSize);
+      }
+    }
+
+    _createFullBounds(sourceSize) {
+      const width = sourceSize.width || 0;
+      const height = sourceSize.height || 0;
+      return { x: 0, y: 0, width, height };
+    }
+
+    /**
+     * Returns a scalar in [0, 1] representing how tight the crop is.
+     * 0 = no crop (full layer), 1 = extremely tight crop (tiny region)
+     * @private
+     */
+    _getCropAmount(sourceCanvas, bounds) {
+      if (!sourceCanvas || !bounds || bounds.width <= 0 || bounds.height <= 0) {
+        return 0;
+      }
+
+      const layerWidth = sourceCanvas.width || 1;
+      const layerHeight = sourceCanvas.height || 1;
+      const areaLayer = layerWidth * layerHeight;
+      const areaCrop = bounds.width * bounds.height;
+
+      if (!Number.isFinite(areaLayer) || areaLayer <= 0) {
+        return 0;
+      }
+
+      const visibleFraction = Math.max(0, Math.min(1, areaCrop / areaLayer));
+      return 1 - visibleFraction;
+    }
+
+    _drawThumbnailImage(ctx, targetCanvas, sourceCanvas, bounds) {
+      if (!bounds || bounds.width <= 0 || bounds.height <= 0) {
+        return;
+      }
+
+      // Always fit the cropped region into the thumbnail while preserving aspect
+      const scale = Math.min(
+        targetCanvas.width / bounds.width,
+        targetCanvas.height / bounds.height
+      );
+
+      const destWidth = Math.max(1, bounds.width * scale);
+      const destHeight = Math.max(1, bounds.height * scale);
+      const destX = (targetCanvas.width - destWidth) / 2;
+      const destY = (targetCanvas.height - destHeight) / 2;
+
+      ctx.save();
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(
+        sourceCanvas,
+        bounds.x,
+        bounds.y,
+        bounds.width,
+        bounds.height,
+        destX,
+        destY,
+        destWidth,
+        destHeight
+      );
+      ctx.restore();
+    }
+
+    /**
+     * Creates a DOM element for a single layer or group
+     * @private
+     */
+    _createLayerElement(layer, depth = 0) {
+      const isGroup = layer.type === 'group';
+      const layerEl = document.createElement('div');
+      layerEl.className = isGroup ? 'p5ml-layer-item p5ml-group-item' : 'p5ml-layer-item';
+      layerEl.dataset.layerId = layer.id;
+
+      // Add click handler to select layer and update thumbnail
+      const signal = this._abortController.signal;
+      layerEl.addEventListener('click', (e) => {
+        // Clicks inside a group's children belong to the child rows
+        if (e.target.closest('.p5ml-layer-item') !== layerEl) {
+          return;
+        }
+
+        // Close all dropdowns when clicking on the layer row itself
+        if (e.target.classList.contains('p5ml-layer-row') ||
+            e.target.classList.contains('p5ml-layer-name') ||
+            e.target.classList.contains('p5ml-layer-thumbnail') ||
+            e.target.classList.contains('p5ml-thumbnail-canvas') ||
+            e.target.classList.contains('p5ml-group-icon')) {
+          this._closeAllDropdowns();
+          this._selectLayer(layer.id);
+          if (layer.type === 'layer') {
+            // Force capture on click so thumbnail updates with current layer content
+            this._captureNeeded.add(layer.id);
+            this._updateLayerThumbnail(layer.id);
+          }
+        }
+      }, { signal });
+
+      // Main layer row (Procreate style: thumbnail | name | blend letter | checkbox)
+      const layerRow = document.createElement('div');
+      layerRow.className = 'p5ml-layer-row';
+      layerRow.style.paddingLeft = `${12 + depth * 16}px`;
+
+      // Clipped layers are indented under their base with a marker
+      layerEl.classList.toggle('p5ml-clipped', !!layer.clipped);
+      const clipMarker = document.createElement('span');
+      clipMarker.className = 'p5ml-clip-marker';
+      clipMarker.textContent = '↳';
+      clipMarker.title = 'Clipped to the layer below';
+      layerRow.appendChild(clipMarker);
+
+      // Left: Thumbnail (or a folder toggle for groups)
+      if (isGroup) {
+        const groupToggle = document.createElement('button');
+        groupToggle.className = 'p5ml-group-toggle';
+        groupToggle.textContent = '▾';
+        groupToggle.title = 'Expand/collapse group';
+        groupToggle.addEventListener('click', (e) => {
+          e.stopPropagation();
+          const childrenEl = layerEl.querySelector('.p5ml-group-children');
+          const isOpen = childrenEl.style.display !== 'none';
+          childrenEl.style.display = isOpen ? 'none' : 'block';
+          groupToggle.textContent = isOpen ? '▸' : '▾';
+        }, { signal });
+        layerRow.appendChild(groupToggle);
+
+        const groupIcon = document.createElement('div');
+        groupIcon.className = 'p5ml-group-icon';
+        groupIcon.textContent = '▤';
+        layerRow.appendChild(groupIcon);
+      } else if (layer.type === 'adjustment') {
+        const adjustmentIcon = document.createElement('div');
+        adjustmentIcon.className = 'p5ml-group-icon p5ml-adjustment-icon';
+        adjustmentIcon.textContent = '◐';
+        adjustmentIcon.title = `Adjustment: ${this._formatBlendModeName(layer.adjustment)}`;
+        layerRow.appendChild(adjustmentIcon);
+      } else {
+        const thumbnail = this._createThumbnail();
+        thumbnail.className = 'p5ml-layer-thumbnail';
+        layerRow.appendChild(thumbnail);
+      }
+
+      // Center: Layer name
+      const nameSpan = document.createElement('span');
+      nameSpan.className = 'p5ml-layer-name';
+      nameSpan.textContent = layer.name;
+      nameSpan.title = 'Double-click to rename';
+      nameSpan.addEventListener('dblclick', (e) => {
+        e.stopPropagation();
+        this._startRename(layer, nameSpan);
+      }, { signal });
+      layerRow.appendChild(nameSpan);
+
+      // Right side controls container
+      const rightControls = document.createElement('div');
+      rightControls.className = 'p5ml-right-controls';
+
+      // Blend mode letter indicator (clickable)
+      const displayedBlendMode = this._getDisplayedBlendMode(layer);
+      const blendIndicator = document.createElement('button');
+      blendIndicator.className = 'p5ml-blend-indicator';
+      blendIndicator.textContent = this._getBlendModeLetter(displayedBlendMode);
+      blendIndicator.title = `Blend Mode: ${displayedBlendMode}`;
+      blendIndicator.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const dropdown = layerEl.querySelector('.p5ml-layer-dropdown');
+        const isExpanded = dropdown.style.display === 'block';
+
+        // Close all other dropdowns first
+        this._closeAllDropdowns();
+
+        // Toggle this dropdown (if it wasn't already open)
+        dropdown.style.display = isExpanded ? 'none' : 'block';
+      }, { signal });
+
+      // Visibility checkbox
+      const visibilityCheckbox = document.createElement('input');
+      visibilityCheckbox.type = 'checkbox';
+      visibilityCheckbox.className = 'p5ml-visibility-checkbox';
+      visibilityCheckbox.checked = layer.visible;
+      visibilityCheckbox.title = 'Toggle visibility';
+      visibilityCheckbox.addEventListener('change', (e) => {
+        e.stopPropagation();
+        if (e.target.checked) {
+          this.layerSystem.show(layer.id);
+        } else {
+          this.layerSystem.hide(layer.id);
+        }
+      }, { signal });
+
+      rightControls.appendChild(blendIndicator);
+      rightControls.appendChild(visibilityCheckbox);
+      layerRow.appendChild(rightControls);
+
+      // Dropdown panel (hidden by default, shown when blend indicator is clicked)
+      const dropdown = document.createElement('div');
+      dropdown.className = 'p5ml-layer-dropdown';
+      dropdown.style.display = 'none';
+
+      // Opacity control
+      const opacityGroup = document.createElement('div');
+      opacityGroup.className = 'p5ml-control-group';
+
+      const opacityLabel = document.createElement('label');
+      opacityLabel.textContent = 'OPACITY';
+
+      const opacityValue = document.createElement('span');
+      opacityValue.className = 'p5ml-opacity-value';
+      opacityValue.textContent = Math.round(layer.opacity * 100) + '%';
+
+      const opacitySlider = document.createElement('input');
+      opacitySlider.type = 'range';
+      opacitySlider.min = '0';
+      opacitySlider.max = '100';
+      opacitySlider.value = Math.round(layer.opacity * 100);
+      opacitySlider.className = 'p5ml-opacity-slider';
+      opacitySlider.addEventListener('input', (e) => {
+        e.stopPropagation();
+        const value = parseFloat(e.target.value) / 100;
+        this.layerSystem.setOpacity(layer.id, value);
+        opacityValue.textContent = e.target.value + '%';
+      }, { signal });
+
+      opacityGroup.appendChild(opacityLabel);
+      opacityGroup.appendChild(opacityValue);
+      opacityGroup.appendChild(opacitySlider);
+
+      // Blend mode control
+      const blendGroup = document.createElement('div');
+      blendGroup.className = 'p5ml-control-group';
+
+      const blendLabel = document.createElement('label');
+      blendLabel.textContent = 'BLEND MODE';
+
+      const blendSelect = document.createElement('select');
+      blendSelect.className = 'p5ml-blend-select';
+
+      const blendModeOptions = isGroup
+        ? [PASS_THROUGH, ...Object.values(BlendModes)]
+        : Object.values(BlendModes);
+
+      blendModeOptions.forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = this._formatBlendModeName(mode);
+        option.selected = displayedBlendMode === mode;
+        blendSelect.appendChild(option);
+      });
+
+      blendSelect.addEventListener('change', (e) => {
+        e.stopPropagation();
+        if (isGroup) {
+          this.layerSystem.setPassThrough(layer.id, e.target.value === PASS_THROUGH);
+        }
+        if (e.target.value !== PASS_THROUGH) {
+          this.layerSystem.setBlendMode(layer.id, e.target.value);
+        }
+        blendIndicator.textContent = this._getBlendModeLetter(e.target.value);
+        blendIndicator.title = `Blend Mode: ${e.target.value}`;
+      }, { signal });
+
+      blendGroup.appendChild(blendLabel);
+      blendGroup.appendChild(blendSelect);
+
+      dropdown.appendChild(opacityGroup);
+      dropdown.appendChild(blendGroup);
+
+      // Assemble layer element
+      layerEl.appendChild(layerRow);
+      layerEl.appendChild(dropdown);
+
+      if (isGroup) {
+        const childrenEl = document.createElement('div');
+        childrenEl.className = 'p5ml-group-children';
+        layerEl.appendChild(childrenEl);
+      }
+
+      return layerEl;
+    }
+
+    /**
+     * Gets the blend mode shown for a layer, including the pass-through pseudo mode for groups
+     * @private
+     */
+    _getDisplayedBlendMode(layer) {
+      return layer.type === 'group' && layer.passThrough ? PASS_THROUGH : layer.blendMode;
+    }
+
+    /**
+     * Gets a single letter representing the blend mode
+     * @private
+     */
+    _getBlendModeLetter(blendMode) {
+      const letters = {
+        [BlendModes.NORMAL]: 'N',
+        [BlendModes.MULTIPLY]: 'M',
+        [BlendModes.SCREEN]: 'S',
+        [BlendModes.OVERLAY]: 'O',
+        [BlendModes.DARKEN]: 'D',
+        [BlendModes.LIGHTEN]: 'Li',
+        [BlendModes.COLOR_DODGE]: 'Cd',
+        [BlendModes.COLOR_BURN]: 'B',
+        [BlendModes.HARD_LIGHT]: 'HL',
+        [BlendModes.SOFT_LIGHT]: 'SL',
+        [BlendModes.DIFFERENCE]: 'Di',
+        [BlendModes.EXCLUSION]: 'E',
+        [BlendModes.ADD]: 'A',
+        [BlendModes.SUBTRACT]: 'Su',
+        [BlendModes.HUE]: 'H',
+        [BlendModes.SATURATION]: 'Sa',
+        [BlendModes.COLOR]: 'C',
+        [BlendModes.LUMINOSITY]: 'Lu',
+        [BlendModes.LINEAR_BURN]: 'LB',
+        [BlendModes.LINEAR_DODGE]: 'LD',
+        [BlendModes.LINEAR_LIGHT]: 'LL',
+        [BlendModes.VIVID_LIGHT]: 'VL',
+        [BlendModes.PIN_LIGHT]: 'PL',
+        [BlendModes.HARD_MIX]: 'HM',
+        [BlendModes.DIVIDE]: 'Dv',
+        [BlendModes.DARKER_COLOR]: 'DC',
+        [BlendModes.LIGHTER_COLOR]: 'LC',
+        [PASS_THROUGH]: 'P',
+      };
+      if (customBlendModes.has(blendMode)) {
+        return customBlendModes.get(blendMode).letter;
+      }
+      return letters[blendMode] || '-';
+    }
+
+    /**
+     * Formats blend mode name for display
+     * @private
+     */
+    _formatBlendModeName(mode) {
+      // Convert BLEND_MODE to "Blend Mode"
+      return mode.split('_')
+        .map(word => word.charAt(0) + word.slice(1).toLowerCase())
+        .join(' ');
+    }
+
+    /**
+     * Creates a thumbnail canvas for a framebuffer or image
+     * @private
+     */
+    _createThumbnail() {
+      const container = document.createElement('div');
+      container.className = 'p5ml-thumbnail';
+
+      const canvas = document.createElement('canvas');
+      canvas.className = 'p5ml-thumbnail-canvas';
+      canvas.width = 60;
+      canvas.height = 60;
+
+      const ctx = canvas.getContext('2d');
+
+      // Draw a checkerboard background for transparency
+      this._drawCheckerboard(ctx, canvas.width, canvas.height);
+
+      container.appendChild(canvas);
+      return container;
+    }
+
+
+    /**
+     * Draws a checkerboard pattern for transparency background
+     * @private
+     */
+    _drawCheckerboard(ctx, width, height, cropAmount = 0) {
+      if (!ctx) {
+        return;
+      }
+
+      const pattern = this._getCheckerPattern(ctx);
+      const scale = this._getCheckerboardScale(cropAmount);
+
+      if (pattern && typeof ctx.save === 'function') {
+        ctx.save();
+        ctx.fillStyle = pattern;
+        const cx = width / 2;
+        const cy = height / 2;
+        ctx.translate(cx, cy);
+        ctx.scale(scale, scale);
+        ctx.translate(-cx, -cy);
+        ctx.fillRect(0, 0, width, height);
+        ctx.restore();
+        return;
+      }
+
+      // Fallback: discrete checkerboard (used in tests/mocks without pattern support)
+      const baseSize = 8;
+      const squareSize = Math.max(2, Math.round(baseSize * scale));
+      ctx.fillStyle = '#333';
+      ctx.fillRect(0, 0, width, height);
+      ctx.fillStyle = '#444';
+
+      for (let y = 0; y < height; y += squareSize) {
+        for (let x = 0; x < width; x += squareSize) {
+          if ((x / squareSize + y / squareSize) % 2 === 0) {
+            ctx.fillRect(x, y, squareSize, squareSize);
+          }
+        }
+      }
+    }
+
+    _getCheckerboardScale(cropAmount = 0) {
+      const t = Math.max(0, Math.min(1, Number.isFinite(cropAmount) ? cropAmount : 0));
+      return 1 + t * 1.2; // Scale from 1.0 to 2.2 based on crop
+    }
+
+    _getCheckerPattern(ctx) {
+      if (!ctx || !this._checkerPatternCanvas || typeof ctx.createPattern !== 'function') {
+        return null;
+      }
+
+      if (this._checkerPatternCache && this._checkerPatternCache.has(ctx)) {
+        return this._checkerPatternCache.get(ctx);
+      }
+
+      const pattern = ctx.createPattern(this._checkerPatternCanvas, 'repeat');
+      if (pattern && this._checkerPatternCache) {
+        this._checkerPatternCache.set(ctx, pattern);
+      }
+      return pattern;
+    }
+
+    /**
+     * Selects a layer
+     * @private
+     */
+    _selectLayer(layerId) {
+      this.selectedLayerId = layerId;
+
+      // Update visual selection state
+      const elements = this.container.querySelectorAll('.p5ml-layer-item');
+
+      elements.forEach(el => {
+        // Convert both to strings for comparison (dataset values are always strings)
+        if (el.dataset.layerId == layerId) {
+          el.classList.add('p5ml-selected');
+          // Force bright blue background with inline style
+          el.style.background = '#3a7bc8';
+          el.style.borderLeft = '3px solid #5dade2';
+        } else {
+          el.classList.remove('p5ml-selected');
+          // Remove inline styles
+          el.style.background = '';
+          el.style.borderLeft = '';
+        }
+      });
+    }
+
+    /**
+     * Deselects the currently selected layer
+     * @private
+     */
+    _deselectLayer() {
+      this.selectedLayerId = null;
+
+      // Remove visual selection state from all layers
+      this.container.querySelectorAll('.p5ml-layer-item').forEach(el => {
+        el.classList.remove('p5ml-selected');
+        // Remove inline styles
+        el.style.background = '';
+        el.style.borderLeft = '';
+      });
+    }
+
+    /**
+     * Moves the selected layer up or down in the stack
+     * @private
+     * @param {number} direction - -1 for up (higher in stack), 1 for down (lower in stack)
+     */
+    _moveSelectedLayer(direction) {
+      if (this.selectedLayerId === null) return;
+
+      const selectedLayer = this.layerSystem.getLayer(this.selectedLayerId);
+      if (!selectedLayer) return;
+
+      // Layers only move among their siblings (inside the same group)
+      const layers = selectedLayer.parent
+        ? selectedLayer.parent.getChildren()
+        : this.layerSystem.getLayers();
+      const currentIndex = layers.findIndex(l => l.id === this.selectedLayerId);
+
+      if (currentIndex === -1) return;
+
+      // Calculate new index (remember layers are in bottom-to-top order)
+      // direction -1 means "up" which is higher index
+      // direction 1 means "down" which is lower index
+      const newIndex = currentIndex - direction;
+
+      // Check bounds
+      if (newIndex < 0 || newIndex >= layers.length) return;
+
+      // Swap layers
+      const targetLayer = layers[newIndex];
+
+      // Swap entries inside the layer array
+      [layers[currentIndex], layers[newIndex]] = [layers[newIndex], layers[currentIndex]];
+
+      // Move only the affected DOM nodes instead of rebuilding the entire list
+      const selectedElement = this.layerElements.get(this.selectedLayerId);
+      const targetElement = this.layerElements.get(targetLayer.id);
+      const siblingsContainer = targetElement ? targetElement.parentNode : null;
+      if (selectedElement && targetElement && siblingsContainer) {
+        if (direction === -1) {
+          siblingsContainer.insertBefore(selectedElement, targetElement);
+        } else {
+          const nextNode = targetElement.nextSibling;
+          siblingsContainer.insertBefore(selectedElement, nextNode);
+        }
+      }
+
+      // Only the swapped layers need their thumbnails refreshed
+      this._markThumbnailsDirty([this.selectedLayerId, targetLayer.id]);
+
+      // Update the layer system's internal order (the DOM is already in place)
+      if (typeof this.layerSystem.reorderLayers === 'function') {
+        this._movingLayer = true;
+        try {
+          this.layerSystem.reorderLayers(layers);
+        } finally {
+          this._movingLayer = false;
+        }
+      }
+
+      // Re-select the layer to keep the highlight consistent
+      this._selectLayer(this.selectedLayerId);
+    }
+
+    /**
+     * Swaps a layer's name for a text field. Enter or leaving the field
+     * renames the layer, Escape cancels.
+     * @private
+     * @param {LayerNode} layer - The layer to rename
+     * @param {HTMLElement} nameSpan - The name element to replace
+     */
+    _startRename(layer, nameSpan) {
+      const signal = this._abortController.signal;
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'p5ml-name-input';
+      input.value = layer.name;
+
+      let finished = false;
+      const finish = (commit) => {
+        if (finished) return;
+        finished = true;
+
+        const name = input.value.trim();
+        if (commit && name && name !== layer.name) {
+          try {
+            this.layerSystem.renameLayer(layer.id, name);
+          } catch (error) {
+            // NamePolicies.ERROR refuses taken names; keep the old one
+            console.warn(error.message);
+          }
+        }
+
+        nameSpan.textContent = layer.name;
+        input.replaceWith(nameSpan);
+      };
+
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          finish(true);
+        } else if (e.key === 'Escape') {
+          finish(false);
+        }
+      }, { signal });
+      input.addEventListener('blur', () => finish(true), { signal });
+
+      // Keep clicks in the field from selecting the row or starting a drag
+      input.addEventListener('click', (e) => e.stopPropagation(), { signal });
+      input.addEventListener('mousedown', (e) => e.stopPropagation(), { signal });
+
+      nameSpan.replaceWith(input);
+      input.focus();
+      input.select();
+    }
+
+    /**
+     * Duplicates the selected layer and selects the copy
+     * @private
+     */
+    _duplicateSelectedLayer() {
+      if (this.selectedLayerId === null) return;
+
+      const copy = this.layerSystem.duplicateLayer(this.selectedLayerId);
+      if (copy) {
+        this.selectedLayerId = copy.id;
+        this.update();
+      }
+    }
+
+    /**
+     * Merges the selected layer into the one below and selects the result
+     * @private
+     */
+    _mergeSelectedLayerDown() {
+      if (this.selectedLayerId === null) return;
+
+      const merged = this.layerSystem.mergeDown(this.selectedLayerId);
+      if (merged) {
+        this.selectedLayerId = merged.id;
+        this.update();
+      }
+    }
+
+    /**
+     * Flattens every layer into one and selects it
+     * @private
+     */
+    _flattenLayers() {
+      const layer = this.layerSystem.flatten();
+      if (layer) {
+        this.selectedLayerId = layer.id;
+        this.update();
+      }
+    }
+
+    /**
+     * Attaches CSS styles to the document
+     * @private
+     */
+    _attachStyles() {
+      // Check if styles already exist
+      if (document.getElementById('p5ml-layer-ui-styles')) {
+        return;
+      }
+
+      const style = document.createElement('style');
+      style.id = 'p5ml-layer-ui-styles';
+      style.textContent = `
+      .p5ml-layer-panel {
+        position: fixed;
+        background: rgba(26, 26, 26, 0.95);
+        border: 1px solid #444;
+        border-radius: 8px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+        font-size: 13px;
+        color: #e0e0e0;
+        z-index: 10000;
+        backdrop-filter: blur(10px);
+        overflow: hidden;
+      }
+
+      .p5ml-layer-panel.collapsed .p5ml-layers-container {
+        display: none;
+      }
+
+      .p5ml-panel-header {
+        background: rgba(60, 60, 60, 0.9);
+        padding: 12px 16px;
+        border-bottom: 1px solid #333;
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        user-select: none;
+      }
+
+      .p5ml-panel-title {
+        font-weight: 600;
+        font-size: 16px;
+        letter-spacing: 0.5px;
+        color: #ccc;
+      }
+
+      .p5ml-header-controls {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .p5ml-arrow-btn {
+        background: rgba(255, 255, 255, 0.1);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 4px;
+        color: #e8e8e8;
+        font-size: 16px;
+        cursor: pointer;
+        padding: 4px 8px;
+        width: 28px;
+        height: 28px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        transition: all 0.15s;
+      }
+
+      .p5ml-arrow-btn:hover {
+        background: rgba(255, 255, 255, 0.15);
+        border-color: rgba(255, 255, 255, 0.3);
+      }
+
+      .p5ml-arrow-btn:active {
+        background: rgba(255, 255, 255, 0.2);
+      }
+
+      .p5ml-collapse-btn {
+        background: none;
+        border: none;
+        color: #aaa;
+        font-size: 18px;
+        cursor: pointer;
+        padding: 0;
+        width: 20px;
+        height: 20px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+      }
+
+      .p5ml-collapse-btn:hover {
+        color: #fff;
+      }
+
+      .p5ml-layers-container {
+        max-height: 500px;
+        overflow-y: auto;
+        padding: 0;
+        background: #2a2a2a;
+      }
+
+      .p5ml-layers-container::-webkit-scrollbar {
+        width: 8px;
+      }
+
+      .p5ml-layers-container::-webkit-scrollbar-track {
+        background: rgba(0, 0, 0, 0.2);
+      }
+
+      .p5ml-layers-container::-webkit-scrollbar-thumb {
+        background: rgba(255, 255, 255, 0.2);
+        border-radius: 4px;
+      }
+
+      .p5ml-layers-container::-webkit-scrollbar-thumb:hover {
+        background: rgba(255, 255, 255, 0.3);
+      }
+
+      /* Procreate-style layer item */
+      .p5ml-layer-item {
+        background: transparent;
+        border-bottom: 1px solid #3a3a3a;
+        transition: background 0.15s ease;
+        cursor: pointer;
+      }
+
+      .p5ml-layer-item:hover {
+        background: rgba(100, 150, 255, 0.15);
+      }
+
+      /* Selected state */
+      .p5ml-layer-item.p5ml-selected {
+        background: #3a7bc8 !important;
+        border-left: 3px solid #5dade2;
+      }
+
+      .p5ml-layer-item.p5ml-selected:hover {
+        background: #4a8dd8 !important;
+      }
+
+      .p5ml-layer-item.p5ml-selected .p5ml-layer-row {
+        background: transparent;
+      }
+
+      /* Main layer row (horizontal layout) */
+      .p5ml-layer-row {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 10px 12px;
+      }
+
+      /* Thumbnail on the left */
+      .p5ml-layer-thumbnail {
+        flex-shrink: 0;
+      }
+
+      .p5ml-layer-thumbnail canvas {
+        display: block;
+        width: 60px;
+        height: 60px;
+        border: 1px solid #555;
+        border-radius: 4px;
+        image-rendering: pixelated;
+      }
+
+      /* Group rows: folder toggle and icon instead of a thumbnail */
+      .p5ml-group-toggle {
+        background: none;
+        border: none;
+        color: #aaa;
+        font-size: 14px;
+        cursor: pointer;
+        padding: 0;
+        width: 16px;
+        flex-shrink: 0;
+      }
+
+      .p5ml-group-toggle:hover {
+        color: #fff;
+      }
+
+      .p5ml-clip-marker {
+        display: none;
+        flex-shrink: 0;
+        width: 16px;
+        color: #999;
+      }
+
+      .p5ml-clipped > .p5ml-layer-row > .p5ml-clip-marker {
+        display: inline-block;
+      }
+
+      .p5ml-group-icon {
+        flex-shrink: 0;
+        width: 60px;
+        height: 36px;
+        border: 1px solid #555;
+        border-radius: 4px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 20px;
+        color: #999;
+        background: rgba(255, 255, 255, 0.05);
+      }
+
+      .p5ml-group-item > .p5ml-layer-row .p5ml-layer-name {
+        font-weight: 600;
+      }
+
+      /* Children of a group keep the list background even when the group is selected */
+      .p5ml-group-children {
+        background: #2a2a2a;
+        border-top: 1px solid #3a3a3a;
+      }
+
+      .p5ml-group-children > .p5ml-layer-item:last-child {
+        border-bottom: none;
+      }
+
+      /* Layer name in center */
+      .p5ml-layer-name {
+        flex: 1;
+        font-weight: 500;
+        font-size: 15px;
+        color: #e8e8e8;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .p5ml-name-input {
+        flex: 1;
+        min-width: 0;
+        font: inherit;
+        font-weight: 500;
+        font-size: 15px;
+        color: #e8e8e8;
+        background: rgba(0, 0, 0, 0.4);
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        border-radius: 4px;
+        padding: 2px 6px;
+        outline: none;
+      }
+
+      /* Right side controls */
+      .p5ml-right-controls {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        flex-shrink: 0;
+      }
+
+      /* Blend mode letter indicator */
+      .p5ml-blend-indicator {
+        width: 28px;
+        height: 28px;
+        border-radius: 4px;
+        background: rgba(255, 255, 255, 0.1);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        color: #e8e8e8;
+        font-weight: 600;
+        font-size: 14px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        cursor: pointer;
+        transition: all 0.15s;
+        pointer-events: auto;
+      }
+
+      .p5ml-blend-indicator:hover {
+        background: rgba(255, 255, 255, 0.15);
+        border-color: rgba(255, 255, 255, 0.3);
+      }
+
+      /* Visibility checkbox */
+      .p5ml-visibility-checkbox {
+        width: 20px;
+        height: 20px;
+        cursor: pointer;
+        accent-color: #4a90e2;
+        pointer-events: auto;
+      }
+
+      /* Dropdown panel for opacity and blend mode */
+      .p5ml-layer-dropdown {
+        background: rgba(40, 40, 40, 0.95);
+        border-top: 1px solid #555;
+        padding: 16px;
+        display: none;
+      }
+
+      .p5ml-control-group {
+        margin-bottom: 16px;
+      }
+
+      .p5ml-control-group:last-child {
+        margin-bottom: 0;
+      }
+
+      .p5ml-control-group label {
+        font-size: 11px;
+        color: #999;
+        text-transform: uppercase;
+        letter-spacing: 0.8px;
+        font-weight: 600;
+        display: flex;
+        justify-content: space-between;
+        margin-bottom: 8px;
+      }
+
+      .p5ml-opacity-value {
+        color: #e0e0e0;
+        font-weight: 600;
+      }
+
+      .p5ml-opacity-slider {
+        width: 100%;
+        height: 6px;
+        border-radius: 3px;
+        outline: none;
+        -webkit-appearance: none;
+        background: rgba(255, 255, 255, 0.15);
+        margin-top: 4px;
+      }
+
+      .p5ml-opacity-slider::-webkit-slider-thumb {
+        -webkit-appearance: none;
+        appearance: none;
+        width: 18px;
+        height: 18px;
+        border-radius: 50%;
+        background: #fff;
+        cursor: pointer;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.4);
+      }
+
+      .p5ml-opacity-slider::-moz-range-thumb {
+        width: 18px;
+        height: 18px;
+        border-radius: 50%;
+        background: #fff;
+        cursor: pointer;
+        border: none;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.4);
+      }
+
+      .p5ml-blend-select {
+        width: 100%;
+        background: rgba(0, 0, 0, 0.4);
+        border: 1px solid #555;
+        border-radius: 6px;
+        color: #e8e8e8;
+        padding: 10px 12px;
+        font-size: 14px;
+        cursor: pointer;
+        outline: none;
+        margin-top: 4px;
+      }
+
+      .p5ml-blend-select:hover {
+        border-color: #777;
+        background: rgba(0, 0, 0, 0.5);
+      }
+
+      .p5ml-blend-select option {
+        background: #2a2a2a;
+        color: #e8e8e8;
+        padding: 8px;
+      }
+
+      /* Hide old thumbnail styles - no longer used */
+      .p5ml-thumbnail-label {
+        display: none;
+      }
+    `;
+
+      document.head.appendChild(style);
+    }
+
+    /**
+     * Toggles the collapsed state of the panel
+     */
+    toggle() {
+      this.isCollapsed = !this.isCollapsed;
+      this.container.classList.toggle('collapsed', this.isCollapsed);
+
+      const btn = this.container.querySelector('.p5ml-collapse-btn');
+      if (btn) {
+        btn.innerHTML = this.isCollapsed ? '+' : '−';
+      }
+    }
+
+    /**
+     * Shows the panel
+     */
+    show() {
+      this.container.style.display = 'block';
+    }
+
+    /**
+     * Hides the panel
+     */
+    hide() {
+      this.container.style.display = 'none';
+    }
+
+    /**
+     * Removes the panel from the DOM
+     */
+    dispose() {
+      if (this.container && this.container.parentNode) {
+        this.container.parentNode.removeChild(this.container);
+      }
+
+      this._abortController.abort();
+      if (activeLayerUI === this) {
+        activeLayerUI = null;
+      }
+
+      if (this._eventHandlers) {
+        for (const [event, handler] of Object.entries(this._eventHandlers)) {
+          this.layerSystem.off(event, handler);
+        }
+        this._eventHandlers = null;
+      }
+
+      if (this._cancelThumbnailFlush && this._thumbnailFlushHandle !== null) {
+        this._cancelThumbnailFlush(this._thumbnailFlushHandle);
+      }
+      this._dirtyThumbnailLayerIds.clear();
+      this._captureNeeded.clear();
+      this._thumbnailCache.clear();
+      this._thumbnailFlushHandle = null;
+      this._cancelThumbnailFlush = null;
+      this._thumbnailScratchCanvas = null;
+      this._thumbnailScratchCtx = null;
+    }
+  }
+
+  /**
+   * Identifies saved layer documents (see LayerSystem.serialize)
+   */
+  const DOCUMENT_FORMAT = 'p5.millefeuille';
+
+  /**
+   * Current layer document version. Bump when the saved shape changes in a way
+   * older readers can't ignore.
+   */
+  const DOCUMENT_VERSION = 1;
+
+  /**
+   * Encodes a framebuffer or image as a PNG data URL
+   * @param {p5.Framebuffer|p5.Image} source
+   * @returns {string|null} The data URL, or null if the source can't be read
+   */
+  function encodePNG(source) {
+    try {
+      const image = typeof source.get === 'function' ? source.get() : source;
+      if (!image || !image.canvas || typeof image.canvas.toDataURL !== 'function') {
+        return null;
+      }
+      return image.canvas.toDataURL('image/png');
+    } catch (e) {
+      console.warn('Could not encode pixels as PNG:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Loads an image, resolving once it has decoded
+   * @param {p5} p - The p5.js instance
+   * @param {string} url - Image URL or data URL
+   * @returns {Promise<p5.Image>}
+   */
+  function loadImageAsync(p, url) {
+    return new Promise((resolve, reject) => {
+      const result = p.loadImage(url, resolve, reject);
+      // Newer p5 versions return a promise instead of calling back
+      if (result && typeof result.then === 'function') {
+        result.then(resolve, reject);
+      }
+    });
+  }
+
+  /**
+   * Replaces a framebuffer's contents with an image stretched to fit
+   * @param {p5} p - The p5.js instance
+   * @param {p5.Framebuffer} framebuffer - The framebuffer to draw into
+   * @param {p5.Image} image - The image to draw
+   */
+  function drawImageInto(p, framebuffer, image) {
+    framebuffer.begin();
+    p.clear();
+    p.push();
+    p.imageMode(p.CENTER);
+    p.image(image, 0, 0, framebuffer.width, framebuffer.height);
+    p.pop();
+    framebuffer.end();
+  }
+
+  /**
+   * OpenRaster composite operations for each blend mode. Modes without an
+   * exact match map to the closest operation and log a warning on export.
+   */
+  const ORA_COMPOSITE_OPS = {
+    [BlendModes.NORMAL]: 'svg:src-over',
+    [BlendModes.MULTIPLY]: 'svg:multiply',
+    [BlendModes.SCREEN]: 'svg:screen',
+    [BlendModes.ADD]: 'svg:plus',
+    [BlendModes.OVERLAY]: 'svg:overlay',
+    [BlendModes.SOFT_LIGHT]: 'svg:soft-light',
+    [BlendModes.HARD_LIGHT]: 'svg:hard-light',
+    [BlendModes.COLOR_DODGE]: 'svg:color-dodge',
+    [BlendModes.COLOR_BURN]: 'svg:color-burn',
+    [BlendModes.DARKEN]: 'svg:darken',
+    [BlendModes.LIGHTEN]: 'svg:lighten',
+    [BlendModes.DIFFERENCE]: 'svg:difference',
+    [BlendModes.HUE]: 'svg:hue',
+    [BlendModes.SATURATION]: 'svg:saturation',
+    [BlendModes.COLOR]: 'svg:color',
+    [BlendModes.LUMINOSITY]: 'svg:luminosity',
+    [BlendModes.LINEAR_DODGE]: 'svg:plus'
+  };
+
+  const ORA_APPROXIMATE_OPS = {
+    [BlendModes.SUBTRACT]: 'svg:multiply',
+    [BlendModes.EXCLUSION]: 'svg:difference',
+    [BlendModes.LINEAR_BURN]: 'svg:multiply',
+    [BlendModes.LINEAR_LIGHT]: 'svg:hard-light',
+    [BlendModes.VIVID_LIGHT]: 'svg:hard-light',
+    [BlendModes.PIN_LIGHT]: 'svg:hard-light',
+    [BlendModes.HARD_MIX]: 'svg:hard-light',
+    [BlendModes.DIVIDE]: 'svg:color-dodge',
+    [BlendModes.DARKER_COLOR]: 'svg:darken',
+    [BlendModes.LIGHTER_COLOR]: 'svg:lighten'
+  };
+
+  /**
+   * Photoshop blend mode keys for each blend mode. SUBTRACT computes
+   * max(base + blend - 1, 0), which is Photoshop's Linear Burn, not its Subtract.
+   */
+  const PSD_BLEND_KEYS = {
+    [BlendModes.NORMAL]: 'norm',
+    [BlendModes.MULTIPLY]: 'mul ',
+    [BlendModes.SCREEN]: 'scrn',
+    [BlendModes.ADD]: 'lddg',
+    [BlendModes.SUBTRACT]: 'lbrn',
+    [BlendModes.OVERLAY]: 'over',
+    [BlendModes.SOFT_LIGHT]: 'sLit',
+    [BlendModes.HARD_LIGHT]: 'hLit',
+    [BlendModes.COLOR_DODGE]: 'div ',
+    [BlendModes.COLOR_BURN]: 'idiv',
+    [BlendModes.DARKEN]: 'dark',
+    [BlendModes.LIGHTEN]: 'lite',
+    [BlendModes.DIFFERENCE]: 'diff',
+    [BlendModes.EXCLUSION]: 'smud',
+    [BlendModes.HUE]: 'hue ',
+    [BlendModes.SATURATION]: 'sat ',
+    [BlendModes.COLOR]: 'colr',
+    [BlendModes.LUMINOSITY]: 'lum ',
+    [BlendModes.LINEAR_BURN]: 'lbrn',
+    [BlendModes.LINEAR_DODGE]: 'lddg',
+    [BlendModes.LINEAR_LIGHT]: 'lLit',
+    [BlendModes.VIVID_LIGHT]: 'vLit',
+    [BlendModes.PIN_LIGHT]: 'pLit',
+    [BlendModes.HARD_MIX]: 'hMix',
+    [BlendModes.DIVIDE]: 'fdiv',
+    [BlendModes.DARKER_COLOR]: 'dkCl',
+    [BlendModes.LIGHTER_COLOR]: 'lgCl'
+  };
+
+  /**
+   * Growable big-endian byte buffer for writing binary file formats
+   */
+  class ByteWriter {
+    constructor() {
+      this.bytes = new Uint8Array(1024);
+      this.length = 0;
+    }
+
+    _reserve(count) {
+      if (this.length + count <= this.bytes.length) {
+        return;
+      }
+      let size = this.bytes.length * 2;
+      while (size < this.length + count) {
+        size *= 2;
+      }
+      const bytes = new Uint8Array(size);
+      bytes.set(this.bytes.subarray(0, this.length));
+      this.bytes = bytes;
+    }
+
+    u8(value) {
+      this._reserve(1);
+      this.bytes[this.length++] = value & 0xff;
+      return this;
+    }
+
+    u16(value) {
+      return this.u8(value >>> 8).u8(value);
+    }
+
+    u32(value) {
+      return this.u16(value >>> 16).u16(value);
+    }
+
+    // Zip headers are little-endian
+    u16le(value) {
+      return this.u8(value).u8(value >>> 8);
+    }
+
+    u32le(value) {
+      return this.u16le(value).u16le(value >>> 16);
+    }
+
+    write(bytes) {
+      this._reserve(bytes.length);
+      this.bytes.set(bytes, this.length);
+      this.length += bytes.length;
+      return this;
+    }
+
+    ascii(text) {
+      for (let i = 0; i < text.length; i++) {
+        this.u8(text.charCodeAt(i));
+      }
+      return this;
+    }
+
+    toBytes() {
+      return this.bytes.slice(0, this.length);
+    }
+  }
+
+  let crc32Table = null;
+
+  /**
+   * CRC-32 checksum as used by zip archives
+   * @param {Uint8Array} bytes
+   * @returns {number}
+   */
+  function crc32(bytes) {
+    if (!crc32Table) {
+      crc32Table = new Uint32Array(256);
+      for (let i = 0; i < 256; i++) {
+        let c = i;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crc32Table[i] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Builds an uncompressed (store-only) zip archive
+   * @param {{name: string, data: Uint8Array}[]} files - Files in archive order
+   * @returns {Uint8Array}
+   */
+  function createZip(files) {
+    const out = new ByteWriter();
+    const central = new ByteWriter();
+    const encoder = new TextEncoder();
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const crc = crc32(file.data);
+      const offset = out.length;
+
+      // Local file header (version 2.0, UTF-8 names, stored, 1980-01-01)
+      out.u32le(0x04034b50).u16le(20).u16le(0x0800).u16le(0)
+        .u16le(0).u16le(0x21)
+        .u32le(crc).u32le(file.data.length).u32le(file.data.length)
+        .u16le(name.length).u16le(0)
+        .write(name).write(file.data);
+
+      central.u32le(0x02014b50).u16le(20).u16le(20).u16le(0x0800).u16le(0)
+        .u16le(0).u16le(0x21)
+        .u32le(crc).u32le(file.data.length).u32le(file.data.length)
+        .u16le(name.length).u16le(0).u16le(0).u16le(0).u16le(0).u32le(0)
+        .u32le(offset)
+        .write(name);
+    }
+
+    const centralOffset = out.length;
+    out.write(central.toBytes());
+
+    // End of central directory
+    out.u32le(0x06054b50).u16le(0).u16le(0)
+      .u16le(files.length).u16le(files.length)
+      .u32le(central.length).u32le(centralOffset)
+      .u16le(0);
+
+    return out.toBytes();
+  }
+
+  /**
+   * Decodes a base64 data URL into bytes
+   * @param {string} dataURL
+   * @returns {Uint8Array}
+   */
+  function dataURLToBytes(dataURL) {
+    const binary = atob(dataURL.slice(dataURL.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Reads the unpremultiplied RGBA pixels of a framebuffer or image
+   * @param {p5.Framebuffer|p5.Image} source
+   * @returns {ImageData}
+   */
+  function readPixels(source) {
+    const image = typeof source.get === 'function' ? source.get() : source;
+    const canvas = image.canvas;
+    return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  }
+
+  /**
+   * Escapes text for use in an XML attribute
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeXML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Writes a PSD layer record and returns its channel image data
+   * @param {ByteWriter} records - Layer records section
+   * @param {Object} layer - { name, opacity, visible, blendKey, clipped, pixels, bounds, mask, section }
+   * @returns {Uint8Array[]} Channel image data, in record order
+   */
+  function writePSDLayerRecord(records, layer) {
+    const { bounds, pixels, mask } = layer;
+    const channels = [];
+
+    // Planar 8-bit channels cropped to the layer bounds, raw (uncompressed)
+    const planeOf = (data, dataWidth, rect, offset) => {
+      const plane = new Uint8Array(rect.width * rect.height + 2);
+      let i = 2; // Compression 0 = raw
+      for (let y = rect.y; y < rect.y + rect.height; y++) {
+        for (let x = rect.x; x < rect.x + rect.width; x++) {
+          plane[i++] = data[(y * dataWidth + x) * 4 + offset];
+        }
+      }
+      return plane;
+    };
+
+    const ids = [-1, 0, 1, 2];
+    const offsets = [3, 0, 1, 2];
+    for (let c = 0; c < ids.length; c++) {
+      channels.push({
+        id: ids[c],
+        data: pixels && bounds ? planeOf(pixels.data, pixels.width, bounds, offsets[c]) : new Uint8Array(2)
+      });
+    }
+    if (mask) {
+      channels.push({ id: -2, data: planeOf(mask.data, mask.width, mask.rect, 3) });
+    }
+
+    const rect = bounds || { x: 0, y: 0, width: 0, height: 0 };
+    records.u32(rect.y).u32(rect.x).u32(rect.y + rect.height).u32(rect.x + rect.width);
+    records.u16(channels.length);
+    for (const channel of channels) {
+      records.u16(channel.id & 0xffff).u32(channel.data.length);
+    }
+
+    records.ascii('8BIM').ascii(layer.blendKey);
+    records.u8(Math.round(layer.opacity * 255));
+    records.u8(layer.clipped ? 1 : 0);
+    records.u8(layer.visible ? 0 : 2); // Bit 1 hides the layer
+    records.u8(0);
+
+    const extra = new ByteWriter();
+
+    // Layer mask data
+    if (mask) {
+      const m = mask.rect;
+      extra.u32(20).u32(m.y).u32(m.x).u32(m.y + m.height).u32(m.x + m.width)
+        .u8(0).u8(0).u16(0);
+    } else {
+      extra.u32(0);
+    }
+
+    // No blending ranges
+    extra.u32(0);
+
+    // Pascal name padded to 4 bytes, then the full Unicode name
+    const shortName = layer.name.replace(/[^\x20-\x7e]/g, '?').slice(0, 255);
+    extra.u8(shortName.length).ascii(shortName);
+    while (extra.length % 4 !== 0) {
+      extra.u8(0);
+    }
+
+    extra.ascii('8BIMluni').u32(4 + layer.name.length * 2).u32(layer.name.length);
+    for (let i = 0; i < layer.name.length; i++) {
+      extra.u16(layer.name.charCodeAt(i));
+    }
+
+    // Group markers: 1 = open folder, 3 = bounding divider at the bottom of the group
+    if (layer.section) {
+      extra.ascii('8BIMlsct').u32(12).u32(layer.section).ascii('8BIM').ascii(layer.blendKey);
+    }
+
+    records.u32(extra.length).write(extra.toBytes());
+    return channels.map(channel => channel.data);
+  }
+
+  /**
+   * Builds a layered PSD (version 1, 8-bit RGB)
+   * @param {Object} doc
+   * @param {number} doc.width - Document width in pixels
+   * @param {number} doc.height - Document height in pixels
+   * @param {ImageData} doc.merged - Flattened image
+   * @param {Object[]} doc.layers - Layer records, bottom first (see writePSDLayerRecord)
+   * @returns {Uint8Array}
+   */
+  function createPSD(doc) {
+    const out = new ByteWriter();
+
+    // Header, empty color mode data and image resources
+    out.ascii('8BPS').u16(1).u32(0).u16(0)
+      .u16(4).u32(doc.height).u32(doc.width).u16(8).u16(3)
+      .u32(0)
+      .u32(0);
+
+    const records = new ByteWriter();
+    // A negative count says the merged image's alpha is its transparency
+    records.u16(-doc.layers.length & 0xffff);
+    const channelData = doc.layers.map(layer => writePSDLayerRecord(records, layer));
+    for (const channels of channelData) {
+      for (const data of channels) {
+        records.write(data);
+      }
+    }
+    if (records.length % 2 !== 0) {
+      records.u8(0);
+    }
+
+    // Layer and mask information: layer info, then empty global mask info
+    out.u32(records.length + 8).u32(records.length).write(records.toBytes()).u32(0);
+
+    // Merged image: raw planar R, G, B, A
+    out.u16(0);
+    const data = doc.merged.data;
+    for (const offset of [0, 1, 2, 3]) {
+      const plane = new Uint8Array(doc.width * doc.height);
+      for (let i = 0; i < plane.length; i++) {
+        plane[i] = data[i * 4 + offset];
+      }
+      out.write(plane);
+    }
+
+    return out.toBytes();
+  }
+
+  /**
+   * Starts a browser download of a blob
+   * @param {Blob} blob
+   * @param {string} filename
+   */
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Blend modes for each OpenRaster composite operation and PSD blend key,
+   * the reverse of the export tables. Where two modes share a key the later
+   * one wins, so 'lddg' reads as LINEAR_DODGE and 'lbrn' as LINEAR_BURN;
+   * Photoshop's Subtract ('fsub') has no equivalent and is reported unsupported.
+   */
+  const ORA_BLEND_MODES = Object.fromEntries(
+    Object.entries(ORA_COMPOSITE_OPS).map(([mode, op]) => [op, mode])
+  );
+  const PSD_BLEND_MODES = Object.fromEntries(
+    Object.entries(PSD_BLEND_KEYS).map(([mode, key]) => [key, mode])
+  );
+
+  /**
+   * PSD additional layer info keys for layers that only come in as their
+   * rasterized pixels, and for features that are dropped on import
+   */
+  const PSD_RASTERIZED_KEYS = {
+    TySh: 'Text layer',
+    SoLd: 'Smart object',
+    SoLE: 'Smart object',
+    PlLd: 'Smart object',
+    SoCo: 'Fill layer',
+    GdFl: 'Fill layer',
+    PtFl: 'Fill layer'
+  };
+  const PSD_DROPPED_KEYS = {
+    lrFX: 'Layer effects',
+    lfx2: 'Layer effects',
+    lmfx: 'Layer effects',
+    vmsk: 'Vector mask',
+    vsms: 'Vector mask'
+  };
+  const PSD_ADJUSTMENT_KEYS = [
+    'levl', 'curv', 'brit', 'blnc', 'hue ', 'hue2', 'selc', 'mixr', 'grdm',
+    'phfl', 'expA', 'vibA', 'thrs', 'post', 'nvrt', 'clrL', 'blwh'
+  ];
+
+  /**
+   * Big-endian reader over a byte array, the counterpart of ByteWriter
+   */
+  class ByteReader {
+    constructor(bytes) {
+      this.bytes = bytes;
+      this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      this.offset = 0;
+    }
+
+    u8() {
+      return this.bytes[this.offset++];
+    }
+
+    u16() {
+      const value = this.view.getUint16(this.offset);
+      this.offset += 2;
+      return value;
+    }
+
+    i16() {
+      const value = this.view.getInt16(this.offset);
+      this.offset += 2;
+      return value;
+    }
+
+    u32() {
+      const value = this.view.getUint32(this.offset);
+      this.offset += 4;
+      return value;
+    }
+
+    i32() {
+      const value = this.view.getInt32(this.offset);
+      this.offset += 4;
+      return value;
+    }
+
+    read(count) {
+      const bytes = this.bytes.subarray(this.offset, this.offset + count);
+      this.offset += count;
+      return bytes;
+    }
+
+    ascii(count) {
+      return String.fromCharCode(...this.read(count));
+    }
+
+    skip(count) {
+      this.offset += count;
+      return this;
+    }
+  }
+
+  /**
+   * Reads a URL, File, Blob or buffer into bytes
+   * @param {string|Blob|ArrayBuffer|ArrayBufferView} source
+   * @returns {Promise<Uint8Array>}
+   */
+  async function readSourceBytes(source) {
+    if (typeof source === 'string') {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`Could not load ${source}: ${response.status} ${response.statusText}`);
+      }
+      return new Uint8Array(await response.arrayBuffer());
+    }
+    if (source instanceof ArrayBuffer) {
+      return new Uint8Array(source);
+    }
+    if (ArrayBuffer.isView(source)) {
+      return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    }
+    if (source && typeof source.arrayBuffer === 'function') {
+      return new Uint8Array(await source.arrayBuffer());
+    }
+    throw new Error('Expected a URL, File, Blob or ArrayBuffer');
+  }
+
+  /**
+   * Decompresses deflate data with the browser's DecompressionStream
+   * @param {Uint8Array} bytes - Compressed data
+   * @param {string} format - 'deflate' (zlib) or 'deflate-raw'
+   * @returns {Promise<Uint8Array>}
+   */
+  async function inflate(bytes, format) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Reads the files of a zip archive (stored or deflated entries)
+   * @param {Uint8Array} bytes - The archive
+   * @returns {Promise<Map<string, Uint8Array>>} File contents by path
+   */
+  async function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end of central directory record sits before an optional comment of up to 64 KB
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw new Error('Not a zip archive');
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const files = new Map();
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error('Corrupt zip central directory');
+      }
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      // The local header's extra field can differ from the central one
+      const dataStart = localOffset + 30 +
+        view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) {
+        files.set(name, data);
+      } else if (method === 8) {
+        files.set(name, await inflate(data, 'deflate-raw'));
+      } else {
+        console.warn(`Skipping ${name}: unsupported zip compression method ${method}`);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Decodes PackBits runs into a plane of bytes
+   * @param {Uint8Array} data - Source bytes
+   * @param {number} offset - Where the runs start
+   * @param {number} size - Number of bytes to decode
+   * @returns {Uint8Array}
+   */
+  function unpackBits(data, offset, size) {
+    const plane = new Uint8Array(size);
+    let i = offset;
+    let o = 0;
+
+    while (o < size && i < data.length) {
+      const header = data[i++];
+      if (header < 128) {
+        const count = Math.min(header + 1, size - o);
+        plane.set(data.subarray(i, i + count), o);
+        i += header + 1;
+        o += count;
+      } else if (header > 128) {
+        const count = Math.min(257 - header, size - o);
+        plane.fill(data[i++], o, o + count);
+        o += count;
+      }
+      // 128 is a no-op
+    }
+
+    return plane;
+  }
+
+  /**
+   * Decodes one PSD layer channel (compression word followed by its data)
+   * @param {Uint8Array} data - The channel's bytes
+   * @param {number} width - Channel width in pixels
+   * @param {number} height - Channel height in pixels
+   * @returns {Promise<Uint8Array>} The decoded plane
+   */
+  async function decodePSDChannel(data, width, height) {
+    const size = width * height;
+    if (size === 0 || data.length < 2) {
+      return new Uint8Array(size);
+    }
+
+    const compression = (data[0] << 8) | data[1];
+    if (compression === 0) {
+      const plane = new Uint8Array(size);
+      plane.set(data.subarray(2, 2 + size));
+      return plane;
+    }
+    if (compression === 1) {
+      // Row byte counts come first; the runs themselves are contiguous
+      return unpackBits(data, 2 + height * 2, size);
+    }
+    if (compression === 2 || compression === 3) {
+      const plane = new Uint8Array(size);
+      plane.set((await inflate(data.subarray(2), 'deflate')).subarray(0, size));
+      if (compression === 3) {
+        // Undo per-row delta prediction
+        for (let y = 0; y < height; y++) {
+          for (let x = y * width + 1; x < (y + 1) * width; x++) {
+            plane[x] = (plane[x] + plane[x - 1]) & 0xff;
+          }
+        }
+      }
+      return plane;
+    }
+    throw new Error(`Unknown PSD compression ${compression}`);
+  }
+
+  /**
+   * Interleaves planar channels into RGBA pixels
+   * @param {Uint8Array[]} planes - Red, green, blue and (optionally) alpha planes
+   * @param {number} width
+   * @param {number} height
+   * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+   */
+  function interleavePlanes(planes, width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0, j = 0; i < width * height; i++, j += 4) {
+      data[j] = planes[0][i];
+      data[j + 1] = planes[1][i];
+      data[j + 2] = planes[2][i];
+      data[j + 3] = planes[3] ? planes[3][i] : 255;
+    }
+    return { data, width, height };
+  }
+
+  /**
+   * Reads one PSD layer record
+   * @param {ByteReader} reader - Positioned at the record
+   * @returns {Object} The record's properties, channel list and extra info keys
+   */
+  function readPSDLayerRecord(reader) {
+    const top = reader.i32();
+    const left = reader.i32();
+    const bottom = reader.i32();
+    const right = reader.i32();
+
+    const channels = [];
+    const channelCount = reader.u16();
+    for (let i = 0; i < channelCount; i++) {
+      channels.push({ id: reader.i16(), length: reader.u32() });
+    }
+
+    reader.skip(4); // '8BIM'
+    const record = {
+      bounds: { x: left, y: top, width: Math.max(0, right - left), height: Math.max(0, bottom - top) },
+      channels,
+      blendKey: reader.ascii(4),
+      opacity: reader.u8() / 255,
+      clipped: reader.u8() === 1,
+      visible: (reader.u8() & 2) === 0, // Bit 1 hides the layer
+      mask: null,
+      section: 0,
+      keys: []
+    };
+    reader.skip(1);
+
+    const extraLength = reader.u32();
+    const extraEnd = reader.offset + extraLength;
+
+    const maskLength = reader.u32();
+    const maskEnd = reader.offset + maskLength;
+    if (maskLength >= 18) {
+      const maskTop = reader.i32();
+      const maskLeft = reader.i32();
+      const maskBottom = reader.i32();
+      const maskRight = reader.i32();
+      record.mask = {
+        rect: {
+          x: maskLeft,
+          y: maskTop,
+          width: Math.max(0, maskRight - maskLeft),
+          height: Math.max(0, maskBottom - maskTop)
+        },
+        defaultColor: reader.u8(),
+        flags: reader.u8(),
+        data: null
+      };
+    }
+    reader.offset = maskEnd;
+
+    reader.skip(reader.u32()); // Blending ranges
+
+    // Pascal name padded to 4 bytes; a Unicode name may follow in 'luni'
+    const nameLength = reader.u8();
+    record.name = reader.ascii(nameLength);
+    reader.skip((4 - ((nameLength + 1) % 4)) % 4);
+
+    while (reader.offset + 12 <= extraEnd) {
+      reader.skip(4); // '8BIM' or '8B64'
+      const key = reader.ascii(4);
+      const length = reader.u32();
+      const start = reader.offset;
+
+      if (key === 'luni') {
+        const count = reader.u32();
+        let name = '';
+        for (let i = 0; i < count; i++) {
+          name += String.fromCharCode(reader.u16());
+        }
+        record.name = name.replace(/\0+$/, '');
+      } else if (key === 'lsct' || key === 'lsdk') {
+        record.section = reader.u32();
+        if (length >= 12) {
+          reader.skip(4);
+          record.blendKey = reader.ascii(4);
+        }
+      } else {
+        record.keys.push(key);
+      }
+
+      reader.offset = start + length;
+    }
+    reader.offset = extraEnd;
+
+    return record;
+  }
+
+  /**
+   * Reads the flattened image stored at the end of a PSD
+   * @param {ByteReader} reader - Positioned at the image data section
+   * @param {number} width
+   * @param {number} height
+   * @param {number} channelCount - Channels in the file header
+   * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+   */
+  function readPSDMergedImage(reader, width, height, channelCount) {
+    const compression = reader.u16();
+    const size = width * height;
+    const planes = [];
+
+    if (compression === 1) {
+      // Byte counts for every row of every channel, then the runs
+      reader.skip(channelCount * height * 2);
+      const data = unpackBits(reader.bytes, reader.offset, size * channelCount);
+      for (let c = 0; c < 3; c++) {
+        planes.push(data.subarray(c * size, (c + 1) * size));
+      }
+    } else if (compression === 0) {
+      for (let c = 0; c < 3; c++) {
+        planes.push(reader.read(size));
+      }
+    } else {
+      throw new Error(`Unsupported PSD image compression ${compression}`);
+    }
+
+    // Extra merged channels are usually saved selections, not transparency
+    return interleavePlanes(planes, width, height);
+  }
+
+  /**
+   * Parses a layered PSD (version 1, 8-bit RGB)
+   * @param {Uint8Array} bytes - The file
+   * @returns {Promise<Object>} { width, height, layers (bottom first), merged }
+   */
+  async function parsePSD(bytes) {
+    const reader = new ByteReader(bytes);
+    if (reader.ascii(4) !== '8BPS') {
+      throw new Error('Not a PSD file');
+    }
+    if (reader.u16() !== 1) {
+      throw new Error('Large document (PSB) files are not supported');
+    }
+    reader.skip(6);
+
+    const channelCount = reader.u16();
+    const height = reader.u32();
+    const width = reader.u32();
+    const depth = reader.u16();
+    const colorMode = reader.u16();
+    if (depth !== 8 || colorMode !== 3) {
+      throw new Error('Only 8-bit RGB PSD files can be imported');
+    }
+
+    reader.skip(reader.u32()); // Color mode data
+    reader.skip(reader.u32()); // Image resources
+
+    const layerSectionLength = reader.u32();
+    const layerSectionEnd = reader.offset + layerSectionLength;
+    const layers = [];
+
+    if (layerSectionLength > 0 && reader.u32() > 0) {
+      // A negative count means the first alpha channel is the merged transparency
+      const count = Math.abs(reader.i16());
+      for (let i = 0; i < count; i++) {
+        layers.push(readPSDLayerRecord(reader));
+      }
+
+      // Channel image data follows all the records, in the same order
+      for (const layer of layers) {
+        const planes = {};
+        for (const channel of layer.channels) {
+          const data = reader.read(channel.length);
+          if (channel.id === -2 && layer.mask) {
+            layer.mask.data = await decodePSDChannel(data, layer.mask.rect.width, layer.mask.rect.height);
+          } else if (channel.id >= -1 && channel.id <= 2) {
+            planes[channel.id] = await decodePSDChannel(data, layer.bounds.width, layer.bounds.height);
+          }
+        }
+
+        const { width: layerWidth, height: layerHeight } = layer.bounds;
+        layer.pixels = layerWidth > 0 && layerHeight > 0 && planes[0] && planes[1] && planes[2]
+          ? interleavePlanes([planes[0], planes[1], planes[2], planes[-1]], layerWidth, layerHeight)
+          : null;
+        delete layer.channels;
+      }
+    }
+
+    reader.offset = layerSectionEnd;
+    const merged = layers.length === 0 ? readPSDMergedImage(reader, width, height, channelCount) : null;
+
+    return { width, height, layers, merged };
+  }
+
+  /**
+   * Turns RGBA pixel data into a p5.Image
+   * @param {p5} p - The p5.js instance
+   * @param {{data: Uint8ClampedArray, width: number, height: number}} pixels
+   * @returns {p5.Image}
+   */
+  function pixelsToImage(p, pixels) {
+    const image = p.createImage(pixels.width, pixels.height);
+    image.loadPixels();
+    image.pixels.set(pixels.data);
+    image.updatePixels();
+    return image;
+  }
+
+  /**
+   * Turns a PSD mask into a grayscale image covering an area of the canvas.
+   * Pixels outside the mask's own rectangle take its default color.
+   * @param {p5} p - The p5.js instance
+   * @param {Object} mask - A parsed PSD mask
+   * @param {{x: number, y: number, width: number, height: number}} area - Canvas area to cover
+   * @returns {p5.Image}
+   */
+  function psdMaskToImage(p, mask, area) {
+    const data = new Uint8ClampedArray(area.width * area.height * 4);
+    const { rect } = mask;
+
+    for (let y = 0; y < area.height; y++) {
+      for (let x = 0; x < area.width; x++) {
+        const mx = area.x + x - rect.x;
+        const my = area.y + y - rect.y;
+        const value = mx >= 0 && my >= 0 && mx < rect.width && my < rect.height && mask.data
+          ? mask.data[my * rect.width + mx]
+          : mask.defaultColor;
+        const i = (y * area.width + x) * 4;
+        data[i] = data[i + 1] = data[i + 2] = value;
+        data[i + 3] = 255;
+      }
+    }
+
+    return pixelsToImage(p, { data, width: area.width, height: area.height });
+  }
+
+  /**
+   * Default settings for LayerSystem.enableHistory()
+   */
+  const DEFAULT_HISTORY_OPTIONS = {
+    pixels: false, // snapshot layer pixels at begin() so drawing can be undone
+    memoryLimit: 256 * 1024 * 1024, // bytes of snapshots and removed layers to keep
+    maxSteps: 100,
+    mergeInterval: 1000 // ms within which repeated changes to one property or layer's pixels merge into one step
+  };
+
+  /**
+   * Copies a framebuffer's pixels to the CPU
+   * @param {p5.Framebuffer} framebuffer
+   * @returns {{width: number, height: number, density: number, data: Uint8ClampedArray}}
+   */
+  function captureFramebuffer(framebuffer) {
+    framebuffer.loadPixels();
+    return {
+      width: framebuffer.width,
+      height: framebuffer.height,
+      density: framebuffer.density,
+      data: framebuffer.pixels.slice()
+    };
+  }
+
+  /**
+   * Writes pixels captured with captureFramebuffer() back into a framebuffer
+   * @param {p5.Framebuffer} framebuffer
+   * @param {{width: number, height: number, density: number, data: Uint8ClampedArray}} snapshot
+   * @returns {boolean} False if the framebuffer was resized since the capture
+   */
+  function restoreFramebuffer(framebuffer, snapshot) {
+    if (framebuffer.width !== snapshot.width ||
+        framebuffer.height !== snapshot.height ||
+        framebuffer.density !== snapshot.density) {
+      return false;
+    }
+    framebuffer.loadPixels();
+    framebuffer.pixels.set(snapshot.data);
+    framebuffer.updatePixels();
+    return true;
+  }
+
+  /**
+   * Approximate GPU memory held by a node's framebuffers
+   * @param {LayerNode} node
+   * @returns {number} Bytes
+   */
+  function getNodeBytes(node) {
+    if (node.type !== 'layer') {
+      return 0;
+    }
+    const bytes = node.width * node.height * node.density * node.density * 4;
+    return node.maskFramebuffer ? bytes * 2 : bytes;
+  }
+
+  /**
+   * Undo/redo history for a LayerSystem, created with enableHistory().
+   *
+   * Records property changes, masks, created and removed layers and, with the
+   * pixels option, snapshots of a layer's pixels taken when drawing begins.
+   * Everything recorded while the same code runs (one draw() call, one event
+   * handler) becomes one undo step. Use beginStep()/endStep() to group changes
+   * that span several frames, like a brush stroke. A step that only changes
+   * the same property (or draws to the same layer) as the step before, within
+   * mergeInterval of it, is merged into that step, so animating a property
+   * every frame leaves one step. Use pause()/resume() to not record at all.
+   *
+   * Removed layers stay alive while a step can bring them back, and their
+   * framebuffers count towards the memory limit.
+   */
+  class LayerHistory {
+    /**
+     * @param {LayerSystem} layerSystem - The layer system to record
+     * @param {Object} [options] - See DEFAULT_HISTORY_OPTIONS
+     */
+    constructor(layerSystem, options = {}) {
+      this.layerSystem = layerSystem;
+      this.options = { ...DEFAULT_HISTORY_OPTIONS, ...options };
+
+      this._undoStack = []; // committed steps, oldest first
+      this._redoStack = []; // undone steps, most recently undone last
+      this._step = null; // step collecting actions until it's committed
+      this._stepDepth = 0; // open beginStep() calls
+      this._pauseDepth = 0; // open pause() calls
+      this._applying = false; // undo/redo changes aren't recorded
+
+      this._eventHandlers = {
+        layercreate: ({ layer }) => this._record({ type: 'create', layer, parent: layer.parent }),
+        layerremove: ({ layer, parent }) => this._record({ type: 'remove', layer, parent }, getNodeBytes(layer)),
+        change: (detail) => this._recordChange(detail),
+        begin: ({ layer, mask }) => this._recordPixels(layer, mask)
+      };
+      for (const [event, handler] of Object.entries(this._eventHandlers)) {
+        layerSystem.on(event, handler);
+      }
+    }
+
+    /**
+     * Updates the history options. Lowering the limits drops the oldest steps.
+     * @param {Object} options - See DEFAULT_HISTORY_OPTIONS
+     * @returns {LayerHistory} This history for chaining
+     */
+    setOptions(options) {
+      this.options = { ...this.options, ...options };
+      this._trim();
+      return this;
+    }
+
+    /**
+     * Starts grouping changes into one undo step until the matching endStep().
+     * Calls can be nested; the step ends with the outermost endStep().
+     * @param {string} [label] - Description of the step
+     * @returns {LayerHistory} This history for chaining
+     */
+    beginStep(label = '') {
+      if (this._stepDepth === 0) {
+        this._commit();
+        this._step = { label, actions: [], bytes: 0 };
+      }
+      this._stepDepth++;
+      return this;
+    }
+
+    /**
+     * Ends a step started with beginStep()
+     * @returns {LayerHistory} This history for chaining
+     */
+    endStep() {
+      if (this._stepDepth === 0) {
+        console.warn('No history step to end');
+        return this;
+      }
+      this._stepDepth--;
+      if (this._stepDepth === 0) {
+        this._commit();
+      }
+      return this;
+    }
+
+    /**
+     * Stops recording until the matching resume(), e.g. around an animation
+     * that changes layers every frame. Calls can be nested. Changes made while
+     * paused can't be undone, and undoing across them may not restore them.
+     * @returns {LayerHistory} This history for chaining
+     */
+    pause() {
+      this._pauseDepth++;
+      return this;
+    }
+
+    /**
+     * Resumes recording after pause()
+     * @returns {LayerHistory} This history for chaining
+     */
+    resume() {
+      if (this._pauseDepth === 0) {
+        console.warn('History is not paused');
+        return this;
+      }
+      this._pauseDepth--;
+      return this;
+    }
+
+    /**
+     * Whether recording is paused
+     * @returns {boolean}
+     */
+    isPaused() {
+      return this._pauseDepth > 0;
+    }
+
+    /**
+     * Whether there is a step to undo
+     * @returns {boolean}
+     */
+    canUndo() {
+      return this._undoStack.length > 0 || (this._step !== null && this._step.actions.length > 0);
+    }
+
+    /**
+     * Whether there is an undone step to redo
+     * @returns {boolean}
+     */
+    canRedo() {
+      return this._redoStack.length > 0 && !(this._step && this._step.actions.length > 0);
+    }
+
+    /**
+     * Reverts the most recent step. An open step is ended first.
+     * @returns {boolean} Whether a step was undone
+     */
+    undo() {
+      this._stepDepth = 0;
+      this._commit();
+
+      const step = this._undoStack.pop();
+      if (!step) {
+        return false;
+      }
+
+      this._apply(() => {
+        for (let i = step.actions.length - 1; i >= 0; i--) {
+          this._undoAction(step, step.actions[i]);
+        }
+      });
+      this._redoStack.push(step);
+      this._trim();
+      return true;
+    }
+
+    /**
+     * Reapplies the most recently undone step
+     * @returns {boolean} Whether a step was redone
+     */
+    redo() {
+      this._stepDepth = 0;
+      this._commit();
+
+      const step = this._redoStack.pop();
+      if (!step) {
+        return false;
+      }
+
+      this._apply(() => {
+        for (const action of step.actions) {
+          this._redoAction(step, action);
+        }
+      });
+      this._undoStack.push(step);
+      this._trim();
+      return true;
+    }
+
+    /**
+     * Forgets every step, disposing removed layers that only the history kept alive
+     */
+    clear() {
+      const steps = [...this._undoStack, ...this._redoStack];
+      if (this._step) {
+        steps.push(this._step);
+      }
+      this._undoStack = [];
+      this._redoStack = [];
+      this._step = null;
+      this._stepDepth = 0;
+      steps.forEach(step => this._releaseStep(step));
+    }
+
+    /**
+     * Bytes held by snapshots and removed layers
+     * @returns {number}
+     */
+    getMemoryUsage() {
+      return [...this._undoStack, ...this._redoStack].reduce((total, step) => total + step.bytes, 0);
+    }
+
+    /**
+     * Stops recording and clears the history
+     */
+    dispose() {
+      for (const [event, handler] of Object.entries(this._eventHandlers)) {
+        this.layerSystem.off(event, handler);
+      }
+      this.clear();
+    }
+
+    /**
+     * Adds an action to the open step, opening one that commits once the
+     * current code has finished running if needed
+     * @private
+     * @param {Object} action
+     * @param {number} [bytes] - Memory the action holds on to
+     */
+    _record(action, bytes = 0) {
+      if (this._applying || this._pauseDepth > 0) {
+        return;
+      }
+
+      if (!this._step) {
+        const previous = this._reopenStep(action);
+        if (previous) {
+          previous.newValue = action.newValue;
+          return;
+        }
+        this._openStep({ label: '', actions: [], bytes: 0, merge: true, time: 0 });
+      }
+      this._step.actions.push(action);
+      this._step.bytes += bytes;
+    }
+
+    /**
+     * Makes a step the open one, committing it once the current code has
+     * finished running
+     * @private
+     * @param {Object} step
+     */
+    _openStep(step) {
+      this._step = step;
+      step.time = Date.now();
+      queueMicrotask(() => {
+        if (this._step === step && this._stepDepth === 0) {
+          this._commit();
+        }
+      });
+    }
+
+    /**
+     * Reopens the last step when an action repeats its only action: the same
+     * property, or the same layer's pixels, changing again within
+     * mergeInterval, outside beginStep()/endStep()
+     * @private
+     * @param {Object} action - The action about to be recorded
+     * @returns {Object|null} The repeated action, or null if there was nothing to merge with
+     */
+    _reopenStep(action) {
+      const last = this._undoStack[this._undoStack.length - 1];
+      if (!last || !last.merge || last.actions.length !== 1 || this._redoStack.length > 0 ||
+          this._stepDepth > 0 || Date.now() - last.time >= this.options.mergeInterval) {
+        return null;
+      }
+
+      const previous = last.actions[0];
+      const repeats = previous.type === action.type && previous.layer === action.layer && (
+        (action.type === 'change' && previous.property === action.property &&
+          previous.effect === action.effect && action.property !== 'parent' && action.property !== 'mask') ||
+        (action.type === 'pixels' && previous.mask === action.mask)
+      );
+      if (!repeats) {
+        return null;
+      }
+
+      // A snapshot taken by an earlier undo is outdated once drawing continues
+      if (previous.after) {
+        last.bytes -= previous.after.data.byteLength;
+        previous.after = null;
+      }
+      this._undoStack.pop();
+      this._openStep(last);
+      return previous;
+    }
+
+    /**
+     * Records a property change. Masks a layer owns are disposed when they're
+     * replaced, so their pixels are kept to recreate them.
+     * @private
+     */
+    _recordChange({ layer, property, oldValue, newValue, effect }) {
+      if (this._applying || this._pauseDepth > 0) {
+        return;
+      }
+
+      const action = { type: 'change', layer, property, oldValue, newValue };
+      if (effect) {
+        action.effect = effect;
+      }
+      let bytes = 0;
+      if (property === 'mask' && layer.type === 'layer') {
+        action.oldOwned = !!oldValue && oldValue === layer.maskFramebuffer;
+        action.newOwned = !!newValue && newValue === layer.maskFramebuffer;
+        if (action.oldOwned) {
+          action.oldPixels = captureFramebuffer(oldValue);
+          bytes = action.oldPixels.data.byteLength;
+        }
+      }
+      this._record(action, bytes);
+    }
+
+    /**
+     * Snapshots a layer's pixels (or its mask's) so the current step can
+     * restore them, even when the pixels option is off. Call it before drawing
+     * into a framebuffer outside begin()/end(). Only the first call per layer
+     * in a step takes a snapshot.
+     * @param {Layer} layer - The layer about to change
+     * @param {boolean} [mask=false] - Snapshot the layer's own mask instead
+     * @returns {LayerHistory} This history for chaining
+     */
+    recordPixels(layer, mask = false) {
+      if (this._applying || this._pauseDepth > 0) {
+        return this;
+      }
+
+      // Drawing to the same layer again soon after keeps the earlier snapshot
+      if (!this._step) {
+        this._reopenStep({ type: 'pixels', layer, mask });
+      }
+
+      const recorded = this._step && this._step.actions.some(action =>
+        action.type === 'pixels' && action.layer === layer && action.mask === mask
+      );
+      const framebuffer = mask ? layer.maskFramebuffer : layer.framebuffer;
+      if (recorded || !framebuffer) {
+        return this;
+      }
+
+      const before = captureFramebuffer(framebuffer);
+      this._record({ type: 'pixels', layer, mask, before, after: null }, before.data.byteLength);
+      return this;
+    }
+
+    /**
+     * Snapshots pixels when drawing begins, if the pixels option is on
+     * @private
+     */
+    _recordPixels(layer, mask) {
+      if (this.options.pixels) {
+        this.recordPixels(layer, mask);
+      }
+    }
+
+    /**
+     * Runs undo/redo changes without recording them
+     * @private
+     */
+    _apply(callback) {
+      this._applying = true;
+      try {
+        callback();
+      } finally {
+        this._applying = false;
+      }
+    }
+
+    /**
+     * @private
+     */
+    _undoAction(step, action) {
+      const layerSystem = this.layerSystem;
+      if (action.type === 'create') {
+        layerSystem._detachNode(action.layer);
+      } else if (action.type === 'remove') {
+        layerSystem._registerNode(action.layer, action.parent);
+      } else if (action.type === 'change') {
+        this._applyChange(step, action, 'new', 'old');
+      } else if (action.type === 'pixels') {
+        if (!action.after) {
+          action.after = this._capturePixels(action);
+          step.bytes += action.after ? action.after.data.byteLength : 0;
+        }
+        this._restorePixels(action, action.before);
+      }
+    }
+
+    /**
+     * @private
+     */
+    _redoAction(step, action) {
+      const layerSystem = this.layerSystem;
+      if (action.type === 'create') {
+        layerSystem._registerNode(action.layer, action.parent);
+      } else if (action.type === 'remove') {
+        layerSystem._detachNode(action.layer);
+      } else if (action.type === 'change') {
+        this._applyChange(step, action, 'old', 'new');
+      } else if (action.type === 'pixels') {
+        this._restorePixels(action, action.after);
+      }
+    }
+
+    /**
+     * Sets a recorded property back to one side of the change
+     * @private
+     * @param {Object} step - The step the action belongs to
+     * @param {Object} action - A change action
+     * @param {string} from - 'old' or 'new', the side currently applied
+     * @param {string} to - The side to apply
+     */
+    _applyChange(step, action, from, to) {
+      const { layer, property } = action;
+      const value = action[`${to}Value`];
+
+      if (property === 'parent') {
+        this.layerSystem.moveToGroup(layer.id, value);
+      } else if (property === 'mask') {
+        // Keep the pixels of an owned mask before it's disposed
+        if (action[`${from}Owned`] && layer.maskFramebuffer) {
+          const pixels = captureFramebuffer(layer.maskFramebuffer);
+          if (!action[`${from}Pixels`]) {
+            step.bytes += pixels.data.byteLength;
+          }
+          action[`${from}Pixels`] = pixels;
+        }
+
+        if (action[`${to}Owned`]) {
+          const framebuffer = layer.createMask({ ...layer.maskOptions, hideAll: layer._maskHideAll });
+          if (framebuffer && action[`${to}Pixels`]) {
+            restoreFramebuffer(framebuffer, action[`${to}Pixels`]);
+          }
+          layer.markDirty();
+        } else if (value) {
+          layer.setMask(value, layer.maskOptions);
+        } else {
+          layer.clearMask();
+        }
+      } else if (property === 'params') {
+        layer.setParams(value);
+      } else if (property === 'effectParams') {
+        action.effect.setParams(value);
+      } else if (property === 'effectEnabled') {
+        action.effect.setEnabled(value);
+      } else {
+        layer._setProperty(property, value);
+      }
+    }
+
+    /**
+     * @private
+     */
+    _capturePixels(action) {
+      const framebuffer = action.mask ? action.layer.maskFramebuffer : action.layer.framebuffer;
+      return framebuffer ? captureFramebuffer(framebuffer) : null;
+    }
+
+    /**
+     * @private
+     */
+    _restorePixels(action, snapshot) {
+      const framebuffer = action.mask ? action.layer.maskFramebuffer : action.layer.framebuffer;
+      if (!framebuffer || !snapshot) {
+        return;
+      }
+      if (!restoreFramebuffer(framebuffer, snapshot)) {
+        console.warn(`Layer ${action.layer.name} was resized, its pixels can't be restored`);
+        return;
+      }
+      action.layer.markDirty();
+    }
+
+    /**
+     * Moves the open step onto the undo stack. Recording a new step drops the
+     * undone ones.
+     * @private
+     */
+    _commit() {
+      const step = this._step;
+      this._step = null;
+      if (!step || step.actions.length === 0) {
+        return;
+      }
+
+      const undone = this._redoStack;
+      this._redoStack = [];
+      this._undoStack.push(step);
+      undone.forEach(dropped => this._releaseStep(dropped));
+      this._trim();
+    }
+
+    /**
+     * Drops the oldest steps until the history fits its limits
+     * @private
+     */
+    _trim() {
+      const maxSteps = Math.max(0, this.options.maxSteps);
+      while (this._undoStack.length > 0 &&
+             (this._undoStack.length + this._redoStack.length > maxSteps ||
+              this.getMemoryUsage() > this.options.memoryLimit)) {
+        this._releaseStep(this._undoStack.shift());
+      }
+    }
+
+    /**
+     * Disposes removed layers that a dropped step was keeping alive
+     * @private
+     */
+    _releaseStep(step) {
+      const remaining = [...this._undoStack, ...this._redoStack];
+      if (this._step) {
+        remaining.push(this._step);
+      }
+
+      const nodes = new Set(step.actions.map(action => action.layer));
+      for (const node of nodes) {
+        if (this.layerSystem.layers.get(node.id) === node) {
+          continue;
+        }
+        const referenced = remaining.some(other => other.actions.some(action => action.layer === node));
+        if (!referenced) {
+          node.dispose();
+        }
+      }
+    }
+  }
+
+  /**
+   * Events a LayerSystem emits (see LayerSystem.on)
+   */
+  const LAYER_EVENTS = ['layercreate', 'layerremove', 'change', 'reorder', 'begin', 'end', 'resize', 'render'];
+
+  /**
+   * Largest canvas renderToImage stitches into: the side and area limits
+   * Chrome, Firefox and desktop Safari all support
+   */
+  const MAX_RENDER_SIDE = 32767;
+  const MAX_RENDER_AREA = 16384 * 16384;
+
+  /**
+   * Main layer system manager
+   */
+  class LayerSystem {
+    /**
+     * @param {p5} p5Instance - The p5.js instance
+     * @param {Object} [options]
+     * @param {string} [options.namePolicy=NamePolicies.SUFFIX] - How duplicate layer names are handled
+     * @param {Object} [options.layerDefaults] - Options every createLayer() call starts from, on top of
+     *   DEFAULT_LAYER_OPTIONS. A density set here keeps layers following the canvas size.
+     * @param {boolean} [options.autoResize=true] - Resize canvas-sized layers when the canvas changes
+     * @param {Array<string|Object>} [options.layers] - Layers to create, bottom first: names, or
+     *   createLayer() options with a `name`
+     * @param {boolean|Object} [options.ui=false] - Create the layer panel, optionally with LayerUI options
+     * @param {Function} [options.clearCallback] - Clears the canvas before render() draws, when render() isn't given one
+     */
+    constructor(p5Instance, options = {}) {
+      this.p = p5Instance;
+
+      // Validate WebGL mode
+      if (!this.p._renderer || !this.p._renderer.drawingContext) {
+        throw new Error('Canvas not initialized. Make sure createCanvas() is called before createLayerSystem()');
+      }
+
+      if (this.p._renderer.drawingContext instanceof WebGLRenderingContext ||
+          this.p._renderer.drawingContext instanceof WebGL2RenderingContext) ; else {
+        throw new Error('LayerSystem requires WebGL mode. Use createCanvas(w, h, WEBGL)');
+      }
+
+      this.layers = new Map(); // id -> Layer
+      this.layerNames = new Map(); // name -> id (for string-based lookups)
+      this.namePolicy = NamePolicies.SUFFIX;
+      this.layerIdCounter = 0;
+      this._drawStack = []; // { layer, mask } for each begin()/beginMask() not yet ended, innermost last
+      this.compositor = new Compositor(p5Instance);
+      this.ui = null; // LayerUI instance
+      this._listeners = new Map(); // event name -> Set of callbacks
+      this._reordering = false; // reorderLayers() reports one reorder event for the whole move
+      this.history = null; // LayerHistory, see enableHistory
+      this.layerDefaults = { ...options.layerDefaults };
+      this.clearCallback = options.clearCallback || null;
+
+      // Track if we're auto-resizing
+      this.autoResize = options.autoResize !== false;
+      this._lastCanvasWidth = this.p.width;
+      this._lastCanvasHeight = this.p.height;
+      this._lastPixelDensity = this.p.pixelDensity();
+
+      if (options.namePolicy) {
+        this.setNamePolicy(options.namePolicy);
+      }
+
+      // Tracked on the sketch so removing it disposes every layer system it has
+      if (!this.p._layerSystems) {
+        this.p._layerSystems = new Set();
+      }
+      this.p._layerSystems.add(this);
+
+      for (const layer of options.layers || []) {
+        if (typeof layer === 'string') {
+          this.createLayer(layer);
+        } else {
+          const { name, ...layerOptions } = layer;
+          this.createLayer(name, layerOptions);
+        }
+      }
+
+      if (options.ui) {
+        this.createUI(options.ui === true ? {} : options.ui);
+      }
+    }
+
+    /**
+     * Generates a unique layer ID
+     * @private
+     */
+    _generateId() {
+      return this.layerIdCounter++;
+    }
+
+    /**
+     * ID of the layer being drawn to, or null when nothing is or the innermost
+     * begin is a mask's
+     * @type {number|null}
+     */
+    get activeLayerId() {
+      const top = this._drawStack[this._drawStack.length - 1];
+      return top && !top.mask ? top.layer.id : null;
+    }
+
+    /**
+     * ID of the layer whose own mask is being drawn to, or null when nothing
+     * is or the innermost begin is a layer's
+     * @type {number|null}
+     */
+    get activeMaskLayerId() {
+      const top = this._drawStack[this._drawStack.length - 1];
+      return top && top.mask ? top.layer.id : null;
+    }
+
+    /**
+     * Gets a layer by ID or name
+     * @private
+     * @param {number|string} layerIdOrName - The layer ID (number) or name (string)
+     * @returns {Layer|null} The layer, or null if not found
+     */
+    _getLayerById(layerIdOrName) {
+      // If it's a number, look up directly by ID
+      if (typeof layerIdOrName === 'number') {
+        return this.layers.get(layerIdOrName) || null;
+      }
+      
+      // If it's a string, look up by name first
+      if (typeof layerIdOrName === 'string') {
+        const id = this.layerNames.get(layerIdOrName);
+        if (id !== undefined) {
+          return this.layers.get(id) || null;
+        }
+      }
+      
+      return null;
+    }
+
+    /**
+     * Applies the name policy to a name about to be given to a node
+     * @private
+     * @param {string} name - The requested name
+     * @param {LayerNode|null} [node] - The node being renamed, if it already exists
+     * @returns {string} The name to use
+     */
+    _resolveName(name, node = null) {
+      const holderId = this.layerNames.get(name);
+      if (holderId === undefined || (node && holderId === node.id)) {
+        return name;
+      }
+
+      switch (this.namePolicy) {
+        case NamePolicies.ERROR:
+          throw new Error(`A layer named "${name}" already exists`);
+        case NamePolicies.ALLOW:
+          return name;
+        default: {
+          let suffix = 2;
+          while (this.layerNames.has(`${name} ${suffix}`)) {
+            suffix++;
+          }
+          return `${name} ${suffix}`;
+        }
+      }
+    }
+
+    /**
+     * Points a node's name at it, unless another node already holds the name
+     * @private
+     * @param {LayerNode} node
+     */
+    _claimName(node) {
+      if (node.name && !this.layerNames.has(node.name)) {
+        this.layerNames.set(node.name, node.id);
+      }
+    }
+
+    /**
+     * Frees a name held by a node, handing it to another node with the same name if any
+     * @private
+     * @param {LayerNode} node
+     * @param {string} [name] - The name to free, defaults to the node's current name
+     */
+    _releaseName(node, name = node.name) {
+      if (this.layerNames.get(name) !== node.id) {
+        return;
+      }
+
+      this.layerNames.delete(name);
+      for (const other of this.layers.values()) {
+        if (other !== node && other.name === name) {
+          this.layerNames.set(name, other.id);
+          break;
+        }
+      }
+    }
+
+    /**
+     * Listens for an event. Callbacks receive one object describing it:
+     * - `layercreate`: `{ layer }`
+     * - `layerremove`: `{ layer, parent }`, parent is the group the layer was in
+     * - `change`: `{ layer, property, oldValue, newValue }` when a setter changes a property;
+     *   effect changes report `effectParams` or `effectEnabled` with the `effect`
+     *   (`visible`, `opacity`, `blendMode`, `zIndex`, `parent`, `mask`, `effects`, `x`, ...)
+     * - `reorder`: `{ layers }`, the nodes whose zIndex or group changed
+     * - `begin`, `end`: `{ layer, mask }`, mask is true when drawing to the layer's mask
+     * - `resize`: `{ layer, width, height, density }`
+     * - `render`: `{ target }`, the framebuffer passed to renderTo() or null for the canvas
+     * @param {string} event - Event name
+     * @param {Function} callback - Called with the event object
+     * @returns {LayerSystem} This layer system for chaining
+     */
+    on(event, callback) {
+      if (!LAYER_EVENTS.includes(event)) {
+        console.warn(`Unknown event: ${event}`);
+        return this;
+      }
+      if (typeof callback !== 'function') {
+        console.warn(`Listener for ${event} must be a function`);
+        return this;
+      }
+
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, new Set());
+      }
+      this._listeners.get(event).add(callback);
+      return this;
+    }
+
+    /**
+     * Stops listening for an event
+     * @param {string} event - Event name
+     * @param {Function} [callback] - The callback passed to on(); removes every listener for the event when omitted
+     * @returns {LayerSystem} This layer system for chaining
+     */
+    off(event, callback) {
+      const listeners = this._listeners.get(event);
+      if (!listeners) {
+        return this;
+      }
+
+      if (callback === undefined) {
+        listeners.clear();
+      } else {
+        listeners.delete(callback);
+      }
+      return this;
+    }
+
+    /**
+     * Calls the listeners of an event. A throwing listener doesn't stop the others.
+     * @private
+     * @param {string} event - Event name
+     * @param {Object} detail - Event object passed to the listeners
+     */
+    _emit(event, detail) {
+      const listeners = this._listeners.get(event);
+      if (!listeners || listeners.size === 0) {
+        return;
+      }
+
+      for (const callback of [...listeners]) {
+        try {
+          callback(detail);
+        } catch (e) {
+          console.error(`Error in ${event} listener:`, e);
+        }
+      }
+    }
+
+    /**
+     * Forwards an event reported by a node, adding a reorder event when its
+     * position in the stack changed
+     * @private
+     */
+    _handleNodeEvent(event, detail) {
+      // Keep name lookups current before listeners run
+      if (event === 'change' && detail.property === 'name') {
+        this._releaseName(detail.layer, detail.oldValue);
+        this._claimName(detail.layer);
+      }
+
+      this._emit(event, detail);
+
+      const moved = detail.property === 'zIndex' || detail.property === 'parent';
+      if (event === 'change' && moved && !this._reordering) {
+        this._emit('reorder', { layers: [detail.layer] });
+      }
+    }
+
+    /**
+     * Creates a new layer
+     * @param {string} name - Optional name for the layer
+     * @param {Object} options - Layer configuration options; missing ones come from layerDefaults
+     * @param {number|string|LayerGroup} [options.parent] - Group to create the layer in
+     * @returns {Layer} The created layer instance
+     */
+    createLayer(name = '', options = {}) {
+      // Check the name first so a name the policy rejects doesn't use up an id
+      const layerName = this._resolveName(name || `Layer ${this.layerIdCounter}`);
+      const id = this._generateId();
+      const layerOptions = { ...this.layerDefaults, ...options };
+      const layer = new Layer(this.p, id, layerName, {
+        ...layerOptions,
+        zIndex: options.zIndex !== undefined ? options.zIndex : id
+      });
+
+      // The system's default density alone doesn't stop a layer following the canvas size
+      if (layerOptions.width == null && layerOptions.height == null && options.density == null) {
+        layer.customSize = false;
+      }
+
+      this._registerNode(layer, options.parent);
+      
+      return layer;
+    }
+
+    /**
+     * Creates a new layer group. Layers added to a group are composited together
+     * first and then blended into the stack as one unit.
+     * @param {string} name - Optional name for the group
+     * @param {Object} options - Group configuration options
+     * @param {boolean} [options.visible=true] - Whether the group is visible
+     * @param {number} [options.opacity=1] - Group opacity between 0 and 1
+     * @param {string} [options.blendMode=BlendModes.NORMAL] - Blend mode used for the group result
+     * @param {boolean} [options.passThrough=false] - Blend children directly into the parent stack
+     * @param {number} [options.zIndex] - Position among the group's siblings
+     * @param {number|string|LayerGroup} [options.parent] - Group to nest this group in
+     * @returns {LayerGroup} The created group instance
+     */
+    createGroup(name = '', options = {}) {
+      const groupName = this._resolveName(name || `Group ${this.layerIdCounter}`);
+      const id = this._generateId();
+      const group = new LayerGroup(this.p, id, groupName, {
+        ...options,
+        zIndex: options.zIndex !== undefined ? options.zIndex : id
+      });
+
+      this._registerNode(group, options.parent);
+
+      return group;
+    }
+
+    /**
+     * Creates a new adjustment layer. Adjustment layers hold no pixels; they
+     * transform the composite of everything below them at render time.
+     * @param {string} name - Optional name for the layer
+     * @param {string} adjustment - One of the AdjustmentTypes constants
+     * @param {Object} params - Adjustment parameters (see DEFAULT_ADJUSTMENT_PARAMS)
+     * @param {Object} options - Layer configuration options (visible, opacity, blendMode, zIndex, parent)
+     * @returns {AdjustmentLayer} The created adjustment layer
+     */
+    createAdjustmentLayer(name = '', adjustment = AdjustmentTypes.INVERT, params = {}, options = {}) {
+      const layerName = this._resolveName(name || `Adjustment ${this.layerIdCounter}`);
+      const id = this._generateId();
+      const layer = new AdjustmentLayer(this.p, id, layerName, adjustment, params, {
+        ...options,
+        zIndex: options.zIndex !== undefined ? options.zIndex : id
+      });
+
+      this._registerNode(layer, options.parent);
+
+      return layer;
+    }
+
+    /**
+     * Updates the parameters of an adjustment layer
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {Object} params - Parameters to merge into the current ones
+     * @returns {AdjustmentLayer|null} The layer for chaining, or null if not found
+     */
+    setAdjustmentParams(layerIdOrName, params) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer || layer.type !== 'adjustment') {
+        console.warn(`Adjustment layer ${layerIdOrName} not found`);
+        return null;
+      }
+      return layer.setParams(params);
+    }
+
+    /**
+     * Adds a freshly created layer or group to the lookup maps and its parent group
+     * @private
+     */
+    _registerNode(node, parentIdOrName) {
+      this.layers.set(node.id, node);
+
+      // Register the name for string-based lookups
+      this._claimName(node);
+
+      if (parentIdOrName !== undefined && parentIdOrName !== null) {
+        this.moveToGroup(node.id, parentIdOrName);
       }
 
-      /* Selected state */
-      .p5ml-layer-item.p5ml-selected {
-        background: #3a7bc8 !important;
-        border-left: 3px solid #5dade2;
+      node._eventHandler = (event, detail) => this._handleNodeEvent(event, detail);
+      node._nameResolver = name => this._resolveName(name, node);
+      this._emit('layercreate', { layer: node });
+    }
+
+    /**
+     * Resolves a group from an ID, name or LayerGroup instance
+     * @private
+     * @returns {LayerGroup|null}
+     */
+    _getGroup(groupIdOrName) {
+      const group = groupIdOrName instanceof LayerGroup
+        ? groupIdOrName
+        : this._getLayerById(groupIdOrName);
+      if (!group || group.type !== 'group') {
+        return null;
       }
+      return group;
+    }
 
-      .p5ml-layer-item.p5ml-selected:hover {
-        background: #4a8dd8 !important;
+    /**
+     * Moves a layer or group into a group, or back to the root of the stack
+     * @param {number|string} layerIdOrName - The layer or group to move
+     * @param {number|string|LayerGroup|null} groupIdOrName - Target group, or null for the root
+     * @returns {LayerNode|null} The moved node for chaining, or null if it couldn't be moved
+     */
+    moveToGroup(layerIdOrName, groupIdOrName) {
+      const node = this._getLayerById(layerIdOrName);
+      if (!node) {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
+      }
+
+      let group = null;
+      if (groupIdOrName !== null && groupIdOrName !== undefined) {
+        group = this._getGroup(groupIdOrName);
+        if (!group) {
+          console.warn(`Group ${groupIdOrName} not found`);
+          return null;
+        }
+        if (group === node || group.isDescendantOf(node)) {
+          console.warn(`Cannot move ${node.name} into itself or one of its own groups`);
+          return null;
+        }
+      }
+
+      const oldParent = node.parent;
+      if (oldParent) {
+        oldParent._removeChild(node);
+      }
+      if (group) {
+        group._addChild(node);
+      }
+
+      if (oldParent !== group) {
+        node._notify('change', { property: 'parent', oldValue: oldParent, newValue: group });
+      }
+      return node;
+    }
+
+    /**
+     * Enables or disables pass-through compositing for a group
+     * @param {number|string} groupIdOrName - The group ID or name
+     * @param {boolean} enabled - Whether children blend straight into the parent stack
+     * @returns {LayerGroup|null} The group for chaining, or null if not found
+     */
+    setPassThrough(groupIdOrName, enabled) {
+      const group = this._getGroup(groupIdOrName);
+      if (!group) {
+        console.warn(`Group ${groupIdOrName} not found`);
+        return null;
+      }
+      return group.setPassThrough(enabled);
+    }
+
+    /**
+     * Removes a layer and disposes of its resources.
+     * Removing a group also removes everything inside it.
+     * @param {number|string} layerIdOrName - The ID or name of the layer to remove
+     */
+    removeLayer(layerIdOrName) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer) {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return;
+      }
+
+      if (layer.type === 'group') {
+        for (const child of [...layer.children]) {
+          this.removeLayer(child.id);
+        }
+      }
+
+      // Layers using this one as a live mask lose their mask
+      for (const node of this.layers.values()) {
+        if (node.mask === layer) {
+          node.clearMask();
+        }
+      }
+
+      this._detachNode(layer);
+
+      // The history keeps removed layers alive so the removal can be undone
+      if (!this.history) {
+        layer.dispose();
+      }
+    }
+
+    /**
+     * Takes a layer or group out of the stack without disposing it
+     * @private
+     * @param {LayerNode} node
+     */
+    _detachNode(node) {
+      // If this layer is being drawn to, end it
+      this._endDrawing(node);
+
+      // Remove from name map if the name points at this node
+      this._releaseName(node);
+
+      const parent = node.parent;
+      if (parent) {
+        parent._removeChild(node);
+      }
+
+      this.layers.delete(node.id);
+      node._eventHandler = null;
+      node._nameResolver = null;
+      this._emit('layerremove', { layer: node, parent });
+    }
+
+    /**
+     * Copies a layer, group or adjustment layer, placing the copy directly
+     * above the original. Pixels, masks, effects and transforms are copied;
+     * layers used as live masks are shared. Groups are copied with their children.
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {Object} [options]
+     * @param {string} [options.name] - Name of the copy, defaults to the original's name plus "copy"
+     * @returns {LayerNode|null} The copy, or null if the layer wasn't found
+     */
+    duplicateLayer(layerIdOrName, options = {}) {
+      const node = this._getLayerById(layerIdOrName);
+      if (!node) {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
+      }
+
+      return this._withHistoryStep('Duplicate layer', () => {
+        // Make room directly above the original
+        const siblings = node.parent ? node.parent.getChildren() : this.getLayers();
+        for (const sibling of siblings) {
+          if (sibling !== node && sibling.zIndex > node.zIndex) {
+            sibling.setZIndex(sibling.zIndex + 1);
+          }
+        }
+
+        return this._duplicateNode(node, node.parent, node.zIndex + 1, options.name || `${node.name} copy`);
+      });
+    }
+
+    /**
+     * Creates a copy of a node and, for groups, of its children
+     * @private
+     * @param {LayerNode} node - The node to copy
+     * @param {LayerGroup|null} parent - Group the copy goes in
+     * @param {number} zIndex - zIndex of the copy
+     * @param {string} name - Name of the copy
+     * @returns {LayerNode|null}
+     */
+    _duplicateNode(node, parent, zIndex, name) {
+      const info = { ...node.toJSON(), name, zIndex, parentId: parent ? parent.id : null };
+      const copy = this._restoreNode(info, new Map(parent ? [[parent.id, parent]] : []));
+      if (!copy) {
+        return null;
+      }
+
+      if (node.type === 'group') {
+        for (const child of node.getChildren()) {
+          this._duplicateNode(child, copy, child.zIndex, `${child.name} copy`);
+        }
+      } else if (node.type === 'layer') {
+        drawImageInto(this.p, copy.framebuffer, node.framebuffer);
+        copy.hasBeenDrawnTo = node.hasBeenDrawnTo;
+        copy.setResizePolicy(node.resizePolicy, { anchor: node.resizeAnchor, callback: node.resizeCallback });
+        copy.markDirty();
+      }
+
+      if (node.mask && node.mask === node.maskFramebuffer) {
+        const mask = copy.createMask({ ...node.maskOptions, hideAll: node._maskHideAll });
+        if (mask) {
+          drawImageInto(this.p, mask, node.maskFramebuffer);
+        }
+      } else if (node.mask) {
+        copy.setMask(node.mask, node.maskOptions);
+      }
+
+      return copy;
+    }
+
+    /**
+     * Bakes a layer into the layer directly below it, using its blend mode,
+     * opacity, mask, effects and transform, then removes it. The layer below
+     * keeps its own settings. A hidden layer is removed without merging.
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @returns {Layer|null} The layer merged into, or null if the merge isn't possible
+     */
+    mergeDown(layerIdOrName) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer) {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
+      }
+      if (layer.type !== 'layer') {
+        console.warn(`Only pixel layers can be merged down, ${layer.name} is a ${layer.type}`);
+        return null;
+      }
+
+      const siblings = layer.parent ? layer.parent.getChildren() : this.getLayers();
+      const below = siblings[siblings.indexOf(layer) - 1];
+      if (!below || below.type !== 'layer') {
+        console.warn(`${layer.name} has no pixel layer below it to merge into`);
+        return null;
+      }
+      if (below.scaleX !== 1 || below.scaleY !== 1 || below.rotation !== 0) {
+        console.warn(`Cannot merge into ${below.name} while it is scaled or rotated`);
+        return null;
+      }
+
+      this._endDrawing(below);
+
+      return this._withHistoryStep('Merge down', () => {
+        if (this.history) {
+          this.history.recordPixels(below);
+        }
+
+        if (this.compositor._isNodeVisible(layer)) {
+          // Clipped layers only cover the pixels of the layer below
+          this.compositor.mergeLayer(layer, below, { preserveAlpha: layer.clipped });
+          below.hasBeenDrawnTo = true;
+          below.markDirty();
+        }
+
+        this.removeLayer(layer.id);
+        return below;
+      });
+    }
+
+    /**
+     * Replaces layers with one canvas-sized layer holding their composite.
+     * Without options every layer is flattened. The new layer goes into the
+     * innermost group holding all flattened nodes, in the place of the lowest
+     * one. That group and its ancestors still apply on top of the new layer, so
+     * only the groups below it are baked into the pixels.
+     * @param {Object} [options]
+     * @param {Array<number|string|LayerNode>} [options.layers] - Nodes to flatten (groups include their children)
+     * @param {number} [options.minZIndex] - Lowest zIndex of root-level nodes to flatten
+     * @param {number} [options.maxZIndex] - Highest zIndex of root-level nodes to flatten
+     * @param {string} [options.name='Flattened'] - Name of the new layer
+     * @returns {Layer|null} The new layer, or null if there was nothing to flatten
+     */
+    flatten(options = {}) {
+      const minZIndex = options.minZIndex ?? -Infinity;
+      const maxZIndex = options.maxZIndex ?? Infinity;
+      const getRoot = node => (node.parent ? getRoot(node.parent) : node);
+      const inRange = node => {
+        const root = getRoot(node);
+        return root.zIndex >= minZIndex && root.zIndex <= maxZIndex;
+      };
+
+      let nodes;
+      if (options.layers) {
+        const selected = new Set();
+        for (const ref of options.layers) {
+          const node = ref instanceof LayerNode ? ref : this._getLayerById(ref);
+          if (node) {
+            selected.add(node);
+          } else {
+            console.warn(`Layer ${ref} not found`);
+          }
+        }
+        // Nodes inside a selected group go with the group
+        nodes = this.getAllLayers().filter(node =>
+          selected.has(node) && inRange(node) &&
+          ![...selected].some(other => other.type === 'group' && node.isDescendantOf(other))
+        );
+      } else {
+        nodes = this.getLayers().filter(inRange);
+      }
+
+      if (nodes.length === 0) {
+        console.warn('No layers to flatten');
+        return null;
       }
 
-      .p5ml-layer-item.p5ml-selected .p5ml-layer-row {
-        background: transparent;
+      let container = nodes[0].parent;
+      while (container && !nodes.every(node => node.isDescendantOf(container))) {
+        container = container.parent;
+      }
+      // The container's child holding the lowest node gives the new layer its place
+      let slot = nodes[0];
+      while (slot.parent !== container) {
+        slot = slot.parent;
+      }
+
+      return this._withHistoryStep('Flatten', () => {
+        const layer = this.createLayer(options.name || 'Flattened', {
+          zIndex: slot.zIndex,
+          parent: container ? container.id : undefined
+        });
+
+        if (this.autoResize) {
+          this._checkResize();
+        }
+        // Composite from inside the container so its settings aren't applied twice
+        const selected = new Set(nodes);
+        this.compositor.renderTo(layer.framebuffer, container ? container.getChildren() : this.getLayers(), {
+          filter: node => this._isInSelection(node, selected)
+        });
+        layer.hasBeenDrawnTo = true;
+        layer.markDirty();
+
+        for (const node of nodes) {
+          this.removeLayer(node.id);
+        }
+        return layer;
+      });
+    }
+
+    /**
+     * Runs a change as a single history step when history is enabled
+     * @private
+     * @param {string} label - Label of the step
+     * @param {Function} fn - The change
+     * @returns {*} What fn returns
+     */
+    _withHistoryStep(label, fn) {
+      if (!this.history) {
+        return fn();
+      }
+
+      this.history.beginStep(label);
+      try {
+        return fn();
+      } finally {
+        this.history.endStep();
+      }
+    }
+
+    /**
+     * Gets a layer by ID or name
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @returns {LayerNode|null} The layer or group, or null if not found
+     */
+    getLayer(layerIdOrName) {
+      return this._getLayerById(layerIdOrName);
+    }
+
+    /**
+     * Renames a layer, group or adjustment layer, keeping name lookups current.
+     * The name policy applies: with NamePolicies.SUFFIX the name may get a
+     * number appended, with NamePolicies.ERROR a taken name throws.
+     * @param {number|string} layerIdOrName - The layer ID or current name
+     * @param {string} newName - The new name
+     * @returns {LayerNode|null} The renamed layer, or null if not found
+     */
+    renameLayer(layerIdOrName, newName) {
+      const node = this._getLayerById(layerIdOrName);
+      if (!node) {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
+      }
+      return node.setName(newName);
+    }
+
+    /**
+     * Sets what happens when a layer is created or renamed with a name another
+     * layer already has. Existing names are left as they are.
+     * @param {string} policy - One of the NamePolicies constants
+     * @returns {LayerSystem} This system for chaining
+     */
+    setNamePolicy(policy) {
+      if (!Object.values(NamePolicies).includes(policy)) {
+        console.warn(`Unknown name policy: ${policy}`);
+        return this;
+      }
+      this.namePolicy = policy;
+      return this;
+    }
+
+    /**
+     * Gets the root of the layer tree as an array, sorted by zIndex.
+     * Groups expose their own children through getChildren().
+     * @returns {LayerNode[]} Array of root-level layers and groups
+     */
+    getLayers() {
+      return Array.from(this.layers.values())
+        .filter(layer => !layer.parent)
+        .sort((a, b) => a.zIndex - b.zIndex);
+    }
+
+    /**
+     * Gets every layer and group as a flat array in compositing order
+     * (bottom to top, each group followed by its children)
+     * @returns {LayerNode[]} Array of all layers and groups
+     */
+    getAllLayers() {
+      const result = [];
+      const visit = (nodes) => {
+        for (const node of nodes) {
+          result.push(node);
+          if (node.type === 'group') {
+            visit(node.getChildren());
+          }
+        }
+      };
+      visit(this.getLayers());
+      return result;
+    }
+
+    /**
+     * Gets layer information as plain objects. Groups carry a nested `children` array.
+     * @returns {Object[]} Array of layer info objects
+     */
+    getLayerInfo() {
+      return this.getLayers().map(layer => layer.toJSON());
+    }
+
+    /**
+     * Begins drawing to a specific layer. Layers and masks can be begun while
+     * another is active; each end() or endMask() returns to the one before.
+     * @param {number|string} layerIdOrName - The ID or name of the layer to draw to
+     */
+    begin(layerIdOrName) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer) {
+        console.error(`Layer ${layerIdOrName} not found`);
+        return;
+      }
+
+      if (layer.type !== 'layer') {
+        console.error(`Cannot draw to ${layer.type} ${layer.name}, it has no pixels of its own`);
+        return;
+      }
+
+      if (this._drawStack.some(entry => entry.layer === layer && !entry.mask)) {
+        console.error(`Layer ${layer.name} is already being drawn to`);
+        return;
+      }
+
+      layer.begin();
+      if (layer.framebuffer) {
+        this._drawStack.push({ layer, mask: false });
+      }
+    }
+
+    /**
+     * Ends drawing to the current layer
+     */
+    end() {
+      const top = this._drawStack[this._drawStack.length - 1];
+      if (!top) {
+        console.warn('No active layer to end');
+        return;
+      }
+      if (top.mask) {
+        console.warn(`The mask of layer ${top.layer.name} is still active, end it with endMask() first`);
+        return;
+      }
+
+      this._unwindDrawStack(this._drawStack.length - 1);
+    }
+
+    /**
+     * Begins drawing to a layer's own mask, creating the mask if needed.
+     * White reveals the layer, black hides it.
+     * @param {number|string} layerIdOrName - The ID or name of the layer whose mask to draw to
+     */
+    beginMask(layerIdOrName) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer) {
+        console.error(`Layer ${layerIdOrName} not found`);
+        return;
+      }
+
+      if (layer.type !== 'layer') {
+        console.error(`Cannot draw a mask for ${layer.type} ${layer.name}, only layers own masks`);
+        return;
+      }
+
+      if (this._drawStack.some(entry => entry.layer === layer && entry.mask)) {
+        console.error(`The mask of layer ${layer.name} is already being drawn to`);
+        return;
+      }
+
+      layer.beginMask();
+      if (layer.maskFramebuffer) {
+        this._drawStack.push({ layer, mask: true });
+      }
+    }
+
+    /**
+     * Ends drawing to the current layer mask
+     */
+    endMask() {
+      const top = this._drawStack[this._drawStack.length - 1];
+      if (!top) {
+        console.warn('No active layer mask to end');
+        return;
+      }
+      if (!top.mask) {
+        console.warn(`Layer ${top.layer.name} is still active, end it with end() first`);
+        return;
+      }
+
+      this._unwindDrawStack(this._drawStack.length - 1);
+    }
+
+    /**
+     * Draws to a layer inside begin()/end(). The layer is ended even if the
+     * callback throws, along with anything the callback began and didn't end.
+     * @param {number|string} layerIdOrName - The ID or name of the layer to draw to
+     * @param {Function} callback - Synchronous drawing code, called with the layer
+     * @returns {Layer|null} The layer, or null if it couldn't be begun
+     */
+    draw(layerIdOrName, callback) {
+      return this._drawScoped(() => this.begin(layerIdOrName), callback);
+    }
+
+    /**
+     * Draws to a layer's own mask inside beginMask()/endMask(), ending it
+     * even if the callback throws
+     * @param {number|string} layerIdOrName - The ID or name of the layer whose mask to draw to
+     * @param {Function} callback - Synchronous drawing code, called with the layer
+     * @returns {Layer|null} The layer, or null if its mask couldn't be begun
+     */
+    drawMask(layerIdOrName, callback) {
+      return this._drawScoped(() => this.beginMask(layerIdOrName), callback);
+    }
+
+    /**
+     * Runs a callback between a begin and the matching end
+     * @private
+     * @param {Function} begin - Pushes one entry onto the draw stack, or nothing on failure
+     * @param {Function} callback - Drawing code, called with the layer
+     * @returns {Layer|null}
+     */
+    _drawScoped(begin, callback) {
+      const depth = this._drawStack.length;
+      begin();
+      if (this._drawStack.length === depth) {
+        return null;
       }
 
-      /* Main layer row (horizontal layout) */
-      .p5ml-layer-row {
-        display: flex;
-        align-items: center;
-        gap: 12px;
-        padding: 10px 12px;
+      const { layer } = this._drawStack[depth];
+      try {
+        callback(layer);
+      } finally {
+        this._unwindDrawStack(depth);
       }
+      return layer;
+    }
 
-      /* Thumbnail on the left */
-      .p5ml-layer-thumbnail {
-        flex-shrink: 0;
+    /**
+     * Ends the innermost begins until only `depth` remain. Framebuffers nest,
+     * so inner ones always end first.
+     * @private
+     * @param {number} depth - Number of entries to keep
+     */
+    _unwindDrawStack(depth) {
+      while (this._drawStack.length > depth) {
+        const { layer, mask } = this._drawStack.pop();
+        if (mask) {
+          layer.endMask();
+        } else {
+          layer.end();
+        }
       }
+    }
 
-      .p5ml-layer-thumbnail canvas {
-        display: block;
-        width: 60px;
-        height: 60px;
-        border: 1px solid #555;
-        border-radius: 4px;
-        image-rendering: pixelated;
+    /**
+     * Ends drawing to a node (its pixels or its mask) and to everything begun after it
+     * @private
+     * @param {LayerNode} node
+     */
+    _endDrawing(node) {
+      const index = this._drawStack.findIndex(entry => entry.layer === node);
+      if (index !== -1) {
+        this._unwindDrawStack(index);
       }
+    }
 
-      /* Layer name in center */
-      .p5ml-layer-name {
-        flex: 1;
-        font-weight: 500;
-        font-size: 15px;
-        color: #e8e8e8;
-        overflow: hidden;
-        text-overflow: ellipsis;
-        white-space: nowrap;
+    /**
+     * Shows a layer (makes it visible)
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
+     */
+    show(layerIdOrName) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer) {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
       }
+      return layer.show();
+    }
 
-      /* Right side controls */
-      .p5ml-right-controls {
-        display: flex;
-        align-items: center;
-        gap: 12px;
-        flex-shrink: 0;
+    /**
+     * Hides a layer (makes it invisible)
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
+     */
+    hide(layerIdOrName) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer) {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
       }
+      return layer.hide();
+    }
 
-      /* Blend mode letter indicator */
-      .p5ml-blend-indicator {
-        width: 28px;
-        height: 28px;
-        border-radius: 4px;
-        background: rgba(255, 255, 255, 0.1);
-        border: 1px solid rgba(255, 255, 255, 0.2);
-        color: #e8e8e8;
-        font-weight: 600;
-        font-size: 14px;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        cursor: pointer;
-        transition: all 0.15s;
-        pointer-events: auto;
+    /**
+     * Sets the opacity of a layer
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {number} opacity - Opacity value between 0 and 1
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
+     */
+    setOpacity(layerIdOrName, opacity) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer) {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
       }
+      return layer.setOpacity(opacity);
+    }
 
-      .p5ml-blend-indicator:hover {
-        background: rgba(255, 255, 255, 0.15);
-        border-color: rgba(255, 255, 255, 0.3);
+    /**
+     * Sets the blend mode of a layer
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {string} blendMode - One of the BlendModes constants
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
+     */
+    setBlendMode(layerIdOrName, blendMode) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer) {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
       }
+      return layer.setBlendMode(blendMode);
+    }
 
-      /* Visibility checkbox */
-      .p5ml-visibility-checkbox {
-        width: 20px;
-        height: 20px;
-        cursor: pointer;
-        accent-color: #4a90e2;
-        pointer-events: auto;
+    /**
+     * Sets the z-index of a layer
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {number} zIndex - The new z-index (higher = on top)
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
+     */
+    setLayerIndex(layerIdOrName, zIndex) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer) {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
       }
+      return layer.setZIndex(zIndex);
+    }
 
-      /* Dropdown panel for opacity and blend mode */
-      .p5ml-layer-dropdown {
-        background: rgba(40, 40, 40, 0.95);
-        border-top: 1px solid #555;
-        padding: 16px;
-        display: none;
+    /**
+     * Moves a layer by a relative amount in the stack
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {number} delta - The amount to move (positive = forward, negative = backward)
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
+     */
+    moveLayer(layerIdOrName, delta) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer) {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
       }
+      return layer.setZIndex(layer.zIndex + delta);
+    }
 
-      .p5ml-control-group {
-        margin-bottom: 16px;
+    /**
+     * Reorders layers to match a new array order
+     * @param {Layer[]} orderedLayers - Array of layers in the desired order
+     */
+    reorderLayers(orderedLayers) {
+      // Update zIndex for each layer based on its position in the array
+      this._reordering = true;
+      try {
+        orderedLayers.forEach((layer, index) => {
+          layer.setZIndex(index);
+        });
+      } finally {
+        this._reordering = false;
       }
+      this._emit('reorder', { layers: [...orderedLayers] });
+    }
 
-      .p5ml-control-group:last-child {
-        margin-bottom: 0;
+    /**
+     * Attaches a mask to a layer
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {p5.Framebuffer|p5.Image|Layer|number|string} maskSource - The mask to apply,
+     *   or the ID or name of a layer to use as a live mask
+     * @param {Object} [options] - Mask options (see LayerNode.setMask)
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
+     */
+    setMask(layerIdOrName, maskSource, options = {}) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer) {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
       }
 
-      .p5ml-control-group label {
-        font-size: 11px;
-        color: #999;
-        text-transform: uppercase;
-        letter-spacing: 0.8px;
-        font-weight: 600;
-        display: flex;
-        justify-content: space-between;
-        margin-bottom: 8px;
+      if (typeof maskSource === 'string' || typeof maskSource === 'number') {
+        const maskLayer = this._getLayerById(maskSource);
+        if (!maskLayer || maskLayer.type !== 'layer') {
+          console.warn(`Mask layer ${maskSource} not found`);
+          return null;
+        }
+        maskSource = maskLayer;
       }
 
-      .p5ml-opacity-value {
-        color: #e0e0e0;
-        font-weight: 600;
-      }
+      return layer.setMask(maskSource, options);
+    }
 
-      .p5ml-opacity-slider {
-        width: 100%;
-        height: 6px;
-        border-radius: 3px;
-        outline: none;
-        -webkit-appearance: none;
-        background: rgba(255, 255, 255, 0.15);
-        margin-top: 4px;
+    /**
+     * Gives a layer a mask of its own to paint with beginMask()/endMask()
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {Object} [options] - Mask options (see Layer.createMask)
+     * @returns {p5.Framebuffer|null} The mask framebuffer, or null if the layer wasn't found
+     */
+    createMask(layerIdOrName, options = {}) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer || layer.type !== 'layer') {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
       }
+      return layer.createMask(options);
+    }
 
-      .p5ml-opacity-slider::-webkit-slider-thumb {
-        -webkit-appearance: none;
-        appearance: none;
-        width: 18px;
-        height: 18px;
-        border-radius: 50%;
-        background: #fff;
-        cursor: pointer;
-        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.4);
+    /**
+     * Removes the mask from a layer
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
+     */
+    clearMask(layerIdOrName) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer) {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
       }
+      return layer.clearMask();
+    }
 
-      .p5ml-opacity-slider::-moz-range-thumb {
-        width: 18px;
-        height: 18px;
-        border-radius: 50%;
-        background: #fff;
-        cursor: pointer;
-        border: none;
-        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.4);
+    /**
+     * Clips a layer to the nearest non-clipped layer below it
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {boolean} [clipped=true] - Whether to clip
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
+     */
+    setClipped(layerIdOrName, clipped = true) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer) {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
       }
+      return layer.setClipped(clipped);
+    }
 
-      .p5ml-blend-select {
-        width: 100%;
-        background: rgba(0, 0, 0, 0.4);
-        border: 1px solid #555;
-        border-radius: 6px;
-        color: #e8e8e8;
-        padding: 10px 12px;
-        font-size: 14px;
-        cursor: pointer;
-        outline: none;
-        margin-top: 4px;
+    /**
+     * Adds an effect to a layer's effect stack
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {string} type - One of the EffectTypes constants
+     * @param {Object} params - Effect parameters (see DEFAULT_EFFECT_PARAMS)
+     * @returns {LayerEffect|null} The created effect, or null if the layer or type wasn't found
+     */
+    addEffect(layerIdOrName, type, params = {}) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer || layer.type !== 'layer') {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
       }
+      return layer.addEffect(type, params);
+    }
 
-      .p5ml-blend-select:hover {
-        border-color: #777;
-        background: rgba(0, 0, 0, 0.5);
+    /**
+     * Removes an effect from a layer's effect stack
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {number|LayerEffect} effectOrId - The effect or its ID
+     * @returns {Layer|null} The layer for chaining, or null if not found
+     */
+    removeEffect(layerIdOrName, effectOrId) {
+      const layer = this._getLayerById(layerIdOrName);
+      if (!layer || layer.type !== 'layer') {
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
       }
+      return layer.removeEffect(effectOrId);
+    }
 
-      .p5ml-blend-select option {
-        background: #2a2a2a;
-        color: #e8e8e8;
-        padding: 8px;
+    /**
+     * Renders all layers to the main canvas
+     * @param {Function} [clearCallback] - Clears the canvas before rendering, defaults to the
+     *   clearCallback option; without one the canvas is cleared to transparent
+     */
+    render(clearCallback = this.clearCallback) {
+      // Check for canvas resize
+      if (this.autoResize) {
+        this._checkResize();
       }
 
-      /* Hide old thumbnail styles - no longer used */
-      .p5ml-thumbnail-label {
-        display: none;
+      const layers = this.getLayers();
+      this.compositor.render(layers, clearCallback);
+
+      // Bring the UI up to date with the changes reported since the last render
+      if (this.ui) {
+        this.ui.refresh();
       }
-    `;
 
-      document.head.appendChild(style);
+      this._emit('render', { target: null });
     }
 
     /**
-     * Toggles the collapsed state of the panel
+     * Writes the composite into a framebuffer instead of the main canvas, e.g. to
+     * texture a 3D model, feed a post-process shader or nest one layer system
+     * inside another. Leaving out layers works like hiding them.
+     * @param {p5.Framebuffer} framebuffer - Framebuffer that receives the composite
+     * @param {Object} [options]
+     * @param {Array<number|string|LayerNode>} [options.layers] - Only composite these nodes (groups include their children)
+     * @param {number} [options.minZIndex] - Lowest zIndex of root-level nodes to include
+     * @param {number} [options.maxZIndex] - Highest zIndex of root-level nodes to include
+     * @param {boolean} [options.clear=true] - Clear the framebuffer first instead of drawing over it
+     * @returns {p5.Framebuffer|null} The framebuffer, or null if it couldn't be rendered into
      */
-    toggle() {
-      this.isCollapsed = !this.isCollapsed;
-      this.container.classList.toggle('collapsed', this.isCollapsed);
+    renderTo(framebuffer, options = {}) {
+      if (!framebuffer || typeof framebuffer.begin !== 'function') {
+        console.warn('renderTo needs a p5.Framebuffer to render into');
+        return null;
+      }
 
-      const btn = this.container.querySelector('.p5ml-collapse-btn');
-      if (btn) {
-        btn.innerHTML = this.isCollapsed ? '+' : '−';
+      if (this.autoResize) {
+        this._checkResize();
       }
-    }
 
-    /**
-     * Shows the panel
-     */
-    show() {
-      this.container.style.display = 'block';
+      let selected = null;
+      if (options.layers) {
+        selected = new Set();
+        for (const ref of options.layers) {
+          const node = ref instanceof LayerNode ? ref : this._getLayerById(ref);
+          if (node) {
+            selected.add(node);
+          } else {
+            console.warn(`Layer ${ref} not found`);
+          }
+        }
+      }
+
+      const minZIndex = options.minZIndex ?? -Infinity;
+      const maxZIndex = options.maxZIndex ?? Infinity;
+
+      const filter = node => {
+        if (!node.parent && (node.zIndex < minZIndex || node.zIndex > maxZIndex)) {
+          return false;
+        }
+        return !selected || this._isInSelection(node, selected);
+      };
+
+      // A layer can't be read and written in the same pass
+      for (const node of this.layers.values()) {
+        if (node.type !== 'layer' || node.framebuffer !== framebuffer) {
+          continue;
+        }
+        let included = true;
+        for (let current = node; current && included; current = current.parent) {
+          included = filter(current);
+        }
+        if (included) {
+          console.warn(`Can't render layer ${node.name} into its own framebuffer`);
+          return null;
+        }
+      }
+
+      this.compositor.renderTo(framebuffer, this.getLayers(), {
+        filter,
+        clear: options.clear
+      });
+      this._emit('render', { target: framebuffer });
+      return framebuffer;
     }
 
     /**
-     * Hides the panel
+     * Whether a node takes part in compositing a selection: it or one of its
+     * ancestors is selected, or it's a group holding a selected node
+     * @private
+     * @param {LayerNode} node
+     * @param {Set<LayerNode>} selected
+     * @returns {boolean}
      */
-    hide() {
-      this.container.style.display = 'none';
+    _isInSelection(node, selected) {
+      for (let current = node; current; current = current.parent) {
+        if (selected.has(current)) {
+          return true;
+        }
+      }
+      return node.type === 'group' &&
+        node.getChildren().some(child => this._isInSelection(child, selected));
     }
 
     /**
-     * Removes the panel from the DOM
+     * Composites the stack at a resolution independent of the canvas, e.g. for
+     * poster-sized prints from a screen-sized sketch. Canvas-synced layers are
+     * scaled to fill the output; custom-size layers keep their own resolution.
+     * Outputs larger than one tile are rendered in tiles and stitched together
+     * into one canvas, so they can be at most 32767 pixels a side and
+     * 16384 x 16384 pixels in total.
+     * @param {Object} [options]
+     * @param {number} [options.width] - Output width in pixels (keeps the canvas aspect if height is omitted)
+     * @param {number} [options.height] - Output height in pixels (keeps the canvas aspect if width is omitted)
+     * @param {number} [options.scale=1] - Multiple of the canvas size, used when no width or height is given
+     * @param {string} [options.format='image'] - 'image' for a p5.Image, 'blob' or 'dataURL'
+     * @param {string} [options.type='image/png'] - Encoding for blobs and data URLs
+     * @param {number} [options.quality] - Encoder quality for lossy types, between 0 and 1
+     * @param {number} [options.tileSize=4096] - Largest tile side in pixels, capped at the GPU's max texture size
+     * @returns {p5.Image|string|Promise<Blob>|null} The image, data URL or a promise for the blob; null for an invalid or too large size.
+     *   Call loadPixels() on the image before reading its pixels.
      */
-    dispose() {
-      if (this.container && this.container.parentNode) {
-        this.container.parentNode.removeChild(this.container);
+    renderToImage(options = {}) {
+      const p = this.p;
+      const scale = options.scale !== undefined ? options.scale : 1;
+      let width = options.width;
+      let height = options.height;
+
+      if (width === undefined && height === undefined) {
+        width = p.width * scale;
+        height = p.height * scale;
+      } else if (height === undefined) {
+        height = width * p.height / p.width;
+      } else if (width === undefined) {
+        width = height * p.width / p.height;
+      }
+      width = Math.round(width);
+      height = Math.round(height);
+
+      if (!(width > 0 && height > 0)) {
+        console.warn(`Invalid render size ${width}x${height}`);
+        return null;
       }
-
-      if (this._cancelThumbnailFlush && this._thumbnailFlushHandle !== null) {
-        this._cancelThumbnailFlush(this._thumbnailFlushHandle);
+      if (width > MAX_RENDER_SIDE || height > MAX_RENDER_SIDE || width * height > MAX_RENDER_AREA) {
+        console.warn(`Render size ${width}x${height} is too large for one canvas ` +
+          `(at most ${MAX_RENDER_SIDE} pixels a side and ${MAX_RENDER_AREA} pixels in total)`);
+        return null;
       }
-      this._dirtyThumbnailLayerIds.clear();
-      this._captureNeeded.clear();
-      this._thumbnailCache.clear();
-      this._thumbnailFlushHandle = null;
-      this._cancelThumbnailFlush = null;
-      this._thumbnailScratchCanvas = null;
-      this._thumbnailScratchCtx = null;
-    }
-  }
 
-  /**
-   * Main layer system manager
-   */
-  class LayerSystem {
-    /**
-     * @param {p5} p5Instance - The p5.js instance
-     */
-    constructor(p5Instance) {
-      this.p = p5Instance;
+      if (this.autoResize) {
+        this._checkResize();
+      }
 
-      // Validate WebGL mode
-      if (!this.p._renderer || !this.p._renderer.drawingContext) {
-        throw new Error('Canvas not initialized. Make sure createCanvas() is called before createLayerSystem()');
+      // A p5.Image has its own canvas, so tiles are stitched straight into it
+      const format = options.format || 'image';
+      const image = format !== 'blob' && format !== 'dataURL' ? p.createImage(width, height) : null;
+      let output = image && image.canvas;
+      if (!output) {
+        output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+      }
+      const context = output.getContext('2d');
+      if (!context) {
+        console.warn(`Could not create a ${width}x${height} canvas to render into`);
+        return null;
       }
 
-      if (this.p._renderer.drawingContext instanceof WebGLRenderingContext ||
-          this.p._renderer.drawingContext instanceof WebGL2RenderingContext) ; else {
-        throw new Error('LayerSystem requires WebGL mode. Use createCanvas(w, h, WEBGL)');
+      const tileSize = Math.max(1, Math.floor(Math.min(options.tileSize || 4096, this._getMaxTextureSize())));
+      const layers = this.getLayers();
+
+      for (let y = 0; y < height; y += tileSize) {
+        for (let x = 0; x < width; x += tileSize) {
+          const tileWidth = Math.min(tileSize, width - x);
+          const tileHeight = Math.min(tileSize, height - y);
+          const tile = this.compositor.compositeRegion(layers, {
+            width: tileWidth,
+            height: tileHeight,
+            view: [x / width, y / height, tileWidth / width, tileHeight / height]
+          });
+          context.drawImage(tile.get().canvas, x, y);
+          this.compositor.releaseBuffer(tile);
+        }
       }
 
-      this.layers = new Map(); // id -> Layer
-      this.layerNames = new Map(); // name -> id (for string-based lookups)
-      this.layerIdCounter = 0;
-      this.activeLayerId = null;
-      this.compositor = new Compositor(p5Instance);
-      this.ui = null; // LayerUI instance
+      // Tiles are rarely reused, so don't keep them around
+      this.compositor.trimBuffers();
 
-      // Track if we're auto-resizing
-      this.autoResize = true;
-      this._lastCanvasWidth = this.p.width;
-      this._lastCanvasHeight = this.p.height;
-      this._lastPixelDensity = this.p.pixelDensity();
+      if (image) {
+        // Uploads the new canvas contents to the GPU the next time the image is drawn
+        image.setModified(true);
+        return image;
+      }
+
+      const type = options.type || 'image/png';
+      if (format === 'dataURL') {
+        return output.toDataURL(type, options.quality);
+      }
+      return new Promise((resolve, reject) => {
+        output.toBlob(blob => {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new Error('Could not encode the rendered image'));
+          }
+        }, type, options.quality);
+      });
     }
 
     /**
-     * Generates a unique layer ID
+     * Gets the largest texture side the GPU supports
+     * @returns {number}
      * @private
      */
-    _generateId() {
-      return this.layerIdCounter++;
+    _getMaxTextureSize() {
+      const gl = this.p._renderer && this.p._renderer.drawingContext;
+      return gl && typeof gl.getParameter === 'function'
+        ? gl.getParameter(gl.MAX_TEXTURE_SIZE)
+        : 4096;
     }
 
     /**
-     * Gets a layer by ID or name
+     * Checks if canvas was resized and updates layers accordingly
      * @private
-     * @param {number|string} layerIdOrName - The layer ID (number) or name (string)
-     * @returns {Layer|null} The layer, or null if not found
      */
-    _getLayerById(layerIdOrName) {
-      // If it's a number, look up directly by ID
-      if (typeof layerIdOrName === 'number') {
-        return this.layers.get(layerIdOrName) || null;
+    _checkResize() {
+      const currentWidth = this.p.width;
+      const currentHeight = this.p.height;
+      const currentDensity = this.p.pixelDensity();
+
+      const sizeChanged = currentWidth !== this._lastCanvasWidth ||
+        currentHeight !== this._lastCanvasHeight;
+      const densityChanged = currentDensity !== this._lastPixelDensity;
+
+      if (!sizeChanged && !densityChanged) {
+        return;
       }
-      
-      // If it's a string, look up by name first
-      if (typeof layerIdOrName === 'string') {
-        const id = this.layerNames.get(layerIdOrName);
-        if (id !== undefined) {
-          return this.layers.get(id) || null;
+
+      this._lastCanvasWidth = currentWidth;
+      this._lastCanvasHeight = currentHeight;
+      this._lastPixelDensity = currentDensity;
+
+      // Resize all canvas-synced layers
+      const density = this.layerDefaults.density ?? currentDensity;
+      for (const layer of this.layers.values()) {
+        if (layer.type !== 'layer' || layer.customSize) {
+          continue;
+        }
+        if (layer.width !== currentWidth || layer.height !== currentHeight || layer.density !== density) {
+          layer.resize(currentWidth, currentHeight, density);
         }
+        // A system-wide density doesn't make the layer custom-sized
+        layer.customSize = false;
       }
-      
-      return null;
     }
 
     /**
-     * Creates a new layer
-     * @param {string} name - Optional name for the layer
-     * @param {Object} options - Layer configuration options
-     * @returns {Layer} The created layer instance
+     * Enables or disables automatic layer resizing when canvas size changes
+     * @param {boolean} enabled - Whether to enable auto-resize
      */
-    createLayer(name = '', options = {}) {
-      const id = this._generateId();
-      const layerName = name || `Layer ${id}`;
-      const layer = new Layer(this.p, id, layerName, {
-        ...options,
-        zIndex: options.zIndex !== undefined ? options.zIndex : id
-      });
-
-      this.layers.set(id, layer);
-      
-      // Register the name for string-based lookups
-      if (layerName) {
-        this.layerNames.set(layerName, id);
-      }
-      
-      return layer;
+    setAutoResize(enabled) {
+      this.autoResize = !!enabled;
     }
 
     /**
-     * Removes a layer and disposes of its resources
-     * @param {number|string} layerIdOrName - The ID or name of the layer to remove
+     * Sets what happens to a layer's pixels when it is resized, including by auto-resize
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {string} policy - One of the ResizePolicies constants
+     * @param {Object} [options] - anchor and callback, see Layer.setResizePolicy
+     * @returns {Layer|null} The layer for chaining, or null if not found
      */
-    removeLayer(layerIdOrName) {
+    setResizePolicy(layerIdOrName, policy, options = {}) {
       const layer = this._getLayerById(layerIdOrName);
-      if (!layer) {
+      if (!layer || layer.type !== 'layer') {
         console.warn(`Layer ${layerIdOrName} not found`);
-        return;
+        return null;
       }
+      return layer.setResizePolicy(policy, options);
+    }
 
-      // If this layer is currently active, end it
-      if (this.activeLayerId === layer.id) {
-        this.end();
+    /**
+     * Starts recording changes so they can be undone. Calling it again updates
+     * the options of the existing history.
+     * @param {Object} [options]
+     * @param {boolean} [options.pixels=false] - Also snapshot pixels when drawing to a layer or mask begins
+     * @param {number} [options.memoryLimit] - Bytes of snapshots and removed layers to keep (256 MB by default)
+     * @param {number} [options.maxSteps=100] - Most undo steps to keep
+     * @param {number} [options.mergeInterval=1000] - Milliseconds within which repeated changes to one property merge into one step; 0 keeps every step
+     * @returns {LayerHistory} The history
+     */
+    enableHistory(options = {}) {
+      if (this.history) {
+        return this.history.setOptions(options);
       }
+      this.history = new LayerHistory(this, options);
+      return this.history;
+    }
 
-      // Remove from name map if it has a name
-      if (layer.name) {
-        this.layerNames.delete(layer.name);
+    /**
+     * Stops recording changes and forgets the history
+     */
+    disableHistory() {
+      if (this.history) {
+        this.history.dispose();
+        this.history = null;
       }
-
-      layer.dispose();
-      this.layers.delete(layer.id);
     }
 
     /**
-     * Gets a layer by ID or name
-     * @param {number|string} layerIdOrName - The layer ID or name
-     * @returns {Layer|null} The layer, or null if not found
+     * Reverts the most recent step of the history
+     * @returns {boolean} Whether anything was undone
      */
-    getLayer(layerIdOrName) {
-      return this._getLayerById(layerIdOrName);
+    undo() {
+      return this.history ? this.history.undo() : false;
     }
 
     /**
-     * Gets all layers as an array, sorted by zIndex
-     * @returns {Layer[]} Array of layers
+     * Reapplies the most recently undone step of the history
+     * @returns {boolean} Whether anything was redone
      */
-    getLayers() {
-      return Array.from(this.layers.values()).sort((a, b) => a.zIndex - b.zIndex);
+    redo() {
+      return this.history ? this.history.redo() : false;
     }
 
     /**
-     * Gets layer information as plain objects
-     * @returns {Object[]} Array of layer info objects
+     * Enables or disables reusing unchanged parts of the composite between renders.
+     * On by default. Changes made through begin()/end(), draw() and the layer
+     * setters are picked up; after drawing straight into layer.framebuffer, call
+     * layer.markDirty(). Layers masked by a framebuffer or image always recomposite.
+     * @param {boolean} enabled - Whether to cache
      */
-    getLayerInfo() {
-      return this.getLayers().map(layer => layer.toJSON());
+    setCaching(enabled) {
+      this.compositor.cacheEnabled = !!enabled;
+      if (!enabled) {
+        this.compositor.invalidate();
+      }
     }
 
     /**
-     * Begins drawing to a specific layer
-     * @param {number|string} layerIdOrName - The ID or name of the layer to draw to
+     * Flags a layer as changed after drawing into its framebuffer directly, or
+     * the whole composite when called without a layer
+     * @param {number|string} [layerIdOrName] - The layer ID or name
+     * @returns {LayerNode|null} The layer, or null if not found or none was given
      */
-    begin(layerIdOrName) {
-      // Check if another layer is already active
-      if (this.activeLayerId !== null) {
-        console.warn(`Layer ${this.activeLayerId} is already active. Ending it first.`);
-        this.end();
+    markDirty(layerIdOrName) {
+      if (layerIdOrName === undefined) {
+        this.compositor.invalidate();
+        return null;
       }
 
       const layer = this._getLayerById(layerIdOrName);
       if (!layer) {
-        console.error(`Layer ${layerIdOrName} not found`);
-        return;
+        console.warn(`Layer ${layerIdOrName} not found`);
+        return null;
       }
+      return layer.markDirty();
+    }
 
-      layer.begin();
-      this.activeLayerId = layer.id;
+    /**
+     * Creates and shows a UI panel for controlling layers
+     * @param {Object} options - UI configuration options
+     * @returns {LayerUI} The created UI instance
+     */
+    createUI(options = {}) {
+      // Dispose existing UI if any
+      if (this.ui) {
+        this.ui.dispose();
+      }
+
+      this.ui = new LayerUI(this, options);
+      this.ui.update();
+      return this.ui;
+    }
+
+    /**
+     * Updates the UI if it exists
+     */
+    updateUI() {
+      if (this.ui) {
+        this.ui.update();
+      }
+    }
+
+    /**
+     * Saves the whole layer stack as a plain, JSON-safe object: every node's
+     * properties, layer pixels and masks as PNG data URLs, the tree order, and
+     * the name policy and layer defaults. Restore it with LayerSystem.load().
+     * @returns {Object} The versioned layer document
+     */
+    serialize() {
+      const nodes = this.getAllLayers().map(node => {
+        // Parents are stored by ID, so drop the nested copy groups carry
+        const { children, ...info } = node.toJSON();
+
+        if (node.type === 'layer') {
+          info.pixels = node.hasBeenDrawnTo && node.framebuffer ? encodePNG(node.framebuffer) : null;
+        }
+
+        // Live layer masks are stored by ID (maskLayerId), everything else as pixels
+        if (node.mask && !(node.mask instanceof Layer)) {
+          info.maskPixels = encodePNG(node.mask);
+        }
+
+        return info;
+      });
+
+      return {
+        format: DOCUMENT_FORMAT,
+        version: DOCUMENT_VERSION,
+        libraryVersion: VERSION,
+        canvas: {
+          width: this.p.width,
+          height: this.p.height,
+          density: this.p.pixelDensity()
+        },
+        namePolicy: this.namePolicy,
+        layerDefaults: this._getSavedLayerDefaults(),
+        nodes
+      };
     }
 
     /**
-     * Ends drawing to the current layer
+     * Layer defaults that can be saved. Callbacks aren't, so a REDRAW
+     * resize policy is left out along with its callback.
+     * @returns {Object}
+     * @private
      */
-    end() {
-      if (this.activeLayerId === null) {
-        console.warn('No active layer to end');
-        return;
-      }
-
-      const layer = this.layers.get(this.activeLayerId);
-      if (layer) {
-        layer.end();
-
-        if (this.ui && typeof this.ui.scheduleThumbnailUpdate === 'function') {
-          this.ui.scheduleThumbnailUpdate(layer.id, { needsCapture: true });
+    _getSavedLayerDefaults() {
+      const defaults = {};
+      for (const [key, value] of Object.entries(this.layerDefaults)) {
+        if (typeof value !== 'function' &&
+            !(key === 'resizePolicy' && value === ResizePolicies.REDRAW)) {
+          defaults[key] = value;
         }
       }
-
-      this.activeLayerId = null;
+      return defaults;
     }
 
     /**
-     * Shows a layer (makes it visible)
-     * @param {number|string} layerIdOrName - The layer ID or name
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * Rebuilds a layer system from a document made by serialize(), with the
+     * document's name policy and layer defaults
+     * @param {Object|string} data - The document, or its JSON string
+     * @param {p5} [p5Instance] - The p5.js instance, defaults to the global-mode sketch
+     * @returns {Promise<LayerSystem>} Resolves once every layer's pixels are loaded
      */
-    show(layerIdOrName) {
-      const layer = this._getLayerById(layerIdOrName);
-      if (!layer) {
-        console.warn(`Layer ${layerIdOrName} not found`);
-        return null;
+    static async load(data, p5Instance = null) {
+      const p = p5Instance || (typeof window !== 'undefined' && window.p5 && window.p5.instance);
+      if (!p) {
+        throw new Error('LayerSystem.load needs a p5 instance');
       }
-      return layer.show();
+
+      // Settings that shape how nodes are created apply before any exist
+      const doc = typeof data === 'string' ? JSON.parse(data) : data;
+      const system = new LayerSystem(p, {
+        namePolicy: doc && doc.namePolicy,
+        layerDefaults: doc && doc.layerDefaults
+      });
+      try {
+        await system._restoreDocument(doc);
+      } catch (e) {
+        system.dispose();
+        throw e;
+      }
+      return system;
     }
 
     /**
-     * Hides a layer (makes it invisible)
-     * @param {number|string} layerIdOrName - The layer ID or name
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * Adds the nodes of a saved document to this system. Unknown fields and
+     * node types are ignored so newer documents still load what they can.
+     * @param {Object|string} data - The document, or its JSON string
+     * @returns {Promise<void>}
+     * @private
      */
-    hide(layerIdOrName) {
-      const layer = this._getLayerById(layerIdOrName);
-      if (!layer) {
-        console.warn(`Layer ${layerIdOrName} not found`);
-        return null;
+    async _restoreDocument(data) {
+      const doc = typeof data === 'string' ? JSON.parse(data) : data;
+      if (!doc || doc.format !== DOCUMENT_FORMAT || !Array.isArray(doc.nodes)) {
+        throw new Error('Not a p5.millefeuille layer document');
+      }
+      if (doc.version > DOCUMENT_VERSION) {
+        console.warn(`Layer document version ${doc.version} is newer than ${DOCUMENT_VERSION}, some features may be lost`);
+      }
+
+      // Keep saved IDs where possible so code referring to them keeps working
+      const savedIds = doc.nodes.map(info => info.id).filter(id => Number.isInteger(id));
+      const nextFreeId = Math.max(this.layerIdCounter, ...savedIds.map(id => id + 1));
+
+      // Nodes are saved depth-first, so parents are always created before their children
+      const created = new Map(); // saved id -> node
+      for (const info of doc.nodes) {
+        this.layerIdCounter = Number.isInteger(info.id) && !this.layers.has(info.id)
+          ? info.id
+          : Math.max(nextFreeId, this.layerIdCounter);
+        const node = this._restoreNode(info, created);
+        if (node) {
+          created.set(info.id, node);
+        }
+      }
+      this.layerIdCounter = Math.max(nextFreeId, this.layerIdCounter);
+
+      // Pixels and masks decode asynchronously
+      await Promise.all(doc.nodes.map(async info => {
+        const node = created.get(info.id);
+        if (!node) {
+          return;
+        }
+
+        try {
+          if (node.type === 'layer' && info.pixels) {
+            const image = await loadImageAsync(this.p, info.pixels);
+            drawImageInto(this.p, node.framebuffer, image);
+            node.hasBeenDrawnTo = true;
+          }
+
+          const maskLayer = info.maskLayerId !== null && info.maskLayerId !== undefined
+            ? created.get(info.maskLayerId)
+            : null;
+          if (maskLayer) {
+            node.setMask(maskLayer, info.maskOptions);
+          } else if (info.maskPixels) {
+            const image = await loadImageAsync(this.p, info.maskPixels);
+            if (node.type === 'layer') {
+              // Restored masks become owned masks, so they keep resizing with the layer
+              drawImageInto(this.p, node.createMask({ ...info.maskOptions, hideAll: !!info.maskHideAll }), image);
+            } else {
+              node.setMask(image, info.maskOptions);
+            }
+          }
+        } catch (e) {
+          console.warn(`Could not restore pixels for layer ${node.name}:`, e);
+        }
+      }));
+
+      if (this.ui) {
+        this.ui.update();
       }
-      return layer.hide();
     }
 
     /**
-     * Sets the opacity of a layer
-     * @param {number|string} layerIdOrName - The layer ID or name
-     * @param {number} opacity - Opacity value between 0 and 1
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * Creates one node from its saved properties
+     * @param {Object} info - A saved node (see serialize)
+     * @param {Map} created - Nodes restored so far, by saved ID
+     * @returns {LayerNode|null} The created node, or null for unknown types
+     * @private
      */
-    setOpacity(layerIdOrName, opacity) {
-      const layer = this._getLayerById(layerIdOrName);
-      if (!layer) {
-        console.warn(`Layer ${layerIdOrName} not found`);
+    _restoreNode(info, created) {
+      const parent = info.parentId !== null && info.parentId !== undefined
+        ? created.get(info.parentId)
+        : null;
+      const options = {
+        visible: info.visible,
+        opacity: info.opacity,
+        zIndex: info.zIndex,
+        clipped: info.clipped,
+        parent: parent ? parent.id : undefined
+      };
+
+      let node;
+      if (info.type === 'group') {
+        node = this.createGroup(info.name, { ...options, passThrough: info.passThrough });
+      } else if (info.type === 'adjustment') {
+        node = this.createAdjustmentLayer(info.name, info.adjustment, info.params, options);
+      } else if (info.type === 'layer') {
+        // Only custom-sized layers keep their saved size; the rest follow the canvas
+        const sizeOptions = info.customSize
+          ? { width: info.width, height: info.height, density: info.density }
+          : {};
+        node = this.createLayer(info.name, { ...options, ...sizeOptions });
+
+        // Documents saved before transforms existed leave the defaults in place
+        const defaults = { x: 0, y: 0, scaleX: 1, scaleY: 1, rotation: 0, anchorX: 0.5, anchorY: 0.5 };
+        const transform = { ...defaults, ...info };
+        node.setOffset(transform.x, transform.y)
+          .setScale(transform.scaleX, transform.scaleY)
+          .setRotation(transform.rotation)
+          .setAnchor(transform.anchorX, transform.anchorY);
+
+        // Callbacks aren't saved, so REDRAW layers fall back to the system's default
+        if (info.resizePolicy && info.resizePolicy !== ResizePolicies.REDRAW) {
+          node.setResizePolicy(info.resizePolicy, { anchor: info.resizeAnchor });
+        }
+
+        for (const effectInfo of info.effects || []) {
+          const effect = node.addEffect(effectInfo.type, effectInfo.params);
+          if (effect) {
+            effect.setEnabled(effectInfo.enabled !== false);
+          }
+        }
+      } else {
+        console.warn(`Unknown layer type ${info.type}, skipping ${info.name}`);
         return null;
       }
-      return layer.setOpacity(opacity);
+
+      // Goes through validation, so unregistered custom modes fall back with a warning
+      if (info.blendMode) {
+        node.setBlendMode(info.blendMode);
+      }
+
+      return node;
     }
 
     /**
-     * Sets the blend mode of a layer
-     * @param {number|string} layerIdOrName - The layer ID or name
-     * @param {string} blendMode - One of the BlendModes constants
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * Logs a warning once per export or import
+     * @param {Set<string>} warnings - Warnings already logged for this export or import
+     * @param {string} message
+     * @private
      */
-    setBlendMode(layerIdOrName, blendMode) {
-      const layer = this._getLayerById(layerIdOrName);
-      if (!layer) {
-        console.warn(`Layer ${layerIdOrName} not found`);
-        return null;
+    _warnOnce(warnings, message) {
+      if (!warnings.has(message)) {
+        warnings.add(message);
+        console.warn(message);
       }
-      return layer.setBlendMode(blendMode);
     }
 
     /**
-     * Sets the z-index of a layer
-     * @param {number|string} layerIdOrName - The layer ID or name
-     * @param {number} zIndex - The new z-index (higher = on top)
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * Composites the whole stack and reads it back as an image
+     * @returns {p5.Image} The flattened image
+     * @private
      */
-    setLayerIndex(layerIdOrName, zIndex) {
-      const layer = this._getLayerById(layerIdOrName);
-      if (!layer) {
-        console.warn(`Layer ${layerIdOrName} not found`);
-        return null;
-      }
-      return layer.setZIndex(zIndex);
+    _getMergedImage() {
+      const buffer = this.compositor.composite(this.getLayers());
+      const image = buffer.get();
+      this.compositor.releaseBuffer(buffer);
+      return image;
     }
 
     /**
-     * Moves a layer by a relative amount in the stack
-     * @param {number|string} layerIdOrName - The layer ID or name
-     * @param {number} delta - The amount to move (positive = forward, negative = backward)
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * Exports the stack as an OpenRaster (.ora) archive, which Krita, GIMP and
+     * MyPaint open with layers intact. Each layer becomes a canvas-sized PNG with
+     * its transform, effects and mask baked in; groups become nested stacks.
+     * Adjustment layers and clipping can't be stored and are dropped with a warning.
+     * @returns {Blob} The .ora file
      */
-    moveLayer(layerIdOrName, delta) {
-      const layer = this._getLayerById(layerIdOrName);
-      if (!layer) {
-        console.warn(`Layer ${layerIdOrName} not found`);
-        return null;
-      }
-      return layer.setZIndex(layer.zIndex + delta);
+    exportORA() {
+      const warnings = new Set();
+      const layerFiles = [];
+
+      const compositeOp = (mode) => {
+        if (ORA_COMPOSITE_OPS[mode]) {
+          return ORA_COMPOSITE_OPS[mode];
+        }
+        const op = ORA_APPROXIMATE_OPS[mode] || 'svg:src-over';
+        this._warnOnce(warnings, `Blend mode ${mode} has no OpenRaster equivalent, exporting as ${op}`);
+        return op;
+      };
+
+      const commonAttributes = (node) =>
+        `name="${escapeXML(node.name)}" opacity="${node.opacity.toFixed(3)}" ` +
+        `visibility="${node.visible ? 'visible' : 'hidden'}"`;
+
+      const writeStack = (nodes, indent) => {
+        // OpenRaster lists the topmost element first
+        const sorted = [...nodes].sort((a, b) => b.zIndex - a.zIndex);
+        let xml = '';
+
+        for (const node of sorted) {
+          if (node.type === 'adjustment') {
+            this._warnOnce(warnings, `Adjustment layer ${node.name} can't be stored in OpenRaster and was skipped`);
+            continue;
+          }
+          if (node.clipped) {
+            this._warnOnce(warnings, `OpenRaster has no clipping masks, ${node.name} is exported unclipped`);
+          }
+
+          if (node.type === 'group') {
+            if (node.mask) {
+              this._warnOnce(warnings, `OpenRaster has no group masks, the mask of ${node.name} was dropped`);
+            }
+            const op = node.passThrough ? 'svg:src-over' : compositeOp(node.blendMode);
+            const isolation = node.passThrough ? 'auto' : 'isolate';
+            xml += `${indent}<stack ${commonAttributes(node)} composite-op="${op}" isolation="${isolation}">\n`;
+            xml += writeStack(node.getChildren(), indent + '  ');
+            xml += `${indent}</stack>\n`;
+          } else {
+            const buffer = this.compositor.renderNode(node, { opacity: 1, blendMode: BlendModes.NORMAL });
+            const src = `data/layer${layerFiles.length}.png`;
+            layerFiles.push({ name: src, data: dataURLToBytes(encodePNG(buffer)) });
+            this.compositor.releaseBuffer(buffer);
+
+            xml += `${indent}<layer ${commonAttributes(node)} src="${src}" x="0" y="0" composite-op="${compositeOp(node.blendMode)}"/>\n`;
+          }
+        }
+
+        return xml;
+      };
+
+      const stackXML = writeStack(this.getLayers(), '    ');
+
+      const merged = this._getMergedImage();
+      const width = merged.canvas.width;
+      const height = merged.canvas.height;
+
+      // Thumbnails are at most 256 pixels on their longest side
+      const thumbScale = Math.min(1, 256 / Math.max(width, height));
+      const thumbnail = document.createElement('canvas');
+      thumbnail.width = Math.max(1, Math.round(width * thumbScale));
+      thumbnail.height = Math.max(1, Math.round(height * thumbScale));
+      thumbnail.getContext('2d').drawImage(merged.canvas, 0, 0, thumbnail.width, thumbnail.height);
+
+      const xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<image version="0.0.5" w="${width}" h="${height}">\n` +
+        '  <stack>\n' +
+        stackXML +
+        '  </stack>\n' +
+        '</image>\n';
+
+      const encoder = new TextEncoder();
+      const zip = createZip([
+        // The mimetype must come first and uncompressed
+        { name: 'mimetype', data: encoder.encode('image/openraster') },
+        { name: 'stack.xml', data: encoder.encode(xml) },
+        ...layerFiles,
+        { name: 'Thumbnails/thumbnail.png', data: dataURLToBytes(thumbnail.toDataURL('image/png')) },
+        { name: 'mergedimage.png', data: dataURLToBytes(encodePNG(merged)) }
+      ]);
+
+      return new Blob([zip], { type: 'image/openraster' });
     }
 
     /**
-     * Reorders layers to match a new array order
-     * @param {Layer[]} orderedLayers - Array of layers in the desired order
+     * Exports the stack as a layered Photoshop (.psd) file. Each layer keeps its
+     * name, opacity, visibility, blend mode, clipping and mask; transforms and
+     * effects are baked into its pixels. Groups become Photoshop groups.
+     * Adjustment layers can't be stored and are dropped with a warning.
+     * @returns {Blob} The .psd file
      */
-    reorderLayers(orderedLayers) {
-      // Update zIndex for each layer based on its position in the array
-      orderedLayers.forEach((layer, index) => {
-        layer.setZIndex(index);
+    exportPSD() {
+      const warnings = new Set();
+      const records = []; // Photoshop stores layers bottom first
+
+      const blendKey = (mode) => {
+        if (PSD_BLEND_KEYS[mode]) {
+          return PSD_BLEND_KEYS[mode];
+        }
+        this._warnOnce(warnings, `Blend mode ${mode} has no Photoshop equivalent, exporting as NORMAL`);
+        return PSD_BLEND_KEYS[BlendModes.NORMAL];
+      };
+
+      const readMask = (node) => {
+        const buffer = this.compositor.renderMask(node);
+        if (!buffer) {
+          return null;
+        }
+        const pixels = readPixels(buffer);
+        this.compositor.releaseBuffer(buffer);
+        return {
+          data: pixels.data,
+          width: pixels.width,
+          rect: { x: 0, y: 0, width: pixels.width, height: pixels.height }
+        };
+      };
+
+      const addStack = (nodes) => {
+        const sorted = [...nodes].sort((a, b) => a.zIndex - b.zIndex);
+
+        for (const node of sorted) {
+          if (node.type === 'adjustment') {
+            this._warnOnce(warnings, `Adjustment layer ${node.name} can't be stored in a PSD and was skipped`);
+            continue;
+          }
+
+          const record = {
+            name: node.name,
+            opacity: node.opacity,
+            visible: node.visible,
+            clipped: node.clipped,
+            mask: readMask(node)
+          };
+
+          if (node.type === 'group') {
+            // A divider closes the group below its children, the folder record opens it above them
+            records.push({
+              name: '</Layer group>',
+              opacity: 1,
+              visible: true,
+              blendKey: PSD_BLEND_KEYS[BlendModes.NORMAL],
+              clipped: false,
+              section: 3
+            });
+            addStack(node.getChildren());
+            records.push({ ...record, blendKey: node.passThrough ? 'pass' : blendKey(node.blendMode), section: 1 });
+          } else {
+            const buffer = this.compositor.renderNode(node, {
+              opacity: 1,
+              blendMode: BlendModes.NORMAL,
+              mask: null
+            });
+            const pixels = readPixels(buffer);
+            this.compositor.releaseBuffer(buffer);
+
+            records.push({
+              ...record,
+              blendKey: blendKey(node.blendMode),
+              pixels,
+              bounds: computeAlphaBounds(pixels.data, pixels.width, pixels.height, { alphaThreshold: 0 })
+            });
+          }
+        }
+      };
+
+      addStack(this.getLayers());
+
+      const merged = readPixels(this._getMergedImage());
+      const psd = createPSD({
+        width: merged.width,
+        height: merged.height,
+        merged,
+        layers: records
       });
+
+      return new Blob([psd], { type: 'image/vnd.adobe.photoshop' });
     }
 
     /**
-     * Attaches a mask to a layer
-     * @param {number|string} layerIdOrName - The layer ID or name
-     * @param {p5.Framebuffer|p5.Image} maskSource - The mask to apply
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * Downloads the stack as an OpenRaster file (see exportORA)
+     * @param {string} [filename='layers.ora']
      */
-    setMask(layerIdOrName, maskSource) {
-      const layer = this._getLayerById(layerIdOrName);
-      if (!layer) {
-        console.warn(`Layer ${layerIdOrName} not found`);
-        return null;
-      }
-      return layer.setMask(maskSource);
+    saveORA(filename = 'layers.ora') {
+      downloadBlob(this.exportORA(), filename);
     }
 
     /**
-     * Removes the mask from a layer
-     * @param {number|string} layerIdOrName - The layer ID or name
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * Downloads the stack as a layered PSD file (see exportPSD)
+     * @param {string} [filename='layers.psd']
      */
-    clearMask(layerIdOrName) {
-      const layer = this._getLayerById(layerIdOrName);
-      if (!layer) {
-        console.warn(`Layer ${layerIdOrName} not found`);
-        return null;
-      }
-      return layer.clearMask();
+    savePSD(filename = 'layers.psd') {
+      downloadBlob(this.exportPSD(), filename);
     }
 
     /**
-     * Renders all layers to the main canvas
-     * @param {Function} clearCallback - Optional callback to clear the canvas before rendering
+     * Imports the layers of an OpenRaster (.ora) or layered Photoshop (.psd) file
+     * on top of the stack, keeping names, order, opacity, visibility, offsets,
+     * blend modes and groups (plus clipping and masks from PSDs). Anything else,
+     * such as text, smart objects or layer effects, comes in as its rasterized
+     * pixels or is dropped, and is listed in the returned report.
+     * @param {string|File|Blob|ArrayBuffer|Uint8Array} source - URL, file or raw bytes
+     * @param {Object} [options]
+     * @param {number|string|LayerGroup} [options.parent] - Group to import into
+     * @returns {Promise<{layers: LayerNode[], lost: string[]}>} The created top-level nodes and what was lost
      */
-    render(clearCallback = null) {
-      // Check for canvas resize
-      if (this.autoResize) {
-        this._checkResize();
+    async importFile(source, options = {}) {
+      const bytes = await readSourceBytes(source);
+      const lost = new Set();
+      const report = (message) => this._warnOnce(lost, message);
+
+      let layers;
+      if (bytes[0] === 0x38 && bytes[1] === 0x42 && bytes[2] === 0x50 && bytes[3] === 0x53) { // '8BPS'
+        layers = await this._importPSD(bytes, options.parent, report);
+      } else if (bytes[0] === 0x50 && bytes[1] === 0x4b) { // 'PK'
+        layers = await this._importORA(bytes, options.parent, report);
+      } else {
+        throw new Error('Unrecognized file, expected an OpenRaster (.ora) or PSD file');
       }
 
-      const layers = this.getLayers();
-      this.compositor.render(layers, clearCallback);
-
-      // Sync UI state if UI exists
       if (this.ui) {
-        this.ui.syncState();
+        this.ui.update();
       }
+
+      return { layers, lost: [...lost] };
     }
 
     /**
-     * Checks if canvas was resized and updates layers accordingly
+     * Creates a layer from imported pixels. Layers that exactly cover the canvas
+     * stay canvas-sized; the rest get their own size and an offset.
+     * @param {string} name - Layer name
+     * @param {p5.Image|null} image - The pixels, or null for an empty layer
+     * @param {number} x - Canvas x of the image's top-left corner
+     * @param {number} y - Canvas y of the image's top-left corner
+     * @param {Object} options - Layer options (visible, opacity, clipped, parent)
+     * @returns {Layer}
      * @private
      */
-    _checkResize() {
-      const currentWidth = this.p.width;
-      const currentHeight = this.p.height;
-      const currentDensity = this.p.pixelDensity();
+    _createImportedLayer(name, image, x, y, options) {
+      const fitsCanvas = !image || (x === 0 && y === 0 &&
+        image.width === this.p.width && image.height === this.p.height);
+      const layer = this.createLayer(name, fitsCanvas
+        ? options
+        : { ...options, width: image.width, height: image.height });
 
-      const sizeChanged = currentWidth !== this._lastCanvasWidth ||
-        currentHeight !== this._lastCanvasHeight;
-      const densityChanged = currentDensity !== this._lastPixelDensity;
-
-      if (!sizeChanged && !densityChanged) {
-        return;
+      if (image) {
+        layer.setOffset(x, y);
+        drawImageInto(this.p, layer.framebuffer, image);
+        layer.hasBeenDrawnTo = true;
       }
 
-      this._lastCanvasWidth = currentWidth;
-      this._lastCanvasHeight = currentHeight;
-      this._lastPixelDensity = currentDensity;
-
-      // Resize all canvas-synced layers
-      for (const layer of this.layers.values()) {
-        if (!layer.customSize) {
-          layer.resize(currentWidth, currentHeight, currentDensity);
-        }
-      }
+      return layer;
     }
 
     /**
-     * Enables or disables automatic layer resizing when canvas size changes
-     * @param {boolean} enabled - Whether to enable auto-resize
+     * Resolves a PSD blend key or OpenRaster operation, reporting unknown ones
+     * @param {LayerNode} node - The node to set the blend mode on
+     * @param {string|undefined} mode - The matching blend mode, if any
+     * @param {string} original - The key or operation in the file
+     * @param {Function} report - Adds a line to the import report
+     * @private
      */
-    setAutoResize(enabled) {
-      this.autoResize = !!enabled;
+    _setImportedBlendMode(node, mode, original, report) {
+      if (mode) {
+        node.setBlendMode(mode);
+      } else {
+        report(`Blend mode ${original.trim()} on ${node.name} isn't supported, using NORMAL`);
+      }
     }
 
     /**
-     * Creates and shows a UI panel for controlling layers
-     * @param {Object} options - UI configuration options
-     * @returns {LayerUI} The created UI instance
+     * Builds nodes from a parsed PSD
+     * @param {Uint8Array} bytes - The file
+     * @param {number|string|LayerGroup} [parent] - Group to import into
+     * @param {Function} report - Adds a line to the import report
+     * @returns {Promise<LayerNode[]>} The created top-level nodes
+     * @private
      */
-    createUI(options = {}) {
-      // Dispose existing UI if any
-      if (this.ui) {
-        this.ui.dispose();
+    async _importPSD(bytes, parent, report) {
+      const doc = await parsePSD(bytes);
+      const canvasArea = { x: 0, y: 0, width: this.p.width, height: this.p.height };
+
+      if (doc.layers.length === 0) {
+        report('The PSD has no layers, imported its flattened image');
+        return [this._createImportedLayer('Background', pixelsToImage(this.p, doc.merged), 0, 0, { parent })];
+      }
+
+      // Records run bottom first: a divider opens a group and its folder record closes it
+      const root = [];
+      const stack = [root];
+      for (const record of doc.layers) {
+        if (record.section === 3) {
+          stack.push([]);
+        } else if ((record.section === 1 || record.section === 2) && stack.length > 1) {
+          const children = stack.pop();
+          stack[stack.length - 1].push({ record, children });
+        } else {
+          stack[stack.length - 1].push({ record, children: null });
+        }
+      }
+      // Unclosed groups in a malformed file keep their layers
+      while (stack.length > 1) {
+        const children = stack.pop();
+        stack[stack.length - 1].push(...children);
       }
 
-      this.ui = new LayerUI(this, options);
-      this.ui.update();
-      return this.ui;
+      const build = (entries, parentId) => entries.map(({ record, children }) => {
+        const options = {
+          visible: record.visible,
+          opacity: record.opacity,
+          clipped: record.clipped,
+          parent: parentId
+        };
+
+        if (record.keys.some(key => PSD_ADJUSTMENT_KEYS.includes(key))) {
+          report(`Adjustment layer ${record.name} isn't supported and was skipped`);
+          return null;
+        }
+
+        let node;
+        let maskArea;
+        if (children) {
+          const passThrough = record.blendKey === 'pass';
+          node = this.createGroup(record.name, { ...options, passThrough });
+          if (!passThrough) {
+            this._setImportedBlendMode(node, PSD_BLEND_MODES[record.blendKey], record.blendKey, report);
+          }
+          maskArea = canvasArea;
+          build(children, node.id);
+        } else {
+          const { bounds } = record;
+          const image = record.pixels ? pixelsToImage(this.p, record.pixels) : null;
+          node = this._createImportedLayer(record.name, image, bounds.x, bounds.y, options);
+          this._setImportedBlendMode(node, PSD_BLEND_MODES[record.blendKey], record.blendKey, report);
+          maskArea = image ? bounds : canvasArea;
+        }
+
+        for (const key of record.keys) {
+          if (PSD_RASTERIZED_KEYS[key]) {
+            report(`${PSD_RASTERIZED_KEYS[key]} ${record.name} was imported as pixels`);
+          } else if (PSD_DROPPED_KEYS[key]) {
+            report(`${PSD_DROPPED_KEYS[key]} on ${record.name} were dropped`);
+          }
+        }
+
+        if (record.mask) {
+          if (record.mask.flags & 2) {
+            report(`The disabled mask on ${record.name} was dropped`);
+          } else {
+            const image = psdMaskToImage(this.p, record.mask, maskArea);
+            const maskOptions = { channel: MaskChannels.LUMINANCE, invert: (record.mask.flags & 4) !== 0 };
+            if (node.type === 'layer') {
+              drawImageInto(this.p, node.createMask(maskOptions), image);
+            } else {
+              node.setMask(image, maskOptions);
+            }
+          }
+        }
+
+        return node;
+      }).filter(Boolean);
+
+      return build(root, parent);
     }
 
     /**
-     * Updates the UI if it exists
+     * Builds nodes from an OpenRaster archive
+     * @param {Uint8Array} bytes - The file
+     * @param {number|string|LayerGroup} [parent] - Group to import into
+     * @param {Function} report - Adds a line to the import report
+     * @returns {Promise<LayerNode[]>} The created top-level nodes
+     * @private
      */
-    updateUI() {
-      if (this.ui) {
-        this.ui.update();
+    async _importORA(bytes, parent, report) {
+      const files = await readZip(bytes);
+      const stackFile = files.get('stack.xml');
+      if (!stackFile) {
+        throw new Error('Not an OpenRaster file, stack.xml is missing');
+      }
+
+      const xml = new DOMParser().parseFromString(new TextDecoder().decode(stackFile), 'application/xml');
+      const root = xml.documentElement;
+      const rootStack = root && root.tagName === 'image'
+        ? Array.from(root.children).find(element => element.tagName === 'stack')
+        : null;
+      if (!rootStack) {
+        throw new Error('Invalid OpenRaster stack.xml');
       }
+
+      // Decode every layer image up front; building the tree is then synchronous
+      const images = new Map();
+      await Promise.all(Array.from(xml.getElementsByTagName('layer')).map(async element => {
+        const src = element.getAttribute('src');
+        const data = src && files.get(src);
+        if (!data) {
+          return;
+        }
+        const url = URL.createObjectURL(new Blob([data], { type: 'image/png' }));
+        try {
+          images.set(element, await loadImageAsync(this.p, url));
+        } catch (e) {
+          console.warn(`Could not decode ${src}:`, e);
+        } finally {
+          URL.revokeObjectURL(url);
+        }
+      }));
+
+      const build = (stackElement, parentId, originX, originY) => {
+        // Elements are listed topmost first
+        const elements = Array.from(stackElement.children).reverse();
+        return elements.map(element => {
+          const name = element.getAttribute('name') || '';
+          const opacity = parseFloat(element.getAttribute('opacity'));
+          const op = element.getAttribute('composite-op') || 'svg:src-over';
+          const x = originX + (parseInt(element.getAttribute('x'), 10) || 0);
+          const y = originY + (parseInt(element.getAttribute('y'), 10) || 0);
+          const options = {
+            visible: element.getAttribute('visibility') !== 'hidden',
+            opacity: Number.isFinite(opacity) ? opacity : 1,
+            parent: parentId
+          };
+
+          let node;
+          if (element.tagName === 'stack') {
+            const passThrough = element.getAttribute('isolation') === 'auto';
+            node = this.createGroup(name, { ...options, passThrough });
+            build(element, node.id, x, y);
+          } else if (element.tagName === 'layer') {
+            const image = images.get(element);
+            if (!image) {
+              report(`Layer ${name} has no readable image (${element.getAttribute('src')}) and was skipped`);
+              return null;
+            }
+            node = this._createImportedLayer(name, image, x, y, options);
+          } else {
+            report(`OpenRaster <${element.tagName}> element ${name} isn't supported and was skipped`);
+            return null;
+          }
+
+          if (!(node.type === 'group' && node.passThrough)) {
+            this._setImportedBlendMode(node, ORA_BLEND_MODES[op], op, report);
+          }
+          return node;
+        }).filter(Boolean);
+      };
+
+      return build(rootStack, parent, 0, 0);
     }
 
     /**
      * Disposes of all layers and resources
      */
     dispose() {
-      // End active layer if any
-      if (this.activeLayerId !== null) {
-        this.end();
-      }
+      // End any drawing still in progress
+      this._unwindDrawStack(0);
 
       // Dispose UI if exists
       if (this.ui) {
@@ -2628,6 +9115,9 @@
         this.ui = null;
       }
 
+      // Dispose removed layers the history was keeping alive
+      this.disableHistory();
+
       // Dispose all layers
       for (const layer of this.layers.values()) {
         layer.dispose();
@@ -2635,6 +9125,11 @@
 
       this.layers.clear();
       this.compositor.dispose();
+      this._listeners.clear();
+
+      if (this.p._layerSystems) {
+        this.p._layerSystems.delete(this);
+      }
     }
   }
 
@@ -2661,12 +9156,19 @@
       return new LayerSystem(this, options);
     };
 
-    // Cleanup lifecycle - dispose layer system when sketch is removed
+    // Attach registerBlendMode so sketches can add GLSL blend modes
+    fn.registerBlendMode = function(name, glslFunction, options = {}) {
+      return registerBlendMode(name, glslFunction, { gl: getSketchGL(this), ...options });
+    };
+
+    // Cleanup lifecycle - dispose the sketch's layer systems when it is removed
     if (lifecycles) {
       lifecycles.remove = function() {
-        if (this._layerSystem) {
-          this._layerSystem.dispose();
-          this._layerSystem = null;
+        if (this._layerSystems) {
+          for (const system of this._layerSystems) {
+            system.dispose();
+          }
+          this._layerSystems = null;
         }
       };
     }
@@ -2678,19 +9180,48 @@
     
     // Also expose common utilities globally for convenience
     window.BlendModes = BlendModes;
+    window.AdjustmentTypes = AdjustmentTypes;
+    window.EffectTypes = EffectTypes;
+    window.MaskChannels = MaskChannels;
+    window.MaskFit = MaskFit;
+    window.NamePolicies = NamePolicies;
+    window.ResizePolicies = ResizePolicies;
   }
 
+  exports.AdjustmentLayer = AdjustmentLayer;
+  exports.AdjustmentTypes = AdjustmentTypes;
   exports.BlendModes = BlendModes;
   exports.Compositor = Compositor;
+  exports.DEFAULT_ADJUSTMENT_PARAMS = DEFAULT_ADJUSTMENT_PARAMS;
+  exports.DEFAULT_EFFECT_PARAMS = DEFAULT_EFFECT_PARAMS;
+  exports.DEFAULT_HISTORY_OPTIONS = DEFAULT_HISTORY_OPTIONS;
   exports.DEFAULT_LAYER_OPTIONS = DEFAULT_LAYER_OPTIONS;
+  exports.DEFAULT_MASK_OPTIONS = DEFAULT_MASK_OPTIONS;
+  exports.EffectTypes = EffectTypes;
   exports.Layer = Layer;
+  exports.LayerEffect = LayerEffect;
+  exports.LayerGroup = LayerGroup;
+  exports.LayerHistory = LayerHistory;
+  exports.LayerNode = LayerNode;
   exports.LayerSystem = LayerSystem;
   exports.LayerUI = LayerUI;
+  exports.MaskChannels = MaskChannels;
+  exports.MaskFit = MaskFit;
+  exports.NamePolicies = NamePolicies;
+  exports.ResizePolicies = ResizePolicies;
   exports.VERSION = VERSION;
   exports.default = millefeuilleAddon;
+  exports.getAdjustmentTypeIndex = getAdjustmentTypeIndex;
   exports.getBlendModeIndex = getBlendModeIndex;
+  exports.getMaskChannelIndex = getMaskChannelIndex;
+  exports.registerBlendMode = registerBlendMode;
 
   Object.defineProperty(exports, '__esModule', { value: true });
 
+  // Not part of the API: the file format codecs, reachable for the tests
+  Object.defineProperty(exports, '_codecs', {
+    value: { crc32, createPSD, createZip, parsePSD, readZip, unpackBits }
+  });
+
 }));
 //# sourceMappingURL=p5.millefeuille.js.map
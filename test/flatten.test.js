@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LayerSystem, BlendModes } = require('../lib/p5.millefeuille.js');
+
+// LayerSystem checks that the sketch draws with WebGL
+globalThis.WebGLRenderingContext = class WebGLRenderingContext {};
+globalThis.WebGL2RenderingContext = class WebGL2RenderingContext {};
+
+// A stand-in for a WebGL sketch where every buffer is one premultiplied grey
+// pixel [color, alpha] and the compositor shader is evaluated from its uniforms
+function createSketch() {
+  const pixels = new Map();
+  const stack = [];
+  const target = () => stack[stack.length - 1] || 'canvas';
+  const read = buffer => pixels.get(buffer) || [0, 0];
+  const blend = (mode, base, source) => {
+    if (mode === 1) return base * source; // MULTIPLY
+    if (mode === 12) return Math.abs(base - source); // DIFFERENCE
+    return source;
+  };
+  const compositeSlot = (backdrop, u, k) => {
+    const [layerColor, layerAlpha] = read(u[`layerTexture${k}`]);
+    let opacity = layerAlpha * u[`layerOpacity${k}`];
+    if (u[`hasMask${k}`]) {
+      const [maskColor, maskAlpha] = read(u[`maskTexture${k}`]);
+      opacity *= maskAlpha > 0 ? maskColor / maskAlpha : 0;
+    }
+    if (opacity <= 0) {
+      return backdrop;
+    }
+    const [backdropColor, backdropAlpha] = backdrop;
+    const cb = backdropAlpha > 0 ? backdropColor / backdropAlpha : 0;
+    const cs = layerAlpha > 0 ? layerColor / layerAlpha : 0;
+    const mixed = blend(u[`blendMode${k}`], cb, cs);
+    if (u[`preserveAlpha${k}`]) {
+      return [opacity * backdropAlpha * mixed + (1 - opacity) * backdropColor, backdropAlpha];
+    }
+    return [
+      opacity * (1 - backdropAlpha) * cs + opacity * backdropAlpha * mixed + (1 - opacity) * backdropColor,
+      opacity + backdropAlpha * (1 - opacity)
+    ];
+  };
+
+  const p = {
+    width: 4,
+    height: 2,
+    canvasPixel: null,
+    _renderer: { drawingContext: new WebGLRenderingContext() },
+    BLEND: 'blend',
+    CENTER: 'center',
+    CORNER: 'corner',
+    pixelDensity: () => 1,
+    createFramebuffer(options = {}) {
+      const framebuffer = {
+        width: options.width ?? p.width,
+        height: options.height ?? p.height,
+        density: 1,
+        begin() { stack.push(framebuffer); },
+        end() { stack.pop(); },
+        remove() {},
+        resize(width, height) { framebuffer.width = width; framebuffer.height = height; },
+        pixelDensity: () => 1
+      };
+      return framebuffer;
+    },
+    createShader() {
+      const shader = { uniforms: {}, setUniform(name, value) { shader.uniforms[name] = value; } };
+      return shader;
+    },
+    shader(shader) { p._shader = shader; },
+    clear() { pixels.set(target(), [0, 0]); },
+    background() { pixels.set(target(), [1, 1]); },
+    image(image) {
+      if (target() === 'canvas') {
+        p.canvasPixel = read(image);
+      } else {
+        pixels.set(target(), read(image).slice());
+      }
+    },
+    rect() {
+      const u = p._shader.uniforms;
+      if (target() === 'canvas') {
+        return;
+      }
+      let color = read(u.backgroundTexture);
+      if ('layerTexture0' in u) {
+        for (let k = 0; `layerTexture${k}` in u; k++) {
+          color = compositeSlot(color, u, k);
+        }
+      } else {
+        color = compositeSlot(color, u, '');
+      }
+      pixels.set(target(), color);
+    }
+  };
+  for (const name of ['resetShader', 'push', 'pop', 'blendMode', 'imageMode', 'rectMode', 'noStroke',
+    'fill', 'stroke', 'translate', 'scale', 'rotate', 'plane']) {
+    p[name] = () => {};
+  }
+
+  const paint = (layer, color, alpha) => {
+    pixels.set(layer.framebuffer, [color * alpha, alpha]);
+    layer.hasBeenDrawnTo = true;
+    layer.markDirty();
+  };
+  return { p, paint };
+}
+
+function assertSamePixel(actual, expected) {
+  assert.ok(Math.abs(actual[0] - expected[0]) < 1e-9 && Math.abs(actual[1] - expected[1]) < 1e-9,
+    `expected ${expected}, got ${actual}`);
+}
+
+test('flatten inside a group keeps the rendered image', () => {
+  const { p, paint } = createSketch();
+  const system = new LayerSystem(p);
+
+  paint(system.createLayer('bottom'), 0.8, 1);
+  system.createGroup('group');
+  system.setOpacity('group', 0.6);
+  system.setBlendMode('group', BlendModes.MULTIPLY);
+  paint(system.createLayer('mask'), 0.7, 1);
+  system.hide('mask');
+  system.setMask('group', 'mask');
+  system.createGroup('inner', { parent: 'group' });
+  system.setOpacity('inner', 0.5);
+  paint(system.createLayer('a', { parent: 'inner' }), 0.3, 0.9);
+  paint(system.createLayer('b', { parent: 'group' }), 0.9, 0.5);
+  system.setBlendMode('b', BlendModes.DIFFERENCE);
+  paint(system.createLayer('c', { parent: 'group' }), 0.2, 0.4);
+
+  system.render();
+  const before = p.canvasPixel;
+
+  const flattened = system.flatten({ layers: ['a', 'b'] });
+  assert.strictEqual(flattened.parent.name, 'group');
+  system.render();
+  assertSamePixel(p.canvasPixel, before);
+
+  system.flatten();
+  system.render();
+  assertSamePixel(p.canvasPixel, before);
+});
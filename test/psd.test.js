@@ -0,0 +1,230 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { _codecs: { createPSD, parsePSD, unpackBits } } = require('../lib/p5.millefeuille.js');
+
+const WIDTH = 4;
+const HEIGHT = 3;
+
+// Canvas-sized RGBA pixels where every byte depends on its position and a seed
+function createPixels(seed) {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = (i * 29 + seed * 53) & 0xff;
+  }
+  return { data, width: WIDTH, height: HEIGHT };
+}
+
+// The pixels inside a rectangle of canvas-sized RGBA pixels
+function crop(pixels, rect) {
+  const data = [];
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      const i = (y * pixels.width + x) * 4;
+      data.push(...pixels.data.subarray(i, i + 4));
+    }
+  }
+  return data;
+}
+
+// A group with a masked layer, between a background and a hidden clipped layer
+function createLayers() {
+  const mask = { ...createPixels(4), rect: { x: 0, y: 1, width: 3, height: 2 } };
+
+  // Bottom first: a group's divider, its children, then the group itself
+  return [
+    { name: 'Background', opacity: 1, visible: true, blendKey: 'norm', pixels: createPixels(1), bounds: { x: 0, y: 0, width: WIDTH, height: HEIGHT } },
+    { name: '</Layer group>', opacity: 1, visible: true, blendKey: 'norm', section: 3 },
+    { name: 'Ünïcode burn', opacity: 0.5, visible: true, blendKey: 'lbrn', pixels: createPixels(2), bounds: { x: 1, y: 0, width: 2, height: 2 }, mask },
+    { name: 'Group', opacity: 1, visible: true, blendKey: 'pass', section: 1 },
+    { name: 'Top', opacity: 0.2, visible: false, clipped: true, blendKey: 'mul ', pixels: createPixels(3), bounds: { x: 2, y: 1, width: 2, height: 2 } }
+  ];
+}
+
+// Reads the layer records of a PSD just far enough to check what was written
+function readLayerRecords(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ascii = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+  // Header, empty color mode data and image resources, then the section lengths
+  let offset = 26 + 4 + 4 + 8;
+  const count = Math.abs(view.getInt16(offset));
+  offset += 2;
+
+  const layers = [];
+  for (let i = 0; i < count; i++) {
+    const [top, left, bottom, right] = [0, 4, 8, 12].map(delta => view.getUint32(offset + delta));
+    const channels = [];
+    for (let c = 0; c < view.getUint16(offset + 16); c++) {
+      channels.push({ id: view.getInt16(offset + 18 + c * 6), length: view.getUint32(offset + 20 + c * 6) });
+    }
+    offset += 18 + channels.length * 6;
+
+    const layer = {
+      bounds: { x: left, y: top, width: right - left, height: bottom - top },
+      channels,
+      blendKey: ascii(offset + 4, 4),
+      opacity: bytes[offset + 8],
+      clipping: bytes[offset + 9],
+      flags: bytes[offset + 10],
+      info: {}
+    };
+    const end = offset + 16 + view.getUint32(offset + 12);
+    offset += 16;
+
+    // Mask data and blending ranges, then the Pascal name padded to 4 bytes
+    offset += 4 + view.getUint32(offset);
+    offset += 4 + view.getUint32(offset);
+    offset += (bytes[offset] + 4) & ~3;
+    while (offset < end) {
+      const length = view.getUint32(offset + 8);
+      layer.info[ascii(offset + 4, 4)] = new DataView(bytes.buffer, bytes.byteOffset + offset + 12, length);
+      offset += 12 + length;
+    }
+    layers.push(layer);
+  }
+
+  for (const layer of layers) {
+    for (const channel of layer.channels) {
+      channel.compression = view.getUint16(offset);
+      channel.data = bytes.subarray(offset + 2, offset + channel.length);
+      offset += channel.length;
+    }
+  }
+  return layers;
+}
+
+// The name stored in a layer's Unicode name block
+function readUnicodeName(block) {
+  let name = '';
+  for (let i = 0; i < block.getUint32(0); i++) {
+    name += String.fromCharCode(block.getUint16(4 + i * 2));
+  }
+  return name;
+}
+
+test('createPSD writes a record per layer, bottom first', () => {
+  const layers = createLayers();
+  const records = readLayerRecords(createPSD({ width: WIDTH, height: HEIGHT, merged: createPixels(5), layers }));
+
+  assert.deepStrictEqual(records.map(record => readUnicodeName(record.info.luni)), layers.map(layer => layer.name));
+  assert.deepStrictEqual(records.map(record => record.blendKey), layers.map(layer => layer.blendKey));
+  assert.deepStrictEqual(records.map(record => record.info.lsct && record.info.lsct.getUint32(0)), [undefined, 3, undefined, 1, undefined]);
+  assert.deepStrictEqual(records.map(record => record.opacity), [255, 255, 128, 255, 51]);
+  assert.deepStrictEqual(records.map(record => record.clipping), [0, 0, 0, 0, 1]);
+  assert.deepStrictEqual(records.map(record => record.flags & 2), [0, 0, 0, 0, 2]);
+  assert.deepStrictEqual(records[1].bounds, { x: 0, y: 0, width: 0, height: 0 });
+});
+
+test('createPSD stores layer pixels and masks as raw channels cropped to their bounds', () => {
+  const layers = createLayers();
+  const records = readLayerRecords(createPSD({ width: WIDTH, height: HEIGHT, merged: createPixels(5), layers }));
+
+  for (const index of [0, 2, 4]) {
+    const { bounds, pixels } = layers[index];
+    const { channels } = records[index];
+    const expected = crop(pixels, bounds);
+    assert.deepStrictEqual(records[index].bounds, bounds);
+    // Alpha, red, green and blue
+    for (const [c, offset] of [3, 0, 1, 2].entries()) {
+      assert.strictEqual(channels[c].id, c - 1);
+      assert.strictEqual(channels[c].compression, 0);
+      assert.deepStrictEqual(Array.from(channels[c].data), expected.filter((_, i) => i % 4 === offset), layers[index].name);
+    }
+  }
+
+  // Masks are stored from the alpha channel of their pixels
+  const { mask } = layers[2];
+  const maskChannel = records[2].channels[4];
+  assert.strictEqual(maskChannel.id, -2);
+  assert.deepStrictEqual(Array.from(maskChannel.data), crop(mask, mask.rect).filter((_, i) => i % 4 === 3));
+  assert.strictEqual(records[0].channels.length, 4);
+});
+
+test('createPSD writes an RGBA header and the merged image as raw planes', () => {
+  const merged = createPixels(6);
+  const bytes = createPSD({ width: WIDTH, height: HEIGHT, merged, layers: [] });
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  assert.strictEqual(new TextDecoder().decode(bytes.subarray(0, 4)), '8BPS');
+  assert.deepStrictEqual([view.getUint16(12), view.getUint32(14), view.getUint32(18), view.getUint16(22), view.getUint16(24)],
+    [4, HEIGHT, WIDTH, 8, 3]);
+
+  const planes = bytes.subarray(bytes.length - WIDTH * HEIGHT * 4);
+  assert.strictEqual(view.getUint16(bytes.length - planes.length - 2), 0);
+  for (const offset of [0, 1, 2, 3]) {
+    const plane = planes.subarray(offset * WIDTH * HEIGHT, (offset + 1) * WIDTH * HEIGHT);
+    assert.deepStrictEqual(Array.from(plane), Array.from(merged.data).filter((_, i) => i % 4 === offset));
+  }
+});
+
+test('createPSD output parses back with the same layers', async () => {
+  const layers = createLayers();
+  const { mask } = layers[2];
+  const doc = await parsePSD(createPSD({ width: WIDTH, height: HEIGHT, merged: createPixels(5), layers }));
+
+  assert.strictEqual(doc.width, WIDTH);
+  assert.strictEqual(doc.height, HEIGHT);
+  assert.deepStrictEqual(doc.layers.map(layer => layer.name), layers.map(layer => layer.name));
+  assert.deepStrictEqual(doc.layers.map(layer => layer.blendKey), layers.map(layer => layer.blendKey));
+  assert.deepStrictEqual(doc.layers.map(layer => layer.section), [0, 3, 0, 1, 0]);
+  assert.deepStrictEqual(doc.layers.map(layer => layer.visible), [true, true, true, true, false]);
+  assert.deepStrictEqual(doc.layers.map(layer => layer.clipped), [false, false, false, false, true]);
+  assert.deepStrictEqual(doc.layers.map(layer => Math.round(layer.opacity * 255)), [255, 255, 128, 255, 51]);
+
+  for (const index of [0, 2, 4]) {
+    const { pixels, bounds } = doc.layers[index];
+    assert.deepStrictEqual(bounds, layers[index].bounds);
+    assert.deepStrictEqual(Array.from(pixels.data), crop(layers[index].pixels, bounds), layers[index].name);
+  }
+  assert.strictEqual(doc.layers[1].pixels, null);
+  assert.strictEqual(doc.layers[3].pixels, null);
+
+  // The mask reads back as the alpha channel it was written from
+  const parsedMask = doc.layers[2].mask;
+  assert.deepStrictEqual(parsedMask.rect, mask.rect);
+  assert.deepStrictEqual(Array.from(parsedMask.data), crop(mask, mask.rect).filter((_, i) => i % 4 === 3));
+  assert.strictEqual(doc.layers[0].mask, null);
+});
+
+test('a PSD without layers parses back to its merged image', async () => {
+  const merged = createPixels(6);
+  const doc = await parsePSD(createPSD({ width: WIDTH, height: HEIGHT, merged, layers: [] }));
+
+  assert.deepStrictEqual(doc.layers, []);
+  // The merged alpha channel is read as a selection, so the image comes back opaque
+  const expected = Array.from(merged.data, (value, i) => (i % 4 === 3 ? 255 : value));
+  assert.deepStrictEqual(Array.from(doc.merged.data), expected);
+});
+
+test('parsePSD rejects other files', async () => {
+  await assert.rejects(parsePSD(new TextEncoder().encode('GIF89a and more bytes')), /Not a PSD file/);
+});
+
+test('unpackBits decodes literal and repeated runs', () => {
+  const data = Uint8Array.from([2, 1, 2, 3, 254, 7, 0, 9]);
+  assert.deepStrictEqual(Array.from(unpackBits(data, 0, 7)), [1, 2, 3, 7, 7, 7, 9]);
+});
+
+test('unpackBits handles the longest runs', () => {
+  const literal = Uint8Array.from([127, ...Array.from({ length: 128 }, (_, i) => i)]);
+  assert.deepStrictEqual(Array.from(unpackBits(literal, 0, 128)), Array.from({ length: 128 }, (_, i) => i));
+
+  const repeat = Uint8Array.from([129, 42]);
+  assert.deepStrictEqual(Array.from(unpackBits(repeat, 0, 128)), new Array(128).fill(42));
+});
+
+test('unpackBits skips the 128 no-op header', () => {
+  const data = Uint8Array.from([128, 0, 5, 128, 255, 6]);
+  assert.deepStrictEqual(Array.from(unpackBits(data, 0, 3)), [5, 6, 6]);
+});
+
+test('unpackBits starts at the offset and stops at the requested size', () => {
+  const data = Uint8Array.from([99, 99, 3, 1, 2, 3, 4, 253, 8]);
+  assert.deepStrictEqual(Array.from(unpackBits(data, 2, 2)), [1, 2]);
+  assert.deepStrictEqual(Array.from(unpackBits(Uint8Array.from([253, 8]), 0, 2)), [8, 8]);
+});
+
+test('unpackBits leaves the rest zero when the runs end early', () => {
+  const data = Uint8Array.from([1, 4, 5]);
+  assert.deepStrictEqual(Array.from(unpackBits(data, 0, 5)), [4, 5, 0, 0, 0]);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const { _codecs: { crc32, createZip, readZip } } = require('../lib/p5.millefeuille.js');
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// The entries of an archive, read from its local file headers
+function readLocalEntries(archive) {
+  const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+  const entries = [];
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const start = offset + 30 + nameLength + view.getUint16(offset + 28, true);
+    entries.push({
+      name: decoder.decode(archive.subarray(offset + 30, offset + 30 + nameLength)),
+      method: view.getUint16(offset + 8, true),
+      crc: view.getUint32(offset + 14, true),
+      data: archive.subarray(start, start + size)
+    });
+    offset = start + size;
+  }
+  return entries;
+}
+
+// A single-entry archive with a deflated entry, like the ones other apps write
+function createDeflatedZip(name, data) {
+  const nameBytes = encoder.encode(name);
+  const compressed = zlib.deflateRawSync(data);
+  const crc = crc32(data);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4);
+  local.writeUInt16LE(8, 8); // Deflate
+  local.writeUInt32LE(crc, 14);
+  local.writeUInt32LE(compressed.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(nameBytes.length, 26);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(20, 4);
+  central.writeUInt16LE(20, 6);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(crc, 16);
+  central.writeUInt32LE(compressed.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(nameBytes.length, 28);
+
+  const centralOffset = local.length + nameBytes.length + compressed.length;
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(central.length + nameBytes.length, 12);
+  end.writeUInt32LE(centralOffset, 16);
+
+  return new Uint8Array(Buffer.concat([local, nameBytes, compressed, central, nameBytes, end]));
+}
+
+test('crc32 matches the standard check values', () => {
+  assert.strictEqual(crc32(new Uint8Array(0)), 0);
+  assert.strictEqual(crc32(encoder.encode('123456789')), 0xcbf43926);
+  assert.strictEqual(crc32(encoder.encode('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+});
+
+test('createZip stores each file in order with its checksum', () => {
+  const files = [
+    { name: 'mimetype', data: encoder.encode('image/openraster') },
+    { name: 'data/empty.png', data: new Uint8Array(0) },
+    { name: 'data/Ünïcode layer.png', data: Uint8Array.from({ length: 1000 }, (_, i) => (i * 37) & 0xff) }
+  ];
+
+  const archive = createZip(files);
+  const entries = readLocalEntries(archive);
+
+  assert.deepStrictEqual(entries.map(entry => entry.name), files.map(file => file.name));
+  for (const [i, entry] of entries.entries()) {
+    assert.strictEqual(entry.method, 0, entry.name);
+    assert.strictEqual(entry.crc, crc32(files[i].data), entry.name);
+    assert.deepStrictEqual(Array.from(entry.data), Array.from(files[i].data), entry.name);
+  }
+
+  // The end of central directory record counts every entry
+  const end = new DataView(archive.buffer, archive.byteOffset + archive.length - 22, 22);
+  assert.strictEqual(end.getUint32(0, true), 0x06054b50);
+  assert.strictEqual(end.getUint16(10, true), files.length);
+});
+
+test('createZip stores the mimetype first and uncompressed', () => {
+  const archive = createZip([{ name: 'mimetype', data: encoder.encode('image/openraster') }]);
+  const text = decoder.decode(archive.subarray(30, 54));
+  assert.strictEqual(text, 'mimetypeimage/openraster');
+});
+
+test('createZip output reads back with readZip', async () => {
+  const files = [
+    { name: 'mimetype', data: encoder.encode('image/openraster') },
+    { name: 'stack.xml', data: encoder.encode('<image w="4" h="3"></image>') },
+    { name: 'data/empty.png', data: new Uint8Array(0) },
+    { name: 'data/Ünïcode layer.png', data: Uint8Array.from({ length: 1000 }, (_, i) => (i * 37) & 0xff) }
+  ];
+
+  const archive = createZip(files);
+  const read = await readZip(archive);
+
+  assert.deepStrictEqual([...read.keys()], files.map(file => file.name));
+  for (const file of files) {
+    assert.deepStrictEqual(Array.from(read.get(file.name)), Array.from(file.data), file.name);
+  }
+});
+
+test('readZip inflates deflated entries', async () => {
+  const data = encoder.encode('layer '.repeat(200));
+  const read = await readZip(createDeflatedZip('stack.xml', data));
+  assert.deepStrictEqual(Array.from(read.get('stack.xml')), Array.from(data));
+});
+
+test('readZip rejects data without an end of central directory record', async () => {
+  await assert.rejects(readZip(new Uint8Array(64)), /Not a zip archive/);
+});
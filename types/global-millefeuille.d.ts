@@ -5,5 +5,6 @@ import {LayerSystem} from "./millefeuille.d.ts"
 declare global {
     
     function createLayerSystem(options?: object): LayerSystem;
+    function registerBlendMode(name: string, glslFunction: string, options?: { letter?: string }): string;
     // type CreateLayerSystemResult = ReturnType<typeof createLayerSystem>;
 }
@@ -16,6 +16,129 @@ export namespace BlendModes {
     let LIGHTEN: string;
     let DIFFERENCE: string;
     let EXCLUSION: string;
+    let HUE: string;
+    let SATURATION: string;
+    let COLOR: string;
+    let LUMINOSITY: string;
+    let LINEAR_BURN: string;
+    let LINEAR_DODGE: string;
+    let LINEAR_LIGHT: string;
+    let VIVID_LIGHT: string;
+    let PIN_LIGHT: string;
+    let HARD_MIX: string;
+    let DIVIDE: string;
+    let DARKER_COLOR: string;
+    let LIGHTER_COLOR: string;
+}
+/**
+ * Registers a custom blend mode backed by a GLSL function.
+ * The function must have the signature `vec3 name(vec3 base, vec3 blend)`,
+ * taking the colors below and of the layer and returning the blended color.
+ * Opacity and masks are applied by the compositor afterwards. Blend modes are
+ * shared by every sketch on the page; registering the same name with the same
+ * GLSL again, e.g. from another sketch, returns the existing mode.
+ *
+ * @example
+ * registerBlendMode('ADD_CLAMPED', `
+ *   vec3 addClamped(vec3 base, vec3 blend) {
+ *     return clamp(base + blend, 0.0, 0.8);
+ *   }
+ * `);
+ * layer.setBlendMode('ADD_CLAMPED');
+ *
+ * @param {string} name - Name of the new mode, added to BlendModes
+ * @param {string} glslFunction - GLSL source defining the blend function
+ * @param {Object} [options]
+ * @param {string} [options.letter] - Short badge shown in the LayerUI
+ * @param {WebGLRenderingContext} [options.gl] - Context to check the GLSL with; the sketch's when called as a p5 method
+ * @returns {string} The registered blend mode name
+ * @throws {Error} If the name is taken by a built-in or different GLSL, or the GLSL is invalid
+ */
+export function registerBlendMode(name: string, glslFunction: string, options?: {
+    letter?: string;
+    gl?: WebGLRenderingContext;
+}): string;
+export namespace AdjustmentTypes {
+    let HUE_SATURATION: string;
+    let BRIGHTNESS_CONTRAST: string;
+    let LEVELS: string;
+    let CURVES: string;
+    let INVERT: string;
+    let GRADIENT_MAP: string;
+    let THRESHOLD: string;
+}
+/**
+ * A layer without pixels that transforms the composite of everything below it
+ */
+export class AdjustmentLayer extends LayerNode {
+    /**
+     * @param {p5} p5Instance - The p5.js instance
+     * @param {string|number} id - Unique identifier for this layer
+     * @param {string} name - Human-readable name for this layer
+     * @param {string} adjustment - One of the AdjustmentTypes constants
+     * @param {Object} params - Adjustment parameters (see DEFAULT_ADJUSTMENT_PARAMS)
+     * @param {Object} options - Layer configuration options
+     */
+    constructor(p5Instance: p5, id: string | number, name?: string, adjustment?: string, params?: any, options?: any);
+    type: "adjustment";
+    adjustment: string;
+    params: any;
+    _lookupImage: p5.Image;
+    _lookupDirty: boolean;
+    /**
+     * Updates some or all of the adjustment parameters
+     * @param {Object} params - Parameters to merge into the current ones
+     * @returns {AdjustmentLayer} This layer for chaining
+     */
+    setParams(params?: any): AdjustmentLayer;
+    /**
+     * Whether this adjustment samples a lookup image
+     * @returns {boolean}
+     */
+    usesLookupTable(): boolean;
+    /**
+     * Gets the lookup image for curves and gradient maps, rebuilding it if params changed
+     * @returns {p5.Image|null} The lookup image, or null for adjustments that don't use one
+     */
+    getLookupImage(): p5.Image | null;
+    /**
+     * Writes the current curve or gradient into the lookup image
+     * @private
+     */
+    private _fillLookupImage;
+    /**
+     * Packs the parameters into the two vec4 uniforms read by the adjustment shader
+     * @returns {{params0: number[], params1: number[]}}
+     */
+    getShaderParams(): {
+        params0: number[];
+        params1: number[];
+    };
+    /**
+     * Returns a plain object representation of this layer's properties
+     */
+    toJSON(): {
+        adjustment: string;
+        params: any;
+        id: string | number;
+        type: "layer" | "group" | "adjustment";
+        name: string;
+        parentId: string | number;
+        visible: any;
+        opacity: number;
+        blendMode: any;
+        zIndex: any;
+        clipped: boolean;
+        hasMask: boolean;
+        maskLayerId: string | number | null;
+        maskOptions: {
+            channel: string;
+            invert: boolean;
+            density: number;
+            feather: number;
+            fit: string;
+        };
+    };
 }
 /**
  * Handles the compositing of layers to the main canvas
@@ -28,37 +151,386 @@ export class Compositor {
     p: p5;
     shader: any;
     shaderLoaded: boolean;
-    bufferA: any;
-    bufferB: any;
+    _shaderBlendModesVersion: number;
+    adjustmentShader: any;
+    effectShader: any;
+    _batchShaders: Map<any, any>;
+    _batchShadersVersion: number;
+    _maxBatchSize: any;
+    _buffers: any[];
+    _freeBuffers: any[];
+    _bufferWidth: any;
+    _bufferHeight: any;
     _bufferDensity: any;
+    _view: number[];
+    _filter: Function | null;
+    _cache: any;
+    _renderCount: number;
+    cacheEnabled: boolean;
     /**
      * Lazily creates the compositor shader
      * @private
      */
     private _ensureShader;
     /**
-     * Ensures the ping-pong buffers exist and match canvas size
+     * Lazily creates a compositor shader that blends several layers per pass
+     * @param {number} slots - Number of layers
+     * @returns {p5.Shader|null}
+     * @private
+     */
+    private _ensureBatchShader;
+    /**
+     * How many layers one compositor pass can blend. Each layer needs two
+     * texture units (its pixels and its mask) and about 20 uniform vectors.
+     * @returns {number}
+     * @private
+     */
+    private _getMaxBatchSize;
+    /**
+     * Lazily creates the adjustment layer shader
+     * @private
+     */
+    private _ensureAdjustmentShader;
+    /**
+     * Lazily creates the layer effect shader
+     * @private
+     */
+    private _ensureEffectShader;
+    /**
+     * Drops pooled scratch buffers if the canvas size or density changed
      * @private
      */
     private _ensureBuffers;
+    /**
+     * Takes a scratch buffer from the pool, creating one if needed. Buffers are
+     * canvas-sized unless a size is given (effects run at the layer's own size).
+     * Nested groups need more than the usual ping-pong pair, so buffers are pooled.
+     * @private
+     * @param {number} [width] - Buffer width, defaults to the canvas width
+     * @param {number} [height] - Buffer height, defaults to the canvas height
+     * @param {number} [density] - Buffer pixel density, defaults to the canvas density
+     * @returns {p5.Framebuffer}
+     */
+    private _acquireBuffer;
+    /**
+     * Returns a scratch buffer to the pool
+     * @private
+     * @param {p5.Framebuffer} buffer
+     */
+    private _releaseBuffer;
+    /**
+     * Removes every pooled scratch buffer
+     * @private
+     */
+    private _disposeBuffers;
+    /**
+     * Whether a layer or group contributes anything to the composite
+     * @private
+     */
+    private _isNodeVisible;
+    /**
+     * Blends a texture over a background into the current framebuffer
+     * @param {p5.Framebuffer} texture - The source pixels to blend
+     * @param {p5.Framebuffer} backgroundBuffer - The background to composite onto
+     * @param {{opacity: number, blendMode: string, mask: (p5.Framebuffer|p5.Image|Layer|null), maskOptions?: Object, preserveAlpha?: boolean, transform?: (Object|null), inView?: boolean}} settings
+     *   preserveAlpha composites source-atop, keeping the background's coverage;
+     *   transform places the texture on the canvas (see _getLayerTransform);
+     *   inView marks scratch buffers, which cover the same area as the target
+     * @private
+     */
+    private _drawComposite;
+    /**
+     * Blends several textures over a background into the current framebuffer
+     * in one pass, bottom to top. A single item uses the plain compositor shader.
+     * @param {Array<{texture: p5.Framebuffer, settings: Object}>} items - Textures and their _drawComposite settings
+     * @param {p5.Framebuffer} backgroundBuffer - The background to composite onto
+     * @private
+     */
+    private _drawBatch;
+    /**
+     * Sets the uniforms of one layer slot of the compositor shader
+     * @param {p5.Shader} shader - The compositor shader
+     * @param {number|string} slot - Slot number, or '' for the single-layer shader
+     * @param {p5.Framebuffer} texture - The source pixels to blend
+     * @param {Object} settings - See _drawComposite
+     * @private
+     */
+    private _setLayerUniforms;
+    /**
+     * Works out how layer texture coordinates map onto a mask's texture
+     * @param {p5.Framebuffer|p5.Image} mask - The mask texture
+     * @param {string} fit - One of the MaskFit constants
+     * @param {number[]} size - Size of the layer the mask is applied to
+     * @returns {{scale: number[], offset: number[], clampEdges: boolean}}
+     * @private
+     */
+    private _getMaskMapping;
+    /**
+     * Runs one effect shader pass from a source texture into a new scratch buffer
+     * @param {number} pass - Effect pass index in effect.frag
+     * @param {p5.Framebuffer} source - Texture to read from
+     * @param {Object} settings - Pass uniforms
+     * @param {number[]} settings.params - vec4 of pass parameters
+     * @param {number[]} [settings.direction] - Blur direction
+     * @param {p5.Framebuffer} [settings.original] - Unprocessed layer pixels for combine passes
+     * @param {Layer} layer - The layer being processed (sets the buffer size)
+     * @returns {p5.Framebuffer} A pooled buffer holding the result
+     * @private
+     */
+    private _runEffectPass;
+    /**
+     * Runs a two-pass separable Gaussian blur
+     * @private
+     * @returns {p5.Framebuffer} A pooled buffer holding the result
+     */
+    private _runBlur;
+    /**
+     * Applies a single effect to a source texture
+     * @param {LayerEffect} effect - The effect to apply
+     * @param {p5.Framebuffer} source - Pixels to process
+     * @param {Layer} layer - The layer being processed
+     * @returns {p5.Framebuffer} A pooled buffer holding the result
+     * @private
+     */
+    private _runEffect;
+    /**
+     * Runs a layer's enabled effects on a copy of its pixels
+     * @param {Layer} layer - The layer to process
+     * @returns {p5.Framebuffer|null} A pooled buffer with the processed pixels, or null if no effects ran
+     * @private
+     */
+    private _applyEffects;
+    /**
+     * Gets the uniforms that place a layer on the canvas. Canvas-sized layers
+     * without a transform map 1:1 and return null, which skips the math.
+     * @param {Layer} layer
+     * @returns {{size: number[], pivot: number[], anchor: number[], scale: number[], rotation: number}|null}
+     * @private
+     */
+    private _getLayerTransform;
     /**
      * Renders a single layer to the current framebuffer
      * @param {Layer} layer - The layer to render
      * @param {p5.Framebuffer} backgroundBuffer - The background to composite onto
+     * @param {p5.Framebuffer|null} [processed] - The layer's pixels after effects, if any
+     * @param {Object} [overrides] - Composite settings that replace the layer's own
      * @private
      */
     private _renderLayer;
     /**
-     * Composites all layers to the main canvas using ping-pong buffering
-     * @param {Layer[]} layers - Array of layers to composite (should be pre-sorted by zIndex)
+     * Gets the _drawComposite settings for a layer
+     * @param {Layer} layer
+     * @param {Object} [overrides] - Composite settings that replace the layer's own
+     * @returns {Object}
+     * @private
+     */
+    private _getLayerSettings;
+    /**
+     * Draws an adjusted, opaque copy of the background into the current framebuffer.
+     * The result is then blended source-atop like a pixel layer, so adjustment
+     * layers get opacity, blend modes and masks for free without adding coverage.
+     * @param {AdjustmentLayer} layer - The adjustment to apply
+     * @param {p5.Framebuffer} backgroundBuffer - The composite of everything below
+     * @private
+     */
+    private _applyAdjustment;
+    /**
+     * Renders a group to the current framebuffer.
+     * Isolated groups composite their children onto transparency and blend the
+     * result as one unit; pass-through groups composite their children onto the
+     * background and fade the result in with the group's opacity and mask.
+     * @param {LayerGroup} group - The group to render
+     * @param {p5.Framebuffer} backgroundBuffer - The background to composite onto
+     * @param {p5.Framebuffer} groupResult - The already composited children
+     * @param {Object} [overrides] - Composite settings that replace the group's own
+     * @private
+     */
+    private _renderGroup;
+    /**
+     * Gets the _drawComposite settings for a group's composited children
+     * @param {LayerGroup} group
+     * @param {Object} [overrides] - Composite settings that replace the group's own
+     * @returns {Object}
+     * @private
+     */
+    private _getGroupSettings;
+    /**
+     * Composites one node over a background into a target buffer
+     * @param {LayerNode} node - The layer, group or adjustment to composite
+     * @param {p5.Framebuffer} backgroundBuffer - The composite of everything below
+     * @param {p5.Framebuffer} target - Buffer that receives the result
+     * @param {Object} [overrides] - Composite settings that replace the node's own
+     * @private
+     */
+    private _compositeNode;
+    /**
+     * Composites a clipping group: the base is drawn alone onto transparency,
+     * each clipped node is composited source-atop so it only covers the base's
+     * pixels, and the caller blends the result with the base's opacity and mode.
+     * @param {LayerNode} base - The non-clipped node at the bottom of the group
+     * @param {LayerNode[]} clippedNodes - Visible clipped nodes above it, in stack order
+     * @returns {p5.Framebuffer} A pooled buffer holding the result; release it when done
+     * @private
+     */
+    private _compositeClippingGroup;
+    /**
+     * Sorts a stack and splits it into chains: a node followed by the nodes
+     * clipped to it, which are composited together and hidden along with it.
+     * Adjustments have no shape to clip to, so nodes clipped to one start a
+     * chain of their own and are drawn normally.
+     * @param {LayerNode[]} nodes - Layers and groups in one stack
+     * @returns {LayerNode[][]} Chains in stack order
+     * @private
+     */
+    private _splitChains;
+    /**
+     * Renders what a chain blends onto the composite below it. Adjustments and
+     * pass-through groups read that composite while rendering, so they're
+     * returned as direct and composited on their own by _compositeChains.
+     * @param {LayerNode[]} chain - A node and the nodes clipped to it (see _splitChains)
+     * @returns {{texture: p5.Framebuffer, settings: Object, buffers: p5.Framebuffer[]}|{direct: true, node: LayerNode}|null}
+     *   The texture and its settings, plus the pooled buffers to release once it's drawn;
+     *   null for hidden chains
+     * @private
+     */
+    private _prepareChain;
+    /**
+     * Composites chains over a buffer. Consecutive chains are blended together
+     * in one pass of a batched shader, up to _getMaxBatchSize() at a time.
+     * Each pass draws into a fresh pooled buffer and releases the one it read
+     * from, unless that one is kept.
+     * @param {LayerNode[][]} chains - Chains in stack order (see _splitChains)
+     * @param {p5.Framebuffer} startBuffer - The composite below the first chain
+     * @param {Object} [options]
+     * @param {number} [options.from=0] - Index of the first chain to composite
+     * @param {number} [options.snapshotAt=-1] - Index of a chain whose backdrop should be
+     *   kept in its own buffer, returned as the snapshot
+     * @param {p5.Framebuffer[]} [options.keep] - Buffers that must not be released
+     * @returns {{result: p5.Framebuffer, snapshot: p5.Framebuffer|null}} Pooled buffers; release them when done
+     * @private
+     */
+    private _compositeChains;
+    /**
+     * Composites a stack of layers and groups into a scratch buffer
+     * @param {LayerNode[]} nodes - Layers and groups to composite
+     * @param {p5.Framebuffer|null} backdrop - Optional starting content (used by pass-through groups)
+     * @returns {p5.Framebuffer} A pooled buffer holding the result; release it when done
+     * @private
+     */
+    private _compositeStack;
+    /**
+     * Appends numbers to a key that change whenever a node would composite
+     * differently: its revision (bumped by setters and drawing), its mask and,
+     * for groups, its children
+     * @param {LayerNode} node
+     * @param {number[]} key - The key to extend
+     * @private
+     */
+    private _appendNodeKey;
+    /**
+     * Composites the root stack, reusing the last result when nothing changed
+     * and the cached composite below the lowest changed chain otherwise
+     * @param {LayerNode[]} layers - Root-level layers and groups
+     * @returns {p5.Framebuffer} The result, owned by the cache; don't release it
+     * @private
+     */
+    private _compositeCached;
+    /**
+     * Drops the cached composite so the next render() redraws everything
+     */
+    invalidate(): void;
+    /**
+     * Composites a stack of layers into a canvas-sized buffer without drawing it
+     * @param {LayerNode[]} layers - Layers and groups to composite
+     * @returns {p5.Framebuffer} A pooled buffer holding the result; pass it to releaseBuffer() when done
+     */
+    composite(layers: LayerNode[]): p5.Framebuffer;
+    /**
+     * Composites a stack of layers for an area of the canvas into a buffer of
+     * any pixel size, independent of the canvas resolution. Canvas-sized layers
+     * are stretched to fit; custom-size layers are sampled at their own resolution.
+     * @param {LayerNode[]} layers - Layers and groups to composite
+     * @param {Object} region
+     * @param {number} region.width - Buffer width in pixels
+     * @param {number} region.height - Buffer height in pixels
+     * @param {number[]} [region.view=[0, 0, 1, 1]] - Canvas area to render as x, y, width, height fractions
+     * @returns {p5.Framebuffer} A pooled buffer holding the result; pass it to releaseBuffer() when done
+     */
+    compositeRegion(layers: LayerNode[], region: {
+        width: number;
+        height: number;
+        view?: number[];
+    }): p5.Framebuffer;
+    /**
+     * Blends a layer into another layer's pixels, the way it would composite
+     * if the target were the only thing below it
+     * @param {Layer} source - The layer to bake in
+     * @param {Layer} target - Layer that receives the result; it must not be scaled or rotated
+     * @param {Object} [overrides] - Composite settings that replace the source's own
+     */
+    mergeLayer(source: Layer, target: Layer, overrides?: any): void;
+    /**
+     * Removes idle pooled buffers that aren't canvas-sized, such as the ones
+     * left behind by compositeRegion() or by effects on resized layers
+     */
+    trimBuffers(): void;
+    /**
+     * Renders one layer or group on its own onto transparency (even when it is
+     * hidden), with its transform, effects and mask applied
+     * @param {LayerNode} node - The node to render
+     * @param {Object} [overrides] - Composite settings that replace the node's own
+     * @returns {p5.Framebuffer} A pooled buffer holding the result; pass it to releaseBuffer() when done
+     */
+    renderNode(node: LayerNode, overrides?: any): p5.Framebuffer;
+    /**
+     * Renders a node's mask as it lands on the canvas (after fit, feather and
+     * the layer transform) into the alpha channel of a canvas-sized buffer
+     * @param {LayerNode} node - A node with a mask
+     * @returns {p5.Framebuffer|null} A pooled buffer, or null if the node has no mask
+     */
+    renderMask(node: LayerNode): p5.Framebuffer | null;
+    /**
+     * Returns a buffer from composite(), renderNode() or renderMask() to the pool
+     * @param {p5.Framebuffer} buffer
+     */
+    releaseBuffer(buffer: p5.Framebuffer): void;
+    /**
+     * Composites all layers to the main canvas. While cacheEnabled is on, layers
+     * that haven't changed since the last call aren't composited again.
+     * @param {LayerNode[]} layers - Root-level layers and groups to composite
      * @param {Function} clearCallback - Optional callback to clear the canvas before compositing
      */
-    render(layers: Layer[], clearCallback?: Function): void;
+    render(layers: LayerNode[], clearCallback?: Function): void;
+    /**
+     * Composites layers into a framebuffer instead of the main canvas. Targets
+     * that don't match the canvas are composited at their own resolution.
+     * @param {p5.Framebuffer} target - Framebuffer that receives the composite
+     * @param {LayerNode[]} layers - Root-level layers and groups to composite
+     * @param {Object} [options]
+     * @param {Function} [options.filter] - Called with each node at every level; return false to leave it out
+     * @param {boolean} [options.clear=true] - Clear the target first instead of drawing over it
+     */
+    renderTo(target: p5.Framebuffer, layers: LayerNode[], options?: {
+        filter?: Function;
+        clear?: boolean;
+    }): void;
     /**
      * Disposes of compositor resources
      */
     dispose(): void;
 }
+export const DEFAULT_ADJUSTMENT_PARAMS: {
+    [x: string]: any;
+};
+export const DEFAULT_EFFECT_PARAMS: {
+    [x: string]: any;
+};
+export namespace DEFAULT_HISTORY_OPTIONS {
+    let pixels: boolean;
+    let memoryLimit: number;
+    let maxSteps: number;
+    let mergeInterval: number;
+}
 export namespace DEFAULT_LAYER_OPTIONS {
     export let visible: boolean;
     export let opacity: number;
@@ -67,120 +539,734 @@ export namespace DEFAULT_LAYER_OPTIONS {
     export let width: any;
     export let height: any;
     export let density: any;
+    export let clipped: boolean;
     export let depth: boolean;
     export let antialias: boolean;
+    import resizePolicy = ResizePolicies.CLEAR;
+    export { resizePolicy };
+    export let resizeAnchor: string;
+    export let resizeCallback: any;
+}
+export namespace DEFAULT_MASK_OPTIONS {
+    import channel = MaskChannels.LUMINANCE;
+    export { channel };
+    export let invert: boolean;
+    export let density: number;
+    export let feather: number;
+    import fit = MaskFit.STRETCH;
+    export { fit };
+}
+/**
+ * Shared state and behaviour for anything that can sit in the layer stack
+ * (pixel layers and groups)
+ */
+export class LayerNode {
+    /**
+     * @param {p5} p5Instance - The p5.js instance
+     * @param {string|number} id - Unique identifier for this node
+     * @param {string} name - Human-readable name for this node
+     * @param {Object} options - Node configuration options
+     */
+    constructor(p5Instance: p5, id: string | number, name?: string, options?: any);
+    p: p5;
+    id: string | number;
+    name: string;
+    type: "layer" | "group" | "adjustment";
+    visible: any;
+    opacity: number;
+    blendMode: any;
+    zIndex: any;
+    clipped: boolean;
+    mask: any;
+    maskOptions: {
+        channel: string;
+        invert: boolean;
+        density: number;
+        feather: number;
+        fit: string;
+    };
+    parent: LayerGroup | null;
+    _revision: number;
+    _eventHandler: ((event: string, detail: any) => void) | null;
+    _nameResolver: ((name: string) => string) | null;
+    /**
+     * Flags this node's pixels as changed. Drawing between begin() and end()
+     * does this for you; call it after drawing into a framebuffer or mask
+     * image directly.
+     * @returns {this} This layer for chaining
+     */
+    markDirty(): this;
+    /**
+     * Reports an event to the owning LayerSystem, if any
+     * @private
+     * @param {string} event - Event name (see LayerSystem.on)
+     * @param {Object} [detail] - Event data; the node is added as `layer`
+     */
+    private _notify;
+    /**
+     * Assigns a property and reports a change event if its value changed
+     * @private
+     * @param {string} property - Property name
+     * @param {*} value - New value
+     */
+    private _setProperty;
+    /**
+     * Clamps opacity value to valid range [0, 1]
+     * @private
+     */
+    private _clampOpacity;
+    /**
+     * Renames this node. In a LayerSystem the system's name policy applies,
+     * so the name may get a number appended or be refused.
+     * @param {string} name - The new name
+     * @returns {this} This layer for chaining
+     */
+    setName(name: string): this;
+    /**
+     * Shows this layer (makes it visible)
+     * @returns {this} This layer for chaining
+     */
+    show(): this;
+    /**
+     * Hides this layer (makes it invisible)
+     * @returns {this} This layer for chaining
+     */
+    hide(): this;
+    /**
+     * Sets the opacity of this layer
+     * @param {number} opacity - Opacity value between 0 and 1
+     * @returns {this} This layer for chaining
+     */
+    setOpacity(opacity: number): this;
+    /**
+     * Sets the blend mode for this layer
+     * @param {string} mode - One of the BlendModes constants
+     * @returns {this} This layer for chaining
+     */
+    setBlendMode(mode: string): this;
+    /**
+     * Sets the z-index (layer order) for this layer
+     * @param {number} zIndex - The z-index value (higher = on top)
+     * @returns {this} This layer for chaining
+     */
+    setZIndex(zIndex: number): this;
+    /**
+     * Attaches a mask to this layer. Passing a Layer uses its pixels as a live
+     * mask, so painting into that layer updates the mask every frame.
+     * @param {p5.Framebuffer|p5.Image|Layer} maskSource - The mask to apply
+     * @param {Object} [options] - Mask options (see DEFAULT_MASK_OPTIONS)
+     * @param {string} [options.channel] - One of the MaskChannels constants
+     * @param {boolean} [options.invert] - Hide where the mask is white instead
+     * @param {number} [options.density] - How strongly the mask applies, 0 to 1
+     * @param {number} [options.feather] - Blur radius in layer pixels
+     * @param {string} [options.fit] - One of the MaskFit constants
+     * @returns {this} This layer for chaining
+     */
+    setMask(maskSource: p5.Framebuffer | p5.Image | Layer, options?: {
+        channel?: string;
+        invert?: boolean;
+        density?: number;
+        feather?: number;
+        fit?: string;
+    }): this;
+    /**
+     * Updates the options of this layer's mask, keeping unspecified ones
+     * @param {Object} options - Mask options (see setMask)
+     * @returns {this} This layer for chaining
+     */
+    setMaskOptions(options: any): this;
+    /**
+     * Removes the mask from this layer
+     * @returns {this} This layer for chaining
+     */
+    clearMask(): this;
+    /**
+     * Clips this layer to the nearest non-clipped layer below it
+     * @param {boolean} clipped - Whether to clip
+     * @returns {this} This layer for chaining
+     */
+    setClipped(clipped: boolean): this;
+    /**
+     * Returns true if this node or any of its ancestors is the given group
+     * @param {LayerGroup} group
+     * @returns {boolean}
+     */
+    isDescendantOf(group: LayerGroup): boolean;
+    /**
+     * Disposes of this node's resources
+     */
+    dispose(): void;
+    /**
+     * Returns a plain object representation of this node's properties
+     */
+    toJSON(): {
+        id: string | number;
+        type: "layer" | "group" | "adjustment";
+        name: string;
+        parentId: string | number;
+        visible: any;
+        opacity: number;
+        blendMode: any;
+        zIndex: any;
+        clipped: boolean;
+        hasMask: boolean;
+        maskLayerId: string | number | null;
+        maskOptions: {
+            channel: string;
+            invert: boolean;
+            density: number;
+            feather: number;
+            fit: string;
+        };
+    };
+}
+export namespace EffectTypes {
+    let BLUR: string;
+    let GLOW: string;
+    let SHARPEN: string;
+    let POSTERIZE: string;
+    let PIXELATE: string;
+    let CHROMATIC_OFFSET: string;
+    let NOISE: string;
+}
+/**
+ * A single effect in a layer's effect stack
+ */
+export class LayerEffect {
+    /**
+     * @param {number} id - Identifier, unique within the owning layer
+     * @param {string} type - One of the EffectTypes constants
+     * @param {Object} params - Effect parameters (see DEFAULT_EFFECT_PARAMS)
+     * @param {boolean} enabled - Whether the effect is applied
+     */
+    constructor(id: number, type: string, params?: any, enabled?: boolean);
+    id: number;
+    type: string;
+    params: any;
+    enabled: boolean;
+    _layer: Layer;
+    /**
+     * Updates some or all of the effect parameters. Safe to call every frame.
+     * @param {Object} params - Parameters to merge into the current ones
+     * @returns {LayerEffect} This effect for chaining
+     */
+    setParams(params?: any): LayerEffect;
+    /**
+     * Turns the effect on or off without removing it from the stack
+     * @param {boolean} enabled
+     * @returns {LayerEffect} This effect for chaining
+     */
+    setEnabled(enabled: boolean): LayerEffect;
+    /**
+     * Reports a change through the owning layer, so caches, the UI and
+     * history see it like any other layer property
+     * @private
+     * @param {string} property - 'effectParams' or 'effectEnabled'
+     * @param {*} oldValue
+     * @param {*} newValue
+     */
+    private _changed;
+    /**
+     * Turns the effect on
+     * @returns {LayerEffect} This effect for chaining
+     */
+    enable(): LayerEffect;
+    /**
+     * Turns the effect off
+     * @returns {LayerEffect} This effect for chaining
+     */
+    disable(): LayerEffect;
+    /**
+     * Returns a plain object representation of this effect
+     */
+    toJSON(): {
+        id: number;
+        type: string;
+        enabled: boolean;
+        params: any;
+    };
 }
 /**
  * Represents a single layer backed by a p5.Framebuffer
  */
-export class Layer {
+export class Layer extends LayerNode {
+    type: "layer";
+    width: any;
+    height: any;
+    density: any;
+    depth: any;
+    antialias: any;
+    customSize: boolean;
+    hasBeenDrawnTo: boolean;
+    effects: LayerEffect[];
+    _effectIdCounter: number;
+    x: number;
+    y: number;
+    scaleX: number;
+    scaleY: number;
+    rotation: number;
+    anchorX: number;
+    anchorY: number;
+    resizePolicy: any;
+    resizeAnchor: any;
+    resizeCallback: any;
+    maskFramebuffer: any;
+    _maskHideAll: boolean;
+    framebuffer: any;
+    /**
+     * Creates the underlying p5.Framebuffer
+     * @private
+     */
+    private _createFramebuffer;
+    /**
+     * Creates a mask framebuffer matching the layer's size, optionally filled
+     * white (reveal all) or black (hide all)
+     * @param {boolean} hideAll - Start with everything hidden
+     * @private
+     */
+    private _createMaskFramebuffer;
+    /**
+     * Gives this layer a mask of its own that can be painted with normal p5
+     * drawing calls between beginMask() and endMask(). White reveals, black hides.
+     * The mask resizes with the layer and is disposed with it.
+     * @param {Object} [options] - Mask options (see LayerNode.setMask)
+     * @param {boolean} [options.hideAll=false] - Start with everything hidden
+     * @returns {p5.Framebuffer|null} The mask framebuffer
+     */
+    createMask(options?: {
+        hideAll?: boolean;
+        channel?: string;
+        invert?: boolean;
+        density?: number;
+        feather?: number;
+        fit?: string;
+    }): p5.Framebuffer | null;
+    /**
+     * Begins drawing to this layer's own mask, creating it if needed
+     */
+    beginMask(): void;
+    /**
+     * Ends drawing to this layer's own mask
+     */
+    endMask(): void;
+    /**
+     * Removes the mask framebuffer owned by this layer
+     * @private
+     */
+    private _disposeMaskFramebuffer;
+    /**
+     * Attaches a mask to this layer. Replacing an owned mask disposes it.
+     * @param {p5.Framebuffer|p5.Image|Layer} maskSource - The mask to apply
+     * @param {Object} [options] - Mask options (see LayerNode.setMask)
+     * @returns {this} This layer for chaining
+     */
+    setMask(maskSource: p5.Framebuffer | p5.Image | Layer, options?: any): this;
+    /**
+     * Removes the mask from this layer, disposing it if the layer owns it
+     * @returns {this} This layer for chaining
+     */
+    clearMask(): this;
+    /**
+     * Appends an effect to this layer's effect stack. Effects run on a copy of
+     * the layer's pixels when compositing, so the stored pixels are untouched.
+     * @param {string} type - One of the EffectTypes constants
+     * @param {Object} params - Effect parameters (see DEFAULT_EFFECT_PARAMS)
+     * @returns {LayerEffect|null} The created effect, or null if the type is unknown
+     */
+    addEffect(type: string, params?: any): LayerEffect | null;
+    /**
+     * Gets an effect from this layer's stack
+     * @param {number} effectId - The effect ID
+     * @returns {LayerEffect|null} The effect, or null if not found
+     */
+    getEffect(effectId: number): LayerEffect | null;
+    /**
+     * Removes an effect from this layer's stack
+     * @param {number|LayerEffect} effectOrId - The effect or its ID
+     * @returns {Layer} This layer for chaining
+     */
+    removeEffect(effectOrId: number | LayerEffect): Layer;
+    /**
+     * Removes every effect from this layer
+     * @returns {Layer} This layer for chaining
+     */
+    clearEffects(): Layer;
+    /**
+     * Gets the effects that will run at composite time, in order
+     * @returns {LayerEffect[]}
+     */
+    getActiveEffects(): LayerEffect[];
+    /**
+     * Moves the layer on the canvas when compositing
+     * @param {number} x - Canvas x of the layer's top-left corner
+     * @param {number} y - Canvas y of the layer's top-left corner
+     * @returns {Layer} This layer for chaining
+     */
+    setOffset(x: number, y: number): Layer;
+    /**
+     * Scales the layer around its anchor when compositing
+     * @param {number} scaleX - Horizontal scale factor
+     * @param {number} [scaleY=scaleX] - Vertical scale factor
+     * @returns {Layer} This layer for chaining
+     */
+    setScale(scaleX: number, scaleY?: number): Layer;
+    /**
+     * Rotates the layer around its anchor when compositing
+     * @param {number} angle - Clockwise rotation in radians
+     * @returns {Layer} This layer for chaining
+     */
+    setRotation(angle: number): Layer;
+    /**
+     * Sets the pivot used for scale and rotation
+     * @param {number} anchorX - Fraction of the layer width (0 = left, 1 = right)
+     * @param {number} anchorY - Fraction of the layer height (0 = top, 1 = bottom)
+     * @returns {Layer} This layer for chaining
+     */
+    setAnchor(anchorX: number, anchorY: number): Layer;
+    /**
+     * Clears the offset, scale and rotation (the anchor is kept)
+     * @returns {Layer} This layer for chaining
+     */
+    resetTransform(): Layer;
+    /**
+     * Whether the layer is moved, scaled or rotated
+     * @returns {boolean}
+     */
+    hasTransform(): boolean;
+    /**
+     * Sets what happens to this layer's pixels when it is resized
+     * @param {string} policy - One of the ResizePolicies constants
+     * @param {Object} [options]
+     * @param {string} [options.anchor] - Where KEEP, FIT and FILL place the pixels: 'top-left', 'top',
+     *   'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom' or 'bottom-right'
+     * @param {Function|null} [options.callback] - Called by REDRAW with the layer, its previous
+     *   framebuffer and its previous owned mask (or null) while the new framebuffer is bound.
+     *   The new mask starts with its original fill and can be redrawn through layer.maskFramebuffer.
+     *   The previous framebuffers are removed afterwards.
+     * @returns {Layer} This layer for chaining
+     */
+    setResizePolicy(policy: string, options?: {
+        anchor?: string;
+        callback?: Function | null;
+    }): Layer;
+    /**
+     * Resizes the layer's framebuffer. The pixels and an owned mask are carried
+     * over according to the resize policy; uncovered or cleared mask areas get
+     * the fill the mask was created with.
+     * @param {number} width - New width
+     * @param {number} height - New height
+     */
+    resize(width: number, height: number, density?: any): void;
+    /**
+     * Begins drawing to this layer's framebuffer
+     */
+    begin(): void;
+    /**
+     * Ends drawing to this layer's framebuffer
+     */
+    end(): void;
+    /**
+     * Returns a plain object representation of this layer's properties
+     */
+    toJSON(): {
+        hasBeenDrawnTo: boolean;
+        width: any;
+        height: any;
+        density: any;
+        customSize: boolean;
+        hasOwnMask: boolean;
+        maskHideAll: boolean;
+        x: number;
+        y: number;
+        scaleX: number;
+        scaleY: number;
+        rotation: number;
+        anchorX: number;
+        anchorY: number;
+        resizePolicy: any;
+        resizeAnchor: any;
+        effects: {
+            id: number;
+            type: string;
+            enabled: boolean;
+            params: any;
+        }[];
+        id: string | number;
+        type: "layer" | "group" | "adjustment";
+        name: string;
+        parentId: string | number;
+        visible: any;
+        opacity: number;
+        blendMode: any;
+        zIndex: any;
+        clipped: boolean;
+        hasMask: boolean;
+        maskLayerId: string | number | null;
+        maskOptions: {
+            channel: string;
+            invert: boolean;
+            density: number;
+            feather: number;
+            fit: string;
+        };
+    };
+}
+/**
+ * A folder of layers that is composited on its own and then blended into
+ * the parent stack as a single unit
+ */
+export class LayerGroup extends LayerNode {
+    /**
+     * @param {p5} p5Instance - The p5.js instance
+     * @param {string|number} id - Unique identifier for this group
+     * @param {string} name - Human-readable name for this group
+     * @param {Object} options - Group configuration options
+     * @param {boolean} [options.passThrough=false] - Blend children directly into the parent stack
+     */
+    constructor(p5Instance: p5, id: string | number, name?: string, options?: {
+        passThrough?: boolean;
+    });
+    type: "group";
+    passThrough: boolean;
+    children: LayerNode[];
+    /**
+     * Enables or disables pass-through compositing for this group
+     * @param {boolean} enabled - Whether children blend straight into the parent stack
+     * @returns {LayerGroup} This group for chaining
+     */
+    setPassThrough(enabled: boolean): LayerGroup;
+    /**
+     * Gets the direct children of this group, sorted by zIndex
+     * @returns {LayerNode[]} Array of child layers and groups
+     */
+    getChildren(): LayerNode[];
+    /**
+     * Adds a child node to this group
+     * @private
+     */
+    private _addChild;
+    /**
+     * Removes a child node from this group
+     * @private
+     */
+    private _removeChild;
+    /**
+     * Returns a plain object representation of this group and its children
+     */
+    toJSON(): {
+        passThrough: boolean;
+        children: any[];
+        id: string | number;
+        type: "layer" | "group" | "adjustment";
+        name: string;
+        parentId: string | number;
+        visible: any;
+        opacity: number;
+        blendMode: any;
+        zIndex: any;
+        clipped: boolean;
+        hasMask: boolean;
+        maskLayerId: string | number | null;
+        maskOptions: {
+            channel: string;
+            invert: boolean;
+            density: number;
+            feather: number;
+            fit: string;
+        };
+    };
+}
+/**
+ * Undo/redo history for a LayerSystem, created with enableHistory().
+ *
+ * Records property changes, masks, created and removed layers and, with the
+ * pixels option, snapshots of a layer's pixels taken when drawing begins.
+ * Everything recorded while the same code runs (one draw() call, one event
+ * handler) becomes one undo step. Use beginStep()/endStep() to group changes
+ * that span several frames, like a brush stroke. A step that only changes
+ * the same property (or draws to the same layer) as the step before, within
+ * mergeInterval of it, is merged into that step, so animating a property
+ * every frame leaves one step. Use pause()/resume() to not record at all.
+ *
+ * Removed layers stay alive while a step can bring them back, and their
+ * framebuffers count towards the memory limit.
+ */
+export class LayerHistory {
+    /**
+     * @param {LayerSystem} layerSystem - The layer system to record
+     * @param {Object} [options] - See DEFAULT_HISTORY_OPTIONS
+     */
+    constructor(layerSystem: LayerSystem, options?: any);
+    layerSystem: LayerSystem;
+    options: any;
+    _undoStack: any[];
+    _redoStack: any[];
+    _step: any;
+    _stepDepth: number;
+    _pauseDepth: number;
+    _applying: boolean;
+    _eventHandlers: {
+        [event: string]: Function;
+    };
+    /**
+     * Updates the history options. Lowering the limits drops the oldest steps.
+     * @param {Object} options - See DEFAULT_HISTORY_OPTIONS
+     * @returns {LayerHistory} This history for chaining
+     */
+    setOptions(options: any): LayerHistory;
+    /**
+     * Starts grouping changes into one undo step until the matching endStep().
+     * Calls can be nested; the step ends with the outermost endStep().
+     * @param {string} [label] - Description of the step
+     * @returns {LayerHistory} This history for chaining
+     */
+    beginStep(label?: string): LayerHistory;
+    /**
+     * Ends a step started with beginStep()
+     * @returns {LayerHistory} This history for chaining
+     */
+    endStep(): LayerHistory;
+    /**
+     * Stops recording until the matching resume(), e.g. around an animation
+     * that changes layers every frame. Calls can be nested. Changes made while
+     * paused can't be undone, and undoing across them may not restore them.
+     * @returns {LayerHistory} This history for chaining
+     */
+    pause(): LayerHistory;
+    /**
+     * Resumes recording after pause()
+     * @returns {LayerHistory} This history for chaining
+     */
+    resume(): LayerHistory;
+    /**
+     * Whether recording is paused
+     * @returns {boolean}
+     */
+    isPaused(): boolean;
+    /**
+     * Whether there is a step to undo
+     * @returns {boolean}
+     */
+    canUndo(): boolean;
+    /**
+     * Whether there is an undone step to redo
+     * @returns {boolean}
+     */
+    canRedo(): boolean;
+    /**
+     * Reverts the most recent step. An open step is ended first.
+     * @returns {boolean} Whether a step was undone
+     */
+    undo(): boolean;
+    /**
+     * Reapplies the most recently undone step
+     * @returns {boolean} Whether a step was redone
+     */
+    redo(): boolean;
+    /**
+     * Forgets every step, disposing removed layers that only the history kept alive
+     */
+    clear(): void;
+    /**
+     * Bytes held by snapshots and removed layers
+     * @returns {number}
+     */
+    getMemoryUsage(): number;
+    /**
+     * Stops recording and clears the history
+     */
+    dispose(): void;
     /**
-     * @param {p5} p5Instance - The p5.js instance
-     * @param {string|number} id - Unique identifier for this layer
-     * @param {string} name - Human-readable name for this layer
-     * @param {Object} options - Layer configuration options
+     * Adds an action to the open step, opening one that commits once the
+     * current code has finished running if needed
+     * @private
+     * @param {Object} action
+     * @param {number} [bytes] - Memory the action holds on to
      */
-    constructor(p5Instance: p5, id: string | number, name?: string, options?: any);
-    p: p5;
-    id: string | number;
-    name: string;
-    visible: any;
-    opacity: number;
-    blendMode: any;
-    zIndex: any;
-    width: any;
-    height: any;
-    density: any;
-    depth: any;
-    antialias: any;
-    customSize: boolean;
-    mask: any;
-    hasBeenDrawnTo: boolean;
-    framebuffer: any;
+    private _record;
     /**
-     * Creates the underlying p5.Framebuffer
+     * Makes a step the open one, committing it once the current code has
+     * finished running
      * @private
+     * @param {Object} step
      */
-    private _createFramebuffer;
+    private _openStep;
     /**
-     * Clamps opacity value to valid range [0, 1]
+     * Reopens the last step when an action repeats its only action: the same
+     * property, or the same layer's pixels, changing again within
+     * mergeInterval, outside beginStep()/endStep()
      * @private
+     * @param {Object} action - The action about to be recorded
+     * @returns {Object|null} The repeated action, or null if there was nothing to merge with
      */
-    private _clampOpacity;
+    private _reopenStep;
     /**
-     * Shows this layer (makes it visible)
-     * @returns {Layer} This layer for chaining
+     * Records a property change. Masks a layer owns are disposed when they're
+     * replaced, so their pixels are kept to recreate them.
+     * @private
      */
-    show(): Layer;
+    private _recordChange;
     /**
-     * Hides this layer (makes it invisible)
-     * @returns {Layer} This layer for chaining
+     * Snapshots a layer's pixels (or its mask's) so the current step can
+     * restore them, even when the pixels option is off. Call it before drawing
+     * into a framebuffer outside begin()/end(). Only the first call per layer
+     * in a step takes a snapshot.
+     * @param {Layer} layer - The layer about to change
+     * @param {boolean} [mask=false] - Snapshot the layer's own mask instead
+     * @returns {LayerHistory} This history for chaining
      */
-    hide(): Layer;
+    recordPixels(layer: Layer, mask?: boolean): LayerHistory;
     /**
-     * Sets the opacity of this layer
-     * @param {number} opacity - Opacity value between 0 and 1
-     * @returns {Layer} This layer for chaining
+     * Snapshots pixels when drawing begins, if the pixels option is on
+     * @private
      */
-    setOpacity(opacity: number): Layer;
+    private _recordPixels;
     /**
-     * Sets the blend mode for this layer
-     * @param {string} mode - One of the BlendModes constants
-     * @returns {Layer} This layer for chaining
+     * Runs undo/redo changes without recording them
+     * @private
      */
-    setBlendMode(mode: string): Layer;
+    private _apply;
     /**
-     * Sets the z-index (layer order) for this layer
-     * @param {number} zIndex - The z-index value (higher = on top)
-     * @returns {Layer} This layer for chaining
+     * @private
      */
-    setZIndex(zIndex: number): Layer;
+    private _undoAction;
     /**
-     * Attaches a mask to this layer
-     * @param {p5.Framebuffer|p5.Image} maskSource - The mask to apply
-     * @returns {Layer} This layer for chaining
+     * @private
      */
-    setMask(maskSource: p5.Framebuffer | p5.Image): Layer;
+    private _redoAction;
     /**
-     * Removes the mask from this layer
-     * @returns {Layer} This layer for chaining
+     * Sets a recorded property back to one side of the change
+     * @private
+     * @param {Object} step - The step the action belongs to
+     * @param {Object} action - A change action
+     * @param {string} from - 'old' or 'new', the side currently applied
+     * @param {string} to - The side to apply
      */
-    clearMask(): Layer;
+    private _applyChange;
     /**
-     * Resizes the layer's framebuffer
-     * @param {number} width - New width
-     * @param {number} height - New height
+     * @private
      */
-    resize(width: number, height: number, density?: any): void;
+    private _capturePixels;
     /**
-     * Begins drawing to this layer's framebuffer
+     * @private
      */
-    begin(): void;
+    private _restorePixels;
     /**
-     * Ends drawing to this layer's framebuffer
+     * Moves the open step onto the undo stack. Recording a new step drops the
+     * undone ones.
+     * @private
      */
-    end(): void;
+    private _commit;
     /**
-     * Disposes of this layer's resources
+     * Drops the oldest steps until the history fits its limits
+     * @private
      */
-    dispose(): void;
+    private _trim;
     /**
-     * Returns a plain object representation of this layer's properties
+     * Disposes removed layers that a dropped step was keeping alive
+     * @private
      */
-    toJSON(): {
-        id: string | number;
-        name: string;
-        visible: any;
-        opacity: number;
-        blendMode: any;
-        zIndex: any;
-        hasMask: boolean;
-        hasBeenDrawnTo: boolean;
-        width: any;
-        height: any;
-        density: any;
-        customSize: boolean;
-    };
+    private _releaseStep;
 }
 /**
  * Main layer system manager
@@ -188,15 +1274,40 @@ export class Layer {
 export class LayerSystem {
     /**
      * @param {p5} p5Instance - The p5.js instance
-     */
-    constructor(p5Instance: p5);
+     * @param {Object} [options]
+     * @param {string} [options.namePolicy=NamePolicies.SUFFIX] - How duplicate layer names are handled
+     * @param {Object} [options.layerDefaults] - Options every createLayer() call starts from, on top of
+     *   DEFAULT_LAYER_OPTIONS. A density set here keeps layers following the canvas size.
+     * @param {boolean} [options.autoResize=true] - Resize canvas-sized layers when the canvas changes
+     * @param {Array<string|Object>} [options.layers] - Layers to create, bottom first: names, or
+     *   createLayer() options with a `name`
+     * @param {boolean|Object} [options.ui=false] - Create the layer panel, optionally with LayerUI options
+     * @param {Function} [options.clearCallback] - Clears the canvas before render() draws, when render() isn't given one
+     */
+    constructor(p5Instance: p5, options?: {
+        namePolicy?: string;
+        layerDefaults?: any;
+        autoResize?: boolean;
+        layers?: Array<string | any>;
+        ui?: boolean | any;
+        clearCallback?: Function;
+    });
     p: p5;
-    layers: Map<any, any>;
+    layers: Map<any, LayerNode>;
     layerNames: Map<any, any>;
+    namePolicy: string;
     layerIdCounter: number;
-    activeLayerId: string | number;
+    _drawStack: {
+        layer: Layer;
+        mask: boolean;
+    }[];
     compositor: Compositor;
     ui: LayerUI;
+    _listeners: Map<string, Set<Function>>;
+    _reordering: boolean;
+    history: LayerHistory | null;
+    layerDefaults: any;
+    clearCallback: Function | null;
     autoResize: boolean;
     _lastCanvasWidth: any;
     _lastCanvasHeight: any;
@@ -206,6 +1317,18 @@ export class LayerSystem {
      * @private
      */
     private _generateId;
+    /**
+     * ID of the layer being drawn to, or null when nothing is or the innermost
+     * begin is a mask's
+     * @type {number|null}
+     */
+    get activeLayerId(): number | null;
+    /**
+     * ID of the layer whose own mask is being drawn to, or null when nothing
+     * is or the innermost begin is a layer's
+     * @type {number|null}
+     */
+    get activeMaskLayerId(): number | null;
     /**
      * Gets a layer by ID or name
      * @private
@@ -213,36 +1336,245 @@ export class LayerSystem {
      * @returns {Layer|null} The layer, or null if not found
      */
     private _getLayerById;
+    /**
+     * Applies the name policy to a name about to be given to a node
+     * @private
+     * @param {string} name - The requested name
+     * @param {LayerNode|null} [node] - The node being renamed, if it already exists
+     * @returns {string} The name to use
+     */
+    private _resolveName;
+    /**
+     * Points a node's name at it, unless another node already holds the name
+     * @private
+     * @param {LayerNode} node
+     */
+    private _claimName;
+    /**
+     * Frees a name held by a node, handing it to another node with the same name if any
+     * @private
+     * @param {LayerNode} node
+     * @param {string} [name] - The name to free, defaults to the node's current name
+     */
+    private _releaseName;
+    /**
+     * Listens for an event. Callbacks receive one object describing it:
+     * - `layercreate`: `{ layer }`
+     * - `layerremove`: `{ layer, parent }`, parent is the group the layer was in
+     * - `change`: `{ layer, property, oldValue, newValue }` when a setter changes a property;
+     *   effect changes report `effectParams` or `effectEnabled` with the `effect`
+     *   (`visible`, `opacity`, `blendMode`, `zIndex`, `parent`, `mask`, `effects`, `x`, ...)
+     * - `reorder`: `{ layers }`, the nodes whose zIndex or group changed
+     * - `begin`, `end`: `{ layer, mask }`, mask is true when drawing to the layer's mask
+     * - `resize`: `{ layer, width, height, density }`
+     * - `render`: `{ target }`, the framebuffer passed to renderTo() or null for the canvas
+     * @param {string} event - Event name
+     * @param {Function} callback - Called with the event object
+     * @returns {LayerSystem} This layer system for chaining
+     */
+    on(event: string, callback: Function): LayerSystem;
+    /**
+     * Stops listening for an event
+     * @param {string} event - Event name
+     * @param {Function} [callback] - The callback passed to on(); removes every listener for the event when omitted
+     * @returns {LayerSystem} This layer system for chaining
+     */
+    off(event: string, callback?: Function): LayerSystem;
+    /**
+     * Calls the listeners of an event. A throwing listener doesn't stop the others.
+     * @private
+     * @param {string} event - Event name
+     * @param {Object} detail - Event object passed to the listeners
+     */
+    private _emit;
+    /**
+     * Forwards an event reported by a node, adding a reorder event when its
+     * position in the stack changed
+     * @private
+     */
+    private _handleNodeEvent;
     /**
      * Creates a new layer
      * @param {string} name - Optional name for the layer
-     * @param {Object} options - Layer configuration options
+     * @param {Object} options - Layer configuration options; missing ones come from layerDefaults
+     * @param {number|string|LayerGroup} [options.parent] - Group to create the layer in
      * @returns {Layer} The created layer instance
      */
     createLayer(name?: string, options?: any): Layer;
     /**
-     * Removes a layer and disposes of its resources
+     * Creates a new layer group. Layers added to a group are composited together
+     * first and then blended into the stack as one unit.
+     * @param {string} name - Optional name for the group
+     * @param {Object} options - Group configuration options
+     * @param {boolean} [options.visible=true] - Whether the group is visible
+     * @param {number} [options.opacity=1] - Group opacity between 0 and 1
+     * @param {string} [options.blendMode=BlendModes.NORMAL] - Blend mode used for the group result
+     * @param {boolean} [options.passThrough=false] - Blend children directly into the parent stack
+     * @param {number} [options.zIndex] - Position among the group's siblings
+     * @param {number|string|LayerGroup} [options.parent] - Group to nest this group in
+     * @returns {LayerGroup} The created group instance
+     */
+    createGroup(name?: string, options?: {
+        visible?: boolean;
+        opacity?: number;
+        blendMode?: string;
+        passThrough?: boolean;
+        zIndex?: number;
+        parent?: number | string | LayerGroup;
+    }): LayerGroup;
+    /**
+     * Creates a new adjustment layer. Adjustment layers hold no pixels; they
+     * transform the composite of everything below them at render time.
+     * @param {string} name - Optional name for the layer
+     * @param {string} adjustment - One of the AdjustmentTypes constants
+     * @param {Object} params - Adjustment parameters (see DEFAULT_ADJUSTMENT_PARAMS)
+     * @param {Object} options - Layer configuration options (visible, opacity, blendMode, zIndex, parent)
+     * @returns {AdjustmentLayer} The created adjustment layer
+     */
+    createAdjustmentLayer(name?: string, adjustment?: string, params?: any, options?: any): AdjustmentLayer;
+    /**
+     * Updates the parameters of an adjustment layer
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {Object} params - Parameters to merge into the current ones
+     * @returns {AdjustmentLayer|null} The layer for chaining, or null if not found
+     */
+    setAdjustmentParams(layerIdOrName: number | string, params: any): AdjustmentLayer | null;
+    /**
+     * Adds a freshly created layer or group to the lookup maps and its parent group
+     * @private
+     */
+    private _registerNode;
+    /**
+     * Resolves a group from an ID, name or LayerGroup instance
+     * @private
+     * @returns {LayerGroup|null}
+     */
+    private _getGroup;
+    /**
+     * Moves a layer or group into a group, or back to the root of the stack
+     * @param {number|string} layerIdOrName - The layer or group to move
+     * @param {number|string|LayerGroup|null} groupIdOrName - Target group, or null for the root
+     * @returns {LayerNode|null} The moved node for chaining, or null if it couldn't be moved
+     */
+    moveToGroup(layerIdOrName: number | string, groupIdOrName: number | string | LayerGroup | null): LayerNode | null;
+    /**
+     * Enables or disables pass-through compositing for a group
+     * @param {number|string} groupIdOrName - The group ID or name
+     * @param {boolean} enabled - Whether children blend straight into the parent stack
+     * @returns {LayerGroup|null} The group for chaining, or null if not found
+     */
+    setPassThrough(groupIdOrName: number | string, enabled: boolean): LayerGroup | null;
+    /**
+     * Removes a layer and disposes of its resources.
+     * Removing a group also removes everything inside it.
      * @param {number|string} layerIdOrName - The ID or name of the layer to remove
      */
     removeLayer(layerIdOrName: number | string): void;
+    /**
+     * Takes a layer or group out of the stack without disposing it
+     * @private
+     * @param {LayerNode} node
+     */
+    private _detachNode;
+    /**
+     * Copies a layer, group or adjustment layer, placing the copy directly
+     * above the original. Pixels, masks, effects and transforms are copied;
+     * layers used as live masks are shared. Groups are copied with their children.
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {Object} [options]
+     * @param {string} [options.name] - Name of the copy, defaults to the original's name plus "copy"
+     * @returns {LayerNode|null} The copy, or null if the layer wasn't found
+     */
+    duplicateLayer(layerIdOrName: number | string, options?: {
+        name?: string;
+    }): LayerNode | null;
+    /**
+     * Creates a copy of a node and, for groups, of its children
+     * @private
+     * @param {LayerNode} node - The node to copy
+     * @param {LayerGroup|null} parent - Group the copy goes in
+     * @param {number} zIndex - zIndex of the copy
+     * @param {string} name - Name of the copy
+     * @returns {LayerNode|null}
+     */
+    private _duplicateNode;
+    /**
+     * Bakes a layer into the layer directly below it, using its blend mode,
+     * opacity, mask, effects and transform, then removes it. The layer below
+     * keeps its own settings. A hidden layer is removed without merging.
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @returns {Layer|null} The layer merged into, or null if the merge isn't possible
+     */
+    mergeDown(layerIdOrName: number | string): Layer | null;
+    /**
+     * Replaces layers with one canvas-sized layer holding their composite.
+     * Without options every layer is flattened. The new layer goes into the
+     * innermost group holding all flattened nodes, in the place of the lowest
+     * one. That group and its ancestors still apply on top of the new layer, so
+     * only the groups below it are baked into the pixels.
+     * @param {Object} [options]
+     * @param {Array<number|string|LayerNode>} [options.layers] - Nodes to flatten (groups include their children)
+     * @param {number} [options.minZIndex] - Lowest zIndex of root-level nodes to flatten
+     * @param {number} [options.maxZIndex] - Highest zIndex of root-level nodes to flatten
+     * @param {string} [options.name='Flattened'] - Name of the new layer
+     * @returns {Layer|null} The new layer, or null if there was nothing to flatten
+     */
+    flatten(options?: {
+        layers?: Array<number | string | LayerNode>;
+        minZIndex?: number;
+        maxZIndex?: number;
+        name?: string;
+    }): Layer | null;
+    /**
+     * Runs a change as a single history step when history is enabled
+     * @private
+     * @param {string} label - Label of the step
+     * @param {Function} fn - The change
+     * @returns {*} What fn returns
+     */
+    private _withHistoryStep;
     /**
      * Gets a layer by ID or name
      * @param {number|string} layerIdOrName - The layer ID or name
-     * @returns {Layer|null} The layer, or null if not found
+     * @returns {LayerNode|null} The layer or group, or null if not found
+     */
+    getLayer(layerIdOrName: number | string): LayerNode | null;
+    /**
+     * Renames a layer, group or adjustment layer, keeping name lookups current.
+     * The name policy applies: with NamePolicies.SUFFIX the name may get a
+     * number appended, with NamePolicies.ERROR a taken name throws.
+     * @param {number|string} layerIdOrName - The layer ID or current name
+     * @param {string} newName - The new name
+     * @returns {LayerNode|null} The renamed layer, or null if not found
+     */
+    renameLayer(layerIdOrName: number | string, newName: string): LayerNode | null;
+    /**
+     * Sets what happens when a layer is created or renamed with a name another
+     * layer already has. Existing names are left as they are.
+     * @param {string} policy - One of the NamePolicies constants
+     * @returns {LayerSystem} This system for chaining
+     */
+    setNamePolicy(policy: string): LayerSystem;
+    /**
+     * Gets the root of the layer tree as an array, sorted by zIndex.
+     * Groups expose their own children through getChildren().
+     * @returns {LayerNode[]} Array of root-level layers and groups
      */
-    getLayer(layerIdOrName: number | string): Layer | null;
+    getLayers(): LayerNode[];
     /**
-     * Gets all layers as an array, sorted by zIndex
-     * @returns {Layer[]} Array of layers
+     * Gets every layer and group as a flat array in compositing order
+     * (bottom to top, each group followed by its children)
+     * @returns {LayerNode[]} Array of all layers and groups
      */
-    getLayers(): Layer[];
+    getAllLayers(): LayerNode[];
     /**
-     * Gets layer information as plain objects
+     * Gets layer information as plain objects. Groups carry a nested `children` array.
      * @returns {Object[]} Array of layer info objects
      */
     getLayerInfo(): any[];
     /**
-     * Begins drawing to a specific layer
+     * Begins drawing to a specific layer. Layers and masks can be begun while
+     * another is active; each end() or endMask() returns to the one before.
      * @param {number|string} layerIdOrName - The ID or name of the layer to draw to
      */
     begin(layerIdOrName: number | string): void;
@@ -250,46 +1582,93 @@ export class LayerSystem {
      * Ends drawing to the current layer
      */
     end(): void;
+    /**
+     * Begins drawing to a layer's own mask, creating the mask if needed.
+     * White reveals the layer, black hides it.
+     * @param {number|string} layerIdOrName - The ID or name of the layer whose mask to draw to
+     */
+    beginMask(layerIdOrName: number | string): void;
+    /**
+     * Ends drawing to the current layer mask
+     */
+    endMask(): void;
+    /**
+     * Draws to a layer inside begin()/end(). The layer is ended even if the
+     * callback throws, along with anything the callback began and didn't end.
+     * @param {number|string} layerIdOrName - The ID or name of the layer to draw to
+     * @param {Function} callback - Synchronous drawing code, called with the layer
+     * @returns {Layer|null} The layer, or null if it couldn't be begun
+     */
+    draw(layerIdOrName: number | string, callback: (layer: Layer) => void): Layer | null;
+    /**
+     * Draws to a layer's own mask inside beginMask()/endMask(), ending it
+     * even if the callback throws
+     * @param {number|string} layerIdOrName - The ID or name of the layer whose mask to draw to
+     * @param {Function} callback - Synchronous drawing code, called with the layer
+     * @returns {Layer|null} The layer, or null if its mask couldn't be begun
+     */
+    drawMask(layerIdOrName: number | string, callback: (layer: Layer) => void): Layer | null;
+    /**
+     * Runs a callback between a begin and the matching end
+     * @private
+     * @param {Function} begin - Pushes one entry onto the draw stack, or nothing on failure
+     * @param {Function} callback - Drawing code, called with the layer
+     * @returns {Layer|null}
+     */
+    private _drawScoped;
+    /**
+     * Ends the innermost begins until only `depth` remain. Framebuffers nest,
+     * so inner ones always end first.
+     * @private
+     * @param {number} depth - Number of entries to keep
+     */
+    private _unwindDrawStack;
+    /**
+     * Ends drawing to a node (its pixels or its mask) and to everything begun after it
+     * @private
+     * @param {LayerNode} node
+     */
+    private _endDrawing;
     /**
      * Shows a layer (makes it visible)
      * @param {number|string} layerIdOrName - The layer ID or name
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
      */
-    show(layerIdOrName: number | string): Layer | null;
+    show(layerIdOrName: number | string): LayerNode | null;
     /**
      * Hides a layer (makes it invisible)
      * @param {number|string} layerIdOrName - The layer ID or name
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
      */
-    hide(layerIdOrName: number | string): Layer | null;
+    hide(layerIdOrName: number | string): LayerNode | null;
     /**
      * Sets the opacity of a layer
      * @param {number|string} layerIdOrName - The layer ID or name
      * @param {number} opacity - Opacity value between 0 and 1
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
      */
-    setOpacity(layerIdOrName: number | string, opacity: number): Layer | null;
+    setOpacity(layerIdOrName: number | string, opacity: number): LayerNode | null;
     /**
      * Sets the blend mode of a layer
      * @param {number|string} layerIdOrName - The layer ID or name
      * @param {string} blendMode - One of the BlendModes constants
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
      */
-    setBlendMode(layerIdOrName: number | string, blendMode: string): Layer | null;
+    setBlendMode(layerIdOrName: number | string, blendMode: string): LayerNode | null;
     /**
      * Sets the z-index of a layer
      * @param {number|string} layerIdOrName - The layer ID or name
      * @param {number} zIndex - The new z-index (higher = on top)
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
      */
-    setLayerIndex(layerIdOrName: number | string, zIndex: number): Layer | null;
+    setLayerIndex(layerIdOrName: number | string, zIndex: number): LayerNode | null;
     /**
      * Moves a layer by a relative amount in the stack
      * @param {number|string} layerIdOrName - The layer ID or name
      * @param {number} delta - The amount to move (positive = forward, negative = backward)
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
      */
-    moveLayer(layerIdOrName: number | string, delta: number): Layer | null;
+    moveLayer(layerIdOrName: number | string, delta: number): LayerNode | null;
     /**
      * Reorders layers to match a new array order
      * @param {Layer[]} orderedLayers - Array of layers in the desired order
@@ -298,21 +1677,113 @@ export class LayerSystem {
     /**
      * Attaches a mask to a layer
      * @param {number|string} layerIdOrName - The layer ID or name
-     * @param {p5.Framebuffer|p5.Image} maskSource - The mask to apply
-     * @returns {Layer|null} The layer for chaining, or null if not found
+     * @param {p5.Framebuffer|p5.Image|Layer|number|string} maskSource - The mask to apply,
+     *   or the ID or name of a layer to use as a live mask
+     * @param {Object} [options] - Mask options (see LayerNode.setMask)
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
+     */
+    setMask(layerIdOrName: number | string, maskSource: p5.Framebuffer | p5.Image | Layer | number | string, options?: any): LayerNode | null;
+    /**
+     * Gives a layer a mask of its own to paint with beginMask()/endMask()
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {Object} [options] - Mask options (see Layer.createMask)
+     * @returns {p5.Framebuffer|null} The mask framebuffer, or null if the layer wasn't found
      */
-    setMask(layerIdOrName: number | string, maskSource: p5.Framebuffer | p5.Image): Layer | null;
+    createMask(layerIdOrName: number | string, options?: any): p5.Framebuffer | null;
     /**
      * Removes the mask from a layer
      * @param {number|string} layerIdOrName - The layer ID or name
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
+     */
+    clearMask(layerIdOrName: number | string): LayerNode | null;
+    /**
+     * Clips a layer to the nearest non-clipped layer below it
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {boolean} [clipped=true] - Whether to clip
+     * @returns {LayerNode|null} The layer or group for chaining, or null if not found
+     */
+    setClipped(layerIdOrName: number | string, clipped?: boolean): LayerNode | null;
+    /**
+     * Adds an effect to a layer's effect stack
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {string} type - One of the EffectTypes constants
+     * @param {Object} params - Effect parameters (see DEFAULT_EFFECT_PARAMS)
+     * @returns {LayerEffect|null} The created effect, or null if the layer or type wasn't found
+     */
+    addEffect(layerIdOrName: number | string, type: string, params?: any): LayerEffect | null;
+    /**
+     * Removes an effect from a layer's effect stack
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {number|LayerEffect} effectOrId - The effect or its ID
      * @returns {Layer|null} The layer for chaining, or null if not found
      */
-    clearMask(layerIdOrName: number | string): Layer | null;
+    removeEffect(layerIdOrName: number | string, effectOrId: number | LayerEffect): Layer | null;
     /**
      * Renders all layers to the main canvas
-     * @param {Function} clearCallback - Optional callback to clear the canvas before rendering
+     * @param {Function} [clearCallback] - Clears the canvas before rendering, defaults to the
+     *   clearCallback option; without one the canvas is cleared to transparent
      */
     render(clearCallback?: Function): void;
+    /**
+     * Writes the composite into a framebuffer instead of the main canvas, e.g. to
+     * texture a 3D model, feed a post-process shader or nest one layer system
+     * inside another. Leaving out layers works like hiding them.
+     * @param {p5.Framebuffer} framebuffer - Framebuffer that receives the composite
+     * @param {Object} [options]
+     * @param {Array<number|string|LayerNode>} [options.layers] - Only composite these nodes (groups include their children)
+     * @param {number} [options.minZIndex] - Lowest zIndex of root-level nodes to include
+     * @param {number} [options.maxZIndex] - Highest zIndex of root-level nodes to include
+     * @param {boolean} [options.clear=true] - Clear the framebuffer first instead of drawing over it
+     * @returns {p5.Framebuffer|null} The framebuffer, or null if it couldn't be rendered into
+     */
+    renderTo(framebuffer: p5.Framebuffer, options?: {
+        layers?: Array<number | string | LayerNode>;
+        minZIndex?: number;
+        maxZIndex?: number;
+        clear?: boolean;
+    }): p5.Framebuffer | null;
+    /**
+     * Whether a node takes part in compositing a selection: it or one of its
+     * ancestors is selected, or it's a group holding a selected node
+     * @private
+     * @param {LayerNode} node
+     * @param {Set<LayerNode>} selected
+     * @returns {boolean}
+     */
+    private _isInSelection;
+    /**
+     * Composites the stack at a resolution independent of the canvas, e.g. for
+     * poster-sized prints from a screen-sized sketch. Canvas-synced layers are
+     * scaled to fill the output; custom-size layers keep their own resolution.
+     * Outputs larger than one tile are rendered in tiles and stitched together
+     * into one canvas, so they can be at most 32767 pixels a side and
+     * 16384 x 16384 pixels in total.
+     * @param {Object} [options]
+     * @param {number} [options.width] - Output width in pixels (keeps the canvas aspect if height is omitted)
+     * @param {number} [options.height] - Output height in pixels (keeps the canvas aspect if width is omitted)
+     * @param {number} [options.scale=1] - Multiple of the canvas size, used when no width or height is given
+     * @param {string} [options.format='image'] - 'image' for a p5.Image, 'blob' or 'dataURL'
+     * @param {string} [options.type='image/png'] - Encoding for blobs and data URLs
+     * @param {number} [options.quality] - Encoder quality for lossy types, between 0 and 1
+     * @param {number} [options.tileSize=4096] - Largest tile side in pixels, capped at the GPU's max texture size
+     * @returns {p5.Image|string|Promise<Blob>|null} The image, data URL or a promise for the blob; null for an invalid or too large size.
+     *   Call loadPixels() on the image before reading its pixels.
+     */
+    renderToImage(options?: {
+        width?: number;
+        height?: number;
+        scale?: number;
+        format?: string;
+        type?: string;
+        quality?: number;
+        tileSize?: number;
+    }): p5.Image | string | Promise<Blob> | null;
+    /**
+     * Gets the largest texture side the GPU supports
+     * @returns {number}
+     * @private
+     */
+    private _getMaxTextureSize;
     /**
      * Checks if canvas was resized and updates layers accordingly
      * @private
@@ -323,6 +1794,59 @@ export class LayerSystem {
      * @param {boolean} enabled - Whether to enable auto-resize
      */
     setAutoResize(enabled: boolean): void;
+    /**
+     * Sets what happens to a layer's pixels when it is resized, including by auto-resize
+     * @param {number|string} layerIdOrName - The layer ID or name
+     * @param {string} policy - One of the ResizePolicies constants
+     * @param {Object} [options] - anchor and callback, see Layer.setResizePolicy
+     * @returns {Layer|null} The layer for chaining, or null if not found
+     */
+    setResizePolicy(layerIdOrName: number | string, policy: string, options?: any): Layer | null;
+    /**
+     * Starts recording changes so they can be undone. Calling it again updates
+     * the options of the existing history.
+     * @param {Object} [options]
+     * @param {boolean} [options.pixels=false] - Also snapshot pixels when drawing to a layer or mask begins
+     * @param {number} [options.memoryLimit] - Bytes of snapshots and removed layers to keep (256 MB by default)
+     * @param {number} [options.maxSteps=100] - Most undo steps to keep
+     * @param {number} [options.mergeInterval=1000] - Milliseconds within which repeated changes to one property merge into one step; 0 keeps every step
+     * @returns {LayerHistory} The history
+     */
+    enableHistory(options?: {
+        pixels?: boolean;
+        memoryLimit?: number;
+        maxSteps?: number;
+        mergeInterval?: number;
+    }): LayerHistory;
+    /**
+     * Stops recording changes and forgets the history
+     */
+    disableHistory(): void;
+    /**
+     * Reverts the most recent step of the history
+     * @returns {boolean} Whether anything was undone
+     */
+    undo(): boolean;
+    /**
+     * Reapplies the most recently undone step of the history
+     * @returns {boolean} Whether anything was redone
+     */
+    redo(): boolean;
+    /**
+     * Enables or disables reusing unchanged parts of the composite between renders.
+     * On by default. Changes made through begin()/end(), draw() and the layer
+     * setters are picked up; after drawing straight into layer.framebuffer, call
+     * layer.markDirty(). Layers masked by a framebuffer or image always recomposite.
+     * @param {boolean} enabled - Whether to cache
+     */
+    setCaching(enabled: boolean): void;
+    /**
+     * Flags a layer as changed after drawing into its framebuffer directly, or
+     * the whole composite when called without a layer
+     * @param {number|string} [layerIdOrName] - The layer ID or name
+     * @returns {LayerNode|null} The layer, or null if not found or none was given
+     */
+    markDirty(layerIdOrName?: number | string): LayerNode | null;
     /**
      * Creates and shows a UI panel for controlling layers
      * @param {Object} options - UI configuration options
@@ -333,6 +1857,151 @@ export class LayerSystem {
      * Updates the UI if it exists
      */
     updateUI(): void;
+    /**
+     * Saves the whole layer stack as a plain, JSON-safe object: every node's
+     * properties, layer pixels and masks as PNG data URLs, the tree order, and
+     * the name policy and layer defaults. Restore it with LayerSystem.load().
+     * @returns {Object} The versioned layer document
+     */
+    serialize(): {
+        format: string;
+        version: number;
+        libraryVersion: string;
+        canvas: {
+            width: number;
+            height: number;
+            density: number;
+        };
+        namePolicy: string;
+        layerDefaults: {};
+        nodes: any[];
+    };
+    /**
+     * Layer defaults that can be saved. Callbacks aren't, so a REDRAW
+     * resize policy is left out along with its callback.
+     * @returns {Object}
+     * @private
+     */
+    private _getSavedLayerDefaults;
+    /**
+     * Rebuilds a layer system from a document made by serialize(), with the
+     * document's name policy and layer defaults
+     * @param {Object|string} data - The document, or its JSON string
+     * @param {p5} [p5Instance] - The p5.js instance, defaults to the global-mode sketch
+     * @returns {Promise<LayerSystem>} Resolves once every layer's pixels are loaded
+     */
+    static load(data: any | string, p5Instance?: p5): Promise<LayerSystem>;
+    /**
+     * Adds the nodes of a saved document to this system. Unknown fields and
+     * node types are ignored so newer documents still load what they can.
+     * @param {Object|string} data - The document, or its JSON string
+     * @returns {Promise<void>}
+     * @private
+     */
+    private _restoreDocument;
+    /**
+     * Creates one node from its saved properties
+     * @param {Object} info - A saved node (see serialize)
+     * @param {Map} created - Nodes restored so far, by saved ID
+     * @returns {LayerNode|null} The created node, or null for unknown types
+     * @private
+     */
+    private _restoreNode;
+    /**
+     * Logs a warning once per export or import
+     * @param {Set<string>} warnings - Warnings already logged for this export or import
+     * @param {string} message
+     * @private
+     */
+    private _warnOnce;
+    /**
+     * Composites the whole stack and reads it back as an image
+     * @returns {p5.Image} The flattened image
+     * @private
+     */
+    private _getMergedImage;
+    /**
+     * Exports the stack as an OpenRaster (.ora) archive, which Krita, GIMP and
+     * MyPaint open with layers intact. Each layer becomes a canvas-sized PNG with
+     * its transform, effects and mask baked in; groups become nested stacks.
+     * Adjustment layers and clipping can't be stored and are dropped with a warning.
+     * @returns {Blob} The .ora file
+     */
+    exportORA(): Blob;
+    /**
+     * Exports the stack as a layered Photoshop (.psd) file. Each layer keeps its
+     * name, opacity, visibility, blend mode, clipping and mask; transforms and
+     * effects are baked into its pixels. Groups become Photoshop groups.
+     * Adjustment layers can't be stored and are dropped with a warning.
+     * @returns {Blob} The .psd file
+     */
+    exportPSD(): Blob;
+    /**
+     * Downloads the stack as an OpenRaster file (see exportORA)
+     * @param {string} [filename='layers.ora']
+     */
+    saveORA(filename?: string): void;
+    /**
+     * Downloads the stack as a layered PSD file (see exportPSD)
+     * @param {string} [filename='layers.psd']
+     */
+    savePSD(filename?: string): void;
+    /**
+     * Imports the layers of an OpenRaster (.ora) or layered Photoshop (.psd) file
+     * on top of the stack, keeping names, order, opacity, visibility, offsets,
+     * blend modes and groups (plus clipping and masks from PSDs). Anything else,
+     * such as text, smart objects or layer effects, comes in as its rasterized
+     * pixels or is dropped, and is listed in the returned report.
+     * @param {string|File|Blob|ArrayBuffer|Uint8Array} source - URL, file or raw bytes
+     * @param {Object} [options]
+     * @param {number|string|LayerGroup} [options.parent] - Group to import into
+     * @returns {Promise<{layers: LayerNode[], lost: string[]}>} The created top-level nodes and what was lost
+     */
+    importFile(source: string | File | Blob | ArrayBuffer | Uint8Array, options?: {
+        parent?: number | string | LayerGroup;
+    }): Promise<{
+        layers: LayerNode[];
+        lost: string[];
+    }>;
+    /**
+     * Creates a layer from imported pixels. Layers that exactly cover the canvas
+     * stay canvas-sized; the rest get their own size and an offset.
+     * @param {string} name - Layer name
+     * @param {p5.Image|null} image - The pixels, or null for an empty layer
+     * @param {number} x - Canvas x of the image's top-left corner
+     * @param {number} y - Canvas y of the image's top-left corner
+     * @param {Object} options - Layer options (visible, opacity, clipped, parent)
+     * @returns {Layer}
+     * @private
+     */
+    private _createImportedLayer;
+    /**
+     * Resolves a PSD blend key or OpenRaster operation, reporting unknown ones
+     * @param {LayerNode} node - The node to set the blend mode on
+     * @param {string|undefined} mode - The matching blend mode, if any
+     * @param {string} original - The key or operation in the file
+     * @param {Function} report - Adds a line to the import report
+     * @private
+     */
+    private _setImportedBlendMode;
+    /**
+     * Builds nodes from a parsed PSD
+     * @param {Uint8Array} bytes - The file
+     * @param {number|string|LayerGroup} [parent] - Group to import into
+     * @param {Function} report - Adds a line to the import report
+     * @returns {Promise<LayerNode[]>} The created top-level nodes
+     * @private
+     */
+    private _importPSD;
+    /**
+     * Builds nodes from an OpenRaster archive
+     * @param {Uint8Array} bytes - The file
+     * @param {number|string|LayerGroup} [parent] - Group to import into
+     * @param {Function} report - Adds a line to the import report
+     * @returns {Promise<LayerNode[]>} The created top-level nodes
+     * @private
+     */
+    private _importORA;
     /**
      * Disposes of all layers and resources
      */
@@ -345,12 +2014,15 @@ export class LayerUI {
     /**
      * @param {LayerSystem} layerSystem - The layer system to display
      * @param {Object} options - UI configuration options
+     * @param {HTMLElement|string} [options.parent] - Element (or its ID) to put the panel in.
+     *   The panel is positioned inside it instead of floating over the page.
      */
     constructor(layerSystem: LayerSystem, options?: any);
     layerSystem: LayerSystem;
     options: any;
     isCollapsed: boolean;
     container: HTMLDivElement;
+    _blendModesVersion: number;
     layerElements: Map<any, any>;
     selectedLayerId: any;
     _dirtyThumbnailLayerIds: Set<any>;
@@ -365,6 +2037,25 @@ export class LayerUI {
     _downsampleBuffer: any;
     _checkerPatternCanvas: HTMLCanvasElement;
     _checkerPatternCache: WeakMap<object, any>;
+    _needsUpdate: boolean;
+    _needsSync: boolean;
+    _movingLayer: boolean;
+    _eventHandlers: {
+        [event: string]: Function;
+    };
+    _abortController: AbortController;
+    /**
+     * Subscribes to the layer system's events so the panel only rebuilds or
+     * syncs when something changed
+     * @private
+     */
+    private _listenToLayerSystem;
+    /**
+     * Applies the changes reported since the last call: rebuilds the rows when
+     * layers were added, removed or moved, and syncs the controls when
+     * properties changed. Called by LayerSystem.render().
+     */
+    refresh(): void;
     /**
      * Creates the DOM structure for the UI panel
      * @private
@@ -395,6 +2086,11 @@ export class LayerUI {
      * Updates the UI to reflect current layer state
      */
     update(): void;
+    /**
+     * Creates elements for a list of sibling layers (reverse order so top layers appear first)
+     * @private
+     */
+    private _appendLayerElements;
     /**
      * Public helper so the LayerSystem can schedule updates when layer content changes
      * @param {number|string} layerId
@@ -466,10 +2162,15 @@ export class LayerUI {
     private _getCropAmount;
     _drawThumbnailImage(ctx: any, targetCanvas: any, sourceCanvas: any, bounds: any): void;
     /**
-     * Creates a DOM element for a single layer
+     * Creates a DOM element for a single layer or group
      * @private
      */
     private _createLayerElement;
+    /**
+     * Gets the blend mode shown for a layer, including the pass-through pseudo mode for groups
+     * @private
+     */
+    private _getDisplayedBlendMode;
     /**
      * Gets a single letter representing the blend mode
      * @private
@@ -508,6 +2209,29 @@ export class LayerUI {
      * @param {number} direction - -1 for up (higher in stack), 1 for down (lower in stack)
      */
     private _moveSelectedLayer;
+    /**
+     * Swaps a layer's name for a text field. Enter or leaving the field
+     * renames the layer, Escape cancels.
+     * @private
+     * @param {LayerNode} layer - The layer to rename
+     * @param {HTMLElement} nameSpan - The name element to replace
+     */
+    private _startRename;
+    /**
+     * Duplicates the selected layer and selects the copy
+     * @private
+     */
+    private _duplicateSelectedLayer;
+    /**
+     * Merges the selected layer into the one below and selects the result
+     * @private
+     */
+    private _mergeSelectedLayerDown;
+    /**
+     * Flattens every layer into one and selects it
+     * @private
+     */
+    private _flattenLayers;
     /**
      * Attaches CSS styles to the document
      * @private
@@ -530,6 +2254,38 @@ export class LayerUI {
      */
     dispose(): void;
 }
+export namespace MaskChannels {
+    let ALPHA: string;
+    let LUMINANCE: string;
+    let RED: string;
+    let GREEN: string;
+    let BLUE: string;
+}
+export namespace MaskFit {
+    let STRETCH: string;
+    let CONTAIN: string;
+    let COVER: string;
+    let NONE: string;
+}
+/**
+ * What a LayerSystem does when a layer is given a name another layer already has
+ */
+export namespace NamePolicies {
+    let SUFFIX: string;
+    let ERROR: string;
+    let ALLOW: string;
+}
+/**
+ * What happens to a layer's pixels when it is resized, e.g. by auto-resize
+ * after resizeCanvas()
+ */
+export namespace ResizePolicies {
+    let CLEAR: string;
+    let KEEP: string;
+    let FIT: string;
+    let FILL: string;
+    let REDRAW: string;
+}
 export const VERSION: "0.2.1";
 /**
  * p5.js addon registration function
@@ -538,11 +2294,20 @@ export const VERSION: "0.2.1";
  * @param {object} lifecycles - Lifecycle hooks
  */
 declare function millefeuilleAddon(p5: object, fn: object, lifecycles: object): void;
+/**
+ * Maps adjustment types to shader uniform integers
+ * These correspond to the adjustment indices in adjustment.frag
+ */
+export function getAdjustmentTypeIndex(type: any): 0 | 1 | 2 | 3 | 4 | 5 | 6;
 /**
  * Maps our blend modes to shader uniform integers
  * These correspond to the blend mode indices in compositor.frag
  */
-export function getBlendModeIndex(mode: any): 1 | 0 | 4 | 12 | 6 | 8 | 2 | 3 | 5 | 7 | 9 | 10 | 11 | 13;
+export function getBlendModeIndex(mode: any): number;
+/**
+ * Maps mask channels to shader uniform integers
+ */
+export function getMaskChannelIndex(channel: any): 0 | 1 | 2 | 3 | 4;
 export { millefeuilleAddon as default };
 
 